@@ -0,0 +1,24 @@
+const multer = require('multer');
+const path = require('path');
+
+// Import files are parsed straight from memory and never written to disk
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.csv', '.xlsx', '.xls'];
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(extension)) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only CSV and Excel files can be imported'));
+  }
+};
+
+const importUpload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }, // 10MB limit
+  fileFilter: fileFilter
+});
+
+module.exports = importUpload;
@@ -0,0 +1,29 @@
+const path = require('path');
+
+/**
+ * Receipt storage backends. STORAGE_DRIVER picks where new uploads go:
+ * "local" (default) writes under STORAGE_LOCAL_ROOT, "s3" writes to any
+ * S3-compatible bucket. For a local MinIO use:
+ *   S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true
+ *   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin S3_BUCKET=receipts
+ * Files already stored keep the backend they were written to; move them with
+ * scripts/migrate-storage.js.
+ */
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT
+      ? path.resolve(process.env.STORAGE_LOCAL_ROOT)
+      : path.join(__dirname, '../uploads')
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+};
+
+module.exports = storageConfig;
@@ -1,17 +1,48 @@
+const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
+const StorageService = require('../services/storageService');
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads/expenses'));
+const uniqueFilename = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const extension = path.extname(originalName);
+  const baseName = path.basename(originalName, extension);
+  return `${baseName}-${uniqueSuffix}${extension}`;
+};
+
+// Receipts are written through the configured storage driver under the tenant's
+// prefix. Files are at most 10MB, so they are buffered and hashed on the way.
+const storage = {
+  _handleFile(req, file, cb) {
+    const hash = crypto.createHash('sha256');
+    const chunks = [];
+
+    file.stream.on('data', chunk => {
+      hash.update(chunk);
+      chunks.push(chunk);
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const filename = uniqueFilename(file.originalname);
+      const key = StorageService.keyFor(req.tenant?._id, filename);
+
+      StorageService.save(key, body, { contentType: file.mimetype })
+        .then(stored => cb(null, {
+          filename,
+          path: stored.path,
+          storage: stored.storage,
+          size: body.length,
+          hash: hash.digest('hex')
+        }))
+        .catch(cb);
+    });
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, extension);
-    cb(null, `${baseName}-${uniqueSuffix}${extension}`);
+
+  _removeFile(req, file, cb) {
+    StorageService.remove(file).then(() => cb(null), cb);
   }
-});
+};
 
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|pdf|doc|docx|txt|xlsx|xls/;
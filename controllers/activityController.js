@@ -43,11 +43,17 @@ const getNotifications = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const userId = req.user.id;
     
+    // Mentions and replies addressed to the current user come first
+    const personal = await ActivityService.getUserNotifications(userId, req.user.tenantId?._id, limit);
+
     // Get activities not performed by current user
     const activities = await ActivityService.getRecentActivities(limit);
-    const notifications = activities.filter(activity => 
-      activity.performedBy !== req.user.name && !activity.isRead
-    );
+    const notifications = [
+      ...personal.filter(activity => !activity.isRead),
+      ...activities.filter(activity =>
+        activity.performedBy !== req.user.name && !activity.isRead
+      )
+    ];
 
     res.status(200).json({
       success: true,
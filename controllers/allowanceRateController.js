@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const AllowanceRate = require('../models/AllowanceRate');
+const AllowanceService = require('../services/allowanceService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A rate for this vehicle type or location already starts on that date'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+const findTenantRate = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid rate ID format'
+    });
+    return null;
+  }
+
+  const rate = await AllowanceRate.findOne({ _id: req.params.id, tenantId: req.tenant._id });
+
+  if (!rate) {
+    res.status(404).json({
+      success: false,
+      message: 'Allowance rate not found'
+    });
+    return null;
+  }
+
+  return rate;
+};
+
+// @desc    Get mileage and per diem rates; current=true keeps only the rates in effect today
+// @route   GET /api/allowance-rates
+// @access  Private
+const getAllowanceRates = async (req, res) => {
+  try {
+    const { type, vehicleType, location, current } = req.query;
+
+    if (current === 'true') {
+      const rates = await AllowanceService.getCurrentRates(req.tenant._id);
+      return res.status(200).json({
+        success: true,
+        baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+        data: rates
+      });
+    }
+
+    const rates = await AllowanceRate.findByTenant(req.tenant._id, { type, vehicleType, location });
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get allowance rates error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create allowance rate
+// @route   POST /api/allowance-rates
+// @access  Private (Settings)
+const createAllowanceRate = async (req, res) => {
+  try {
+    const { type, vehicleType, unit, location, rate, effectiveFrom, description } = req.body;
+
+    const allowanceRate = await AllowanceRate.create({
+      tenantId: req.tenant._id,
+      type,
+      vehicleType,
+      unit,
+      location,
+      rate,
+      effectiveFrom,
+      description,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: allowanceRate
+    });
+  } catch (error) {
+    console.error('Create allowance rate error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update allowance rate. Claims already saved keep the rate they were priced with.
+// @route   PUT /api/allowance-rates/:id
+// @access  Private (Settings)
+const updateAllowanceRate = async (req, res) => {
+  try {
+    const allowanceRate = await findTenantRate(req, res);
+    if (!allowanceRate) return;
+
+    const { vehicleType, unit, location, rate, effectiveFrom, description } = req.body;
+
+    if (vehicleType !== undefined) allowanceRate.vehicleType = vehicleType;
+    if (unit !== undefined) allowanceRate.unit = unit;
+    if (location !== undefined) allowanceRate.location = location;
+    if (rate !== undefined) allowanceRate.rate = rate;
+    if (effectiveFrom !== undefined) allowanceRate.effectiveFrom = effectiveFrom;
+    if (description !== undefined) allowanceRate.description = description;
+
+    await allowanceRate.save();
+
+    res.status(200).json({
+      success: true,
+      data: allowanceRate
+    });
+  } catch (error) {
+    console.error('Update allowance rate error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete allowance rate
+// @route   DELETE /api/allowance-rates/:id
+// @access  Private (Settings)
+const deleteAllowanceRate = async (req, res) => {
+  try {
+    const allowanceRate = await findTenantRate(req, res);
+    if (!allowanceRate) return;
+
+    await allowanceRate.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Allowance rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete allowance rate error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Price a mileage or per diem claim without saving it
+// @route   POST /api/allowance-rates/quote
+// @access  Private
+const quoteAllowance = async (req, res) => {
+  try {
+    const claim = AllowanceService.parseClaim(req.body);
+    const quote = await AllowanceService.price(req.tenant._id, { ...claim, date: req.body.date });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...quote,
+        currency: req.tenant.settings?.baseCurrency || 'USD'
+      }
+    });
+  } catch (error) {
+    console.error('Quote allowance error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getAllowanceRates,
+  createAllowanceRate,
+  updateAllowanceRate,
+  deleteAllowanceRate,
+  quoteAllowance
+};
@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ApprovalChain = require('../models/ApprovalChain');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const ApprovalService = require('../services/approvalService');
+
+// Load an expense of the current tenant for an approval action
+const findTenantExpense = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid expense ID format'
+    });
+    return null;
+  }
+
+  const expense = await Expense.findOne({
+    _id: req.params.id,
+    tenantId: req.tenant._id
+  });
+
+  if (!expense) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense not found'
+    });
+    return null;
+  }
+
+  return expense;
+};
+
+const populateExpense = (id) => {
+  return Expense.findById(id)
+    .populate('category', 'name')
+    .populate('createdBy', 'name email')
+    .populate('payments.category', 'name')
+    .populate('approval.chain', 'name')
+    .populate('approval.steps.actedBy', 'name email');
+};
+
+// Make sure roles, users and categories referenced by a chain belong to the tenant
+const validateChainReferences = async (tenantId, { steps = [], conditions = {} }) => {
+  const roleIds = steps.filter(s => s.approverType === 'role' && s.role).map(s => s.role);
+  const userIds = steps.filter(s => s.approverType === 'user' && s.user).map(s => s.user);
+  const categoryIds = conditions.categories || [];
+
+  const [roleCount, userCount, categoryCount] = await Promise.all([
+    roleIds.length ? Role.countDocuments({ tenantId, _id: { $in: roleIds } }) : 0,
+    userIds.length ? User.countDocuments({ tenantId, _id: { $in: userIds }, isActive: true }) : 0,
+    categoryIds.length ? Category.countDocuments({ tenantId, _id: { $in: categoryIds } }) : 0
+  ]);
+
+  if (roleCount !== new Set(roleIds.map(String)).size) return 'One or more approver roles are invalid';
+  if (userCount !== new Set(userIds.map(String)).size) return 'One or more approver users are invalid';
+  if (categoryCount !== new Set(categoryIds.map(String)).size) return 'One or more categories are invalid';
+
+  return null;
+};
+
+// @desc    Submit expense for approval
+// @route   POST /api/expenses/:id/submit
+// @access  Private (Creator or Tenant Admin)
+const submitExpense = async (req, res) => {
+  try {
+    const expense = await findTenantExpense(req, res);
+    if (!expense) return;
+
+    const isCreator = expense.createdBy.toString() === req.user._id.toString();
+    if (!isCreator && req.user.tenantRole !== 'tenant_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator can submit this expense for approval'
+      });
+    }
+
+    await ApprovalService.submit(expense, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense submitted for approval',
+      data: await populateExpense(expense._id)
+    });
+  } catch (error) {
+    console.error('Submit expense error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Approve current approval step of an expense
+// @route   POST /api/expenses/:id/approve
+// @access  Private (Approvers)
+const approveExpense = async (req, res) => {
+  try {
+    const expense = await findTenantExpense(req, res);
+    if (!expense) return;
+
+    await ApprovalService.approve(expense, req.user, req.body.comment?.trim() || '');
+
+    res.status(200).json({
+      success: true,
+      message: expense.approval.status === 'approved'
+        ? 'Expense approved'
+        : 'Approval step completed',
+      data: await populateExpense(expense._id)
+    });
+  } catch (error) {
+    console.error('Approve expense error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Reject an expense at its current approval step
+// @route   POST /api/expenses/:id/reject
+// @access  Private (Approvers)
+const rejectExpense = async (req, res) => {
+  try {
+    const expense = await findTenantExpense(req, res);
+    if (!expense) return;
+
+    await ApprovalService.reject(expense, req.user, req.body.reason || '');
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense rejected',
+      data: await populateExpense(expense._id)
+    });
+  } catch (error) {
+    console.error('Reject expense error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Get expenses waiting for the current user's approval
+// @route   GET /api/expenses/approvals/pending
+// @access  Private (Approvers)
+const getPendingApprovals = async (req, res) => {
+  try {
+    const query = ApprovalService.buildPendingQuery(req.tenant._id, req.user);
+
+    const expenses = await Expense.find(query)
+      .populate('category', 'name')
+      .populate('createdBy', 'name email')
+      .populate('approval.chain', 'name')
+      .sort({ 'approval.submittedAt': 1 });
+
+    const actionable = ApprovalService.filterActionable(expenses, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: actionable.length,
+      data: actionable
+    });
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get approval chains
+// @route   GET /api/approval-chains
+// @access  Private
+const getApprovalChains = async (req, res) => {
+  try {
+    const chains = await ApprovalChain.find({ tenantId: req.tenant._id })
+      .populate('steps.role', 'name')
+      .populate('steps.user', 'name email')
+      .populate('conditions.categories', 'name')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: chains.length,
+      data: chains
+    });
+  } catch (error) {
+    console.error('Get approval chains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get single approval chain
+// @route   GET /api/approval-chains/:id
+// @access  Private
+const getApprovalChain = async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findOne({ _id: req.params.id, tenantId: req.tenant._id })
+      .populate('steps.role', 'name')
+      .populate('steps.user', 'name email')
+      .populate('conditions.categories', 'name');
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    console.error('Get approval chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Create approval chain
+// @route   POST /api/approval-chains
+// @access  Private (Settings)
+const createApprovalChain = async (req, res) => {
+  try {
+    const { name, description, isActive, priority, conditions, steps } = req.body;
+
+    const referenceError = await validateChainReferences(req.tenant._id, { steps, conditions });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    const chain = await ApprovalChain.create({
+      tenantId: req.tenant._id,
+      name,
+      description,
+      isActive,
+      priority,
+      conditions,
+      steps,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    console.error('Create approval chain error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: message.join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Approval chain with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Update approval chain
+// @route   PUT /api/approval-chains/:id
+// @access  Private (Settings)
+const updateApprovalChain = async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findOne({ _id: req.params.id, tenantId: req.tenant._id });
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    const { name, description, isActive, priority, conditions, steps } = req.body;
+
+    const referenceError = await validateChainReferences(req.tenant._id, {
+      steps: steps || [],
+      conditions: conditions || {}
+    });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    if (name !== undefined) chain.name = name;
+    if (description !== undefined) chain.description = description;
+    if (isActive !== undefined) chain.isActive = isActive;
+    if (priority !== undefined) chain.priority = priority;
+    if (conditions !== undefined) chain.conditions = conditions;
+    if (steps !== undefined) chain.steps = steps;
+
+    await chain.save();
+
+    res.status(200).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    console.error('Update approval chain error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: message.join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Approval chain with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Delete approval chain
+// @route   DELETE /api/approval-chains/:id
+// @access  Private (Settings)
+const deleteApprovalChain = async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findOne({ _id: req.params.id, tenantId: req.tenant._id });
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    // Expenses already in review keep their copied steps, so deletion is safe
+    await ApprovalChain.findByIdAndDelete(chain._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval chain deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete approval chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+module.exports = {
+  submitExpense,
+  approveExpense,
+  rejectExpense,
+  getPendingApprovals,
+  getApprovalChains,
+  getApprovalChain,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain
+};
@@ -1,6 +1,8 @@
 const Category = require('../models/Category');
 const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
 const ActivityService = require('../services/activityService');
+const TrashService = require('../services/trashService');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -352,6 +354,20 @@ const deleteCategory = async (req, res) => {
       });
     }
 
+    // Templates would keep generating expenses in a trashed category
+    const templateQuery = { category: req.params.id };
+    if (req.tenant) {
+      templateQuery.tenantId = req.tenant._id;
+    }
+    const templatesUsingCategory = await RecurringExpense.countDocuments(templateQuery);
+
+    if (templatesUsingCategory > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete category. It is used in ${templatesUsingCategory} recurring expense(s).`
+      });
+    }
+
     // Store category data for activity log before deletion
     const categoryData = {
       name: category.name,
@@ -359,7 +375,8 @@ const deleteCategory = async (req, res) => {
       isActive: category.isActive
     };
 
-    await Category.findByIdAndDelete(req.params.id);
+    // Soft delete: the category can be restored until the trash is purged
+    await category.softDelete(req.user.id);
 
     // Log activity
     await ActivityService.logActivity({
@@ -374,7 +391,12 @@ const deleteCategory = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category moved to trash',
+      data: {
+        _id: category._id,
+        deletedAt: category.deletedAt,
+        purgeAt: req.tenant ? TrashService.getPurgeDate(req.tenant, category.deletedAt) : null
+      }
     });
   } catch (error) {
     console.error('Delete category error:', error);
@@ -385,6 +407,49 @@ const deleteCategory = async (req, res) => {
   }
 };
 
+// @desc    Get deleted categories
+// @route   GET /api/categories/trash
+// @access  Private
+const getCategoryTrash = async (req, res) => {
+  try {
+    const categories = await TrashService.listCategories(req.tenant);
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      retentionDays: TrashService.getRetentionDays(req.tenant),
+      data: categories
+    });
+  } catch (error) {
+    console.error('Get category trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Restore deleted category
+// @route   POST /api/categories/:id/restore
+// @access  Private
+const restoreCategory = async (req, res) => {
+  try {
+    const category = await TrashService.restoreCategory(req.tenant, req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Category restored successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Restore category error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
 // @desc    Toggle category status
 // @route   PUT /api/categories/:id/toggle-status
 // @access  Private
@@ -458,5 +523,7 @@ module.exports = {
   createCategory,
   updateCategory,
   deleteCategory,
+  getCategoryTrash,
+  restoreCategory,
   toggleCategoryStatus
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const CommentService = require('../services/commentService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get comment thread of an expense
+// @route   GET /api/expenses/:id/comments
+// @access  Private
+const getComments = async (req, res) => {
+  try {
+    const comments = await CommentService.getComments(req.tenant, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Add a comment or reply (body may @mention users; parent makes it a reply)
+// @route   POST /api/expenses/:id/comments
+// @access  Private
+const addComment = async (req, res) => {
+  try {
+    const { body, parent, mentions } = req.body;
+    const comment = await CommentService.addComment(req.tenant, req.params.id, { body, parent, mentions }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Edit own comment
+// @route   PUT /api/expenses/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res) => {
+  try {
+    const { body, mentions } = req.body;
+    const comment = await CommentService.updateComment(
+      req.tenant,
+      req.params.id,
+      req.params.commentId,
+      { body, mentions },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete comment (own comments, or any with expenses delete permission)
+// @route   DELETE /api/expenses/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res) => {
+  try {
+    await CommentService.deleteComment(req.tenant, req.params.id, req.params.commentId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+};
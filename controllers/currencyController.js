@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const Expense = require('../models/Expense');
+const ExchangeRateService = require('../services/exchangeRateService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error',
+    ...(error.data && { data: error.data })
+  });
+};
+
+// @desc    Get base currency, latest rates and currencies in use
+// @route   GET /api/currencies
+// @access  Private
+const getCurrencySettings = async (req, res) => {
+  try {
+    const baseCurrency = req.tenant.settings.baseCurrency;
+
+    const [latestRates, expenseCurrencies] = await Promise.all([
+      ExchangeRate.aggregate([
+        { $match: { tenantId: req.tenant._id, baseCurrency } },
+        { $sort: { date: -1 } },
+        {
+          $group: {
+            _id: '$currency',
+            rate: { $first: '$rate' },
+            date: { $first: '$date' },
+            source: { $first: '$source' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Expense.getCurrencyBreakdown({ tenantId: req.tenant._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency,
+        latestRates: latestRates.map(({ _id, ...rate }) => ({ currency: _id, ...rate })),
+        expenseCurrencies
+      }
+    });
+  } catch (error) {
+    console.error('Get currency settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get exchange rates
+// @route   GET /api/currencies/rates
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const { currency, baseCurrency, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const options = {
+      baseCurrency: baseCurrency ? baseCurrency.toUpperCase() : req.tenant.settings.baseCurrency,
+      ...(currency && { currency: currency.toUpperCase() })
+    };
+    if (startDate || endDate) {
+      options.dateRange = { start: startDate, end: endDate };
+    }
+
+    const query = ExchangeRate.findByTenant(req.tenant._id, options);
+    const total = await ExchangeRate.countDocuments(query.getFilter());
+    const rates = await query.skip((page - 1) * limit).limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: rates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Enter one or more exchange rates manually
+// @route   POST /api/currencies/rates
+// @access  Private
+const createExchangeRates = async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+
+    const rates = [];
+    for (const entry of entries) {
+      rates.push(await ExchangeRateService.saveRate(req.tenant, entry, req.user, 'manual'));
+    }
+
+    res.status(201).json({
+      success: true,
+      count: rates.length,
+      data: Array.isArray(req.body.rates) ? rates : rates[0]
+    });
+  } catch (error) {
+    console.error('Create exchange rates error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Load exchange rates from a CSV/XLSX file
+// @route   POST /api/currencies/rates/import
+// @access  Private
+const importExchangeRates = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or Excel file'
+      });
+    }
+
+    const result = await ExchangeRateService.importRates(req.tenant, req.file, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.rows} exchange rates loaded`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/currencies/rates/:id
+// @access  Private
+const deleteExchangeRate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exchange rate ID format'
+      });
+    }
+
+    const rate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      tenantId: req.tenant._id
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Change base currency and re-convert existing expenses
+// @route   PUT /api/currencies/base
+// @access  Private
+const updateBaseCurrency = async (req, res) => {
+  try {
+    const baseCurrency = ExchangeRateService.normalizeCurrency(req.body.baseCurrency);
+    const previousCurrency = req.tenant.settings.baseCurrency;
+
+    // Refuse the change while any expense currency cannot be converted
+    const check = await ExchangeRateService.recalculateExpenses(req.tenant, baseCurrency, { dryRun: true });
+    if (check.missingCurrencies.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing exchange rates to ${baseCurrency} for: ${check.missingCurrencies.join(', ')}`,
+        data: check
+      });
+    }
+
+    req.tenant.settings.baseCurrency = baseCurrency;
+    await req.tenant.save();
+
+    const result = await ExchangeRateService.recalculateExpenses(req.tenant, baseCurrency);
+
+    res.status(200).json({
+      success: true,
+      message: `Base currency changed from ${previousCurrency} to ${baseCurrency}`,
+      data: {
+        baseCurrency,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Update base currency error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Re-convert expenses with the current rates (e.g. after loading missing rates)
+// @route   POST /api/currencies/recalculate
+// @access  Private
+const recalculateExpenses = async (req, res) => {
+  try {
+    const result = await ExchangeRateService.recalculateExpenses(
+      req.tenant,
+      req.tenant.settings.baseCurrency
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Recalculate expenses error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getCurrencySettings,
+  getExchangeRates,
+  createExchangeRates,
+  importExchangeRates,
+  deleteExchangeRate,
+  updateBaseCurrency,
+  recalculateExpenses
+};
@@ -0,0 +1,67 @@
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get expenses flagged as possible duplicates
+// @route   GET /api/expenses/duplicates
+// @access  Private
+const getDuplicateQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const { expenses, total } = await DuplicateDetectionService.getQueue(req.tenant, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Get duplicate queue error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Resolve a flagged expense (action: duplicate moves it to the trash, not_duplicate keeps it)
+// @route   POST /api/expenses/:id/duplicates/resolve
+// @access  Private
+const resolveDuplicate = async (req, res) => {
+  try {
+    const { action } = req.body;
+    const expense = await DuplicateDetectionService.resolve(req.tenant, req.params.id, action, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: action === 'duplicate'
+        ? 'Expense marked as duplicate and moved to trash'
+        : 'Expense marked as not a duplicate',
+      data: {
+        _id: expense._id,
+        duplicateCheck: expense.duplicateCheck,
+        deletedAt: expense.deletedAt
+      }
+    });
+  } catch (error) {
+    console.error('Resolve duplicate error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getDuplicateQueue,
+  resolveDuplicate
+};
@@ -2,13 +2,28 @@ const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
 const Category = require('../models/Category');
 const ActivityService = require('../services/activityService');
+const ExpenseQueryService = require('../services/expenseQueryService');
+const GeoService = require('../services/geoService');
+const ProjectService = require('../services/projectService');
+const TaxCodeService = require('../services/taxCodeService');
+const { writeSpreadsheet } = require('../utils/spreadsheetUtils');
+
+const SUMMARY_FORMATS = ['json', 'csv', 'xlsx'];
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Amounts converted to the tenant base currency
+const BASE_AMOUNT = Expense.baseAmountExpression();
+const PAYMENT_BASE_AMOUNT = Expense.baseAmountExpression('$payments.amount');
 
 // @desc    Get expense analytics by time period
 // @route   GET /api/expenses/analytics
 // @access  Private
 const getExpenseAnalytics = async (req, res) => {
   try {
-    const { period = 'week', category, user, startDate, endDate } = req.query;
+    const { period = 'week', category, user, tag, type, project, vendor, startDate, endDate } = req.query;
     const tenantId = req.user.tenantId;
     
     // ✅ Convert tenantId to ObjectId for aggregation (SAME AS getDashboardStats)
@@ -61,7 +76,19 @@ const getExpenseAnalytics = async (req, res) => {
     };
 
     if (category) matchQuery.category = new mongoose.Types.ObjectId(category);
-    if (user) matchQuery['payments.user'] = { $regex: user, $options: 'i' };
+    if (user) Object.assign(matchQuery, Expense.payerFilter(user));
+    if (tag) matchQuery.tags = String(tag).trim().toLowerCase();
+    // Expenses saved before typed expenses have no type and are standard
+    if (type) matchQuery.expenseType = type === 'standard' ? { $in: ['standard', null] } : type;
+    // Projects are given by id or code, like the project: filter of the expense list
+    const projectIds = project
+      ? await ExpenseQueryService.resolveProjects(
+        tenantObjectId,
+        String(project).split(',').map(value => value.trim()).filter(Boolean)
+      )
+      : [];
+    if (projectIds.length > 0) Object.assign(matchQuery, Expense.projectFilter(projectIds));
+    if (vendor) Object.assign(matchQuery, Expense.vendorFilter(vendor));
 
     console.log('🔍 Match query:', matchQuery);
 
@@ -72,6 +99,7 @@ const getExpenseAnalytics = async (req, res) => {
         $group: {
           _id: null,
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           totalCount: { $sum: 1 },
           avgAmount: { $avg: '$totalAmount' }
         }
@@ -97,11 +125,12 @@ const getExpenseAnalytics = async (req, res) => {
           _id: '$categoryInfo._id',
           name: { $first: '$categoryInfo.name' },
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
           avgAmount: { $avg: '$totalAmount' }
         }
       },
-      { $sort: { totalAmount: -1 } }
+      { $sort: { baseAmount: -1 } }
     ]);
 
     console.log('📊 Expenses by category:', expensesByCategory.length);
@@ -131,6 +160,7 @@ const getExpenseAnalytics = async (req, res) => {
         $group: {
           _id: groupByFormat,
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
           avgAmount: { $avg: '$totalAmount' }
         }
@@ -146,14 +176,18 @@ const getExpenseAnalytics = async (req, res) => {
       { $unwind: '$payments' },
       {
         $group: {
-          _id: '$payments.user',
+          _id: Expense.payerKeyExpression(),
+          name: { $last: '$payments.user' },
+          userId: { $first: '$payments.userId' },
           totalSpent: { $sum: '$payments.amount' },
+          baseSpent: { $sum: PAYMENT_BASE_AMOUNT },
           expenseCount: { $sum: 1 },
           avgExpense: { $avg: '$payments.amount' }
         }
       },
-      { $sort: { totalSpent: -1 } },
-      { $limit: 10 }
+      { $sort: { baseSpent: -1 } },
+      { $limit: 10 },
+      { $project: { _id: '$name', userId: 1, totalSpent: 1, baseSpent: 1, expenseCount: 1, avgExpense: 1 } }
     ]);
 
     console.log('👥 Top spenders:', topSpenders.length);
@@ -165,13 +199,42 @@ const getExpenseAnalytics = async (req, res) => {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$totalAmount' }
+          totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT }
         }
       }
     ]);
 
     console.log('📋 Expenses by status:', expensesByStatus);
 
+    // Get expenses by tag; an expense counts toward each of its tags
+    const expensesByTag = await Expense.aggregate([
+      { $match: matchQuery },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { baseAmount: -1 } },
+      { $limit: 20 }
+    ]);
+
+    // Original currencies behind the base-currency totals
+    const expensesByCurrency = await Expense.getCurrencyBreakdown(matchQuery);
+
+    // Standard expenses apart from mileage and per diem claims
+    const expensesByType = await Expense.getTypeBreakdown(matchQuery);
+
+    // Spend charged to projects and cost centers; the unallocated part has a null _id
+    const expensesByProject = await Expense.getProjectBreakdown(matchQuery);
+
+    // Top vendors; names not in the vendor directory are grouped by their normalized name
+    const expensesByVendor = await Expense.getVendorBreakdown(matchQuery);
+
     // Get comparison with previous period
     const prevStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
     const prevEnd = start;
@@ -188,13 +251,18 @@ const getExpenseAnalytics = async (req, res) => {
           tenantId: tenantObjectId, // ✅ Use ObjectId instead of string
           date: { $gte: prevStart, $lt: prevEnd },
           ...(category && { category: new mongoose.Types.ObjectId(category) }),
-          ...(user && { 'payments.user': { $regex: user, $options: 'i' } })
+          ...(user && Expense.payerFilter(user)),
+          ...(tag && { tags: String(tag).trim().toLowerCase() }),
+          ...(type && { expenseType: matchQuery.expenseType }),
+          ...(projectIds.length > 0 && Expense.projectFilter(projectIds)),
+          ...(vendor && Expense.vendorFilter(vendor))
         }
       },
       {
         $group: {
           _id: null,
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           totalCount: { $sum: 1 }
         }
       }
@@ -202,10 +270,10 @@ const getExpenseAnalytics = async (req, res) => {
 
     console.log('📊 Previous period stats:', previousPeriodStats);
 
-    // Calculate percentage changes
-    const currentTotal = totalStats[0]?.totalAmount || 0;
+    // Calculate percentage changes on base-currency totals
+    const currentTotal = totalStats[0]?.baseAmount || 0;
     const currentCount = totalStats[0]?.totalCount || 0;
-    const prevTotal = previousPeriodStats[0]?.totalAmount || 0;
+    const prevTotal = previousPeriodStats[0]?.baseAmount || 0;
     const prevCount = previousPeriodStats[0]?.totalCount || 0;
 
     const amountChange = prevTotal > 0 ? ((currentTotal - prevTotal) / prevTotal * 100) : 0;
@@ -214,19 +282,28 @@ const getExpenseAnalytics = async (req, res) => {
     const result = {
       period,
       dateRange: { start, end },
+      baseCurrency: req.tenant?.settings?.baseCurrency || 'USD',
       summary: {
-        totalAmount: currentTotal,
+        totalAmount: totalStats[0]?.totalAmount || 0,
+        baseAmount: currentTotal,
         totalCount: currentCount,
         avgAmount: totalStats[0]?.avgAmount || 0,
+        avgBaseAmount: currentCount > 0 ? Number((currentTotal / currentCount).toFixed(2)) : 0,
         amountChange: Number(amountChange.toFixed(2)),
         countChange: Number(countChange.toFixed(2))
       },
       expensesByCategory,
+      expensesByTag,
+      expensesByCurrency,
+      expensesByType,
+      expensesByProject,
+      expensesByVendor,
       trendData,
       topSpenders,
       expensesByStatus,
       previousPeriod: {
-        totalAmount: prevTotal,
+        totalAmount: previousPeriodStats[0]?.totalAmount || 0,
+        baseAmount: prevTotal,
         totalCount: prevCount,
         dateRange: { start: prevStart, end: prevEnd }
       }
@@ -245,6 +322,14 @@ const getExpenseAnalytics = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Analytics error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server Error',
@@ -326,7 +411,7 @@ const getDashboardStats = async (req, res) => {
             createdAt: { $gte: thisWeek }
           } 
         },
-        { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, baseTotal: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
       ]),
       Expense.aggregate([
         { 
@@ -335,7 +420,7 @@ const getDashboardStats = async (req, res) => {
             createdAt: { $gte: thisMonth }
           } 
         },
-        { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, baseTotal: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
       ]),
       Expense.aggregate([
         { 
@@ -344,11 +429,11 @@ const getDashboardStats = async (req, res) => {
             createdAt: { $gte: thisYear }
           } 
         },
-        { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, baseTotal: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
       ]),
       Expense.aggregate([
         { $match: { tenantId: tenantObjectId } },
-        { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, baseTotal: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
       ])
     ]);
 
@@ -384,32 +469,45 @@ const getDashboardStats = async (req, res) => {
         $group: {
           _id: '$categoryInfo.name',
           total: { $sum: '$totalAmount' },
+          baseTotal: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
-      { $sort: { total: -1 } },
+      { $sort: { baseTotal: -1 } },
       { $limit: 1 }
     ]);
 
+    // This month's spend split into standard expenses, mileage and per diem
+    const monthlyByType = await Expense.getTypeBreakdown({
+      tenantId: tenantObjectId,
+      createdAt: { $gte: thisMonth }
+    });
+
     const result = {
+      baseCurrency: req.tenant?.settings?.baseCurrency || 'USD',
       weekly: {
         total: weeklyStats[0]?.total || 0,
+        baseTotal: weeklyStats[0]?.baseTotal || 0,
         count: weeklyStats[0]?.count || 0
       },
       monthly: {
         total: monthlyStats[0]?.total || 0,
+        baseTotal: monthlyStats[0]?.baseTotal || 0,
         count: monthlyStats[0]?.count || 0
       },
       yearly: {
         total: yearlyStats[0]?.total || 0,
+        baseTotal: yearlyStats[0]?.baseTotal || 0,
         count: yearlyStats[0]?.count || 0
       },
       allTime: {
         total: allTimeStats[0]?.total || 0,
+        baseTotal: allTimeStats[0]?.baseTotal || 0,
         count: allTimeStats[0]?.count || 0
       },
       pending: pendingExpenses,
-      topCategory: topCategory[0] || null
+      topCategory: topCategory[0] || null,
+      monthlyByType
     };
 
     console.log('✅ Final result:', result);
@@ -427,8 +525,87 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+// @desc    Spend per region or per map grid cell
+// @route   GET /api/expenses/analytics/regions?groupBy=region|grid&precision=&startDate=&endDate=
+// @access  Private
+const getSpendByRegion = async (req, res) => {
+  try {
+    const result = await GeoService.getSpendByRegion(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Spend by region error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Spend per project and cost center with budgets and a series per interval
+// @route   GET /api/expenses/analytics/projects?startDate=&endDate=&interval=week|month|quarter|year&kind=
+// @access  Private
+const getSpendByProject = async (req, res) => {
+  try {
+    const result = await ProjectService.getSpendReport(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Spend by project error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Net, tax and gross per tax code and period, as JSON or a CSV/XLSX file for filing
+// @route   GET /api/expenses/analytics/tax?startDate=&endDate=&interval=week|month|quarter|year&code=&format=json|csv|xlsx
+// @access  Private
+const getTaxSummary = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!SUMMARY_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${SUMMARY_FORMATS.join(', ')}`
+      });
+    }
+
+    const summary = await TaxCodeService.getSummary(req.tenant, req.query);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: summary
+      });
+    }
+
+    const day = (date) => date.toISOString().split('T')[0];
+    const filename = `${req.tenant.slug}_tax_summary_${day(summary.dateRange.start)}_${day(summary.dateRange.end)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.status(200).send(writeSpreadsheet(TaxCodeService.toSummaryRows(summary), format, 'Tax summary'));
+  } catch (error) {
+    console.error('Tax summary error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
 module.exports = {
   getExpenseAnalytics,
   getRecentActivity,
-  getDashboardStats
+  getDashboardStats,
+  getSpendByRegion,
+  getSpendByProject,
+  getTaxSummary
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const ExpenseBulkService = require('../services/expenseBulkService');
+const { writeSpreadsheet } = require('../utils/spreadsheetUtils');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// @desc    Run one action (approve, reject, recategorize, status, tag, untag, delete, export)
+//          over expenses selected by id or filter; returns a result per expense
+// @route   POST /api/expenses/bulk
+// @access  Private (bulk_operations role feature)
+const bulkExpenses = async (req, res) => {
+  try {
+    const result = await ExpenseBulkService.run(req.tenant, req.user, req.body);
+
+    if (result.action === 'export') {
+      const { format, rows, missing } = result;
+      const filename = `${req.tenant.slug}_expenses_${new Date().toISOString().split('T')[0]}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'json') {
+        return res.status(200).json({
+          success: true,
+          count: rows.length,
+          missing,
+          data: rows
+        });
+      }
+
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      return res.status(200).send(writeSpreadsheet(rows, format, 'Expenses'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.succeeded} of ${result.total} expense(s) processed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Bulk expenses error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error',
+      ...(error.data && { data: error.data })
+    });
+  }
+};
+
+module.exports = {
+  bulkExpenses
+};
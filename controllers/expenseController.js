@@ -1,76 +1,109 @@
 const mongoose = require('mongoose');
-const path = require('path');
-const fs = require('fs').promises;
+const { pipeline } = require('stream');
 const Expense = require('../models/Expense');
 const Category = require('../models/Category');
+const ExpenseComment = require('../models/ExpenseComment');
 const ActivityService = require('../services/activityService');
-const { deleteFiles, deleteFile } = require('../utils/fileUtils');
+const ExchangeRateService = require('../services/exchangeRateService');
+const PayerMatchingService = require('../services/payerMatchingService');
+const TrashService = require('../services/trashService');
+const ExpenseRevisionService = require('../services/expenseRevisionService');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const PolicyService = require('../services/policyService');
+const ExpenseQueryService = require('../services/expenseQueryService');
+const ExpenseSearchService = require('../services/expenseSearchService');
+const GeoService = require('../services/geoService');
+const AllowanceService = require('../services/allowanceService');
+const AllocationService = require('../services/allocationService');
+const VendorService = require('../services/vendorService');
+const TaxService = require('../services/taxService');
+const ApprovalService = require('../services/approvalService');
+const StorageService = require('../services/storageService');
+const StorageUsageService = require('../services/storageUsageService');
+
+// Amount converted to the tenant base currency
+const BASE_AMOUNT = Expense.baseAmountExpression();
+
+// Receipt uploaded with this request; the hash lets the same file uploaded twice be recognized
+const uploadedFileData = (uploadedFile) => ({
+  filename: uploadedFile.filename,
+  originalName: uploadedFile.originalname,
+  path: uploadedFile.path,
+  storage: uploadedFile.storage,
+  size: uploadedFile.size,
+  mimetype: uploadedFile.mimetype,
+  hash: uploadedFile.hash
+});
 
 
 // @desc    Get all expenses
 // @route   GET /api/expenses
 // @access  Private
+// Query: filter (e.g. "category:food,travel amount:>=20 tag:client has:attachment"),
+// sort (date, amount, createdAt, updatedAt, title; prefix - for descending),
+// cursor or page, limit. status, category, user, search, startDate and endDate still work.
 const getExpenses = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
-    const category = req.query.category || '';
-    const status = req.query.status || '';
-    const user = req.query.user || '';
-    const startDate = req.query.startDate || '';
-    const endDate = req.query.endDate || '';
-
-    // ✅ START WITH TENANT FILTER
-    const query = { tenantId: req.user.tenantId };
-
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { expenses, total, pagination } = await ExpenseQueryService.list(req.tenant, req.user, req.query);
 
-    if (category) query.category = category;
-    if (status) query.status = status;
-    if (user) query['payments.user'] = { $regex: user, $options: 'i' };
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      pagination,
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
 
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+// @desc    Ranked full-text search with highlighted snippets and facets
+// @route   GET /api/expenses/search?q=
+// @access  Private
+const searchExpenses = async (req, res) => {
+  try {
+    const { expenses, total, facets, pagination } = await ExpenseSearchService.search(req.tenant, req.user, req.query);
 
-    // ✅ USE THE QUERY OBJECT
-    const expenses = await Expense.find(query)
-      .populate('category', 'name slug')
-      .populate('createdBy', 'name email')
-      .populate('payments.category', 'name')
-      .sort({ date: -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      pagination,
+      facets,
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Search expenses error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
 
-    // ✅ USE QUERY FOR COUNT TOO
-    const total = await Expense.countDocuments(query);
+// @desc    Expenses around a point, closest first
+// @route   GET /api/expenses/nearby?lat=&lng=&radius=&limit=
+// @access  Private
+const getNearbyExpenses = async (req, res) => {
+  try {
+    const { lat, lng, radius, limit } = req.query;
+    const expenses = await GeoService.findNearby(req.tenant, { latitude: lat, longitude: lng, radius, limit });
 
     res.status(200).json({
       success: true,
       count: expenses.length,
-      total,
-      pagination: {
-        page,
-        pages: Math.ceil(total / limit),
-        limit,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      },
       data: expenses
     });
   } catch (error) {
-    console.error('Get expenses error:', error);
-    res.status(500).json({
+    console.error('Get nearby expenses error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server Error'
+      message: error.statusCode ? error.message : 'Server Error'
     });
   }
 };
@@ -87,7 +120,7 @@ const getExpenseStatistics = async (req, res) => {
     
     const totalAmountResult = await Expense.aggregate([
       { $match: { tenantId } }, // ✅ Add filter
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+      { $group: { _id: null, total: { $sum: '$totalAmount' }, baseTotal: { $sum: BASE_AMOUNT } } }
     ]);
 
     const expensesByCategory = await Expense.aggregate([
@@ -105,7 +138,8 @@ const getExpenseStatistics = async (req, res) => {
         $group: {
           _id: '$categoryInfo.name',
           count: { $sum: 1 },
-          total: { $sum: '$totalAmount' }
+          total: { $sum: '$totalAmount' },
+          baseTotal: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { total: -1 } }
@@ -117,7 +151,8 @@ const getExpenseStatistics = async (req, res) => {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          total: { $sum: '$totalAmount' }
+          total: { $sum: '$totalAmount' },
+          baseTotal: { $sum: BASE_AMOUNT }
         }
       }
     ]);
@@ -136,23 +171,34 @@ const getExpenseStatistics = async (req, res) => {
       { $unwind: '$payments' },
       {
         $group: {
-          _id: '$payments.user',
+          _id: Expense.payerKeyExpression(),
+          name: { $last: '$payments.user' },
+          userId: { $first: '$payments.userId' },
           totalSpent: { $sum: '$payments.amount' },
+          baseSpent: { $sum: Expense.baseAmountExpression('$payments.amount') },
           expenseCount: { $sum: 1 }
         }
       },
       { $sort: { totalSpent: -1 } },
-      { $limit: 10 }
+      { $limit: 10 },
+      { $project: { _id: '$name', userId: 1, totalSpent: 1, baseSpent: 1, expenseCount: 1 } }
     ]);
 
+    const expensesByCurrency = await Expense.getCurrencyBreakdown({ tenantId });
+    const expensesByType = await Expense.getTypeBreakdown({ tenantId });
+
     res.status(200).json({
       success: true,
       data: {
         totalExpenses,
         totalAmount: totalAmountResult.length > 0 ? totalAmountResult[0].total : 0,
+        baseAmount: totalAmountResult.length > 0 ? totalAmountResult[0].baseTotal : 0,
+        baseCurrency: req.tenant?.settings?.baseCurrency || 'USD',
         monthlyExpenses,
         expensesByCategory,
         expensesByStatus,
+        expensesByCurrency,
+        expensesByType,
         topUsers
       }
     });
@@ -175,11 +221,11 @@ const getExpenseUsers = async (req, res) => {
     const users = await Expense.aggregate([
       { $match: { tenantId } }, // ✅ Add filter
       { $unwind: '$payments' },
-      { $group: { _id: '$payments.user' } },
-      { $sort: { _id: 1 } }
+      { $group: { _id: Expense.payerKeyExpression(), name: { $last: '$payments.user' } } },
+      { $sort: { name: 1 } }
     ]);
 
-    const userNames = users.map(user => user._id);
+    const userNames = users.map(user => user.name);
 
     res.status(200).json({
       success: true,
@@ -232,6 +278,7 @@ const getExpenseSummary = async (req, res) => {
         $group: {
           _id: groupByFormat,
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           count: { $sum: 1 },
           avgAmount: { $avg: '$totalAmount' }
         }
@@ -241,6 +288,7 @@ const getExpenseSummary = async (req, res) => {
 
     res.status(200).json({
       success: true,
+      baseCurrency: req.tenant?.settings?.baseCurrency || 'USD',
       data: summary
     });
   } catch (error) {
@@ -266,8 +314,12 @@ const getExpense = async (req, res) => {
 
     const expense = await Expense.findById(req.params.id)
       .populate('category', 'name slug description')
+      .populate('vendor', 'name website')
       .populate('createdBy', 'name email')
-      .populate('payments.category', 'name slug');
+      .populate('payments.category', 'name slug')
+      .populate('allocations.project', 'code name kind')
+      .populate('payments.allocations.project', 'code name kind')
+      .populate('payments.tax.code', 'code name');
 
     if (!expense) {
       return res.status(404).json({
@@ -276,9 +328,14 @@ const getExpense = async (req, res) => {
       });
     }
 
+    const comments = await ExpenseComment.getThread(expense.tenantId, expense._id);
+
     res.status(200).json({
       success: true,
-      data: expense
+      data: {
+        ...expense.toObject(),
+        comments
+      }
     });
   } catch (error) {
     console.error('Get expense error:', error);
@@ -297,9 +354,7 @@ const createExpense = async (req, res) => {
     const { 
       title, 
       description, 
-      category, 
-      date, 
-      status
+      date
     } = req.body;
 
     // CRITICAL FIX: Parse payments from JSON string
@@ -315,6 +370,13 @@ const createExpense = async (req, res) => {
       });
     }
 
+    // Optional { address, region, latitude, longitude }
+    const location = GeoService.parseLocation(req.body.location);
+
+    // standard, or a mileage / per diem claim priced from the tenant rates
+    const claim = AllowanceService.parseClaim(req.body);
+    const isAllowance = AllowanceService.isAllowance(claim.expenseType);
+
     // Get tenantId from request
     const tenantId = req.tenant?._id;
     if (!tenantId && process.env.NODE_ENV !== 'development') {
@@ -324,6 +386,12 @@ const createExpense = async (req, res) => {
       });
     }
 
+    // Vendor picked from the directory or matched from the entered name
+    const vendor = tenantId ? await VendorService.resolve(tenantId, req.body) : undefined;
+
+    // The vendor default category applies when none was picked
+    const category = req.body.category || vendor?.vendor?.defaultCategory;
+
     // Validate category exists
     const categoryDoc = await Category.findById(category);
     if (!categoryDoc) {
@@ -333,6 +401,11 @@ const createExpense = async (req, res) => {
       });
     }
 
+    // Mileage and per diem claims are paid to one claimant, the creator unless given
+    if (isAllowance && Array.isArray(payments) && payments.length === 0) {
+      payments = [{ user: req.user.name, userId: req.user.id }];
+    }
+
     // Validate payments
     if (!Array.isArray(payments) || payments.length === 0) {
       return res.status(400).json({
@@ -341,10 +414,18 @@ const createExpense = async (req, res) => {
       });
     }
 
+    if (isAllowance && payments.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mileage and per diem expenses have exactly one payment, for the claimant'
+      });
+    }
+
     // Process payments and attach files
     const processedPayments = payments.map((payment, index) => {
       const paymentData = {
         user: payment.user.trim(),
+        userId: payment.userId || undefined,
         amount: parseFloat(payment.amount),
         category: payment.category,
         subCategory: payment.subCategory || ''
@@ -356,37 +437,92 @@ const createExpense = async (req, res) => {
         const uploadedFile = req.files.find(f => f.fieldname === fileField);
         
         if (uploadedFile) {
-          paymentData.file = {
-            filename: uploadedFile.filename,
-            originalName: uploadedFile.originalname,
-            path: uploadedFile.path,
-            size: uploadedFile.size,
-            mimetype: uploadedFile.mimetype
-          };
+          paymentData.file = uploadedFileData(uploadedFile);
         }
       }
 
       return paymentData;
     });
 
+    // The claim amount comes from the allowance rate, not from the payment
+    const allowance = isAllowance
+      ? await AllowanceService.price(tenantId, { ...claim, date: date || new Date() })
+      : null;
+    if (allowance) processedPayments[0].amount = allowance.amount;
+
+    // Link payments to tenant users
+    const resolvedPayments = tenantId
+      ? await PayerMatchingService.resolvePayments(tenantId, processedPayments)
+      : processedPayments;
+
     // Calculate total amount
     const totalAmount = processedPayments.reduce((sum, p) => sum + p.amount, 0);
+    const expenseDate = date || new Date();
+
+    // Projects and cost centers charged, for the whole expense or per payment
+    const allocated = await AllocationService.build(tenantId, {
+      allocations: req.body.allocations,
+      payments: resolvedPayments,
+      rawPayments: payments,
+      totalAmount
+    });
+
+    // Net and tax of each payment under the tenant tax codes
+    const taxedPayments = await TaxService.build(tenantId, {
+      payments: allocated.payments,
+      rawPayments: payments
+    });
+
+    // Capture the exchange rate in effect on the expense date
+    const conversion = req.tenant
+      ? await ExchangeRateService.convert(req.tenant, {
+        // Allowance rates are in the base currency
+        currency: isAllowance ? undefined : req.body.currency,
+        date: expenseDate,
+        totalAmount
+      })
+      : {};
+
+    // Blocking policies stop the save here; the other violations are kept as warnings
+    const policyViolations = await PolicyService.enforce(req.tenant, {
+      title,
+      description,
+      date: expenseDate,
+      category,
+      exchangeRate: conversion.metadata?.exchangeRate,
+      payments: resolvedPayments.map(payment => ({ ...payment, hasFile: !!payment.file?.path }))
+    });
 
     // Create expense
     const expense = await Expense.create({
       title: title.trim(),
       description: description?.trim() || '',
-      date: date || new Date(),
+      date: expenseDate,
       category,
       totalAmount,
-      status: status || 'pending',
-      payments: processedPayments,
+      // New expenses are pending; they are completed only by approving them
+      status: 'pending',
+      payments: taxedPayments,
+      allocations: allocated.allocations,
+      ...(vendor && VendorService.toExpenseFields(vendor)),
+      expenseType: claim.expenseType,
+      ...(allowance && { mileage: allowance.mileage, perDiem: allowance.perDiem }),
+      policyViolations,
       tenantId,
-      createdBy: req.user.id
+      createdBy: req.user.id,
+      ...((conversion.metadata || location) && {
+        metadata: { ...conversion.metadata, ...(location && { location }) }
+      })
     });
 
+    await ExpenseRevisionService.record(expense, { action: 'created', user: req.user });
+
+    // Likely duplicates do not block creation; the expense is flagged for review instead
+    const duplicates = await DuplicateDetectionService.checkExpense(expense);
+
     const populatedExpense = await Expense.findById(expense._id)
       .populate('category', 'name')
+      .populate('vendor', 'name')
       .populate('createdBy', 'name email')
       .populate('payments.category', 'name');
 
@@ -399,17 +535,28 @@ const createExpense = async (req, res) => {
       tenantId: tenantId,
       performedBy: req.user.id,
       newData: {
-        title,
+        title: expense.title,
         category: categoryDoc.name,
         totalAmount,
-        status,
-        date
+        status: expense.status,
+        date: expense.date
       }
     });
 
     res.status(201).json({
       success: true,
-      data: populatedExpense
+      data: populatedExpense,
+      ...(duplicates.length > 0 && {
+        warning: `This expense looks like a duplicate of ${duplicates.length} existing expense(s)`,
+        duplicates: duplicates.map(({ expense: match, score, reasons }) => ({
+          expense: match._id,
+          title: match.title,
+          date: match.date,
+          totalAmount: match.totalAmount,
+          score,
+          reasons
+        }))
+      })
     });
   } catch (error) {
     console.error('Create expense error:', error);
@@ -422,10 +569,21 @@ const createExpense = async (req, res) => {
       });
     }
 
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server Error: ' + error.message
     });
+  } finally {
+    // Uploads the saved expense does not point to are removed once the handler is done
+    await StorageUsageService.settleUploads(req);
   }
 };
 
@@ -455,6 +613,11 @@ const updateExpense = async (req, res) => {
       });
     }
 
+    // null or an empty value clears the location
+    const location = req.body.location !== undefined
+      ? GeoService.parseLocation(req.body.location)
+      : undefined;
+
     const expense = await Expense.findById(req.params.id)
       .populate('category', 'name');
 
@@ -465,15 +628,55 @@ const updateExpense = async (req, res) => {
       });
     }
 
+    if (expense.report && expense.approval?.status === 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is part of an expense report awaiting approval and cannot be changed'
+      });
+    }
+
+    const claim = AllowanceService.parseClaim(req.body, expense);
+    const isAllowance = AllowanceService.isAllowance(claim.expenseType);
+
+    // Undefined keeps the vendor, null clears it
+    const vendor = await VendorService.resolve(expense.tenantId, req.body);
+
+    // A claim edited without payments stays with its claimant
+    if (isAllowance && Array.isArray(payments) && payments.length === 0) {
+      const claimant = expense.payments[0];
+      payments = [claimant
+        ? {
+          user: claimant.user,
+          userId: claimant.userId,
+          category: claimant.category,
+          subCategory: claimant.subCategory,
+          fileAction: 'keep',
+          hasExistingFile: !!claimant.file?.path
+        }
+        : { user: req.user.name, userId: req.user.id }];
+    }
+
+    if (isAllowance && payments.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mileage and per diem expenses have exactly one payment, for the claimant'
+      });
+    }
+
     // Store old data for activity log
     const oldData = {
       title: expense.title,
       description: expense.description,
       category: expense.category?.name,
+      vendor: expense.vendorName,
       totalAmount: expense.totalAmount,
       date: expense.date,
       status: expense.status
     };
+    const beforeSnapshot = ExpenseRevisionService.snapshot(expense);
+
+    // Status only changes through the approval workflow: cancel, or reopen for approval
+    const newStatus = ApprovalService.assertStatusChange(expense, status);
 
     // Validate new category if provided
     if (category && category !== expense.category._id.toString()) {
@@ -490,6 +693,7 @@ const updateExpense = async (req, res) => {
     const processedPayments = payments.map((payment, index) => {
       const paymentData = {
         user: payment.user.trim(),
+        userId: payment.userId || undefined,
         amount: parseFloat(payment.amount),
         category: payment.category,
         subCategory: payment.subCategory || ''
@@ -517,13 +721,7 @@ const updateExpense = async (req, res) => {
         const uploadedFile = req.files.find(f => f.fieldname === `payment_${index}`);
         if (uploadedFile) {
           console.log(`Payment ${index}: Adding new file`, uploadedFile.originalname);
-          paymentData.file = {
-            filename: uploadedFile.filename,
-            originalName: uploadedFile.originalname,
-            path: uploadedFile.path,
-            size: uploadedFile.size,
-            mimetype: uploadedFile.mimetype
-          };
+          paymentData.file = uploadedFileData(uploadedFile);
         }
         
       } else if (fileAction === 'keep' && hasExistingFile && expense.payments[index]?.file) {
@@ -535,9 +733,51 @@ const updateExpense = async (req, res) => {
       return paymentData;
     });
 
+    const allowance = isAllowance
+      ? await AllowanceService.price(expense.tenantId, { ...claim, date: date || expense.date })
+      : null;
+    if (allowance) processedPayments[0].amount = allowance.amount;
+
+    // Link payments to tenant users
+    const resolvedPayments = await PayerMatchingService.resolvePayments(expense.tenantId, processedPayments);
+
     // Calculate new total
     const totalAmount = processedPayments.reduce((sum, p) => sum + p.amount, 0);
 
+    // Splits that are not part of the request are kept and follow the new amounts
+    const allocated = await AllocationService.build(expense.tenantId, {
+      allocations: req.body.allocations,
+      payments: resolvedPayments,
+      rawPayments: payments,
+      totalAmount,
+      expense
+    });
+
+    // Payments sent without tax keep theirs, recomputed when the amount changed
+    const taxedPayments = await TaxService.build(expense.tenantId, {
+      payments: allocated.payments,
+      rawPayments: payments,
+      expense
+    });
+
+    // Re-capture the exchange rate, the date or currency may have changed
+    const conversion = req.tenant
+      ? await ExchangeRateService.convert(req.tenant, {
+        currency: isAllowance ? undefined : req.body.currency || expense.metadata?.currency,
+        date: date || expense.date,
+        totalAmount
+      })
+      : null;
+
+    const policyViolations = await PolicyService.enforce(req.tenant, {
+      title: title || expense.title,
+      description: description !== undefined ? description : expense.description,
+      date: date || expense.date,
+      category: category || expense.category._id,
+      exchangeRate: conversion?.metadata.exchangeRate || expense.metadata?.exchangeRate,
+      payments: resolvedPayments.map(payment => ({ ...payment, hasFile: !!payment.file?.path }))
+    }, { excludeExpenseId: expense._id });
+
     // CRITICAL FIX: Update fields WITHOUT using .save()
     // This preserves tenantId and other required fields
     const updateData = {
@@ -545,9 +785,31 @@ const updateExpense = async (req, res) => {
       ...(description !== undefined && { description }),
       ...(category && { category }),
       ...(date && { date }),
-      ...(status && { status }),
-      payments: processedPayments,
-      totalAmount
+      ...(newStatus === 'cancelled' && { status: newStatus }),
+      payments: taxedPayments,
+      allocations: allocated.allocations,
+      ...(vendor && VendorService.toExpenseFields(vendor)),
+      ...(vendor === null && { vendor: null }),
+      totalAmount,
+      expenseType: claim.expenseType,
+      ...(allowance && { mileage: allowance.mileage, perDiem: allowance.perDiem }),
+      policyViolations,
+      ...(conversion && {
+        baseAmount: conversion.baseAmount,
+        'metadata.currency': conversion.metadata.currency,
+        'metadata.exchangeRate': conversion.metadata.exchangeRate,
+        'metadata.baseCurrency': conversion.metadata.baseCurrency,
+        'metadata.exchangeRateDate': conversion.metadata.exchangeRateDate
+      }),
+      // The save hook does not run here, so the parsed location already carries its point
+      ...(location && { 'metadata.location': location }),
+      $unset: {
+        ...(location === null && { 'metadata.location': 1 }),
+        ...(vendor === null && { vendorName: 1, vendorKey: 1 }),
+        // Claim details of the other expense types
+        ...(claim.expenseType !== 'mileage' && { mileage: 1 }),
+        ...(claim.expenseType !== 'per_diem' && { perDiem: 1 })
+      }
     };
 
     // Use findByIdAndUpdate to preserve all existing fields
@@ -561,6 +823,7 @@ const updateExpense = async (req, res) => {
       }
     )
     .populate('category', 'name')
+    .populate('vendor', 'name')
     .populate('createdBy', 'name email')
     .populate('payments.category', 'name');
 
@@ -571,11 +834,28 @@ const updateExpense = async (req, res) => {
       });
     }
 
+    // Reopened, or changed in what was spent after approval: it has to be approved again
+    if (newStatus === 'pending' ||
+      ApprovalService.needsReapproval(updatedExpense, beforeSnapshot, ExpenseRevisionService.snapshot(updatedExpense))) {
+      await ApprovalService.reopen(updatedExpense);
+    }
+
+    await ExpenseRevisionService.record(updatedExpense, {
+      action: 'updated',
+      user: req.user,
+      before: beforeSnapshot
+    });
+
+    // Replaced or removed receipts stay for the revision history but stop counting
+    await StorageUsageService.trackChange(expense.tenantId, expense._id,
+      beforeSnapshot, ExpenseRevisionService.snapshot(updatedExpense));
+
     // Log activity with changes
     const newData = {
       title: updatedExpense.title,
       description: updatedExpense.description,
       category: updatedExpense.category?.name,
+      vendor: updatedExpense.vendorName,
       totalAmount: updatedExpense.totalAmount,
       date: updatedExpense.date,
       status: updatedExpense.status
@@ -584,6 +864,7 @@ const updateExpense = async (req, res) => {
     const changes = [];
     if (oldData.title !== newData.title) changes.push(`Title: ${oldData.title} → ${newData.title}`);
     if (oldData.category !== newData.category) changes.push(`Category: ${oldData.category} → ${newData.category}`);
+    if (oldData.vendor !== newData.vendor) changes.push(`Vendor: ${oldData.vendor || 'none'} → ${newData.vendor || 'none'}`);
     if (oldData.totalAmount !== newData.totalAmount) changes.push(`Amount: $${oldData.totalAmount} → $${newData.totalAmount}`);
     if (oldData.status !== newData.status) changes.push(`Status: ${oldData.status} → ${newData.status}`);
 
@@ -613,11 +894,21 @@ const updateExpense = async (req, res) => {
         message: message.join(', ')
       });
     }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
     
     res.status(500).json({
       success: false,
       message: 'Server Error: ' + error.message
     });
+  } finally {
+    await StorageUsageService.settleUploads(req);
   }
 };
 
@@ -626,7 +917,14 @@ const updateExpense = async (req, res) => {
 // @access  Private
 const deleteExpense = async (req, res) => {
   try {
-    const expense = await Expense.findById(req.params.id)
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID format'
+      });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, tenantId: req.tenant._id })
       .populate('category', 'name');
 
     if (!expense) {
@@ -636,32 +934,61 @@ const deleteExpense = async (req, res) => {
       });
     }
 
-    // Store expense data for activity log before deletion
-    const expenseData = {
-      title: expense.title,
-      category: expense.category?.name,
-      totalAmount: expense.totalAmount,
-      status: expense.status,
-      date: expense.date
-    };
+    if (expense.report && expense.approval?.status === 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is part of an expense report awaiting approval and cannot be deleted'
+      });
+    }
 
-    await Expense.findByIdAndDelete(req.params.id);
+    // Soft delete: receipts are kept until the trash is purged
+    await TrashService.trashExpense(req.tenant, expense, req.user);
 
-    // Log activity
-    await ActivityService.logActivity({
-      type: 'expense_deleted',
-      entityId: expense._id,
-      entityType: 'Expense',
-      entityName: expense.title,
-      performedBy: req.user.id,
-      oldData: expenseData
+    res.status(200).json({
+      success: true,
+      message: 'Expense moved to trash',
+      data: {
+        _id: expense._id,
+        deletedAt: expense.deletedAt,
+        purgeAt: TrashService.getPurgeDate(req.tenant, expense.deletedAt)
+      }
     });
+  } catch (error) {
+    console.error('Delete expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get deleted expenses
+// @route   GET /api/expenses/trash
+// @access  Private
+const getExpenseTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+
+    const { expenses, total } = await TrashService.listExpenses(req.tenant, { page, limit, search });
 
     res.status(200).json({
       success: true,
-      message: 'Expense deleted successfully'
+      count: expenses.length,
+      total,
+      retentionDays: TrashService.getRetentionDays(req.tenant),
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      data: expenses
     });
   } catch (error) {
+    console.error('Get expense trash error:', error);
     res.status(500).json({
       success: false,
       message: 'Server Error'
@@ -669,6 +996,27 @@ const deleteExpense = async (req, res) => {
   }
 };
 
+// @desc    Restore deleted expense
+// @route   POST /api/expenses/:id/restore
+// @access  Private
+const restoreExpense = async (req, res) => {
+  try {
+    const expense = await TrashService.restoreExpense(req.tenant, req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense restored successfully',
+      data: expense
+    });
+  } catch (error) {
+    console.error('Restore expense error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
 // @desc    Download file
 // @route   GET /api/expenses/:id/files/:paymentIndex
 // @access  Private
@@ -708,10 +1056,9 @@ const downloadFile = async (req, res) => {
       });
     }
 
-    // Check if file exists on disk
-    try {
-      await fs.access(payment.file.path);
-    } catch {
+    // Check if file exists in its storage backend
+    const stats = await StorageService.stat(payment.file);
+    if (!stats) {
       return res.status(404).json({
         success: false,
         message: 'File not found on server'
@@ -742,11 +1089,15 @@ const downloadFile = async (req, res) => {
     }
 
     // Add ETag based on file modification time and size for better cache control
-    const stats = await fs.stat(payment.file.path);
-    const etag = `"${stats.mtime.getTime()}-${stats.size}"`;
+    const etag = `"${stats.lastModified.getTime()}-${stats.size}"`;
     res.setHeader('ETag', etag);
-    res.setHeader('Last-Modified', stats.mtime.toUTCString());
-    res.sendFile(path.resolve(payment.file.path));
+    res.setHeader('Last-Modified', stats.lastModified.toUTCString());
+    res.setHeader('Content-Length', stats.size);
+
+    const stream = await StorageService.getStream(payment.file);
+    pipeline(stream, res, (error) => {
+      if (error) console.error('Download file stream error:', error.message);
+    });
     
   } catch (error) {
     console.error('Download file error:', error);
@@ -795,7 +1146,7 @@ const getFileInfo = async (req, res) => {
       });
     }
 
-    const exists = await fs.access(payment.file.path).then(() => true).catch(() => false);
+    const exists = await StorageService.exists(payment.file);
 
     res.json({
       success: true,
@@ -845,10 +1196,14 @@ const repairTotal = async (req, res) => {
 
 module.exports = {
   getExpenses,
+  searchExpenses,
+  getNearbyExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
+  getExpenseTrash,
+  restoreExpense,
   getExpenseStatistics,
   getExpenseUsers,
   getExpenseSummary,
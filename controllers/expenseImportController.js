@@ -0,0 +1,98 @@
+const ExpenseImportService = require('../services/expenseImportService');
+
+// @desc    Import expenses from a CSV/XLSX file (dry run by default)
+// @route   POST /api/expenses/import
+// @access  Private
+const importExpenses = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or Excel file'
+      });
+    }
+
+    // Nothing is written unless the client explicitly asks for it
+    const dryRun = String(req.body.dryRun ?? 'true') !== 'false';
+
+    const { sheetName, sheets, headers, rows } = ExpenseImportService.parseFile(req.file, req.body.sheet);
+    const mapping = ExpenseImportService.normalizeMapping(req.body.mapping, headers);
+    const builtRows = await ExpenseImportService.buildRows(rows, mapping, {
+      tenant: req.tenant,
+      user: req.user
+    });
+    const summary = ExpenseImportService.summarize(builtRows);
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        data: {
+          fileName: req.file.originalname,
+          sheet: sheetName,
+          sheets,
+          headers,
+          mapping,
+          ...summary,
+          preview: ExpenseImportService.preview(builtRows)
+        }
+      });
+    }
+
+    if (summary.invalidRows > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${summary.invalidRows} row(s) have errors; nothing was imported`,
+        data: summary
+      });
+    }
+
+    const remaining = await req.tenant.getRemainingMonthlyExpenses();
+    if (builtRows.length > remaining) {
+      return res.status(403).json({
+        success: false,
+        message: `Import would exceed your monthly expense limit (${remaining} remaining)`,
+        code: 'LIMIT_EXCEEDED',
+        data: {
+          rows: builtRows.length,
+          remaining
+        }
+      });
+    }
+
+    const result = await ExpenseImportService.commit(builtRows, {
+      tenantId: req.tenant._id,
+      user: req.user,
+      fileName: req.file.originalname
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.expenses.length} expenses imported successfully`,
+      data: {
+        importBatchId: result.importBatchId,
+        imported: result.expenses.length,
+        expenses: result.expenses.map(expense => expense._id)
+      }
+    });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: message.join(', ')
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+module.exports = {
+  importExpenses
+};
@@ -0,0 +1,265 @@
+const ExpenseReportService = require('../services/expenseReportService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error',
+    ...(error.data && { data: error.data })
+  });
+};
+
+// @desc    Get expense reports with their totals
+// @route   GET /api/expense-reports
+// @access  Private
+const getExpenseReports = async (req, res) => {
+  try {
+    const { reports, total, pagination } = await ExpenseReportService.list(req.tenant, req.user, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      pagination,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: reports
+    });
+  } catch (error) {
+    console.error('Get expense reports error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get submitted expense reports the current user can approve
+// @route   GET /api/expense-reports/pending
+// @access  Private (Approvers)
+const getPendingExpenseReports = async (req, res) => {
+  try {
+    const reports = await ExpenseReportService.getPending(req.tenant, req.user);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: reports
+    });
+  } catch (error) {
+    console.error('Get pending expense reports error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get expense report with its expenses and totals by category and currency
+// @route   GET /api/expense-reports/:id
+// @access  Private
+const getExpenseReport = async (req, res) => {
+  try {
+    const { report, expenses, totals } = await ExpenseReportService.get(req.tenant, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: {
+        ...report.toObject(),
+        expenses,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create expense report, optionally with its first expenses
+// @route   POST /api/expense-reports
+// @access  Private
+const createExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.create(req.tenant, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Create expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update expense report title or description
+// @route   PUT /api/expense-reports/:id
+// @access  Private (Owner or Tenant Admin)
+const updateExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.update(report, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Update expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete expense report; its expenses are kept and detached
+// @route   DELETE /api/expense-reports/:id
+// @access  Private (Owner or Tenant Admin)
+const deleteExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.remove(report, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense report deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Add expenses to an expense report
+// @route   POST /api/expense-reports/:id/expenses
+// @access  Private (Owner or Tenant Admin)
+const addReportExpenses = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    const result = await ExpenseReportService.addExpenses(report, req.user, req.body.expenseIds);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.added} expense(s) added to the report`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Add report expenses error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Remove an expense from an expense report
+// @route   DELETE /api/expense-reports/:id/expenses/:expenseId
+// @access  Private (Owner or Tenant Admin)
+const removeReportExpense = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.removeExpense(report, req.user, req.params.expenseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense removed from the report'
+    });
+  } catch (error) {
+    console.error('Remove report expense error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Submit expense report for approval
+// @route   POST /api/expense-reports/:id/submit
+// @access  Private (Owner or Tenant Admin)
+const submitExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.submit(report, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense report submitted for approval',
+      data: report
+    });
+  } catch (error) {
+    console.error('Submit expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Approve current step of an expense report
+// @route   POST /api/expense-reports/:id/approve
+// @access  Private (Approvers)
+const approveExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.approve(report, req.user, req.body.comment);
+
+    res.status(200).json({
+      success: true,
+      message: report.status === 'approved'
+        ? 'Expense report approved'
+        : 'Approval step completed, expense report moved to the next step',
+      data: report
+    });
+  } catch (error) {
+    console.error('Approve expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Reject current step of an expense report
+// @route   POST /api/expense-reports/:id/reject
+// @access  Private (Approvers)
+const rejectExpenseReport = async (req, res) => {
+  try {
+    const report = await ExpenseReportService.findReport(req.tenant, req.params.id);
+    await ExpenseReportService.reject(report, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense report rejected',
+      data: report
+    });
+  } catch (error) {
+    console.error('Reject expense report error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get printable summary of an expense report; format=html returns a print-ready page
+// @route   GET /api/expense-reports/:id/summary
+// @access  Private
+const getExpenseReportSummary = async (req, res) => {
+  try {
+    const summary = await ExpenseReportService.getSummary(req.tenant, req.params.id);
+
+    if (req.query.format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(ExpenseReportService.renderSummaryHtml(summary));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get expense report summary error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getExpenseReports,
+  getPendingExpenseReports,
+  getExpenseReport,
+  createExpenseReport,
+  updateExpenseReport,
+  deleteExpenseReport,
+  addReportExpenses,
+  removeReportExpense,
+  submitExpenseReport,
+  approveExpenseReport,
+  rejectExpenseReport,
+  getExpenseReportSummary
+};
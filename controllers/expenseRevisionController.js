@@ -0,0 +1,99 @@
+const ExpenseRevisionService = require('../services/expenseRevisionService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error',
+    ...(error.data && { data: error.data })
+  });
+};
+
+// @desc    Get revision history of an expense
+// @route   GET /api/expenses/:id/revisions
+// @access  Private
+const getRevisions = async (req, res) => {
+  try {
+    const revisions = await ExpenseRevisionService.getRevisions(req.tenant, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get expense revisions error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get field changes between two revisions (?from=&to=, defaults to the latest change)
+// @route   GET /api/expenses/:id/revisions/diff
+// @access  Private
+const compareRevisions = async (req, res) => {
+  try {
+    const result = await ExpenseRevisionService.compare(req.tenant, req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Compare expense revisions error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get a single revision with its snapshot
+// @route   GET /api/expenses/:id/revisions/:rev
+// @access  Private
+const getRevision = async (req, res) => {
+  try {
+    const revision = await ExpenseRevisionService.getRevision(req.tenant, req.params.id, req.params.rev);
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get expense revision error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Revert an expense to the content of a revision
+// @route   POST /api/expenses/:id/revisions/:rev/restore
+// @access  Private
+const restoreRevision = async (req, res) => {
+  try {
+    const result = await ExpenseRevisionService.revert(req.tenant, req.params.id, req.params.rev, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Expense reverted to revision ${req.params.rev}`,
+      data: result.expense,
+      revision: result.revision,
+      changes: result.changes
+    });
+  } catch (error) {
+    console.error('Restore expense revision error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  compareRevisions,
+  getRevision,
+  restoreRevision
+};
@@ -0,0 +1,104 @@
+const PayerMatchingService = require('../services/payerMatchingService');
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get payer names used in expenses with their linked users
+// @route   GET /api/payers
+// @access  Private
+const getPayers = async (req, res) => {
+  try {
+    const payers = await PayerMatchingService.getPayers(req.tenant._id);
+
+    res.status(200).json({
+      success: true,
+      count: payers.length,
+      data: payers
+    });
+  } catch (error) {
+    console.error('Get payers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get unlinked payer names with suggested users and look-alike names
+// @route   GET /api/payers/review
+// @access  Private
+const getPayerReview = async (req, res) => {
+  try {
+    const review = await PayerMatchingService.getReview(req.tenant._id);
+
+    res.status(200).json({
+      success: true,
+      count: review.length,
+      data: review.map(({ suggestedUser, ...payer }) => ({
+        ...payer,
+        suggestedUserId: suggestedUser?._id || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get payer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Merge payer names into one name or link them to a user
+// @route   POST /api/payers/merge
+// @access  Private
+const mergePayers = async (req, res) => {
+  try {
+    const { names, name, userId } = req.body;
+
+    const result = await PayerMatchingService.mergePayers(
+      req.tenant._id,
+      names,
+      { name, userId },
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Payers merged into "${result.name}"`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Merge payers error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Link all confidently matched payer names to users
+// @route   POST /api/payers/auto-link
+// @access  Private
+const autoLinkPayers = async (req, res) => {
+  try {
+    const dryRun = String(req.body.dryRun ?? 'true') !== 'false';
+    const result = await PayerMatchingService.autoLink(req.tenant._id, { dryRun });
+
+    res.status(200).json({
+      success: true,
+      dryRun,
+      data: result
+    });
+  } catch (error) {
+    console.error('Auto-link payers error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getPayers,
+  getPayerReview,
+  mergePayers,
+  autoLinkPayers
+};
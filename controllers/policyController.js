@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const PolicyService = require('../services/policyService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Expense policy with this name already exists'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+const findTenantPolicy = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid policy ID format'
+    });
+    return null;
+  }
+
+  const policy = await ExpensePolicy.findOne({ _id: req.params.id, tenantId: req.tenant._id });
+
+  if (!policy) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense policy not found'
+    });
+    return null;
+  }
+
+  return policy;
+};
+
+// @desc    Get expense policies
+// @route   GET /api/policies
+// @access  Private (Settings)
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await ExpensePolicy.find({ tenantId: req.tenant._id })
+      .populate('categories', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Get expense policies error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get single expense policy
+// @route   GET /api/policies/:id
+// @access  Private (Settings)
+const getPolicy = async (req, res) => {
+  try {
+    const policy = await findTenantPolicy(req, res);
+    if (!policy) return;
+
+    await policy.populate('categories', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get expense policy error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create expense policy
+// @route   POST /api/policies
+// @access  Private (Settings)
+const createPolicy = async (req, res) => {
+  try {
+    const { name, description, isActive, type, amount, per, days, categories, action } = req.body;
+
+    await PolicyService.validateCategories(req.tenant._id, categories);
+
+    const policy = await ExpensePolicy.create({
+      tenantId: req.tenant._id,
+      name,
+      description,
+      isActive,
+      type,
+      amount,
+      per,
+      days,
+      categories,
+      action,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Create expense policy error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update expense policy
+// @route   PUT /api/policies/:id
+// @access  Private (Settings)
+const updatePolicy = async (req, res) => {
+  try {
+    const policy = await findTenantPolicy(req, res);
+    if (!policy) return;
+
+    const { name, description, isActive, type, amount, per, days, categories, action } = req.body;
+
+    if (categories !== undefined) {
+      await PolicyService.validateCategories(req.tenant._id, categories);
+    }
+
+    if (name !== undefined) policy.name = name;
+    if (description !== undefined) policy.description = description;
+    if (isActive !== undefined) policy.isActive = isActive;
+    if (type !== undefined) policy.type = type;
+    if (amount !== undefined) policy.amount = amount;
+    if (per !== undefined) policy.per = per;
+    if (days !== undefined) policy.days = days;
+    if (categories !== undefined) policy.categories = categories;
+    if (action !== undefined) policy.action = action;
+
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update expense policy error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete expense policy
+// @route   DELETE /api/policies/:id
+// @access  Private (Settings)
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await findTenantPolicy(req, res);
+    if (!policy) return;
+
+    // Warnings already stored on expenses keep the policy name, so deletion is safe
+    await policy.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete expense policy error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Evaluate a draft expense against the policies without saving it
+// @route   POST /api/expenses/policy-check
+// @access  Private
+const checkExpensePolicy = async (req, res) => {
+  try {
+    const result = await PolicyService.checkDraft(req.tenant, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Check expense policy error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  checkExpensePolicy
+};
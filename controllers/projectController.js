@@ -0,0 +1,119 @@
+const ProjectService = require('../services/projectService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A project or cost center with this code already exists'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get projects and cost centers with their budget status
+// @route   GET /api/projects?kind=project|cost_center&active=true|false
+// @access  Private
+const getProjects = async (req, res) => {
+  try {
+    const projects = await ProjectService.list(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: projects
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get single project or cost center with its budget status
+// @route   GET /api/projects/:id
+// @access  Private
+const getProject = async (req, res) => {
+  try {
+    const project = await ProjectService.get(req.tenant, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: project
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create project or cost center
+// @route   POST /api/projects
+// @access  Private (Settings)
+const createProject = async (req, res) => {
+  try {
+    const project = await ProjectService.create(req.tenant, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update project or cost center; isActive=false archives it
+// @route   PUT /api/projects/:id
+// @access  Private (Settings)
+const updateProject = async (req, res) => {
+  try {
+    const project = await ProjectService.update(req.tenant, req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete a project or cost center that was never charged
+// @route   DELETE /api/projects/:id
+// @access  Private (Settings)
+const deleteProject = async (req, res) => {
+  try {
+    await ProjectService.remove(req.tenant, req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+};
@@ -0,0 +1,410 @@
+const mongoose = require('mongoose');
+const RecurringExpense = require('../models/RecurringExpense');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const PayerMatchingService = require('../services/payerMatchingService');
+
+// Normalize payments coming from the request body
+const parsePayments = (payments) => {
+  if (typeof payments === 'string') {
+    payments = JSON.parse(payments);
+  }
+
+  if (!Array.isArray(payments)) return [];
+
+  return payments.map(payment => ({
+    user: payment.user?.trim(),
+    userId: payment.userId || undefined,
+    amount: parseFloat(payment.amount),
+    category: payment.category || undefined,
+    subCategory: payment.subCategory || ''
+  }));
+};
+
+const findTenantTemplate = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+
+  return RecurringExpense.findOne({
+    _id: req.params.id,
+    tenantId: req.tenant._id
+  });
+};
+
+const sendValidationError = (res, error) => {
+  const message = Object.values(error.errors).map(val => val.message);
+  return res.status(400).json({
+    success: false,
+    message: message.join(', ')
+  });
+};
+
+// @desc    Get recurring expenses
+// @route   GET /api/recurring-expenses
+// @access  Private
+const getRecurringExpenses = async (req, res) => {
+  try {
+    const options = {};
+    if (req.query.status === 'active') options.isActive = true;
+    if (req.query.status === 'ended') options.isActive = false;
+    if (req.query.paused !== undefined) options.isPaused = req.query.paused === 'true';
+
+    const templates = await RecurringExpense.findByTenant(req.tenant._id, options);
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get single recurring expense with its generated expenses
+// @route   GET /api/recurring-expenses/:id
+// @access  Private
+const getRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req)
+      ?.populate('category', 'name slug')
+      .populate('createdBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    const generatedExpenses = await Expense.find({
+      tenantId: req.tenant._id,
+      'metadata.recurringExpense': template._id
+    })
+      .select('title date totalAmount status')
+      .sort({ date: -1 })
+      .limit(parseInt(req.query.limit) || 12);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        generatedExpenses
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Create recurring expense
+// @route   POST /api/recurring-expenses
+// @access  Private
+const createRecurringExpense = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      category,
+      tags,
+      currency,
+      schedule,
+      startDate,
+      endDate
+    } = req.body;
+
+    let payments;
+    try {
+      payments = parsePayments(req.body.payments);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payments data format'
+      });
+    }
+
+    const categoryDoc = await Category.findOne({ _id: category, tenantId: req.tenant._id });
+    if (!categoryDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category selected'
+      });
+    }
+
+    if (endDate && startDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    payments = await PayerMatchingService.resolvePayments(req.tenant._id, payments);
+
+    const template = await RecurringExpense.create({
+      tenantId: req.tenant._id,
+      title,
+      description,
+      category,
+      payments,
+      tags,
+      currency: currency || undefined,
+      schedule,
+      startDate,
+      endDate: endDate || null,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Update recurring expense
+// @route   PUT /api/recurring-expenses/:id
+// @access  Private
+const updateRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    const {
+      title,
+      description,
+      category,
+      tags,
+      currency,
+      schedule,
+      startDate,
+      endDate
+    } = req.body;
+
+    if (category && category !== template.category.toString()) {
+      const categoryDoc = await Category.findOne({ _id: category, tenantId: req.tenant._id });
+      if (!categoryDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category selected'
+        });
+      }
+      template.category = category;
+    }
+
+    if (req.body.payments !== undefined) {
+      let payments;
+      try {
+        payments = parsePayments(req.body.payments);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payments data format'
+        });
+      }
+      template.payments = await PayerMatchingService.resolvePayments(req.tenant._id, payments);
+    }
+
+    if (title !== undefined) template.title = title;
+    if (description !== undefined) template.description = description;
+    if (tags !== undefined) template.tags = tags;
+    if (currency !== undefined) template.currency = currency || undefined;
+    if (schedule !== undefined) template.schedule = { ...template.toObject().schedule, ...schedule };
+    if (startDate !== undefined) template.startDate = startDate;
+    if (endDate !== undefined) {
+      template.endDate = endDate || null;
+      // Extending the end date brings an ended template back
+      if (!template.endDate || template.nextRunAt <= template.endDate) {
+        template.isActive = true;
+      }
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Delete recurring expense (generated expenses are kept)
+// @route   DELETE /api/recurring-expenses/:id
+// @access  Private
+const deleteRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    await RecurringExpense.findByIdAndDelete(template._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Pause recurring expense; runs while paused are skipped
+// @route   PUT /api/recurring-expenses/:id/pause
+// @access  Private
+const pauseRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    template.isPaused = true;
+    template.pausedAt = new Date();
+    template.pausedBy = req.user.id;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense paused',
+      data: template
+    });
+  } catch (error) {
+    console.error('Pause recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Resume paused recurring expense
+// @route   PUT /api/recurring-expenses/:id/resume
+// @access  Private
+const resumeRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    template.isPaused = false;
+    template.pausedAt = undefined;
+    template.pausedBy = undefined;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense resumed',
+      data: template
+    });
+  } catch (error) {
+    console.error('Resume recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Skip a single run (defaults to the next one)
+// @route   PUT /api/recurring-expenses/:id/skip
+// @access  Private
+const skipRecurringExpenseRun = async (req, res) => {
+  try {
+    const template = await findTenantTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    const runDate = req.body.date ? new Date(req.body.date) : template.nextRunAt;
+    if (!runDate || isNaN(runDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid run date'
+      });
+    }
+
+    if (!template.isSkipped(runDate)) {
+      template.skippedDates.push(runDate);
+      await template.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Run on ${runDate.toISOString().split('T')[0]} will be skipped`,
+      data: template
+    });
+  } catch (error) {
+    console.error('Skip recurring expense run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+module.exports = {
+  getRecurringExpenses,
+  getRecurringExpense,
+  createRecurringExpense,
+  updateRecurringExpense,
+  deleteRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringExpenseRun
+};
@@ -0,0 +1,198 @@
+const SavedViewService = require('../services/savedViewService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get saved expense views visible to the current user
+// @route   GET /api/expenses/views
+// @access  Private
+const getViews = async (req, res) => {
+  try {
+    const views = await SavedViewService.list(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: views
+    });
+  } catch (error) {
+    console.error('Get saved views error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get the current user's default view (null when none is pinned)
+// @route   GET /api/expenses/views/default
+// @access  Private
+const getDefaultView = async (req, res) => {
+  try {
+    const view = await SavedViewService.getDefault(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    console.error('Get default view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get single saved view
+// @route   GET /api/expenses/views/:viewId
+// @access  Private
+const getView = async (req, res) => {
+  try {
+    const view = await SavedViewService.get(req.user, req.params.viewId);
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    console.error('Get saved view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create saved view (visibility: private, role or tenant)
+// @route   POST /api/expenses/views
+// @access  Private
+const createView = async (req, res) => {
+  try {
+    const view = await SavedViewService.create(req.tenant, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update saved view
+// @route   PUT /api/expenses/views/:viewId
+// @access  Private (Owner)
+const updateView = async (req, res) => {
+  try {
+    const view = await SavedViewService.update(req.tenant, req.user, req.params.viewId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    console.error('Update saved view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete saved view
+// @route   DELETE /api/expenses/views/:viewId
+// @access  Private (Owner)
+const deleteView = async (req, res) => {
+  try {
+    await SavedViewService.remove(req.tenant, req.user, req.params.viewId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved view deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Pin a view as the current user's default
+// @route   PUT /api/expenses/views/:viewId/default
+// @access  Private
+const pinDefaultView = async (req, res) => {
+  try {
+    const view = await SavedViewService.setDefault(req.user, req.params.viewId);
+
+    res.status(200).json({
+      success: true,
+      message: `"${view.name}" is now your default view`,
+      data: view
+    });
+  } catch (error) {
+    console.error('Pin default view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Unpin the current user's default view
+// @route   DELETE /api/expenses/views/default
+// @access  Private
+const unpinDefaultView = async (req, res) => {
+  try {
+    await SavedViewService.setDefault(req.user, null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Default view cleared'
+    });
+  } catch (error) {
+    console.error('Unpin default view error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Run a saved view; returns the same shape as GET /api/expenses
+// @route   GET /api/expenses/views/:viewId/expenses
+// @access  Private
+const runView = async (req, res) => {
+  try {
+    const { view, expenses, total, pagination } = await SavedViewService.run(
+      req.tenant,
+      req.user,
+      req.params.viewId,
+      req.query
+    );
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      pagination,
+      data: expenses,
+      view: {
+        _id: view._id,
+        name: view.name,
+        filter: view.filter,
+        sort: view.sort,
+        columns: view.columns
+      }
+    });
+  } catch (error) {
+    console.error('Run saved view error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getViews,
+  getDefaultView,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  pinDefaultView,
+  unpinDefaultView,
+  runView
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Settlement = require('../models/Settlement');
+const SettlementService = require('../services/settlementService');
+const ActivityService = require('../services/activityService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get net balances and suggested transfers
+// @route   GET /api/settlements/balances
+// @access  Private
+const getBalances = async (req, res) => {
+  try {
+    const scope = SettlementService.parseScope(req.query);
+    const result = await SettlementService.computeBalances(req.tenant, scope);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get settlement balances error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get recorded settlements
+// @route   GET /api/settlements
+// @access  Private
+const getSettlements = async (req, res) => {
+  try {
+    const { user, startDate, endDate } = req.query;
+    const options = {};
+
+    if (user) options.user = user;
+    if (startDate || endDate) options.dateRange = { start: startDate, end: endDate };
+
+    const settlements = await Settlement.findByTenant(req.tenant._id, options);
+
+    res.status(200).json({
+      success: true,
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Record a settlement between two people
+// @route   POST /api/settlements
+// @access  Private
+const createSettlement = async (req, res) => {
+  try {
+    const { from, to, fromUserId, toUserId, amount, date, note } = req.body;
+    const { expenseIds } = SettlementService.parseScope({ expenses: req.body.expenses });
+
+    const settlement = await SettlementService.recordSettlement(req.tenant, {
+      from,
+      to,
+      fromUserId,
+      toUserId,
+      amount,
+      date,
+      note,
+      expenses: expenseIds
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Record all suggested transfers for a scope, zeroing its balances
+// @route   POST /api/settlements/settle
+// @access  Private
+const settleBalances = async (req, res) => {
+  try {
+    const scope = SettlementService.parseScope(req.body);
+    const settlements = await SettlementService.settleAll(req.tenant, scope, req.user, req.body.note);
+
+    res.status(201).json({
+      success: true,
+      message: settlements.length > 0
+        ? `${settlements.length} settlements recorded`
+        : 'Balances are already settled',
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    console.error('Settle balances error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete settlement
+// @route   DELETE /api/settlements/:id
+// @access  Private
+const deleteSettlement = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid settlement ID format'
+      });
+    }
+
+    const settlement = await Settlement.findOneAndDelete({
+      _id: req.params.id,
+      tenantId: req.tenant._id
+    });
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    await ActivityService.logActivity({
+      type: 'settlement_deleted',
+      entityId: settlement._id,
+      entityType: 'Settlement',
+      entityName: `${settlement.from} → ${settlement.to}`,
+      tenantId: req.tenant._id,
+      performedBy: req.user.id,
+      oldData: {
+        from: settlement.from,
+        to: settlement.to,
+        amount: settlement.amount,
+        currency: settlement.currency
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+module.exports = {
+  getBalances,
+  getSettlements,
+  createSettlement,
+  settleBalances,
+  deleteSettlement
+};
@@ -116,6 +116,7 @@ const getDashboardAnalytics = async (req, res) => {
           from: 'expenses',
           localField: '_id',
           foreignField: 'tenantId',
+          pipeline: [{ $match: { deletedAt: null } }],
           as: 'expenses'
         }
       },
@@ -387,6 +388,7 @@ const getTenantAnalytics = async (req, res) => {
           from: 'expenses',
           localField: '_id',
           foreignField: 'tenantId',
+          pipeline: [{ $match: { deletedAt: null } }],
           as: 'expenses'
         }
       },
@@ -785,6 +787,7 @@ const exportAnalytics = async (req, res) => {
               from: 'expenses',
               localField: '_id',
               foreignField: 'tenantId',
+              pipeline: [{ $match: { deletedAt: null } }],
               as: 'expenses'
             }
           },
@@ -0,0 +1,49 @@
+const SyncService = require('../services/syncService');
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Expenses, categories and deletions changed since a cursor
+// @route   GET /api/sync/changes?since=&limit=
+// @access  Private (mobile_app plan feature)
+const getSyncChanges = async (req, res) => {
+  try {
+    const result = await SyncService.getChanges(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get sync changes error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Apply a batch of offline expense writes; a result per change, with
+//          the server version on conflicts. Requires an Idempotency-Key header
+// @route   POST /api/sync/push
+// @access  Private (mobile_app plan feature)
+const pushSyncChanges = async (req, res) => {
+  try {
+    const result = await SyncService.push(req.tenant, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.applied} of ${result.total} change(s) applied`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Push sync changes error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getSyncChanges,
+  pushSyncChanges
+};
@@ -0,0 +1,127 @@
+const TagService = require('../services/tagService');
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get tenant tags with usage counts
+// @route   GET /api/tags
+// @access  Private
+const getTags = async (req, res) => {
+  try {
+    const tags = await TagService.listTags(req.tenant, { search: req.query.search });
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get spend by tag over time (interval: day, week or month)
+// @route   GET /api/tags/analytics
+// @access  Private
+const getTagAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate, interval, tags, limit } = req.query;
+    const analytics = await TagService.getTagAnalytics(req.tenant, { startDate, endDate, interval, tags, limit });
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Get tag analytics error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Add or remove tags on expenses selected by id or filter
+// @route   POST /api/tags/bulk
+// @access  Private
+const bulkTagExpenses = async (req, res) => {
+  try {
+    const { expenseIds, filter, add, remove } = req.body;
+    const result = await TagService.bulkTag(req.tenant, req.user, { expenseIds, filter, add, remove });
+
+    res.status(200).json({
+      success: true,
+      message: `Tags updated on ${result.succeeded} of ${result.total} expense(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Bulk tag expenses error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Merge several tags into one
+// @route   POST /api/tags/merge
+// @access  Private
+const mergeTags = async (req, res) => {
+  try {
+    const { tags, target } = req.body;
+    const result = await TagService.mergeTags(req.tenant, tags, target, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Tags merged into "${result.tag}"`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Rename a tag on all expenses, categories and recurring expenses
+// @route   PUT /api/tags/:tag
+// @access  Private
+const renameTag = async (req, res) => {
+  try {
+    const result = await TagService.renameTag(req.tenant, req.params.tag, req.body.name, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Tag renamed to "${result.tag}"`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Remove a tag everywhere
+// @route   DELETE /api/tags/:tag
+// @access  Private
+const deleteTag = async (req, res) => {
+  try {
+    const result = await TagService.deleteTag(req.tenant, req.params.tag, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getTags,
+  getTagAnalytics,
+  bulkTagExpenses,
+  mergeTags,
+  renameTag,
+  deleteTag
+};
@@ -0,0 +1,117 @@
+const TaxCodeService = require('../services/taxCodeService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A tax code with this code already exists'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get tax codes
+// @route   GET /api/tax-codes?active=true|false
+// @access  Private
+const getTaxCodes = async (req, res) => {
+  try {
+    const taxCodes = await TaxCodeService.list(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: taxCodes.length,
+      data: taxCodes
+    });
+  } catch (error) {
+    console.error('Get tax codes error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get single tax code
+// @route   GET /api/tax-codes/:id
+// @access  Private
+const getTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCodeService.get(req.tenant, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: taxCode
+    });
+  } catch (error) {
+    console.error('Get tax code error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create tax code
+// @route   POST /api/tax-codes
+// @access  Private (Settings)
+const createTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCodeService.create(req.tenant, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: taxCode
+    });
+  } catch (error) {
+    console.error('Create tax code error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update tax code; isActive=false archives it
+// @route   PUT /api/tax-codes/:id
+// @access  Private (Settings)
+const updateTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCodeService.update(req.tenant, req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: taxCode
+    });
+  } catch (error) {
+    console.error('Update tax code error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete a tax code no payment uses
+// @route   DELETE /api/tax-codes/:id
+// @access  Private (Settings)
+const deleteTaxCode = async (req, res) => {
+  try {
+    await TaxCodeService.remove(req.tenant, req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax code error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getTaxCodes,
+  getTaxCode,
+  createTaxCode,
+  updateTaxCode,
+  deleteTaxCode
+};
@@ -7,6 +7,7 @@ const Expense = require('../models/Expense');
 const SubscriptionPlan = require('../models/SubscriptionPlan');
 const TenantService = require('../services/tenantService');
 const ActivityService = require('../services/activityService');
+const TrashService = require('../services/trashService');
 
 // @desc    Get current tenant profile
 // @route   GET /api/tenant/profile
@@ -90,6 +91,36 @@ const updateTenantSettings = async (req, res) => {
   }
 };
 
+// @desc    Update how long deleted records stay in the trash
+// @route   PUT /api/tenant/settings/trash-retention
+// @access  Private (Tenant Admin)
+const updateTrashRetention = async (req, res) => {
+  try {
+    const retentionDays = await TrashService.updateRetention(req.tenant, req.body.days, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash retention updated successfully',
+      data: { retentionDays }
+    });
+  } catch (error) {
+    console.error('Update trash retention error:', error);
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: message.join(', ')
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server Error'
+    });
+  }
+};
+
 // @desc    Get tenant dashboard statistics
 // @route   GET /api/tenant/dashboard-stats
 // @access  Private
@@ -740,6 +771,7 @@ const exportTenantData = async (req, res) => {
 module.exports = {
   getTenantProfile,
   updateTenantSettings,
+  updateTrashRetention,
   getTenantDashboardStats,
   getSubscriptionInfo,
   requestPlanUpgrade,
@@ -0,0 +1,162 @@
+const VendorService = require('../services/vendorService');
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: message.join(', ')
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A vendor with this name already exists'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Server Error'
+  });
+};
+
+// @desc    Get vendors with their spend
+// @route   GET /api/vendors?search=&active=true|false&startDate=&endDate=
+// @access  Private
+const getVendors = async (req, res) => {
+  try {
+    const vendors = await VendorService.list(req.tenant, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: vendors.length,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: vendors
+    });
+  } catch (error) {
+    console.error('Get vendors error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get vendor names on expenses that match no vendor, with suggestions
+// @route   GET /api/vendors/review
+// @access  Private (Settings)
+const getVendorReview = async (req, res) => {
+  try {
+    const review = await VendorService.getReview(req.tenant);
+
+    res.status(200).json({
+      success: true,
+      count: review.length,
+      data: review
+    });
+  } catch (error) {
+    console.error('Get vendor review error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Get single vendor with its spend
+// @route   GET /api/vendors/:id?startDate=&endDate=
+// @access  Private
+const getVendor = async (req, res) => {
+  try {
+    const vendor = await VendorService.get(req.tenant, req.params.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: req.tenant.settings?.baseCurrency || 'USD',
+      data: vendor
+    });
+  } catch (error) {
+    console.error('Get vendor error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Create vendor; existing expenses with its name or aliases are linked
+// @route   POST /api/vendors
+// @access  Private (Settings)
+const createVendor = async (req, res) => {
+  try {
+    const { vendor, expensesLinked } = await VendorService.create(req.tenant, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      expensesLinked,
+      data: vendor
+    });
+  } catch (error) {
+    console.error('Create vendor error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Update vendor
+// @route   PUT /api/vendors/:id
+// @access  Private (Settings)
+const updateVendor = async (req, res) => {
+  try {
+    const { vendor, expensesLinked } = await VendorService.update(req.tenant, req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      expensesLinked,
+      data: vendor
+    });
+  } catch (error) {
+    console.error('Update vendor error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete vendor; its expenses keep their vendor name
+// @route   DELETE /api/vendors/:id
+// @access  Private (Settings)
+const deleteVendor = async (req, res) => {
+  try {
+    const result = await VendorService.remove(req.tenant, req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vendor deleted successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete vendor error:', error);
+    sendError(res, error);
+  }
+};
+
+// @desc    Merge vendors and unmatched vendor names into a vendor
+// @route   POST /api/vendors/merge
+// @access  Private (Settings)
+const mergeVendors = async (req, res) => {
+  try {
+    const { target, vendors, names } = req.body;
+
+    const result = await VendorService.merge(req.tenant, req.user, { target, vendors, names });
+
+    res.status(200).json({
+      success: true,
+      message: `Vendors merged into "${result.vendor.name}"`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Merge vendors error:', error);
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getVendors,
+  getVendorReview,
+  getVendor,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  mergeVendors
+};
@@ -18,7 +18,8 @@ const errorHandler = (err, req, res, next) => {
     }
   }
   
-  if (err.message === 'Only images, PDFs, and document files are allowed') {
+  if (err.message === 'Only images, PDFs, and document files are allowed' ||
+      err.message === 'Only CSV and Excel files can be imported') {
     return res.status(400).json({
       success: false,
       message: err.message
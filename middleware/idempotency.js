@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// A request still processing after this long was abandoned (the process stopped
+// before answering), so its key can be used again
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Replay the stored response of a request already made with the same Idempotency-Key.
+// The first request stores its response; a retry gets it back instead of running again.
+// Server errors and responses not sent with res.json are not stored, so the
+// request can be retried with the same key.
+const idempotent = ({ required = false } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+
+    if (!key) {
+      if (!required) return next();
+      return res.status(400).json({
+        success: false,
+        message: `${HEADER} header is required`
+      });
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `${HEADER} cannot be more than ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const scope = { tenantId: req.tenant._id, user: req.user._id, key };
+    const requestHash = hashRequest(req);
+
+    let record;
+    // A second attempt is only made after clearing an abandoned key
+    for (let attempt = 1; !record; attempt++) {
+      try {
+        record = await IdempotencyKey.create({ ...scope, requestHash });
+      } catch (error) {
+        if (error.code !== 11000) {
+          console.error('Idempotency key error:', error);
+          return res.status(500).json({
+            success: false,
+            message: 'Server Error'
+          });
+        }
+
+        const existing = await IdempotencyKey.findOne(scope);
+        if (!existing) {
+          return res.status(409).json({
+            success: false,
+            message: `A request with this ${HEADER} has just finished. Retry it`
+          });
+        }
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: `${HEADER} was already used for a different request`
+          });
+        }
+        if (existing.status === 'processing') {
+          const abandoned = existing.updatedAt < new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+          if (abandoned && attempt === 1) {
+            await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' });
+            continue;
+          }
+          return res.status(409).json({
+            success: false,
+            message: `A request with this ${HEADER} is still being processed`
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    // A response sent some other way than res.json leaves nothing to replay: free the key
+    let handled = false;
+    res.once('finish', () => {
+      if (handled) return;
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+        .catch(error => console.error('Idempotency key error:', error));
+    });
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      handled = true;
+      const save = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        );
+
+      save
+        .catch(error => console.error('Idempotency key error:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -2,6 +2,8 @@
 const Tenant = require('../models/Tenant');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
+const StorageService = require('../services/storageService');
+const StorageUsageService = require('../services/storageUsageService');
 
 // Check if tenant can perform action based on subscription limits
 const checkSubscriptionLimits = (actionType) => {
@@ -64,18 +66,29 @@ const checkSubscriptionLimits = (actionType) => {
           break;
 
         case 'storage':
-          const additionalStorage = req.files ? 
-            req.files.reduce((total, file) => total + file.size, 0) / (1024 * 1024) : 0;
-            
-          if (tenant.settings.storageLimit !== -1 && 
-              (tenant.usage.storageUsed + additionalStorage) > tenant.settings.storageLimit) {
+          // Mounted after the upload: the files are stored, so their space is
+          // reserved in one atomic check-and-update and parallel uploads cannot
+          // go over the limit together. Files the request ends up not keeping
+          // are removed and released by the handler once it is done
+          // (StorageUsageService.settleUploads).
+          if (!req.files || req.files.length === 0) break;
+
+          const additionalStorage = req.files.reduce((total, file) => total + file.size, 0) / (1024 * 1024);
+          const reserved = await StorageUsageService.reserve(tenant._id, req.files);
+
+          if (!reserved) {
+            for (const file of req.files) {
+              await StorageService.remove(file);
+            }
+            // req.tenant was loaded before the upload, so report the usage as it is now
+            const current = await Tenant.findById(tenant._id).select('usage.storageUsed').lean();
             return res.status(413).json({
               success: false,
               message: 'Storage limit exceeded',
               code: 'STORAGE_LIMIT_EXCEEDED',
               data: {
-                current: tenant.usage.storageUsed,
-                additional: Math.round(additionalStorage),
+                current: current?.usage?.storageUsed || 0,
+                additional: Number(additionalStorage.toFixed(2)),
                 limit: tenant.settings.storageLimit,
                 plan: tenant.plan
               }
@@ -16,9 +16,20 @@ const ActivitySchema = new mongoose.Schema({
       // Tenant activities
       'user_created', 'user_updated', 'user_deleted',
       'role_created', 'role_updated', 'role_deleted', 
-      'category_created', 'category_updated', 'category_deleted',
-      'expense_created', 'expense_updated', 'expense_deleted',
-      'expense_approved', 'expense_rejected',
+      'category_created', 'category_updated', 'category_deleted', 'category_restored',
+      'expense_created', 'expense_updated', 'expense_deleted', 'expense_restored',
+      'expense_approved', 'expense_rejected', 'expense_submitted',
+      'report_created', 'report_updated', 'report_deleted',
+      'report_submitted', 'report_approved', 'report_rejected',
+      'project_created', 'project_updated', 'project_deleted',
+      'vendor_created', 'vendor_updated', 'vendor_deleted', 'vendor_merged',
+      'tax_code_created', 'tax_code_updated', 'tax_code_deleted',
+      'settlement_created', 'settlement_deleted',
+      'payer_merged',
+      'tag_renamed', 'tag_merged', 'tag_deleted', 'expenses_tagged',
+      'expenses_exported',
+      'comment_added', 'comment_mention', 'comment_reply',
+      'tenant_settings_updated',
       // Super Admin activities
       'super_admin_login', 
       'super_admin_logout',
@@ -45,7 +56,7 @@ const ActivitySchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['User', 'Role', 'Category', 'Expense', 'Tenant', 'SuperAdmin']
+    enum: ['User', 'Role', 'Category', 'Expense', 'ExpenseReport', 'Project', 'Vendor', 'TaxCode', 'Settlement', 'Tenant', 'SuperAdmin']
   },
   entityName: {
     type: String,
@@ -56,6 +67,12 @@ const ActivitySchema = new mongoose.Schema({
     refPath: 'performedByModel',
     required: true
   },
+  // Set for personal notifications (mentions, replies); null for the shared tenant feed
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   performedByModel: {
     type: String,
     required: true,
@@ -66,6 +83,7 @@ const ActivitySchema = new mongoose.Schema({
     oldData: mongoose.Schema.Types.Mixed,
     newData: mongoose.Schema.Types.Mixed,
     changes: [String],
+    source: String,
     ipAddress: String,
     userAgent: String,
     location: {
@@ -113,10 +131,11 @@ ActivitySchema.index({ tenantId: 1, isRead: 1 });
 ActivitySchema.index({ tenantId: 1, priority: 1 });
 ActivitySchema.index({ tenantId: 1, type: 1 });
 ActivitySchema.index({ tenantId: 1, category: 1 });
+ActivitySchema.index({ tenantId: 1, recipient: 1, isRead: 1, createdAt: -1 });
 ActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: 15552000 });
 
 ActivitySchema.statics.findByTenant = function(tenantId, options = {}) {
-  const query = { tenantId };
+  const query = { tenantId, recipient: options.recipient || null };
   
   if (options.entityType) query.entityType = options.entityType;
   if (options.type) query.type = options.type;
@@ -145,6 +164,7 @@ ActivitySchema.statics.getStatsByTenant = async function(tenantId, days = 30) {
     {
       $match: {
         tenantId: new mongoose.Types.ObjectId(tenantId),
+        recipient: null,
         createdAt: { $gte: startDate }
       }
     },
@@ -221,8 +241,12 @@ ActivitySchema.statics.getUnreadCountByTenant = function(tenantId, userId = null
   };
   
   if (userId) {
-    query.performedBy = { $ne: userId };
-    query.visibility = 'public';
+    query.$or = [
+      { recipient: null, performedBy: { $ne: userId }, visibility: 'public' },
+      { recipient: userId }
+    ];
+  } else {
+    query.recipient = null;
   }
   
   return this.countDocuments(query);
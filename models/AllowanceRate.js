@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const RATE_TYPES = ['mileage', 'per_diem'];
+
+// Per-diem rate used for locations without a rate of their own
+const DEFAULT_LOCATION = '*';
+
+const allowanceRateSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Allowance rate must belong to a tenant']
+  },
+  type: {
+    type: String,
+    enum: RATE_TYPES,
+    required: [true, 'Please select a rate type']
+  },
+  // Mileage rates are per vehicle type, e.g. "car", "motorcycle", "bicycle"
+  vehicleType: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Distance unit the mileage rate is given per
+  unit: {
+    type: String,
+    enum: ['km', 'mi'],
+    default: 'km'
+  },
+  // Per-diem rates are per location; "*" is the fallback for every other location
+  location: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Amount per unit of distance or per day, in the tenant base currency
+  rate: {
+    type: Number,
+    required: [true, 'Please add a rate'],
+    min: [0.01, 'Rate must be greater than zero']
+  },
+  // Day the rate is effective from (stored at UTC midnight)
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Please add the date the rate is effective from'],
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+allowanceRateSchema.path('vehicleType').validate(function(vehicleType) {
+  return this.type !== 'mileage' || Boolean(vehicleType);
+}, 'Please add a vehicle type');
+
+allowanceRateSchema.path('location').validate(function(location) {
+  return this.type !== 'per_diem' || Boolean(location);
+}, 'Please add a location');
+
+allowanceRateSchema.index(
+  { tenantId: 1, type: 1, vehicleType: 1, location: 1, effectiveFrom: -1 },
+  { unique: true }
+);
+
+// Rates change on whole days, so normalize the effective date to the start of its UTC day
+allowanceRateSchema.pre('validate', function(next) {
+  if (this.effectiveFrom) {
+    const date = new Date(this.effectiveFrom);
+    date.setUTCHours(0, 0, 0, 0);
+    this.effectiveFrom = date;
+  }
+
+  // Each rate type only keeps its own key
+  if (this.type === 'mileage') this.location = undefined;
+  if (this.type === 'per_diem') {
+    this.vehicleType = undefined;
+    this.unit = undefined;
+  }
+  next();
+});
+
+// Static method to find the mileage rate of a vehicle type in effect on a date
+allowanceRateSchema.statics.findMileageRate = function(tenantId, vehicleType, date = new Date()) {
+  return this.findOne({
+    tenantId,
+    type: 'mileage',
+    vehicleType: String(vehicleType || '').trim().toLowerCase(),
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1 });
+};
+
+// Static method to find the per-diem rate of a location in effect on a date, falling back to "*"
+allowanceRateSchema.statics.findPerDiemRate = async function(tenantId, location, date = new Date()) {
+  const key = String(location || '').trim().toLowerCase();
+  const rates = await this.find({
+    tenantId,
+    type: 'per_diem',
+    location: { $in: [key, DEFAULT_LOCATION] },
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1 });
+
+  return rates.find(rate => rate.location === key) || rates.find(rate => rate.location === DEFAULT_LOCATION) || null;
+};
+
+// Static method to find rates by tenant
+allowanceRateSchema.statics.findByTenant = function(tenantId, options = {}) {
+  const query = { tenantId };
+
+  if (options.type) query.type = options.type;
+  if (options.vehicleType) query.vehicleType = String(options.vehicleType).trim().toLowerCase();
+  if (options.location) query.location = String(options.location).trim().toLowerCase();
+
+  return this.find(query)
+    .populate('createdBy', 'name email')
+    .sort(options.sort || { type: 1, vehicleType: 1, location: 1, effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('AllowanceRate', allowanceRateSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const approvalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a step name'],
+    trim: true
+  },
+  approverType: {
+    type: String,
+    enum: ['tenant_role', 'role', 'user'],
+    required: [true, 'Please select who approves this step']
+  },
+  tenantRole: {
+    type: String,
+    enum: ['tenant_admin', 'manager']
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Step only applies when the expense total is at or above this amount
+  minAmount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+const approvalChainSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Approval chain must belong to a tenant']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a chain name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Higher priority chains are matched first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  conditions: {
+    minAmount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative'],
+      default: 0
+    },
+    maxAmount: {
+      type: Number,
+      default: null
+    },
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }]
+  },
+  steps: {
+    type: [approvalStepSchema],
+    validate: [
+      {
+        validator: (steps) => Array.isArray(steps) && steps.length > 0,
+        message: 'Approval chain needs at least one step'
+      },
+      {
+        // Every step must name the approver its type requires
+        validator: (steps) => steps.every(step =>
+          (step.approverType !== 'tenant_role' || !!step.tenantRole) &&
+          (step.approverType !== 'role' || !!step.role) &&
+          (step.approverType !== 'user' || !!step.user)
+        ),
+        message: 'Each approval step needs an approver matching its type'
+      }
+    ]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+approvalChainSchema.index({ tenantId: 1, isActive: 1, priority: -1 });
+approvalChainSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Static method to find the chain that applies to an expense
+approvalChainSchema.statics.findForExpense = async function(tenantId, expense) {
+  const chains = await this.find({ tenantId, isActive: true })
+    .sort({ priority: -1, createdAt: 1 });
+
+  const amount = expense.totalAmount || 0;
+  const categoryId = (expense.category?._id || expense.category)?.toString();
+
+  return chains.find(chain => chain.matches(amount, categoryId)) || null;
+};
+
+// Instance method to check if chain conditions match an expense
+approvalChainSchema.methods.matches = function(amount, categoryId) {
+  const { minAmount, maxAmount, categories } = this.conditions;
+
+  if (minAmount && amount < minAmount) return false;
+  if (maxAmount !== null && maxAmount !== undefined && amount > maxAmount) return false;
+
+  if (categories && categories.length > 0) {
+    return categories.some(id => id.toString() === categoryId);
+  }
+
+  return true;
+};
+
+// Instance method to get the steps required for an amount
+approvalChainSchema.methods.getStepsForAmount = function(amount) {
+  return this.steps.filter(step => amount >= (step.minAmount || 0));
+};
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
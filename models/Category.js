@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const categorySchema = new mongoose.Schema({
   // MULTI-TENANT FIELD (ADD THIS FIRST)
@@ -92,6 +93,11 @@ categorySchema.index({ tenantId: 1, slug: 1 }, { unique: true, sparse: true });
 categorySchema.index({ tenantId: 1, isActive: 1, sortOrder: 1 });
 categorySchema.index({ tenantId: 1, parentCategory: 1 });
 categorySchema.index({ tenantId: 1, createdBy: 1 });
+// Sync delta feed
+categorySchema.index({ tenantId: 1, updatedAt: 1, _id: 1 });
+
+// Deleted categories stay in the trash until the tenant retention window purges them
+categorySchema.plugin(softDelete);
 
 // Generate slug from name before saving (within tenant scope)
 categorySchema.pre('save', async function(next) {
@@ -105,11 +111,12 @@ categorySchema.pre('save', async function(next) {
     let counter = 1;
     
     while (true) {
+      // Trashed categories still hold their slug in the unique index
       const existingCategory = await this.constructor.findOne({ 
         tenantId: this.tenantId,
         slug: slug, 
         _id: { $ne: this._id } 
-      });
+      }).setOptions({ withDeleted: true });
       
       if (!existingCategory) {
         break;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const exchangeRateSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Exchange rate must belong to a tenant']
+  },
+  // Currency the rate converts into
+  baseCurrency: {
+    type: String,
+    required: [true, 'Please add a base currency'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Base currency must be a 3-letter ISO code']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Please add a currency'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency must be a 3-letter ISO code']
+  },
+  // Units of base currency for one unit of currency
+  rate: {
+    type: Number,
+    required: [true, 'Please add a rate'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  // Day the rate is effective from (stored at UTC midnight)
+  date: {
+    type: Date,
+    required: [true, 'Please add a rate date']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'file'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ tenantId: 1, baseCurrency: 1, currency: 1, date: -1 }, { unique: true });
+
+// Rates are daily, so normalize the effective date to the start of its UTC day
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.date) {
+    const date = new Date(this.date);
+    date.setUTCHours(0, 0, 0, 0);
+    this.date = date;
+  }
+  next();
+});
+
+// Static method to find the rate in effect on a given date
+exchangeRateSchema.statics.findEffective = function(tenantId, currency, baseCurrency, date = new Date()) {
+  return this.findOne({
+    tenantId,
+    baseCurrency,
+    currency,
+    date: { $lte: date }
+  }).sort({ date: -1 });
+};
+
+// Static method to find rates by tenant
+exchangeRateSchema.statics.findByTenant = function(tenantId, options = {}) {
+  const query = { tenantId };
+
+  if (options.baseCurrency) query.baseCurrency = options.baseCurrency;
+  if (options.currency) query.currency = options.currency;
+  if (options.dateRange) {
+    query.date = {};
+    if (options.dateRange.start) query.date.$gte = new Date(options.dateRange.start);
+    if (options.dateRange.end) query.date.$lte = new Date(options.dateRange.end);
+  }
+
+  return this.find(query)
+    .populate('createdBy', 'name email')
+    .sort(options.sort || { currency: 1, date: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
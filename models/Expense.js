@@ -1,4 +1,67 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { normalizeVendorName } = require('../utils/stringUtils');
+
+const EXPENSE_TYPES = ['standard', 'mileage', 'per_diem'];
+const KM_PER_MILE = 1.609344;
+
+// Share of an expense or payment charged to a project or cost center. Both the
+// percentage and the amount are stored, whichever of the two was entered.
+const allocationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Please select a project or cost center']
+  },
+  percentage: {
+    type: Number,
+    min: [0, 'Percentage cannot be negative'],
+    max: [100, 'Percentage cannot be more than 100']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+// Tax included in a payment: amount = net + tax. The rate and whether the tax can
+// be reclaimed are copied from the tax code, so editing the code later does not
+// change what was already captured.
+const taxSchema = new mongoose.Schema({
+  code: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxCode',
+    required: [true, 'Please select a tax code']
+  },
+  rate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  net: {
+    type: Number,
+    min: [0, 'Net amount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  reclaimable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Rounding slack between a payment amount and its net plus tax
+const TAX_TOLERANCE = 0.01;
+
+// $dateToString formats for report periods; quarters are built by hand
+const PERIOD_FORMATS = {
+  week: '%G-W%V',
+  month: '%Y-%m',
+  quarter: null,
+  year: '%Y'
+};
 
 const expenseSchema = new mongoose.Schema({
   // MULTI-TENANT FIELD (ADD THIS FIRST)
@@ -29,17 +92,40 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Category',
     required: [true, 'Please select a category']
   },
+  // Directory vendor the expense was matched to; vendorName keeps what was entered
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  vendorName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Vendor name cannot be more than 100 characters']
+  },
+  // normalizeVendorName(vendorName), so vendors created later can claim the expense
+  vendorKey: String,
   totalAmount: {
     type: Number,
     min: [0, 'Amount cannot be negative'],
     default: 0
   },
+  // totalAmount converted to the tenant base currency at the expense date
+  baseAmount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
   payments: [{
     user: {
       type: String,
       required: [true, 'Please add user name'],
       trim: true
     },
+    // Linked account; user keeps the display name (also used for external payers)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     amount: {
       type: Number,
       required: [true, 'Please add payment amount'],
@@ -57,11 +143,70 @@ const expenseSchema = new mongoose.Schema({
     file: {
       filename: String,
       originalName: String,
+      // Storage key, or an absolute path for files uploaded before storage keys
       path: String,
+      // Backend holding the file; files without one are on the local disk
+      storage: {
+        type: String,
+        enum: ['local', 's3']
+      },
       size: Number,
-      mimetype: String
-    }
+      mimetype: String,
+      // SHA-256 of the content, for duplicate receipt detection
+      hash: String
+    },
+    // Split of this payment; only used when the expense itself has no allocations
+    allocations: [allocationSchema],
+    tax: taxSchema
   }],
+  // Standard expenses are the sum of their payments. Mileage and per-diem claims
+  // have one payment for the claimant, priced from the tenant allowance rates.
+  expenseType: {
+    type: String,
+    enum: EXPENSE_TYPES,
+    default: 'standard'
+  },
+  mileage: {
+    distance: {
+      type: Number,
+      min: [0, 'Distance cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: ['km', 'mi']
+    },
+    vehicleType: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    from: {
+      type: String,
+      trim: true
+    },
+    to: {
+      type: String,
+      trim: true
+    },
+    // Rate applied and its distance unit, kept so later rate changes do not reprice the claim
+    rate: Number,
+    rateUnit: {
+      type: String,
+      enum: ['km', 'mi']
+    }
+  },
+  perDiem: {
+    location: {
+      type: String,
+      trim: true
+    },
+    days: {
+      type: Number,
+      min: [0.5, 'Per diem must cover at least half a day']
+    },
+    // Daily rate applied, kept so later rate changes do not reprice the claim
+    rate: Number
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -92,22 +237,138 @@ const expenseSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  approval: {
+    status: {
+      type: String,
+      enum: ['not_submitted', 'in_review', 'approved', 'rejected'],
+      default: 'not_submitted'
+    },
+    chain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalChain'
+    },
+    currentStep: {
+      type: Number,
+      default: 0
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    steps: [{
+      name: String,
+      approverType: {
+        type: String,
+        enum: ['tenant_role', 'role', 'user', 'feature']
+      },
+      tenantRole: String,
+      role: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role'
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+      },
+      actedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actedAt: Date,
+      comment: {
+        type: String,
+        trim: true
+      }
+    }]
+  },
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
+  // Split of the whole expense across projects and cost centers
+  allocations: [allocationSchema],
+  // Expense report the expense is filed in; it is then submitted and reviewed with the report
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport',
+    default: null
+  },
+  // Likely duplicates found when the expense was created or imported
+  duplicateCheck: {
+    status: {
+      type: String,
+      enum: ['none', 'flagged', 'confirmed', 'dismissed'],
+      default: 'none'
+    },
+    candidates: [{
+      expense: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense'
+      },
+      score: Number,
+      reasons: [String]
+    }],
+    checkedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  // Policy warnings found on the last save, shown to approvers
+  policyViolations: [{
+    _id: false,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpensePolicy'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    action: String,
+    message: String,
+    paymentIndex: Number
+  }],
   metadata: {
     source: {
       type: String,
-      enum: ['manual', 'import', 'api', 'mobile'],
+      enum: ['manual', 'import', 'api', 'mobile', 'recurring'],
       default: 'manual'
     },
+    recurringExpense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringExpense'
+    },
+    importBatchId: String,
     location: {
       address: String,
+      // Area label used to group spend by region, e.g. "Berlin" or "EMEA"
+      region: {
+        type: String,
+        trim: true
+      },
       coordinates: {
         latitude: Number,
         longitude: Number
+      },
+      // GeoJSON copy of the coordinates for geospatial queries, kept in sync on save
+      point: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined
+        }
       }
     },
     currency: {
@@ -118,7 +379,12 @@ const expenseSchema = new mongoose.Schema({
     exchangeRate: {
       type: Number,
       default: 1
-    }
+    },
+    baseCurrency: {
+      type: String,
+      uppercase: true
+    },
+    exchangeRateDate: Date
   }
 }, {
   timestamps: true
@@ -126,21 +392,60 @@ const expenseSchema = new mongoose.Schema({
 
 // Compound indexes for tenant isolation and performance
 expenseSchema.index({ tenantId: 1, date: -1 });
+// Cursor pagination sorts on a field plus _id to keep the order stable
+expenseSchema.index({ tenantId: 1, date: -1, _id: -1 });
+expenseSchema.index({ tenantId: 1, totalAmount: -1, _id: -1 });
 expenseSchema.index({ tenantId: 1, category: 1 });
 expenseSchema.index({ tenantId: 1, status: 1 });
 expenseSchema.index({ tenantId: 1, createdBy: 1 });
 expenseSchema.index({ tenantId: 1, createdAt: -1 });
+expenseSchema.index({ tenantId: 1, 'approval.status': 1 });
+expenseSchema.index({ tenantId: 1, 'payments.userId': 1 });
+expenseSchema.index({ tenantId: 1, 'payments.file.hash': 1 });
+expenseSchema.index({ tenantId: 1, 'duplicateCheck.status': 1 });
+expenseSchema.index({ tenantId: 1, 'metadata.location.point': '2dsphere' });
+expenseSchema.index({ tenantId: 1, expenseType: 1 });
+expenseSchema.index({ tenantId: 1, report: 1 });
+expenseSchema.index({ tenantId: 1, 'allocations.project': 1 });
+expenseSchema.index({ tenantId: 1, 'payments.allocations.project': 1 });
+expenseSchema.index({ tenantId: 1, vendor: 1 });
+expenseSchema.index({ tenantId: 1, vendorKey: 1 });
+expenseSchema.index({ tenantId: 1, 'payments.tax.code': 1 });
+// Sync delta feed
+expenseSchema.index({ tenantId: 1, updatedAt: 1, _id: 1 });
 
-// Text index for search functionality
-expenseSchema.index({ 
+// Deleted expenses stay in the trash until the tenant retention window purges them
+expenseSchema.plugin(softDelete);
+
+// Text index for search functionality. A collection holds one text index, so
+// changing it means running scripts/rebuild-search-indexes.js
+expenseSchema.index({
   tenantId: 1,
-  title: 'text', 
+  title: 'text',
   description: 'text',
-  'payments.user': 'text'
+  'payments.user': 'text',
+  'payments.file.originalName': 'text'
+}, {
+  name: 'expense_text_search',
+  weights: {
+    title: 10,
+    description: 5,
+    'payments.user': 3,
+    'payments.file.originalName': 2
+  }
 });
 
+expenseSchema.path('payments').validate(function(payments) {
+  return (payments || []).every(payment =>
+    !payment.tax || Math.abs((payment.tax.net || 0) + (payment.tax.amount || 0) - payment.amount) <= TAX_TOLERANCE
+  );
+}, 'Net amount plus tax must equal the payment amount');
+
 // Pre-save middleware to calculate total amount
-expenseSchema.pre('save', function (next) {
+expenseSchema.pre('save', async function () {
+  // Mileage and per-diem claims set their payment amount from the allowance rate
+  await this.applyAllowance();
+
   if (Array.isArray(this.payments)) {
     const total = this.payments.reduce(
       (sum, p) => sum + (Number(p.amount) || 0),
@@ -150,7 +455,14 @@ expenseSchema.pre('save', function (next) {
   } else {
     this.totalAmount = 0;
   }
-  next();
+
+  const exchangeRate = this.metadata?.exchangeRate || 1;
+  this.baseAmount = Number((this.totalAmount * exchangeRate).toFixed(2));
+
+  if (this.isNew || this.isModified('metadata.location')) {
+    const coordinates = this.metadata?.location?.coordinates;
+    this.set('metadata.location.point', this.constructor.locationPoint(coordinates?.latitude, coordinates?.longitude));
+  }
 });
 
 // Post-save middleware to update tenant expense count
@@ -177,6 +489,230 @@ expenseSchema.post('remove', async function(doc, next) {
   next();
 });
 
+// Amount in the tenant base currency; older expenses without baseAmount fall back to their rate
+const BASE_AMOUNT = {
+  $ifNull: ['$baseAmount', { $multiply: ['$totalAmount', { $ifNull: ['$metadata.exchangeRate', 1] }] }]
+};
+
+// Static method to get the aggregation expression for base-currency amounts
+expenseSchema.statics.baseAmountExpression = function(amountField = '$totalAmount') {
+  if (amountField === '$totalAmount') return BASE_AMOUNT;
+  return { $multiply: [amountField, { $ifNull: ['$metadata.exchangeRate', 1] }] };
+};
+
+// Static method to get the report periods periodExpression accepts
+expenseSchema.statics.periodIntervals = function() {
+  return Object.keys(PERIOD_FORMATS);
+};
+
+// Static method to get the aggregation expression for the period of the expense date, e.g. 2024-03 or 2024-Q1
+expenseSchema.statics.periodExpression = function(interval) {
+  if (interval === 'quarter') {
+    return { $concat: [{ $toString: { $year: '$date' } }, '-Q', { $toString: { $ceil: { $divide: [{ $month: '$date' }, 3] } } }] };
+  }
+  return { $dateToString: { format: PERIOD_FORMATS[interval], date: '$date' } };
+};
+
+// Static method to get the GeoJSON point for a latitude/longitude pair (undefined when invalid)
+expenseSchema.statics.locationPoint = function(latitude, longitude) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return undefined;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return undefined;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return undefined;
+
+  // GeoJSON puts longitude first
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Mileage in km whatever unit the claim was entered in
+const DISTANCE_KM = {
+  $cond: [
+    { $eq: ['$mileage.unit', 'mi'] },
+    { $multiply: ['$mileage.distance', KM_PER_MILE] },
+    { $ifNull: ['$mileage.distance', 0] }
+  ]
+};
+
+// Static method to break totals down by expense type, with the distance and days claimed
+expenseSchema.statics.getTypeBreakdown = function(matchStage) {
+  return this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { $ifNull: ['$expenseType', 'standard'] },
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$totalAmount' },
+        baseAmount: { $sum: BASE_AMOUNT },
+        distanceKm: { $sum: DISTANCE_KM },
+        days: { $sum: { $ifNull: ['$perDiem.days', 0] } }
+      }
+    },
+    { $sort: { baseAmount: -1 } }
+  ]);
+};
+
+// Payers are the linked user when there is one, otherwise the name ignoring case
+const PAYER_KEY = {
+  $ifNull: ['$payments.userId', { $toLower: { $trim: { input: '$payments.user' } } }]
+};
+
+// Static method to get the aggregation expression grouping unwound payments by payer
+expenseSchema.statics.payerKeyExpression = function() {
+  return PAYER_KEY;
+};
+
+// Static method to build the payments filter for a payer given as user id or name
+expenseSchema.statics.payerFilter = function(payer) {
+  if (mongoose.Types.ObjectId.isValid(payer) && String(payer).length === 24) {
+    return { 'payments.userId': new mongoose.Types.ObjectId(payer) };
+  }
+  return { 'payments.user': { $regex: payer, $options: 'i' } };
+};
+
+// Static method to build the filter for a vendor given as vendor id or name
+expenseSchema.statics.vendorFilter = function(vendor) {
+  if (mongoose.Types.ObjectId.isValid(vendor) && String(vendor).length === 24) {
+    return { vendor: new mongoose.Types.ObjectId(vendor) };
+  }
+  return { vendorKey: normalizeVendorName(vendor) };
+};
+
+// Allocations of the expense, or of its payments when the expense is not split itself
+const ALLOCATIONS = {
+  $concatArrays: [
+    { $ifNull: ['$allocations', []] },
+    {
+      $reduce: {
+        input: { $ifNull: ['$payments', []] },
+        initialValue: [],
+        in: { $concatArrays: ['$$value', { $ifNull: ['$$this.allocations', []] }] }
+      }
+    }
+  ]
+};
+
+// Static method to get the aggregation expression listing the allocations of an expense
+expenseSchema.statics.allocationsExpression = function() {
+  return ALLOCATIONS;
+};
+
+// Static method to get the stages giving one document per allocation, in `allocation`.
+// The part of the expense that is not allocated comes out as a line without project.
+expenseSchema.statics.allocationStages = function() {
+  return [
+    { $addFields: { allocation: ALLOCATIONS } },
+    {
+      $addFields: {
+        allocation: {
+          $let: {
+            vars: { rest: { $subtract: ['$totalAmount', { $sum: '$allocation.amount' }] } },
+            in: {
+              $concatArrays: [
+                '$allocation',
+                { $cond: [{ $gt: ['$$rest', 0.005] }, [{ project: null, amount: '$$rest' }], []] }
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $unwind: '$allocation' }
+  ];
+};
+
+// Static method to get the aggregation expression for an unwound allocation in the base currency
+expenseSchema.statics.allocationBaseAmountExpression = function() {
+  return { $multiply: ['$allocation.amount', { $ifNull: ['$metadata.exchangeRate', 1] }] };
+};
+
+// Static method to build the filter for expenses charged to any of the given projects
+expenseSchema.statics.projectFilter = function(projectIds) {
+  const ids = (Array.isArray(projectIds) ? projectIds : [projectIds])
+    .map(id => new mongoose.Types.ObjectId(id));
+  return {
+    $or: [
+      { 'allocations.project': { $in: ids } },
+      { 'payments.allocations.project': { $in: ids } }
+    ]
+  };
+};
+
+// Static method to break totals down by project; the unallocated part is grouped under null
+expenseSchema.statics.getProjectBreakdown = function(matchStage) {
+  return this.aggregate([
+    { $match: matchStage },
+    ...this.allocationStages(),
+    {
+      $group: {
+        _id: '$allocation.project',
+        expenses: { $addToSet: '$_id' },
+        totalAmount: { $sum: '$allocation.amount' },
+        baseAmount: { $sum: this.allocationBaseAmountExpression() }
+      }
+    },
+    { $lookup: { from: 'projects', localField: '_id', foreignField: '_id', as: 'project' } },
+    {
+      $project: {
+        _id: 1,
+        code: { $arrayElemAt: ['$project.code', 0] },
+        name: { $arrayElemAt: ['$project.name', 0] },
+        kind: { $arrayElemAt: ['$project.kind', 0] },
+        count: { $size: '$expenses' },
+        totalAmount: 1,
+        baseAmount: 1
+      }
+    },
+    { $sort: { baseAmount: -1 } }
+  ]);
+};
+
+// Static method to break totals down by vendor; expenses not matched to the directory group by vendor name
+expenseSchema.statics.getVendorBreakdown = function(matchStage, limit = 20) {
+  return this.aggregate([
+    { $match: { ...matchStage, vendorKey: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$vendor', '$vendorKey'] },
+        vendorName: { $first: '$vendorName' },
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$totalAmount' },
+        baseAmount: { $sum: BASE_AMOUNT }
+      }
+    },
+    { $sort: { baseAmount: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'vendors', localField: '_id', foreignField: '_id', as: 'vendor' } },
+    {
+      $project: {
+        _id: 1,
+        name: { $ifNull: [{ $arrayElemAt: ['$vendor.name', 0] }, '$vendorName'] },
+        matched: { $gt: [{ $size: '$vendor' }, 0] },
+        count: 1,
+        totalAmount: 1,
+        baseAmount: 1
+      }
+    }
+  ]);
+};
+
+// Static method to break totals down by original currency
+expenseSchema.statics.getCurrencyBreakdown = function(matchStage) {
+  return this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { $ifNull: ['$metadata.currency', 'USD'] },
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$totalAmount' },
+        baseAmount: { $sum: BASE_AMOUNT }
+      }
+    },
+    { $sort: { baseAmount: -1 } }
+  ]);
+};
+
 // Static method to find expenses by tenant
 expenseSchema.statics.findByTenant = function(tenantId, options = {}) {
   const query = { tenantId };
@@ -208,7 +744,7 @@ expenseSchema.statics.getStatsByTenant = async function(tenantId, dateRange = {}
     if (dateRange.end) matchStage.date.$lte = new Date(dateRange.end);
   }
   
-  const [totalStats, categoryStats, statusStats, monthlyStats] = await Promise.all([
+  const [totalStats, categoryStats, statusStats, monthlyStats, currencyStats, typeStats] = await Promise.all([
     // Total statistics
     this.aggregate([
       { $match: matchStage },
@@ -217,6 +753,7 @@ expenseSchema.statics.getStatsByTenant = async function(tenantId, dateRange = {}
           _id: null,
           totalExpenses: { $sum: 1 },
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           avgAmount: { $avg: '$totalAmount' }
         }
       }
@@ -239,6 +776,7 @@ expenseSchema.statics.getStatsByTenant = async function(tenantId, dateRange = {}
           _id: '$categoryInfo.name',
           count: { $sum: 1 },
           totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT },
           avgAmount: { $avg: '$totalAmount' }
         }
       },
@@ -252,7 +790,8 @@ expenseSchema.statics.getStatsByTenant = async function(tenantId, dateRange = {}
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$totalAmount' }
+          totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT }
         }
       }
     ]),
@@ -267,18 +806,27 @@ expenseSchema.statics.getStatsByTenant = async function(tenantId, dateRange = {}
             month: { $month: '$date' }
           },
           count: { $sum: 1 },
-          totalAmount: { $sum: '$totalAmount' }
+          totalAmount: { $sum: '$totalAmount' },
+          baseAmount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } }
-    ])
+    ]),
+
+    // Original currencies behind the base-currency totals
+    this.getCurrencyBreakdown(matchStage),
+
+    // Standard expenses apart from mileage and per diem claims
+    this.getTypeBreakdown(matchStage)
   ]);
   
   return {
-    total: totalStats[0] || { totalExpenses: 0, totalAmount: 0, avgAmount: 0 },
+    total: totalStats[0] || { totalExpenses: 0, totalAmount: 0, baseAmount: 0, avgAmount: 0 },
     byCategory: categoryStats,
     byStatus: statusStats,
-    monthly: monthlyStats
+    monthly: monthlyStats,
+    byCurrency: currencyStats,
+    byType: typeStats
   };
 };
 
@@ -296,6 +844,67 @@ expenseSchema.statics.searchByTenant = function(tenantId, searchTerm, options =
     .limit(options.limit || 20);
 };
 
+const allowanceError = (expense, path, message) => {
+  const error = new mongoose.Error.ValidationError(expense);
+  error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+  return error;
+};
+
+// Instance method to price a mileage or per-diem claim. The rate in effect on the
+// expense date is looked up when the claim has none; clear it to reprice.
+expenseSchema.methods.applyAllowance = async function() {
+  if (this.expenseType !== 'mileage' && this.expenseType !== 'per_diem') return null;
+
+  const isMileage = this.expenseType === 'mileage';
+  const claim = isMileage ? this.mileage : this.perDiem;
+
+  if (isMileage && !claim.vehicleType) {
+    throw allowanceError(this, 'mileage.vehicleType', 'Please select a vehicle type');
+  }
+  if (isMileage && !(claim.distance > 0)) {
+    throw allowanceError(this, 'mileage.distance', 'Please add the distance travelled');
+  }
+  if (!isMileage && !claim.location) {
+    throw allowanceError(this, 'perDiem.location', 'Please add the per diem location');
+  }
+  if (!isMileage && !(claim.days > 0 && Number.isInteger(claim.days * 2))) {
+    throw allowanceError(this, 'perDiem.days', 'Per diem days must be whole or half days');
+  }
+  if (!Array.isArray(this.payments) || this.payments.length !== 1) {
+    throw allowanceError(this, 'payments', 'Mileage and per diem expenses have exactly one payment, for the claimant');
+  }
+
+  if (!claim.rate) {
+    const AllowanceRate = mongoose.model('AllowanceRate');
+    const rate = isMileage
+      ? await AllowanceRate.findMileageRate(this.tenantId, claim.vehicleType, this.date)
+      : await AllowanceRate.findPerDiemRate(this.tenantId, claim.location, this.date);
+
+    if (!rate) {
+      throw isMileage
+        ? allowanceError(this, 'mileage.vehicleType', `No mileage rate is set up for vehicle type "${claim.vehicleType}"`)
+        : allowanceError(this, 'perDiem.location', `No per diem rate is set up for "${claim.location}"`);
+    }
+
+    claim.rate = rate.rate;
+    if (isMileage) claim.rateUnit = rate.unit;
+  }
+
+  let quantity = isMileage ? claim.distance : claim.days;
+  if (isMileage) {
+    claim.unit = claim.unit || 'km';
+    const rateUnit = claim.rateUnit || claim.unit;
+    if (claim.unit !== rateUnit) {
+      quantity = claim.unit === 'mi' ? quantity * KM_PER_MILE : quantity / KM_PER_MILE;
+    }
+  }
+
+  const amount = Number((quantity * claim.rate).toFixed(2));
+  this.payments[0].amount = amount;
+  this.totalAmount = amount;
+  return amount;
+};
+
 // Instance method to check if expense can be edited by user
 expenseSchema.methods.canEditBy = function(userId, userTenantRole) {
   // Tenant admins can edit any expense
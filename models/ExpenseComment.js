@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const expenseCommentSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Comment must belong to a tenant']
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  // Comment this one replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseComment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters'],
+    default: ''
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments with replies stay as an empty placeholder to keep the thread intact
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+expenseCommentSchema.index({ tenantId: 1, expense: 1, createdAt: 1 });
+expenseCommentSchema.index({ tenantId: 1, parent: 1 });
+expenseCommentSchema.index({ tenantId: 1, body: 'text' }, { name: 'comment_text_search' });
+
+// Static method to get the comments of an expense as a thread tree
+expenseCommentSchema.statics.getThread = async function(tenantId, expenseId) {
+  const comments = await this.find({ tenantId, expense: expenseId })
+    .populate('author', 'name email avatar')
+    .populate('mentions', 'name email')
+    .sort({ createdAt: 1 });
+
+  const commentMap = new Map();
+  const rootComments = [];
+
+  // First pass: create map of all comments
+  comments.forEach(comment => {
+    commentMap.set(comment._id.toString(), {
+      ...comment.toObject(),
+      isDeleted: Boolean(comment.deletedAt),
+      replies: []
+    });
+  });
+
+  // Second pass: build tree
+  comments.forEach(comment => {
+    const commentObj = commentMap.get(comment._id.toString());
+    const parent = comment.parent && commentMap.get(comment.parent.toString());
+
+    if (parent) {
+      parent.replies.push(commentObj);
+    } else {
+      rootComments.push(commentObj);
+    }
+  });
+
+  return rootComments;
+};
+
+module.exports = mongoose.model('ExpenseComment', expenseCommentSchema);
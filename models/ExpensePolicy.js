@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const POLICY_TYPES = ['receipt_required', 'max_amount', 'blocked_days', 'description_required'];
+
+const expensePolicySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Expense policy must belong to a tenant']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a policy name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  type: {
+    type: String,
+    enum: POLICY_TYPES,
+    required: [true, 'Please select a policy type']
+  },
+  // Limit for max_amount; threshold above which receipt_required and
+  // description_required apply. In the tenant base currency.
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  },
+  // What max_amount limits: the expense total, each payment, or each payer's spending per day
+  per: {
+    type: String,
+    enum: ['expense', 'payment', 'person_day'],
+    default: 'expense'
+  },
+  // Days of the week for blocked_days (0 = Sunday ... 6 = Saturday)
+  days: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Categories the policy applies to; empty means every category
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // block rejects the save, warn stores the violation on the expense for approvers
+  action: {
+    type: String,
+    enum: ['block', 'warn'],
+    default: 'warn'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+expensePolicySchema.path('days').validate(function(days) {
+  return this.type !== 'blocked_days' || days.length > 0;
+}, 'Please select at least one blocked day');
+
+expensePolicySchema.path('amount').validate(function(amount) {
+  return this.type !== 'max_amount' || amount > 0;
+}, 'Please add a maximum amount');
+
+expensePolicySchema.index({ tenantId: 1, isActive: 1 });
+expensePolicySchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Static method to get the active policies of a tenant
+expensePolicySchema.statics.findActive = function(tenantId) {
+  return this.find({ tenantId, isActive: true }).sort({ createdAt: 1 });
+};
+
+// Instance method to check if the policy covers a category
+expensePolicySchema.methods.appliesTo = function(categoryId) {
+  if (!this.categories || this.categories.length === 0) return true;
+  return this.categories.some(id => id.toString() === String(categoryId));
+};
+
+module.exports = mongoose.model('ExpensePolicy', expensePolicySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const REPORT_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+const expenseReportSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Expense report must belong to a tenant']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a report title'],
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Person the report is filed by; expenses are attached with Expense.report
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // draft → submitted → approved | rejected; a rejected report goes back to draft when edited
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'draft'
+  },
+  approval: {
+    chain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalChain'
+    },
+    currentStep: {
+      type: Number,
+      default: 0
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    steps: [{
+      name: String,
+      approverType: {
+        type: String,
+        enum: ['tenant_role', 'role', 'user', 'feature']
+      },
+      tenantRole: String,
+      role: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role'
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+      },
+      actedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actedAt: Date,
+      comment: {
+        type: String,
+        trim: true
+      }
+    }],
+    decidedAt: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+expenseReportSchema.index({ tenantId: 1, owner: 1, createdAt: -1 });
+expenseReportSchema.index({ tenantId: 1, status: 1 });
+
+// Instance method to check if expenses can still be added, removed or edited
+expenseReportSchema.methods.isEditable = function() {
+  return this.status === 'draft' || this.status === 'rejected';
+};
+
+// Instance method to check if a user may change the report (owner or tenant admin)
+expenseReportSchema.methods.canEditBy = function(user) {
+  return user.tenantRole === 'tenant_admin' || (this.owner._id || this.owner).toString() === user._id.toString();
+};
+
+module.exports = mongoose.model('ExpenseReport', expenseReportSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = [
+  'baseline',   // state found before tracking started or after an out-of-band change
+  'created',
+  'updated',
+  'deleted',
+  'restored',
+  'submitted',
+  'approved',
+  'rejected',
+  'reverted'
+];
+
+const expenseRevisionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Revision must belong to a tenant']
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  // Sequential per expense, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  // Full copy of the tracked expense fields after the change (plain JSON)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field paths that differ from the previous revision
+  changedFields: [{
+    type: String
+  }],
+  // Revision whose snapshot was restored, for 'reverted' revisions
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+expenseRevisionSchema.index({ expense: 1, revision: 1 }, { unique: true });
+expenseRevisionSchema.index({ tenantId: 1, expense: 1, revision: -1 });
+
+// Static method to find the revisions of an expense, newest first
+expenseRevisionSchema.statics.findByExpense = function(tenantId, expenseId, options = {}) {
+  const query = this.find({ tenantId, expense: expenseId })
+    .populate('performedBy', 'name email')
+    .sort({ revision: -1 });
+
+  if (!options.withSnapshots) {
+    query.select('-snapshot');
+  }
+
+  return query;
+};
+
+// Static method to get the latest revision of an expense
+expenseRevisionSchema.statics.findLatest = function(expenseId) {
+  return this.findOne({ expense: expenseId }).sort({ revision: -1 });
+};
+
+module.exports = mongoose.model('ExpenseRevision', expenseRevisionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Keys can be replayed for a day, long enough for a mobile client to retry after reconnecting
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Idempotency key must belong to a tenant']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  // SHA-256 of method, path and body, so a key reused for another request is refused
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ tenantId: 1, user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: KEY_TTL_SECONDS });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
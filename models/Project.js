@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const PROJECT_KINDS = ['project', 'cost_center'];
+const BUDGET_PERIODS = ['total', 'monthly', 'yearly'];
+
+const projectSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Project must belong to a tenant']
+  },
+  // Projects run for a while and carry a total budget; cost centers are permanent
+  kind: {
+    type: String,
+    enum: PROJECT_KINDS,
+    default: 'project'
+  },
+  // Short reference used in filters and exports, e.g. PRJ-042 or CC-SALES
+  code: {
+    type: String,
+    required: [true, 'Please add a code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Code cannot be more than 30 characters'],
+    match: [/^[A-Z0-9][A-Z0-9._-]*$/, 'Code can only contain letters, digits, dots, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Budget in the tenant base currency, over the whole project or per calendar month/year
+  budget: {
+    amount: {
+      type: Number,
+      min: [0, 'Budget cannot be negative'],
+      default: null
+    },
+    period: {
+      type: String,
+      enum: BUDGET_PERIODS,
+      default: 'total'
+    }
+  },
+  startDate: Date,
+  endDate: Date,
+  // Archived projects keep their allocations but cannot be charged anymore
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+projectSchema.index({ tenantId: 1, kind: 1, isActive: 1 });
+projectSchema.index({ tenantId: 1, owner: 1 });
+
+projectSchema.path('endDate').validate(function(value) {
+  return !value || !this.startDate || value >= this.startDate;
+}, 'End date cannot be before the start date');
+
+// Static method to find projects by tenant
+projectSchema.statics.findByTenant = function(tenantId, { kind, active } = {}) {
+  const query = { tenantId };
+  if (kind) query.kind = kind;
+  if (active !== undefined) query.isActive = active;
+
+  return this.find(query)
+    .populate('owner', 'name email')
+    .sort({ kind: 1, code: 1 });
+};
+
+// Instance method to get the date the current budget period started (null for whole-project budgets)
+projectSchema.methods.getBudgetPeriodStart = function(now = new Date()) {
+  switch (this.budget?.period) {
+    case 'monthly':
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    case 'yearly':
+      return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    default:
+      return this.startDate || null;
+  }
+};
+
+module.exports = mongoose.model('Project', projectSchema);
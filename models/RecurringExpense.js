@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+
+const recurringExpenseSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Recurring expense must belong to a tenant']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Please select a category']
+  },
+  payments: {
+    type: [{
+      user: {
+        type: String,
+        required: [true, 'Please add user name'],
+        trim: true
+      },
+      // Linked account; user keeps the display name (also used for external payers)
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Please add payment amount'],
+        min: [0, 'Amount cannot be negative']
+      },
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+      },
+      subCategory: {
+        type: String,
+        trim: true,
+        default: ''
+      }
+    }],
+    validate: {
+      validator: (payments) => Array.isArray(payments) && payments.length > 0,
+      message: 'At least one payment is required'
+    }
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Defaults to the tenant base currency when not set
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly'],
+      required: [true, 'Please select a frequency']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Interval must be at least 1'],
+      default: 1
+    },
+    // Day used for monthly/yearly runs, clamped to short months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  pausedAt: Date,
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Individual runs the tenant chose to skip
+  skippedDates: [Date],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+recurringExpenseSchema.index({ tenantId: 1, isActive: 1 });
+recurringExpenseSchema.index({ isActive: 1, nextRunAt: 1 });
+
+recurringExpenseSchema.virtual('totalAmount').get(function() {
+  return Number((this.payments || [])
+    .reduce((sum, p) => sum + (Number(p.amount) || 0), 0)
+    .toFixed(2));
+});
+
+recurringExpenseSchema.set('toJSON', { virtuals: true });
+recurringExpenseSchema.set('toObject', { virtuals: true });
+
+// Keep schedule anchor and first run in sync with the start date
+recurringExpenseSchema.pre('save', function(next) {
+  if (!this.schedule.dayOfMonth) {
+    this.schedule.dayOfMonth = this.startDate.getDate();
+  }
+
+  if (this.isNew || this.isModified('startDate') || this.isModified('schedule')) {
+    if (!this.lastRunAt || this.startDate > this.lastRunAt) {
+      this.nextRunAt = this.startDate;
+    } else {
+      this.nextRunAt = this.getNextRunAfter(this.lastRunAt);
+    }
+  }
+
+  if (this.endDate && this.nextRunAt && this.nextRunAt > this.endDate) {
+    this.isActive = false;
+  }
+
+  next();
+});
+
+// Instance method to compute the run that follows a given run date
+recurringExpenseSchema.methods.getNextRunAfter = function(runDate) {
+  const { frequency, interval = 1, dayOfMonth } = this.schedule;
+  const next = new Date(runDate);
+
+  const clampDay = (date) => {
+    const day = dayOfMonth || this.startDate.getDate();
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, daysInMonth));
+    return date;
+  };
+
+  switch (frequency) {
+    case 'daily':
+      next.setDate(next.getDate() + interval);
+      return next;
+    case 'weekly':
+      next.setDate(next.getDate() + 7 * interval);
+      return next;
+    case 'monthly':
+      next.setDate(1);
+      next.setMonth(next.getMonth() + interval);
+      return clampDay(next);
+    case 'yearly':
+      next.setDate(1);
+      next.setFullYear(next.getFullYear() + interval);
+      return clampDay(next);
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+};
+
+// Instance method to check if the run on a given day was skipped
+recurringExpenseSchema.methods.isSkipped = function(runDate) {
+  const day = new Date(runDate).toISOString().split('T')[0];
+  return (this.skippedDates || []).some(date => date.toISOString().split('T')[0] === day);
+};
+
+// Static method to find templates with a run due
+recurringExpenseSchema.statics.findDue = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    nextRunAt: { $lte: now }
+  }).sort({ nextRunAt: 1 });
+};
+
+// Static method to find templates by tenant
+recurringExpenseSchema.statics.findByTenant = function(tenantId, options = {}) {
+  const query = { tenantId };
+
+  if (options.isActive !== undefined) query.isActive = options.isActive;
+  if (options.isPaused !== undefined) query.isPaused = options.isPaused;
+
+  return this.find(query)
+    .populate('category', 'name slug')
+    .populate('createdBy', 'name email')
+    .sort(options.sort || { nextRunAt: 1 });
+};
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
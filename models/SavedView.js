@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Columns the expense list can show
+const VIEW_COLUMNS = [
+  'title',
+  'description',
+  'date',
+  'category',
+  'status',
+  'approvalStatus',
+  'totalAmount',
+  'baseAmount',
+  'currency',
+  'payments',
+  'attachments',
+  'tags',
+  'createdBy',
+  'createdAt'
+];
+
+const savedViewSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Saved view must belong to a tenant']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a view name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Filter string understood by GET /api/expenses?filter=
+  filter: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  sort: {
+    type: String,
+    trim: true,
+    default: '-date'
+  },
+  columns: {
+    type: [{
+      type: String,
+      enum: VIEW_COLUMNS
+    }],
+    default: ['title', 'date', 'category', 'status', 'totalAmount', 'payments']
+  },
+  limit: {
+    type: Number,
+    min: [1, 'Limit must be at least 1'],
+    max: [100, 'Limit cannot be more than 100'],
+    default: 10
+  },
+  // private: owner only; role: owner and users with one of the roles; tenant: everyone
+  visibility: {
+    type: String,
+    enum: ['private', 'role', 'tenant'],
+    default: 'private'
+  },
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }]
+}, {
+  timestamps: true
+});
+
+savedViewSchema.path('roles').validate(function(roles) {
+  return this.visibility !== 'role' || roles.length > 0;
+}, 'Please select at least one role to share the view with');
+
+savedViewSchema.index({ tenantId: 1, owner: 1 });
+savedViewSchema.index({ tenantId: 1, visibility: 1, roles: 1 });
+
+// Static method to build the query for views a user can see
+savedViewSchema.statics.visibleTo = function(user) {
+  const tenantId = user.tenantId?._id || user.tenantId;
+  const roleId = user.role?._id || user.role;
+
+  return {
+    tenantId,
+    $or: [
+      { owner: user._id },
+      { visibility: 'tenant' },
+      ...(roleId ? [{ visibility: 'role', roles: roleId }] : [])
+    ]
+  };
+};
+
+// Instance method to check if a user may change or delete the view
+savedViewSchema.methods.canEdit = function(user) {
+  return this.owner.equals(user._id) || user.tenantRole === 'tenant_admin';
+};
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
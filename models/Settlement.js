@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const settlementSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Settlement must belong to a tenant']
+  },
+  // Payer names as recorded in Expense.payments[].user
+  from: {
+    type: String,
+    required: [true, 'Please add who paid'],
+    trim: true
+  },
+  to: {
+    type: String,
+    required: [true, 'Please add who was paid'],
+    trim: true
+  },
+  // Linked accounts, as in Expense.payments[].userId, when the payers have one
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Amount in the tenant base currency
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a settlement date'],
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Expenses this settlement was computed for, when settled per expense set
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ tenantId: 1, date: -1 });
+settlementSchema.index({ tenantId: 1, from: 1 });
+settlementSchema.index({ tenantId: 1, to: 1 });
+settlementSchema.index({ tenantId: 1, expenses: 1 });
+
+settlementSchema.pre('validate', function(next) {
+  // Two accounts may share a name, so linked payers are compared by account
+  const samePerson = this.fromUserId && this.toUserId
+    ? this.fromUserId.equals(this.toUserId)
+    : this.from && this.to && this.from.toLowerCase() === this.to.toLowerCase();
+  if (samePerson) {
+    this.invalidate('to', 'A person cannot settle with themselves');
+  }
+  next();
+});
+
+// Static method to find settlements by tenant
+settlementSchema.statics.findByTenant = function(tenantId, options = {}) {
+  const query = { tenantId };
+
+  if (options.user) query.$or = [{ from: options.user }, { to: options.user }];
+  if (options.expenses) query.expenses = { $in: options.expenses };
+  if (options.dateRange) {
+    query.date = {};
+    if (options.dateRange.start) query.date.$gte = new Date(options.dateRange.start);
+    if (options.dateRange.end) query.date.$lte = new Date(options.dateRange.end);
+  }
+
+  return this.find(query)
+    .populate('createdBy', 'name email')
+    .sort(options.sort || { date: -1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// How long purged records are reported to syncing clients; older cursors need a full sync
+const RETENTION_DAYS = 90;
+
+// Marks a record removed for good (purged from the trash), so offline clients
+// that last synced before the removal drop their copy
+const syncTombstoneSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tombstone must belong to a tenant']
+  },
+  entityType: {
+    type: String,
+    enum: ['expense', 'category'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+syncTombstoneSchema.index({ tenantId: 1, updatedAt: 1, _id: 1 });
+syncTombstoneSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to record removed records of one type
+syncTombstoneSchema.statics.record = function(tenantId, entityType, entityIds) {
+  if (entityIds.length === 0) return Promise.resolve([]);
+  return this.insertMany(entityIds.map(entityId => ({ tenantId, entityType, entityId })));
+};
+
+// Static method to get how many days tombstones are kept
+syncTombstoneSchema.statics.getRetentionDays = function() {
+  return RETENTION_DAYS;
+};
+
+module.exports = mongoose.model('SyncTombstone', syncTombstoneSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const taxCodeSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tax code must belong to a tenant']
+  },
+  // Reference used on payments and in filings, e.g. VAT20 or GST-REDUCED
+  code: {
+    type: String,
+    required: [true, 'Please add a code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Code cannot be more than 30 characters'],
+    match: [/^[A-Z0-9][A-Z0-9._-]*$/, 'Code can only contain letters, digits, dots, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Percentage of the net amount, e.g. 20 for 20% VAT
+  rate: {
+    type: Number,
+    required: [true, 'Please add a tax rate'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  // Whether the tax can be claimed back from the tax authority
+  reclaimable: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Archived codes stay on the payments that used them but cannot be picked anymore
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+taxCodeSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+taxCodeSchema.index({ tenantId: 1, isActive: 1 });
+
+// Static method to find tax codes by tenant
+taxCodeSchema.statics.findByTenant = function(tenantId, { active } = {}) {
+  const query = { tenantId };
+  if (active !== undefined) query.isActive = active;
+
+  return this.find(query).sort({ code: 1 });
+};
+
+module.exports = mongoose.model('TaxCode', taxCodeSchema);
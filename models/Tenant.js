@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const BYTES_PER_MB = 1024 * 1024;
+
 const tenantSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -59,6 +61,21 @@ const tenantSchema = new mongoose.Schema({
       type: Number,
       default: 1024 // MB
     },
+    // Currency every expense is converted to for reporting
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO code'],
+      default: 'USD'
+    },
+    // Days deleted expenses and categories stay restorable before they are purged
+    trashRetentionDays: {
+      type: Number,
+      min: [1, 'Trash retention must be at least 1 day'],
+      max: [365, 'Trash retention cannot exceed 365 days'],
+      default: 30
+    },
   features: [{
   type: String,
   enum: [
@@ -143,10 +160,16 @@ const tenantSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // MB, for comparing with settings.storageLimit; derived from storageBytes
     storageUsed: {
       type: Number,
       default: 0
     },
+    // Exact size of the receipt files the tenant stores
+    storageBytes: {
+      type: Number,
+      default: 0
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -253,6 +276,23 @@ tenantSchema.methods.canAddExpense = function() {
   return this.usage.currentExpenses < this.settings.maxExpenses;
 };
 
+// Instance method to count how many more expenses fit in this month's limit
+tenantSchema.methods.getRemainingMonthlyExpenses = async function() {
+  if (this.settings.maxExpenses === -1) return Infinity; // Unlimited
+
+  const thisMonth = new Date();
+  thisMonth.setDate(1);
+  thisMonth.setHours(0, 0, 0, 0);
+
+  const Expense = mongoose.model('Expense');
+  const monthlyExpenses = await Expense.countDocuments({
+    tenantId: this._id,
+    createdAt: { $gte: thisMonth }
+  });
+
+  return Math.max(0, this.settings.maxExpenses - monthlyExpenses);
+};
+
 tenantSchema.methods.hasStorageSpace = function(additionalMB = 0) {
   return (this.usage.storageUsed + additionalMB) <= this.settings.storageLimit;
 };
@@ -293,4 +333,34 @@ tenantSchema.statics.updateUsage = async function(tenantId, type, increment = 1)
   );
 };
 
+// Static method to add stored bytes (negative to give them back). With
+// enforceLimit an addition that would go over the storage limit is refused and
+// null is returned; the check and the update are one atomic operation.
+tenantSchema.statics.updateStorageUsage = async function(tenantId, bytes, { enforceLimit = false } = {}) {
+  const filter = { _id: tenantId };
+  if (enforceLimit && bytes > 0) {
+    filter.$or = [
+      { 'settings.storageLimit': -1 },
+      {
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$usage.storageBytes', 0] }, bytes] },
+            { $multiply: ['$settings.storageLimit', BYTES_PER_MB] }
+          ]
+        }
+      }
+    ];
+  }
+
+  return this.findOneAndUpdate(filter, [
+    {
+      $set: {
+        'usage.storageBytes': { $max: [0, { $add: [{ $ifNull: ['$usage.storageBytes', 0] }, bytes] }] },
+        'usage.lastUpdated': '$$NOW'
+      }
+    },
+    { $set: { 'usage.storageUsed': { $round: [{ $divide: ['$usage.storageBytes', BYTES_PER_MB] }, 4] } } }
+  ], { new: true });
+};
+
 module.exports = mongoose.model('Tenant', tenantSchema);
\ No newline at end of file
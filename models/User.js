@@ -76,6 +76,12 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'en'
     },
+    // Saved view opened by default on the expense list
+    defaultExpenseView: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavedView',
+      default: null
+    },
     timezone: {
       type: String,
       default: 'UTC'
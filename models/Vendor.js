@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { normalizeVendorName, escapeRegex } = require('../utils/stringUtils');
+
+const vendorSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Vendor must belong to a tenant']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Other spellings seen on receipts and statements, e.g. "AMZN Mktp" for Amazon
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  // Match keys of the name and aliases, kept in sync on validate
+  normalizedName: String,
+  normalizedAliases: [String],
+  // Category used for new expenses of this vendor when none is picked
+  defaultCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  website: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Inactive vendors keep their expenses but are no longer matched
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+vendorSchema.index({ tenantId: 1, normalizedName: 1 }, { unique: true });
+vendorSchema.index({ tenantId: 1, normalizedAliases: 1 });
+
+vendorSchema.pre('validate', function(next) {
+  this.normalizedName = normalizeVendorName(this.name);
+
+  const keys = new Set();
+  this.aliases = (this.aliases || []).filter(alias => {
+    const key = normalizeVendorName(alias);
+    if (!key || key === this.normalizedName || keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  this.normalizedAliases = [...keys];
+
+  next();
+});
+
+vendorSchema.path('name').validate(function() {
+  return Boolean(this.normalizedName);
+}, 'Name must contain letters or digits');
+
+// Static method to find vendors by tenant
+vendorSchema.statics.findByTenant = function(tenantId, { active, search } = {}) {
+  const query = { tenantId };
+  if (active !== undefined) query.isActive = active;
+  if (search) {
+    const key = normalizeVendorName(search);
+    query.$or = [
+      { normalizedName: { $regex: escapeRegex(key) } },
+      { normalizedAliases: key }
+    ];
+  }
+
+  return this.find(query)
+    .populate('defaultCategory', 'name slug')
+    .sort({ name: 1 });
+};
+
+// Instance method to get every match key of the vendor
+vendorSchema.methods.getMatchKeys = function() {
+  return [this.normalizedName, ...(this.normalizedAliases || [])].filter(Boolean);
+};
+
+module.exports = mongoose.model('Vendor', vendorSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Queries that hide soft-deleted documents unless asked otherwise
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct'
+];
+
+// Aggregation stages that must stay first in a pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats'];
+
+const NOT_DELETED = { deletedAt: null };
+
+const mentionsDeletedAt = (filter) => Boolean(filter) &&
+  Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * Soft delete for tenant documents.
+ * Adds deletedAt/deletedBy and hides deleted documents from finds, counts and
+ * aggregations. Queries opt out with .setOptions({ withDeleted: true }) or by
+ * filtering on deletedAt themselves (e.g. { deletedAt: { $ne: null } } for the trash).
+ * Updates are not filtered so bulk maintenance (renames, merges) keeps trashed copies in sync.
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ tenantId: 1, deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted) return;
+    if (mentionsDeletedAt(this.getFilter())) return;
+    this.where(NOT_DELETED);
+  });
+
+  // Merge into the first $match so the tenant index is still used
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first && first.$geoNear) {
+      if (!mentionsDeletedAt(first.$geoNear.query)) {
+        first.$geoNear.query = { ...(first.$geoNear.query || {}), ...NOT_DELETED };
+      }
+      return;
+    }
+
+    const index = first && LEADING_STAGES.some(stage => first[stage]) ? 1 : 0;
+    const stage = pipeline[index];
+
+    if (stage && stage.$match) {
+      if (!mentionsDeletedAt(stage.$match)) {
+        stage.$match = { ...stage.$match, ...NOT_DELETED };
+      }
+      return;
+    }
+
+    pipeline.splice(index, 0, { $match: { ...NOT_DELETED } });
+  });
+
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Static method to find soft-deleted documents of a tenant
+  schema.statics.findDeleted = function(tenantId, filter = {}) {
+    return this.find({ ...filter, tenantId, deletedAt: { $ne: null } });
+  };
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllowanceRates,
+  createAllowanceRate,
+  updateAllowanceRate,
+  deleteAllowanceRate,
+  quoteAllowance
+} = require('../controllers/allowanceRateController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+// Claimants read the rates and preview amounts; only settings managers edit them
+router
+  .route('/')
+  .get(getAllowanceRates)
+  .post(hasPermission('settings', 'update'), createAllowanceRate);
+
+router.post('/quote', quoteAllowance);
+
+router
+  .route('/:id')
+  .put(hasPermission('settings', 'update'), updateAllowanceRate)
+  .delete(hasPermission('settings', 'update'), deleteAllowanceRate);
+
+module.exports = router;
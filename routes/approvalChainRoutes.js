@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApprovalChains,
+  getApprovalChain,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain
+} = require('../controllers/approvalController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router
+  .route('/')
+  .get(hasPermission('settings', 'read'), getApprovalChains)
+  .post(hasPermission('settings', 'update'), createApprovalChain);
+
+router
+  .route('/:id')
+  .get(hasPermission('settings', 'read'), getApprovalChain)
+  .put(hasPermission('settings', 'update'), updateApprovalChain)
+  .delete(hasPermission('settings', 'update'), deleteApprovalChain);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
   createCategory,
   updateCategory,
   deleteCategory,
+  getCategoryTrash,
+  restoreCategory,
   toggleCategoryStatus
 } = require('../controllers/categoryController');
 const { protect, hasPermission } = require('../middleware/auth');
@@ -16,6 +18,9 @@ router.use(protect); // All routes are protected
 // Simple list for dropdowns (must come before /:id)
 router.get('/simple', getSimpleCategories);
 
+// Deleted categories awaiting purge (must come before /:id)
+router.get('/trash', hasPermission('categories', 'read'), getCategoryTrash);
+
 // Base routes
 router
   .route('/')
@@ -24,6 +29,7 @@ router
 
 // Specific action routes (must come BEFORE /:id routes)
 router.put('/:id/toggle-status', hasPermission('categories', 'update'), toggleCategoryStatus);
+router.post('/:id/restore', hasPermission('categories', 'delete'), restoreCategory);
 
 // Generic /:id routes (must come LAST)
 router
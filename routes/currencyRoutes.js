@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCurrencySettings,
+  getExchangeRates,
+  createExchangeRates,
+  importExchangeRates,
+  deleteExchangeRate,
+  updateBaseCurrency,
+  recalculateExpenses
+} = require('../controllers/currencyController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+const importUpload = require('../config/importUpload');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router.get('/', getCurrencySettings);
+router.put('/base', hasPermission('settings', 'update'), updateBaseCurrency);
+router.post('/recalculate', hasPermission('settings', 'update'), recalculateExpenses);
+
+router
+  .route('/rates')
+  .get(getExchangeRates)
+  .post(hasPermission('settings', 'update'), createExchangeRates);
+
+router.post(
+  '/rates/import',
+  hasPermission('settings', 'update'),
+  importUpload.single('file'),
+  importExchangeRates
+);
+
+router.delete('/rates/:id', hasPermission('settings', 'update'), deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExpenseReports,
+  getPendingExpenseReports,
+  getExpenseReport,
+  createExpenseReport,
+  updateExpenseReport,
+  deleteExpenseReport,
+  addReportExpenses,
+  removeReportExpense,
+  submitExpenseReport,
+  approveExpenseReport,
+  rejectExpenseReport,
+  getExpenseReportSummary
+} = require('../controllers/expenseReportController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getExpenseReports)
+  .post(hasPermission('expenses', 'create'), createExpenseReport);
+
+router.get('/pending', hasPermission('expenses', 'read'), getPendingExpenseReports);
+
+router
+  .route('/:id')
+  .get(hasPermission('expenses', 'read'), getExpenseReport)
+  .put(hasPermission('expenses', 'update'), updateExpenseReport)
+  .delete(hasPermission('expenses', 'delete'), deleteExpenseReport);
+
+router.get('/:id/summary', hasPermission('expenses', 'read'), getExpenseReportSummary);
+
+router.post('/:id/expenses', hasPermission('expenses', 'update'), addReportExpenses);
+router.delete('/:id/expenses/:expenseId', hasPermission('expenses', 'update'), removeReportExpense);
+
+// Approvers are checked per step, like single expense approvals
+router.post('/:id/submit', hasPermission('expenses', 'update'), submitExpenseReport);
+router.post('/:id/approve', approveExpenseReport);
+router.post('/:id/reject', rejectExpenseReport);
+
+module.exports = router;
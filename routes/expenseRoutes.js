@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const {
   getExpenses,
+  searchExpenses,
+  getNearbyExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
+  getExpenseTrash,
+  restoreExpense,
   getExpenseStatistics,
   getExpenseUsers,
   getExpenseSummary,
@@ -16,38 +20,148 @@ const {
 const {
   getExpenseAnalytics,
   getRecentActivity,
-  getDashboardStats
+  getDashboardStats,
+  getSpendByRegion,
+  getSpendByProject,
+  getTaxSummary
 } = require('../controllers/expenseAnalyticsController');
+const {
+  submitExpense,
+  approveExpense,
+  rejectExpense,
+  getPendingApprovals
+} = require('../controllers/approvalController');
+const { importExpenses } = require('../controllers/expenseImportController');
+const { bulkExpenses } = require('../controllers/expenseBulkController');
+const {
+  getRevisions,
+  compareRevisions,
+  getRevision,
+  restoreRevision
+} = require('../controllers/expenseRevisionController');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { getDuplicateQueue, resolveDuplicate } = require('../controllers/duplicateController');
+const { checkExpensePolicy } = require('../controllers/policyController');
+const {
+  getViews,
+  getDefaultView,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  pinDefaultView,
+  unpinDefaultView,
+  runView
+} = require('../controllers/savedViewController');
 const { protect } = require('../middleware/auth');
-const { checkSubscriptionLimits } = require('../middleware/subscription');
+const { checkSubscriptionLimits, requireFeature } = require('../middleware/subscription');
 const upload = require('../config/upload');
+const importUpload = require('../config/importUpload');
 
 router.use(protect); // All routes are protected
 
 // Analytics routes
 router.get('/analytics', getExpenseAnalytics);
+router.get('/analytics/regions', getSpendByRegion);
+router.get('/analytics/projects', getSpendByProject);
+router.get('/analytics/tax', getTaxSummary);
 router.get('/recent-activity', getRecentActivity);
 router.get('/dashboard-stats', getDashboardStats);
 
+router.get('/search', searchExpenses);
+router.get('/nearby', getNearbyExpenses);
 router.get('/statistics', getExpenseStatistics);
 router.get('/users', getExpenseUsers);
 router.get('/summary', getExpenseSummary);
 
+// Deleted expenses awaiting purge
+router.get('/trash', getExpenseTrash);
+
+// Saved views (default must come before :viewId)
+router
+  .route('/views')
+  .get(getViews)
+  .post(createView);
+router
+  .route('/views/default')
+  .get(getDefaultView)
+  .delete(unpinDefaultView);
+router
+  .route('/views/:viewId')
+  .get(getView)
+  .put(updateView)
+  .delete(deleteView);
+router.put('/views/:viewId/default', pinDefaultView);
+router.get('/views/:viewId/expenses', runView);
+
+// Evaluate a draft against the tenant expense policies
+router.post('/policy-check', checkExpensePolicy);
+
+// Possible duplicates awaiting review
+router.get('/duplicates', getDuplicateQueue);
+
+// Approval queue for the current user
+router.get('/approvals/pending', getPendingApprovals);
+
+// Bulk import from CSV/XLSX
+router.post(
+  '/import',
+  requireFeature('bulk_import'),
+  checkSubscriptionLimits('expenses'),
+  importUpload.single('file'),
+  importExpenses
+);
+
+// Bulk actions and export; role permissions are checked per action
+router.post('/bulk', bulkExpenses);
+
 router
   .route('/')
   .get(getExpenses)
   .post(
     checkSubscriptionLimits('expenses'), // ADD subscription check
     upload.any(), 
+    checkSubscriptionLimits('storage'),
     createExpense
   );
 
 router
   .route('/:id')
   .get(getExpense)
-  .put(upload.any(), updateExpense)
+  .put(upload.any(), checkSubscriptionLimits('storage'), updateExpense)
   .delete(deleteExpense);
 
+// Restore from trash
+router.post('/:id/restore', restoreExpense);
+
+router.post('/:id/duplicates/resolve', resolveDuplicate);
+
+// Revision history (diff must come before :rev)
+router.get('/:id/revisions', getRevisions);
+router.get('/:id/revisions/diff', compareRevisions);
+router.get('/:id/revisions/:rev', getRevision);
+router.post('/:id/revisions/:rev/restore', restoreRevision);
+
+// Comment threads
+router
+  .route('/:id/comments')
+  .get(getComments)
+  .post(addComment);
+router
+  .route('/:id/comments/:commentId')
+  .put(updateComment)
+  .delete(deleteComment);
+
+// Approval workflow routes
+router.post('/:id/submit', submitExpense);
+router.post('/:id/approve', approveExpense);
+router.post('/:id/reject', rejectExpense);
+
 // File routes
 router.get('/:id/files/:paymentIndex', downloadFile);
 router.get('/:id/files/:paymentIndex/info', getFileInfo);
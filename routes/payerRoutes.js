@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPayers,
+  getPayerReview,
+  mergePayers,
+  autoLinkPayers
+} = require('../controllers/payerController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router.get('/', hasPermission('expenses', 'read'), getPayers);
+router.get('/review', hasPermission('users', 'update'), getPayerReview);
+router.post('/merge', hasPermission('users', 'update'), mergePayers);
+router.post('/auto-link', hasPermission('users', 'update'), autoLinkPayers);
+
+module.exports = router;
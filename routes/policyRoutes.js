@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/policyController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router
+  .route('/')
+  .get(hasPermission('settings', 'read'), getPolicies)
+  .post(hasPermission('settings', 'update'), createPolicy);
+
+router
+  .route('/:id')
+  .get(hasPermission('settings', 'read'), getPolicy)
+  .put(hasPermission('settings', 'update'), updatePolicy)
+  .delete(hasPermission('settings', 'update'), deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+// Everyone who files expenses picks projects; only settings managers edit them
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getProjects)
+  .post(hasPermission('settings', 'update'), createProject);
+
+router
+  .route('/:id')
+  .get(hasPermission('expenses', 'read'), getProject)
+  .put(hasPermission('settings', 'update'), updateProject)
+  .delete(hasPermission('settings', 'update'), deleteProject);
+
+module.exports = router;
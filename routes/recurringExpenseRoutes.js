@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRecurringExpenses,
+  getRecurringExpense,
+  createRecurringExpense,
+  updateRecurringExpense,
+  deleteRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringExpenseRun
+} = require('../controllers/recurringExpenseController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getRecurringExpenses)
+  .post(hasPermission('expenses', 'create'), createRecurringExpense);
+
+// Specific action routes (must come BEFORE /:id routes)
+router.put('/:id/pause', hasPermission('expenses', 'update'), pauseRecurringExpense);
+router.put('/:id/resume', hasPermission('expenses', 'update'), resumeRecurringExpense);
+router.put('/:id/skip', hasPermission('expenses', 'update'), skipRecurringExpenseRun);
+
+router
+  .route('/:id')
+  .get(hasPermission('expenses', 'read'), getRecurringExpense)
+  .put(hasPermission('expenses', 'update'), updateRecurringExpense)
+  .delete(hasPermission('expenses', 'delete'), deleteRecurringExpense);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBalances,
+  getSettlements,
+  createSettlement,
+  settleBalances,
+  deleteSettlement
+} = require('../controllers/settlementController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+// Specific routes (must come BEFORE /:id routes)
+router.get('/balances', hasPermission('expenses', 'read'), getBalances);
+router.post('/settle', hasPermission('expenses', 'create'), settleBalances);
+
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getSettlements)
+  .post(hasPermission('expenses', 'create'), createSettlement);
+
+router.delete('/:id', hasPermission('expenses', 'delete'), deleteSettlement);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { protect } = require('../middleware/auth');
 const { injectTenantContext } = require('../middleware/tenant');
 const User = require('../models/User');
 const Expense = require('../models/Expense');
+const StorageUsageService = require('../services/storageUsageService');
 
 // Get current usage stats
 router.get('/usage', protect, injectTenantContext, async (req, res) => {
@@ -32,6 +33,7 @@ router.get('/usage', protect, injectTenantContext, async (req, res) => {
     });
     
     const storageUsed = tenant.usage?.storageUsed || 0;
+    const storageBreakdown = await StorageUsageService.getBreakdown(tenant._id);
     
     res.json({
       success: true,
@@ -52,7 +54,14 @@ router.get('/usage', protect, injectTenantContext, async (req, res) => {
           current: storageUsed,
           limit: tenant.settings.storageLimit,
           percentage: tenant.settings.storageLimit === -1 ? 0 : 
-            Math.round((storageUsed / tenant.settings.storageLimit) * 100)
+            Math.round((storageUsed / tenant.settings.storageLimit) * 100),
+          // Bytes per payment user and per category; receipts only kept by the
+          // revision history are in history
+          bytes: tenant.usage?.storageBytes || 0,
+          byUser: storageBreakdown.byUser,
+          byCategory: storageBreakdown.byCategory,
+          trash: storageBreakdown.trash,
+          history: storageBreakdown.history
         }
       }
     });
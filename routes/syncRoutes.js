@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSyncChanges,
+  pushSyncChanges
+} = require('../controllers/syncController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+const { requireFeature } = require('../middleware/subscription');
+const { idempotent } = require('../middleware/idempotency');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+router.use(requireFeature('mobile_app'));
+
+router.get('/changes', hasPermission('expenses', 'read'), getSyncChanges);
+
+// Each change is checked against the create, update or delete permission it needs
+router.post('/push', idempotent({ required: true }), pushSyncChanges);
+
+module.exports = router;
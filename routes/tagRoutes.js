@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTags,
+  getTagAnalytics,
+  bulkTagExpenses,
+  mergeTags,
+  renameTag,
+  deleteTag
+} = require('../controllers/tagController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+router.get('/', hasPermission('expenses', 'read'), getTags);
+router.get('/analytics', hasPermission('expenses', 'read'), getTagAnalytics);
+router.post('/bulk', hasPermission('expenses', 'update'), bulkTagExpenses);
+
+// Tenant-wide changes
+router.post('/merge', hasPermission('expenses', 'manage'), mergeTags);
+router
+  .route('/:tag')
+  .put(hasPermission('expenses', 'manage'), renameTag)
+  .delete(hasPermission('expenses', 'manage'), deleteTag);
+
+module.exports = router;
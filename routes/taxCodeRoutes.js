@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxCodes,
+  getTaxCode,
+  createTaxCode,
+  updateTaxCode,
+  deleteTaxCode
+} = require('../controllers/taxCodeController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+// Everyone who files expenses picks tax codes; only settings managers edit them
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getTaxCodes)
+  .post(hasPermission('settings', 'update'), createTaxCode);
+
+router
+  .route('/:id')
+  .get(hasPermission('expenses', 'read'), getTaxCode)
+  .put(hasPermission('settings', 'update'), updateTaxCode)
+  .delete(hasPermission('settings', 'update'), deleteTaxCode);
+
+module.exports = router;
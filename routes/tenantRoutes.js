@@ -4,6 +4,7 @@ const router = express.Router();
 const {
   getTenantProfile,
   updateTenantSettings,
+  updateTrashRetention,
   getTenantDashboardStats,
   getSubscriptionInfo,
   requestPlanUpgrade,
@@ -33,6 +34,10 @@ router.put('/settings',
   logTenantActivity('update_settings'),
   updateTenantSettings
 );
+router.put('/settings/trash-retention',
+  hasPermission('settings', 'manage'),
+  updateTrashRetention
+);
 
 // Dashboard and analytics
 router.get('/dashboard-stats', getTenantDashboardStats);
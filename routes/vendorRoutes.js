@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVendors,
+  getVendorReview,
+  getVendor,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  mergeVendors
+} = require('../controllers/vendorController');
+const { protect, hasPermission } = require('../middleware/auth');
+const { requireTenant } = require('../middleware/tenant');
+
+router.use(protect); // All routes are protected
+router.use(requireTenant);
+
+// Everyone who files expenses picks vendors; only settings managers curate the directory
+router
+  .route('/')
+  .get(hasPermission('expenses', 'read'), getVendors)
+  .post(hasPermission('settings', 'update'), createVendor);
+
+router.get('/review', hasPermission('settings', 'update'), getVendorReview);
+router.post('/merge', hasPermission('settings', 'update'), mergeVendors);
+
+router
+  .route('/:id')
+  .get(hasPermission('expenses', 'read'), getVendor)
+  .put(hasPermission('settings', 'update'), updateVendor)
+  .delete(hasPermission('settings', 'update'), deleteVendor);
+
+module.exports = router;
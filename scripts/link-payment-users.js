@@ -0,0 +1,90 @@
+/**
+ * Payment User Linking Script
+ * Fuzzy-matches free-text payer names on existing expenses to tenant users
+ * and links the confident matches. Ambiguous names are only reported; review
+ * them with GET /api/payers/review and merge with POST /api/payers/merge.
+ *
+ * Run with: node scripts/link-payment-users.js [--apply] [--tenant=<slug>]
+ * Without --apply nothing is written.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Tenant = require('../models/Tenant');
+const PayerMatchingService = require('../services/payerMatchingService');
+
+async function connectDB() {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/admin_dashboard'
+    );
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    process.exit(1);
+  }
+}
+
+async function linkPaymentUsers({ apply = false, tenantSlug = null } = {}) {
+  const query = tenantSlug ? { slug: tenantSlug } : {};
+  const tenants = await Tenant.find(query).select('name slug');
+
+  console.log(`\n🔗 ${apply ? 'Linking' : 'Dry run for'} payer names in ${tenants.length} tenant(s)...`);
+
+  const totals = { linked: 0, ambiguous: 0, unmatched: 0 };
+
+  for (const tenant of tenants) {
+    const result = await PayerMatchingService.autoLink(tenant._id, { dryRun: !apply });
+
+    console.log(`\n🏢 ${tenant.name} (${tenant.slug})`);
+    result.linked.forEach(match => {
+      console.log(`   ✅ "${match.name}" → ${match.user}`);
+    });
+    result.ambiguous.forEach(match => {
+      const candidates = match.candidates.map(c => `${c.name} (${c.score})`).join(', ');
+      console.log(`   ⚠️  "${match.name}" is ambiguous: ${candidates}`);
+    });
+    console.log(`   ℹ️  ${result.unmatched} name(s) without a matching user`);
+
+    totals.linked += result.linked.length;
+    totals.ambiguous += result.ambiguous.length;
+    totals.unmatched += result.unmatched;
+  }
+
+  console.log('\n📊 Summary:', totals);
+  if (!apply) {
+    console.log('   Nothing was written. Re-run with --apply to link the matches above.');
+  }
+
+  return totals;
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const tenantArg = args.find(arg => arg.startsWith('--tenant='));
+
+  try {
+    await connectDB();
+    await linkPaymentUsers({
+      apply,
+      tenantSlug: tenantArg ? tenantArg.split('=')[1] : null
+    });
+  } catch (error) {
+    console.error('❌ Linking failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n📡 Database connection closed');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  linkPaymentUsers
+};
@@ -0,0 +1,124 @@
+/**
+ * Expense Location Migration Script
+ * Copies the latitude/longitude pairs stored on existing expenses into the
+ * GeoJSON point used by the near/within filters and the spend-by-region
+ * analytics, then builds the 2dsphere index. Coordinates that are missing a
+ * half or out of range are only reported; fix them through PUT /api/expenses/:id.
+ *
+ * Run with: node scripts/migrate-expense-locations.js [--apply]
+ * Without --apply nothing is written.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Expense = require('../models/Expense');
+
+async function connectDB() {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/admin_dashboard'
+    );
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    process.exit(1);
+  }
+}
+
+const LATITUDE = 'metadata.location.coordinates.latitude';
+const LONGITUDE = 'metadata.location.coordinates.longitude';
+
+// Expenses with usable coordinates but no point yet
+const MIGRATABLE = {
+  [LATITUDE]: { $type: 'number', $gte: -90, $lte: 90 },
+  [LONGITUDE]: { $type: 'number', $gte: -180, $lte: 180 },
+  'metadata.location.point': { $exists: false }
+};
+
+// Expenses with coordinates that cannot become a point
+const INVALID = {
+  $and: [
+    { $or: [{ [LATITUDE]: { $exists: true } }, { [LONGITUDE]: { $exists: true } }] },
+    {
+      $or: [
+        { [LATITUDE]: { $not: { $type: 'number', $gte: -90, $lte: 90 } } },
+        { [LONGITUDE]: { $not: { $type: 'number', $gte: -180, $lte: 180 } } }
+      ]
+    }
+  ]
+};
+
+async function migrateExpenseLocations({ apply = false } = {}) {
+  console.log(`\n📍 ${apply ? 'Migrating' : 'Dry run for'} expense locations...`);
+
+  // Trashed expenses are included so a restore brings back a usable location
+  const [migratable, invalid] = await Promise.all([
+    Expense.countDocuments(MIGRATABLE).setOptions({ withDeleted: true }),
+    Expense.find(INVALID)
+      .setOptions({ withDeleted: true })
+      .select('title tenantId metadata.location')
+      .lean()
+  ]);
+
+  console.log(`   ℹ️  ${migratable} expense(s) to migrate`);
+  invalid.forEach(expense => {
+    const { latitude, longitude } = expense.metadata.location.coordinates || {};
+    console.log(`   ⚠️  ${expense._id} "${expense.title}" has invalid coordinates (${latitude}, ${longitude})`);
+  });
+
+  let migrated = 0;
+  if (apply && migratable > 0) {
+    // Pipeline update so each point is built from the document's own coordinates
+    const result = await Expense.updateMany(MIGRATABLE, [
+      {
+        $set: {
+          'metadata.location.point': {
+            type: 'Point',
+            coordinates: [`$${LONGITUDE}`, `$${LATITUDE}`]
+          }
+        }
+      }
+    ]);
+    migrated = result.modifiedCount;
+    console.log(`   ✅ ${migrated} expense(s) migrated`);
+  }
+
+  if (apply) {
+    await Expense.createIndexes();
+    console.log('   ✅ Location index ready');
+  }
+
+  const totals = { migratable, migrated, invalid: invalid.length };
+
+  console.log('\n📊 Summary:', totals);
+  if (!apply) {
+    console.log('   Nothing was written. Re-run with --apply to migrate the expenses above.');
+  }
+
+  return totals;
+}
+
+async function run() {
+  const apply = process.argv.slice(2).includes('--apply');
+
+  try {
+    await connectDB();
+    await migrateExpenseLocations({ apply });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n📡 Database connection closed');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  migrateExpenseLocations
+};
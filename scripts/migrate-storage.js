@@ -0,0 +1,222 @@
+/**
+ * Receipt Storage Migration Script
+ * Copies receipt files to another storage backend and points payments.file.path
+ * at the new key, in expenses (trashed ones included) and in the revision
+ * snapshots that reference the same file. Files also move under their tenant's
+ * prefix, so running it with the current backend as target moves files
+ * uploaded before tenant prefixes existed. Running it again only picks up
+ * files that are not in place yet.
+ *
+ * Run with: node scripts/migrate-storage.js [--to local|s3] [--apply] [--delete-source]
+ * The target defaults to STORAGE_DRIVER. Without --apply nothing is written.
+ * With --delete-source the original file is removed once nothing points to it.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const StorageService = require('../services/storageService');
+const storageConfig = require('../config/storage');
+
+async function connectDB() {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/admin_dashboard'
+    );
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    process.exit(1);
+  }
+}
+
+const sourceOf = (file) => file.storage || 'local';
+
+// Every stored file once, with the tenant it belongs to
+async function collectFiles() {
+  const files = new Map();
+  const add = (tenantId, file) => {
+    if (!file?.path) return;
+    const id = `${sourceOf(file)}:${file.path}`;
+    if (!files.has(id)) files.set(id, { tenantId, file });
+  };
+
+  const expenses = Expense.find({ 'payments.file.path': { $type: 'string' } })
+    .setOptions({ withDeleted: true })
+    .select('tenantId payments.file')
+    .lean()
+    .cursor();
+  for await (const expense of expenses) {
+    expense.payments.forEach(payment => add(expense.tenantId, payment.file));
+  }
+
+  // Receipts replaced in earlier edits are only referenced by revisions
+  const revisions = ExpenseRevision.find({ 'snapshot.payments.file.path': { $type: 'string' } })
+    .select('tenantId snapshot.payments.file')
+    .lean()
+    .cursor();
+  for await (const revision of revisions) {
+    (revision.snapshot.payments || []).forEach(payment => add(revision.tenantId, payment.file));
+  }
+
+  return [...files.values()];
+}
+
+// Make sure the target accepts writes before anything is copied
+async function checkTarget(target) {
+  const probe = { storage: target, path: `.storage-check-${Date.now()}` };
+  await StorageService.save(probe.path, Buffer.from('ok'), { driver: target });
+  const stats = await StorageService.stat(probe);
+  await StorageService.getDriver(target).remove(probe.path);
+  if (!stats || stats.size !== 2) {
+    throw new Error(`Could not read back a test file from the ${target} storage`);
+  }
+  console.log(`   ✅ ${target} storage is writable`);
+}
+
+// Point expenses and revision snapshots from the old file to the new one. The
+// file is the same, so updatedAt is left alone and sync clients see no change.
+async function rewriteReferences({ tenantId, file }, stored) {
+  const matchesFile = {
+    'p.file.path': file.path,
+    'p.file.storage': sourceOf(file) === 'local' ? { $in: [null, 'local'] } : sourceOf(file)
+  };
+
+  const expenses = await Expense.updateMany(
+    { tenantId, 'payments.file.path': file.path },
+    { $set: { 'payments.$[p].file.path': stored.path, 'payments.$[p].file.storage': stored.storage } },
+    { arrayFilters: [matchesFile], timestamps: false }
+  );
+  const revisions = await ExpenseRevision.updateMany(
+    { tenantId, 'snapshot.payments.file.path': file.path },
+    { $set: { 'snapshot.payments.$[p].file.path': stored.path, 'snapshot.payments.$[p].file.storage': stored.storage } },
+    { arrayFilters: [matchesFile], timestamps: false }
+  );
+
+  return { expenses: expenses.modifiedCount, revisions: revisions.modifiedCount };
+}
+
+async function migrateFile(entry, target, { deleteSource }) {
+  const { tenantId, file } = entry;
+  const stored = { storage: target, path: StorageService.keyFor(tenantId, path.basename(file.path)) };
+
+  const source = await StorageService.stat(file);
+  if (!source) {
+    console.log(`   ⚠️  Missing ${sourceOf(file)} file ${file.path}`);
+    return { status: 'missing' };
+  }
+
+  // A copy left by an interrupted run is reused; anything else at the key is not overwritten
+  const existing = await StorageService.stat(stored);
+  if (existing && existing.size !== source.size) {
+    console.log(`   ⚠️  ${target}:${stored.path} already exists with other content, ${file.path} skipped`);
+    return { status: 'conflict' };
+  }
+  if (!existing) {
+    const body = await StorageService.read(file);
+    await StorageService.save(stored.path, body, { contentType: file.mimetype, driver: target });
+    const copy = await StorageService.stat(stored);
+    if (!copy || copy.size !== body.length) {
+      throw new Error(`Copy of ${file.path} to ${target}:${stored.path} is incomplete`);
+    }
+  }
+
+  const updated = await rewriteReferences(entry, stored);
+  if (deleteSource) {
+    await StorageService.remove(file);
+  }
+
+  return { status: 'moved', ...updated };
+}
+
+async function migrateStorage({ to = storageConfig.driver, apply = false, deleteSource = false } = {}) {
+  if (!StorageService.getDriverNames().includes(to)) {
+    throw new Error(`Unknown target "${to}". Use one of: ${StorageService.getDriverNames().join(', ')}`);
+  }
+
+  console.log(`\n📦 ${apply ? 'Migrating' : 'Dry run for migrating'} receipt files to ${to} storage...`);
+
+  const files = await collectFiles();
+  const pending = files.filter(({ tenantId, file }) =>
+    sourceOf(file) !== to || file.path !== StorageService.keyFor(tenantId, path.basename(file.path))
+  );
+
+  const bySource = pending.reduce((acc, { file }) => {
+    acc[sourceOf(file)] = (acc[sourceOf(file)] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(`   ℹ️  ${files.length} file(s) referenced, ${pending.length} to migrate`, bySource);
+
+  const totals = {
+    files: files.length,
+    pending: pending.length,
+    moved: 0,
+    missing: 0,
+    conflicts: 0,
+    expensesUpdated: 0,
+    revisionsUpdated: 0
+  };
+
+  if (apply && pending.length > 0) {
+    await checkTarget(to);
+
+    for (const entry of pending) {
+      const result = await migrateFile(entry, to, { deleteSource });
+      if (result.status === 'missing') totals.missing++;
+      if (result.status === 'conflict') totals.conflicts++;
+      if (result.status === 'moved') {
+        totals.moved++;
+        totals.expensesUpdated += result.expenses;
+        totals.revisionsUpdated += result.revisions;
+      }
+    }
+    console.log(`   ✅ ${totals.moved} file(s) migrated`);
+  }
+
+  console.log('\n📊 Summary:', totals);
+  if (!apply) {
+    console.log('   Nothing was written. Re-run with --apply to migrate the files above.');
+  }
+
+  return totals;
+}
+
+function parseArgs(args) {
+  const toIndex = args.findIndex(arg => arg === '--to' || arg.startsWith('--to='));
+  const to = toIndex === -1
+    ? undefined
+    : args[toIndex].includes('=') ? args[toIndex].split('=')[1] : args[toIndex + 1];
+
+  return {
+    ...(to && { to }),
+    apply: args.includes('--apply'),
+    deleteSource: args.includes('--delete-source')
+  };
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    await connectDB();
+    await migrateStorage(options);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n📡 Database connection closed');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  migrateStorage
+};
@@ -0,0 +1,71 @@
+/**
+ * Search Index Rebuild Script
+ * MongoDB allows one text index per collection, so a changed text index
+ * definition is not picked up automatically. This drops outdated text indexes
+ * on expenses and expense comments and creates the ones defined in the models.
+ *
+ * Run with: node scripts/rebuild-search-indexes.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Expense = require('../models/Expense');
+const ExpenseComment = require('../models/ExpenseComment');
+
+async function connectDB() {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/admin_dashboard'
+    );
+    console.log('✅ MongoDB Connected');
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    process.exit(1);
+  }
+}
+
+// Text indexes carry an _fts key; keep only the one the model defines
+async function rebuildTextIndex(Model) {
+  const collection = Model.collection;
+  const [, options] = Model.schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+
+  const indexes = await collection.indexes().catch(() => []);
+  for (const index of indexes) {
+    if (index.key._fts && index.name !== options.name) {
+      await collection.dropIndex(index.name);
+      console.log(`   🗑️  Dropped ${collection.collectionName}.${index.name}`);
+    }
+  }
+
+  await Model.createIndexes();
+  console.log(`   ✅ ${collection.collectionName}.${options.name} is up to date`);
+}
+
+async function rebuildSearchIndexes() {
+  console.log('\n🔎 Rebuilding search indexes...');
+  await rebuildTextIndex(Expense);
+  await rebuildTextIndex(ExpenseComment);
+}
+
+async function run() {
+  try {
+    await connectDB();
+    await rebuildSearchIndexes();
+  } catch (error) {
+    console.error('❌ Rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n📡 Database connection closed');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  rebuildSearchIndexes
+};
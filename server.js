@@ -1,12 +1,12 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const cookieParser = require('cookie-parser');
 const mongoose = require('mongoose');
 const connectDB = require('./config/database');
 const { createUploadsDir } = require('./utils/fileUtils');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const SchedulerService = require('./services/schedulerService');
 
 // MULTI-TENANT MIDDLEWARE
 // const {  injectTenantContext, autoInjectTenantId } = require('./middleware/tenant');
@@ -54,6 +54,7 @@ app.use(cors({
     'Authorization', 
     'X-Requested-With', 
     'Accept',
+    'Idempotency-Key',
     'X-Tenant-ID',  // â¬…ï¸ ADD THIS
     'x-tenant-id'   // â¬…ï¸ ADD THIS (lowercase version)
   ]
@@ -65,7 +66,7 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 app.use(cookieParser());
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Receipts are not served statically: downloads go through the authenticated expense routes
 
 // ============================================
 // HEALTH CHECK (No authentication required)
@@ -123,6 +124,19 @@ const roleRoutes = require('./routes/roleRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const activityRoutes = require('./routes/activityRoutes');
+const approvalChainRoutes = require('./routes/approvalChainRoutes');
+const policyRoutes = require('./routes/policyRoutes');
+const allowanceRateRoutes = require('./routes/allowanceRateRoutes');
+const expenseReportRoutes = require('./routes/expenseReportRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const vendorRoutes = require('./routes/vendorRoutes');
+const taxCodeRoutes = require('./routes/taxCodeRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const recurringExpenseRoutes = require('./routes/recurringExpenseRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const settlementRoutes = require('./routes/settlementRoutes');
+const payerRoutes = require('./routes/payerRoutes');
+const tagRoutes = require('./routes/tagRoutes');
 const seedRoutes = require('./routes/seedRoutes');
 
 // Auth routes with validation
@@ -167,6 +181,97 @@ if (activityRoutes && typeof activityRoutes === 'function') {
   console.error('âŒ Activity routes not loaded properly');
 }
 
+// Approval chain routes with validation
+if (approvalChainRoutes && typeof approvalChainRoutes === 'function') {
+  app.use('/api/approval-chains', approvalChainRoutes);
+} else {
+  console.error('âŒ Approval chain routes not loaded properly');
+}
+
+// Expense policy routes with validation
+if (policyRoutes && typeof policyRoutes === 'function') {
+  app.use('/api/policies', policyRoutes);
+} else {
+  console.error('âŒ Policy routes not loaded properly');
+}
+
+// Mileage and per diem rate routes with validation
+if (allowanceRateRoutes && typeof allowanceRateRoutes === 'function') {
+  app.use('/api/allowance-rates', allowanceRateRoutes);
+} else {
+  console.error('âŒ Allowance rate routes not loaded properly');
+}
+
+// Expense report routes with validation
+if (expenseReportRoutes && typeof expenseReportRoutes === 'function') {
+  app.use('/api/expense-reports', expenseReportRoutes);
+} else {
+  console.error('âŒ Expense report routes not loaded properly');
+}
+
+// Project and cost center routes with validation
+if (projectRoutes && typeof projectRoutes === 'function') {
+  app.use('/api/projects', projectRoutes);
+} else {
+  console.error('âŒ Project routes not loaded properly');
+}
+
+// Vendor directory routes with validation
+if (vendorRoutes && typeof vendorRoutes === 'function') {
+  app.use('/api/vendors', vendorRoutes);
+} else {
+  console.error('âŒ Vendor routes not loaded properly');
+}
+
+// Tax code routes with validation
+if (taxCodeRoutes && typeof taxCodeRoutes === 'function') {
+  app.use('/api/tax-codes', taxCodeRoutes);
+} else {
+  console.error('âŒ Tax code routes not loaded properly');
+}
+
+// Mobile sync routes with validation
+if (syncRoutes && typeof syncRoutes === 'function') {
+  app.use('/api/sync', syncRoutes);
+} else {
+  console.error('âŒ Sync routes not loaded properly');
+}
+
+// Recurring expense routes with validation
+if (recurringExpenseRoutes && typeof recurringExpenseRoutes === 'function') {
+  app.use('/api/recurring-expenses', recurringExpenseRoutes);
+} else {
+  console.error('âŒ Recurring expense routes not loaded properly');
+}
+
+// Currency and exchange rate routes with validation
+if (currencyRoutes && typeof currencyRoutes === 'function') {
+  app.use('/api/currencies', currencyRoutes);
+} else {
+  console.error('âŒ Currency routes not loaded properly');
+}
+
+// Settlement routes with validation
+if (settlementRoutes && typeof settlementRoutes === 'function') {
+  app.use('/api/settlements', settlementRoutes);
+} else {
+  console.error('âŒ Settlement routes not loaded properly');
+}
+
+// Payer review routes with validation
+if (payerRoutes && typeof payerRoutes === 'function') {
+  app.use('/api/payers', payerRoutes);
+} else {
+  console.error('âŒ Payer routes not loaded properly');
+}
+
+// Tag routes with validation
+if (tagRoutes && typeof tagRoutes === 'function') {
+  app.use('/api/tags', tagRoutes);
+} else {
+  console.error('âŒ Tag routes not loaded properly');
+}
+
 // Seed routes (for development)
 if (seedRoutes && typeof seedRoutes === 'function') {
   app.use('/api', seedRoutes);
@@ -305,6 +410,19 @@ app.get("/", (req, res) => {
         '/api/categories',
         '/api/expenses',
         '/api/activities',
+        '/api/approval-chains',
+        '/api/policies',
+        '/api/allowance-rates',
+        '/api/expense-reports',
+        '/api/projects',
+        '/api/vendors',
+        '/api/tax-codes',
+        '/api/sync',
+        '/api/recurring-expenses',
+        '/api/currencies',
+        '/api/settlements',
+        '/api/payers',
+        '/api/tags',
         '/api/subscription'
       ]
     });
@@ -343,6 +461,9 @@ const startServer = async () => {
     const SuperAdmin = require('./models/SuperAdmin');
     await SuperAdmin.createDefaultAdmin();
     
+    // Start background jobs (recurring expenses, ...)
+    SchedulerService.start();
+    
     // Start Express server
     app.listen(PORT, () => {
       console.log('\nðŸš€ Multi-Tenant Expense Management API');
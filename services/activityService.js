@@ -10,6 +10,7 @@ class ActivityService {
     entityName,
     performedBy,
     tenantId = null, // NEW: Tenant context
+    recipient = null, // Personal notification for one user
     oldData = null,
     newData = null,
     changes = [],
@@ -28,6 +29,7 @@ class ActivityService {
         entityName,
         performedBy,
         tenantId, // NEW: Include tenant ID
+        recipient,
         metadata: {
           oldData,
           newData,
@@ -54,11 +56,41 @@ class ActivityService {
       'category_created': `New Category: ${entityName}`,
       'category_updated': `Category Updated: ${entityName}`,
       'category_deleted': `Category Deleted: ${entityName}`,
+      'category_restored': `Category Restored: ${entityName}`,
       'expense_created': `New Expense: ${entityName}`,
       'expense_updated': `Expense Updated: ${entityName}`,
       'expense_deleted': `Expense Deleted: ${entityName}`,
+      'expense_restored': `Expense Restored: ${entityName}`,
       'expense_approved': `Expense Approved: ${entityName}`,
       'expense_rejected': `Expense Rejected: ${entityName}`,
+      'expense_submitted': `Expense Submitted: ${entityName}`,
+      'report_created': `New Expense Report: ${entityName}`,
+      'report_updated': `Expense Report Updated: ${entityName}`,
+      'report_deleted': `Expense Report Deleted: ${entityName}`,
+      'report_submitted': `Expense Report Submitted: ${entityName}`,
+      'report_approved': `Expense Report Approved: ${entityName}`,
+      'report_rejected': `Expense Report Rejected: ${entityName}`,
+      'project_created': `New Project: ${entityName}`,
+      'project_updated': `Project Updated: ${entityName}`,
+      'project_deleted': `Project Deleted: ${entityName}`,
+      'vendor_created': `New Vendor: ${entityName}`,
+      'vendor_updated': `Vendor Updated: ${entityName}`,
+      'vendor_deleted': `Vendor Deleted: ${entityName}`,
+      'vendor_merged': `Vendors Merged: ${entityName}`,
+      'tax_code_created': `New Tax Code: ${entityName}`,
+      'tax_code_updated': `Tax Code Updated: ${entityName}`,
+      'tax_code_deleted': `Tax Code Deleted: ${entityName}`,
+      'settlement_created': `Settlement Recorded: ${entityName}`,
+      'settlement_deleted': `Settlement Deleted: ${entityName}`,
+      'payer_merged': `Payers Merged: ${entityName}`,
+      'tag_renamed': `Tag Renamed: ${entityName}`,
+      'tag_merged': `Tags Merged: ${entityName}`,
+      'tag_deleted': `Tag Deleted: ${entityName}`,
+      'expenses_tagged': `Expenses Tagged: ${entityName}`,
+      'expenses_exported': `Expenses Exported: ${entityName}`,
+      'comment_added': `New Comment: ${entityName}`,
+      'comment_mention': `You Were Mentioned: ${entityName}`,
+      'comment_reply': `New Reply: ${entityName}`,
       // NEW: Tenant-specific activities
       'tenant_created': `Organization Created: ${entityName}`,
       'tenant_updated': `Organization Updated: ${entityName}`,
@@ -83,12 +115,42 @@ class ActivityService {
       'role_deleted': `Role "${entityName}" has been removed`,
       'category_created': `A new expense category "${entityName}" has been added`,
       'category_updated': `Category "${entityName}" details have been updated`,
-      'category_deleted': `Category "${entityName}" has been deleted`,
+      'category_deleted': `Category "${entityName}" has been moved to the trash`,
+      'category_restored': `Category "${entityName}" has been restored from the trash`,
       'expense_created': `New expense "${entityName}" has been recorded`,
       'expense_updated': `Expense "${entityName}" has been modified`,
-      'expense_deleted': `Expense "${entityName}" has been removed`,
+      'expense_deleted': `Expense "${entityName}" has been moved to the trash`,
+      'expense_restored': `Expense "${entityName}" has been restored from the trash`,
       'expense_approved': `Expense "${entityName}" has been approved`,
       'expense_rejected': `Expense "${entityName}" has been rejected`,
+      'expense_submitted': `Expense "${entityName}" has been submitted for approval`,
+      'report_created': `Expense report "${entityName}" has been created`,
+      'report_updated': `Expense report "${entityName}" has been modified`,
+      'report_deleted': `Expense report "${entityName}" has been deleted`,
+      'report_submitted': `Expense report "${entityName}" has been submitted for approval`,
+      'report_approved': `Expense report "${entityName}" has been approved`,
+      'report_rejected': `Expense report "${entityName}" has been rejected`,
+      'project_created': `Project "${entityName}" has been created`,
+      'project_updated': `Project "${entityName}" has been modified`,
+      'project_deleted': `Project "${entityName}" has been deleted`,
+      'vendor_created': `Vendor "${entityName}" has been added`,
+      'vendor_updated': `Vendor "${entityName}" has been modified`,
+      'vendor_deleted': `Vendor "${entityName}" has been deleted`,
+      'vendor_merged': `Vendors have been merged into "${entityName}"`,
+      'tax_code_created': `Tax code "${entityName}" has been created`,
+      'tax_code_updated': `Tax code "${entityName}" has been modified`,
+      'tax_code_deleted': `Tax code "${entityName}" has been deleted`,
+      'settlement_created': `Settlement "${entityName}" has been recorded`,
+      'settlement_deleted': `Settlement "${entityName}" has been removed`,
+      'payer_merged': `Payer names have been merged into "${entityName}"`,
+      'tag_renamed': `A tag has been renamed to "${entityName}"`,
+      'tag_merged': `Tags have been merged into "${entityName}"`,
+      'tag_deleted': `Tag "${entityName}" has been removed from all expenses and categories`,
+      'expenses_tagged': `Tags of several expenses have been updated (${entityName})`,
+      'expenses_exported': `${entityName} have been exported`,
+      'comment_added': `A comment has been added to expense "${entityName}"`,
+      'comment_mention': `You were mentioned in a comment on expense "${entityName}"`,
+      'comment_reply': `Someone replied to your comment on expense "${entityName}"`,
       // NEW: Tenant-specific descriptions
       'tenant_created': `Organization "${entityName}" has been created`,
       'tenant_updated': `Organization "${entityName}" details have been updated`,
@@ -125,6 +187,9 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
       console.log('👤 Filtering by userId:', userId);
     }
 
+    // Personal notifications are not part of the shared feed
+    query.recipient = null;
+
     console.log('🔎 Final query:', query);
 
     const activities = await Activity.find(query)
@@ -143,7 +208,15 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
     //   });
     // }
 
-    return activities.map(activity => ({
+    return activities.map(activity => this.formatActivity(activity));
+  } catch (error) {
+    console.error('❌ Error fetching activities:', error);
+    return [];
+  }
+}
+
+  static formatActivity(activity) {
+    return {
       id: activity._id,
       type: activity.type,
       title: activity.title,
@@ -152,6 +225,7 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
       icon: this.getIconForActivity(activity.type),
       color: this.getColorForActivity(activity.type),
       entityType: activity.entityType,
+      entityId: activity.entityId,
       entityName: activity.entityName,
       performedBy: activity.performedBy?.name,
       isRead: activity.isRead,
@@ -159,12 +233,35 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
       category: activity.category,
       tenantId: activity.tenantId,
       createdAt: activity.createdAt
-    }));
-  } catch (error) {
-    console.error('❌ Error fetching activities:', error);
-    return [];
+    };
+  }
+
+  // Log one personal notification per recipient, never to the person who acted
+  static async notifyUsers(recipients, activity) {
+    const performer = String(activity.performedBy);
+    const unique = [...new Set(recipients.map(String))].filter(id => id !== performer);
+
+    for (const recipient of unique) {
+      await this.logActivity({ ...activity, recipient });
+    }
+
+    return unique.length;
+  }
+
+  // Personal notifications (mentions, replies) of a user, unread first
+  static async getUserNotifications(userId, tenantId, limit = 20) {
+    try {
+      const activities = await Activity.find({ tenantId, recipient: userId })
+        .populate('performedBy', 'name email')
+        .sort({ isRead: 1, createdAt: -1 })
+        .limit(limit);
+
+      return activities.map(activity => this.formatActivity(activity));
+    } catch (error) {
+      console.error('Error fetching user notifications:', error);
+      return [];
+    }
   }
-}
 
   // NEW: Get recent activities by tenant
   static async getRecentActivitiesByTenant(tenantId, limit = 10, options = {}) {
@@ -189,7 +286,13 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
       }
       
       if (userId) {
-        query.performedBy = { $ne: userId }; // Don't show own activities as notifications
+        // Don't show own activities as notifications; personal ones only count for their recipient
+        query.$or = [
+          { recipient: null, performedBy: { $ne: userId } },
+          { recipient: userId }
+        ];
+      } else {
+        query.recipient = null;
       }
 
       return await Activity.countDocuments(query);
@@ -325,11 +428,41 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
       'category_created': 'FolderPlus',
       'category_updated': 'Folder',
       'category_deleted': 'FolderX',
+      'category_restored': 'FolderInput',
       'expense_created': 'TrendingUp',
       'expense_updated': 'Edit',
       'expense_deleted': 'Trash2',
+      'expense_restored': 'ArchiveRestore',
       'expense_approved': 'CheckCircle',
       'expense_rejected': 'XCircle',
+      'expense_submitted': 'Send',
+      'report_created': 'FolderPlus',
+      'report_updated': 'FolderPen',
+      'report_deleted': 'FolderX',
+      'report_submitted': 'Send',
+      'report_approved': 'CheckCircle',
+      'report_rejected': 'XCircle',
+      'project_created': 'Briefcase',
+      'project_updated': 'Briefcase',
+      'project_deleted': 'Trash2',
+      'vendor_created': 'Store',
+      'vendor_updated': 'Store',
+      'vendor_deleted': 'Trash2',
+      'vendor_merged': 'Merge',
+      'tax_code_created': 'Percent',
+      'tax_code_updated': 'Percent',
+      'tax_code_deleted': 'Trash2',
+      'settlement_created': 'ArrowRightLeft',
+      'settlement_deleted': 'Trash2',
+      'payer_merged': 'Users',
+      'tag_renamed': 'Tag',
+      'tag_merged': 'Tags',
+      'tag_deleted': 'Tag',
+      'expenses_tagged': 'Tags',
+      'expenses_exported': 'Download',
+      'comment_added': 'MessageSquare',
+      'comment_mention': 'AtSign',
+      'comment_reply': 'MessageSquareReply',
       // NEW: Tenant-specific icons
       'tenant_created': 'Building',
       'tenant_updated': 'Building',
@@ -350,8 +483,12 @@ static async getRecentActivities(limit = 10, userId = null, tenantId = null) {
     if (type.includes('deleted')) return 'text-red-500';
     if (type.includes('approved')) return 'text-green-500';
     if (type.includes('rejected')) return 'text-red-500';
+    if (type.includes('submitted')) return 'text-yellow-500';
     if (type.includes('suspended')) return 'text-orange-500';
     if (type.includes('reactivated')) return 'text-green-500';
+    if (type.includes('restored')) return 'text-green-500';
+    if (type.startsWith('comment_')) return 'text-blue-500';
+    if (type.includes('tag')) return 'text-blue-500';
     return 'text-gray-500';
   }
 
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Rounding slack when comparing a split with the amount it divides
+const TOLERANCE = 0.01;
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+class AllocationService {
+
+  // Multipart forms send allocations as a JSON string; undefined means "not given"
+  static parse(value, label = 'allocations') {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return [];
+
+    let list = value;
+    if (typeof value === 'string') {
+      try {
+        list = JSON.parse(value);
+      } catch (error) {
+        throw new ErrorResponse(`Invalid ${label} data format`, 400);
+      }
+    }
+    if (!Array.isArray(list)) {
+      throw new ErrorResponse(`Invalid ${label} data format`, 400);
+    }
+    return list;
+  }
+
+  /**
+   * Split an amount by percentage or by amount. Every entry of a split uses the
+   * same kind and the split must cover the whole amount. Percentages are turned
+   * into amounts with the rounding difference on the last entry.
+   */
+  static resolve(entries, total, label = 'Allocations') {
+    if (!entries || entries.length === 0) return [];
+
+    const seen = new Set();
+    const parsed = entries.map(entry => {
+      const project = entry?.project?._id || entry?.project;
+      if (!project || !mongoose.Types.ObjectId.isValid(project)) {
+        throw new ErrorResponse(`${label}: please select a project or cost center for each line`, 400);
+      }
+      if (seen.has(project.toString())) {
+        throw new ErrorResponse(`${label}: a project or cost center can only appear once`, 400);
+      }
+      seen.add(project.toString());
+
+      const hasPercentage = entry.percentage !== undefined && entry.percentage !== null && entry.percentage !== '';
+      const hasAmount = entry.amount !== undefined && entry.amount !== null && entry.amount !== '';
+      if (hasPercentage === hasAmount) {
+        throw new ErrorResponse(`${label}: give either a percentage or an amount for each line`, 400);
+      }
+
+      const value = Number(hasPercentage ? entry.percentage : entry.amount);
+      if (!Number.isFinite(value) || value <= 0 || (hasPercentage && value > 100)) {
+        throw new ErrorResponse(`${label}: invalid ${hasPercentage ? 'percentage' : 'amount'} "${hasPercentage ? entry.percentage : entry.amount}"`, 400);
+      }
+
+      return { project: project.toString(), byPercentage: hasPercentage, value };
+    });
+
+    const byPercentage = parsed[0].byPercentage;
+    if (parsed.some(entry => entry.byPercentage !== byPercentage)) {
+      throw new ErrorResponse(`${label}: use either percentages or amounts, not both`, 400);
+    }
+
+    const sum = parsed.reduce((acc, entry) => acc + entry.value, 0);
+
+    if (byPercentage) {
+      if (Math.abs(sum - 100) > TOLERANCE) {
+        throw new ErrorResponse(`${label}: percentages add up to ${round(sum)}%, not 100%`, 400);
+      }
+
+      let remaining = round(total);
+      return parsed.map((entry, index) => {
+        const amount = index === parsed.length - 1 ? round(remaining) : round(total * entry.value / 100);
+        remaining -= amount;
+        return { project: entry.project, percentage: round(entry.value, 4), amount };
+      });
+    }
+
+    if (Math.abs(sum - total) > TOLERANCE) {
+      throw new ErrorResponse(`${label}: amounts add up to ${round(sum)}, not ${round(total)}`, 400);
+    }
+
+    return parsed.map(entry => ({
+      project: entry.project,
+      percentage: total > 0 ? round(entry.value / total * 100, 4) : 0,
+      amount: round(entry.value)
+    }));
+  }
+
+  // Keep a stored split on a new amount, by its percentages
+  static rescale(allocations, total, label) {
+    if (!allocations || allocations.length === 0) return [];
+    return this.resolve(
+      allocations.map(allocation => ({ project: allocation.project, percentage: allocation.percentage })),
+      total,
+      label
+    );
+  }
+
+  // New allocations may only charge active projects of the tenant
+  static async assertProjects(tenantId, projectIds) {
+    const ids = [...new Set(projectIds.map(String))];
+    if (ids.length === 0) return;
+
+    const count = await Project.countDocuments({ tenantId, _id: { $in: ids }, isActive: true });
+    if (count !== ids.length) {
+      throw new ErrorResponse('One or more projects or cost centers are invalid or archived', 400);
+    }
+  }
+
+  /**
+   * Allocations of an expense being created or updated. Allocations given in
+   * the request are validated; on update, splits that were not given are kept
+   * and rescaled to the new amounts. An expense is split as a whole or per
+   * payment, not both.
+   */
+  static async build(tenantId, { allocations, payments, rawPayments = [], totalAmount, expense = null }) {
+    const given = this.parse(allocations);
+    const expenseAllocations = given !== undefined
+      ? this.resolve(given, totalAmount)
+      : this.rescale(expense?.allocations, totalAmount);
+
+    const newProjects = given ? expenseAllocations.map(allocation => allocation.project) : [];
+
+    const paymentAllocations = payments.map((payment, index) => {
+      const label = `Payment ${index + 1} allocations`;
+      const paymentGiven = this.parse(rawPayments[index]?.allocations, label);
+      if (paymentGiven !== undefined) {
+        const resolved = this.resolve(paymentGiven, payment.amount, label);
+        newProjects.push(...resolved.map(allocation => allocation.project));
+        return resolved;
+      }
+      return this.rescale(expense?.payments?.[index]?.allocations, payment.amount, label);
+    });
+
+    if (expenseAllocations.length > 0 && paymentAllocations.some(list => list.length > 0)) {
+      throw new ErrorResponse('Allocate the whole expense or its payments, not both', 400);
+    }
+
+    await this.assertProjects(tenantId, newProjects);
+
+    return {
+      allocations: expenseAllocations,
+      payments: payments.map((payment, index) => ({ ...payment, allocations: paymentAllocations[index] }))
+    };
+  }
+}
+
+module.exports = AllocationService;
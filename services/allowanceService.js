@@ -0,0 +1,128 @@
+const Expense = require('../models/Expense');
+const AllowanceRate = require('../models/AllowanceRate');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Claim field and editable keys per typed expense; keys that pick the rate come first
+const CLAIM_FIELDS = {
+  mileage: {
+    field: 'mileage',
+    keys: ['distance', 'unit', 'vehicleType', 'from', 'to'],
+    rateKeys: ['vehicleType']
+  },
+  per_diem: {
+    field: 'perDiem',
+    keys: ['location', 'days'],
+    rateKeys: ['location']
+  }
+};
+
+const EXPENSE_TYPES = Expense.schema.path('expenseType').enumValues;
+
+class AllowanceService {
+
+  static isAllowance(expenseType) {
+    return Boolean(CLAIM_FIELDS[expenseType]);
+  }
+
+  // Multipart forms send the claim details as a JSON string
+  static parseDetails(value, field) {
+    if (value === undefined || value === null || value === '') return {};
+
+    let details = value;
+    if (typeof value === 'string') {
+      try {
+        details = JSON.parse(value);
+      } catch (error) {
+        throw new ErrorResponse(`Invalid ${field} data format`, 400);
+      }
+    }
+    if (!details || typeof details !== 'object' || Array.isArray(details)) {
+      throw new ErrorResponse(`Invalid ${field} data format`, 400);
+    }
+    return details;
+  }
+
+  /**
+   * Expense type and claim details from a create or update body. On update the
+   * details are merged over the existing claim; the stored rate is dropped when
+   * the vehicle type, location or date changes so the claim is repriced.
+   */
+  static parseClaim(body, expense = null) {
+    const expenseType = body.expenseType || expense?.expenseType || 'standard';
+    if (!EXPENSE_TYPES.includes(expenseType)) {
+      throw new ErrorResponse(`Expense type must be one of: ${EXPENSE_TYPES.join(', ')}`, 400);
+    }
+
+    const config = CLAIM_FIELDS[expenseType];
+    if (!config) return { expenseType };
+
+    const input = this.parseDetails(body[config.field], config.field);
+    const previous = expense?.expenseType === expenseType
+      ? expense.toObject({ depopulate: true })[config.field] || {}
+      : {};
+
+    const details = { ...previous };
+    config.keys.forEach(key => {
+      if (input[key] !== undefined) details[key] = input[key];
+    });
+
+    const dateChanged = Boolean(expense && body.date && new Date(body.date).getTime() !== expense.date?.getTime());
+    const rateChanged = config.rateKeys.some(key => input[key] !== undefined && input[key] !== previous[key]);
+    if (dateChanged || rateChanged) {
+      delete details.rate;
+      delete details.rateUnit;
+    }
+
+    return { expenseType, [config.field]: details };
+  }
+
+  /**
+   * Price a claim without saving it. Uses the same rules as the Expense save
+   * hook so the amount shown before saving is the amount stored.
+   */
+  static async price(tenantId, { expenseType, date, mileage, perDiem }) {
+    const config = CLAIM_FIELDS[expenseType];
+    if (!config) {
+      throw new ErrorResponse('Only mileage and per diem expenses are priced from rates', 400);
+    }
+
+    const draft = new Expense({
+      tenantId,
+      expenseType,
+      date: date || new Date(),
+      mileage,
+      perDiem,
+      // Placeholder for the claimant, only its amount is used
+      payments: [{ user: 'claimant', amount: 0 }]
+    });
+
+    const amount = await draft.applyAllowance();
+
+    return {
+      expenseType,
+      amount,
+      [config.field]: draft.toObject()[config.field]
+    };
+  }
+
+  // Rates in effect on a date (today by default), one per vehicle type and location
+  static async getCurrentRates(tenantId, date = new Date()) {
+    const rates = await AllowanceRate.find({ tenantId, effectiveFrom: { $lte: date } })
+      .sort({ effectiveFrom: -1 })
+      .lean();
+
+    const current = new Map();
+    rates.forEach(rate => {
+      const key = `${rate.type}:${rate.vehicleType || rate.location}`;
+      if (!current.has(key)) current.set(key, rate);
+    });
+
+    const list = [...current.values()];
+    return {
+      mileage: list.filter(rate => rate.type === 'mileage'),
+      perDiem: list.filter(rate => rate.type === 'per_diem')
+    };
+  }
+}
+
+module.exports = AllowanceService;
@@ -0,0 +1,297 @@
+const ApprovalChain = require('../models/ApprovalChain');
+const Expense = require('../models/Expense');
+const ActivityService = require('./activityService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Single step used when a tenant has not configured any chain that matches:
+// anyone whose role carries the expense_approval feature can approve
+const DEFAULT_STEP = {
+  name: 'Approval',
+  approverType: 'feature'
+};
+
+// Changes to what was spent, when and on what; they void an earlier approval
+const MATERIAL_FIELDS = ['totalAmount', 'date', 'category', 'payments', 'expenseType', 'mileage', 'perDiem', 'metadata.currency'];
+
+// Cleared when the approval of an expense starts over
+const DECISION_FIELDS = ['approvedBy', 'approvedAt', 'rejectedBy', 'rejectedAt', 'rejectionReason'];
+
+class ApprovalService {
+
+  // Chain matching an amount (and category) with the steps it requires; the default step otherwise
+  static async resolveSteps(tenantId, subject) {
+    const chain = await ApprovalChain.findForExpense(tenantId, subject);
+    const steps = chain
+      ? chain.getStepsForAmount(subject.totalAmount || 0)
+      : [DEFAULT_STEP];
+
+    return {
+      chain,
+      steps: (steps.length > 0 ? steps : [DEFAULT_STEP]).map(step => ({
+        name: step.name,
+        approverType: step.approverType,
+        tenantRole: step.tenantRole,
+        role: step.role,
+        user: step.user,
+        status: 'pending'
+      }))
+    };
+  }
+
+  // Submit an expense into its approval chain
+  static async submit(expense, user) {
+    if (expense.report) {
+      throw new ErrorResponse('Expense is part of an expense report. Submit the report instead', 400);
+    }
+
+    if (expense.approval?.status === 'in_review') {
+      throw new ErrorResponse('Expense is already awaiting approval', 400);
+    }
+
+    if (expense.approval?.status === 'approved' || expense.status === 'completed') {
+      throw new ErrorResponse('Expense has already been approved', 400);
+    }
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    const { chain, steps } = await this.resolveSteps(expense.tenantId, expense);
+
+    expense.status = 'pending';
+    expense.rejectedBy = undefined;
+    expense.rejectedAt = undefined;
+    expense.rejectionReason = undefined;
+    expense.approval = {
+      status: 'in_review',
+      chain: chain?._id,
+      currentStep: 0,
+      submittedBy: user._id,
+      submittedAt: new Date(),
+      steps
+    };
+
+    await expense.save();
+    await ExpenseRevisionService.record(expense, { action: 'submitted', user, before });
+
+    await ActivityService.logActivity({
+      type: 'expense_submitted',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: expense.tenantId,
+      performedBy: user._id,
+      newData: {
+        totalAmount: expense.totalAmount,
+        chain: chain?.name || 'Default',
+        steps: expense.approval.steps.map(step => step.name)
+      }
+    });
+
+    return expense;
+  }
+
+  // Approve the current step; the expense is completed after the last step
+  static async approve(expense, user, comment = '') {
+    const step = this.getCurrentStep(expense);
+    this.assertCanAct(expense, step, user);
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    step.status = 'approved';
+    step.actedBy = user._id;
+    step.actedAt = new Date();
+    step.comment = comment;
+
+    const stepNumber = expense.approval.currentStep + 1;
+    const totalSteps = expense.approval.steps.length;
+    const isFinalStep = stepNumber === totalSteps;
+
+    if (isFinalStep) {
+      expense.approval.status = 'approved';
+      await expense.approve(user._id);
+    } else {
+      expense.approval.currentStep += 1;
+      await expense.save();
+    }
+    await ExpenseRevisionService.record(expense, { action: 'approved', user, before });
+
+    await ActivityService.logActivity({
+      type: 'expense_approved',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: expense.tenantId,
+      performedBy: user._id,
+      newData: {
+        step: step.name,
+        stepNumber,
+        totalSteps,
+        comment,
+        status: expense.status
+      },
+      changes: [
+        `Step ${stepNumber}/${totalSteps} (${step.name}) approved`,
+        ...(isFinalStep ? ['Status: pending → completed'] : [])
+      ]
+    });
+
+    return expense;
+  }
+
+  // Reject the current step, which rejects the whole expense
+  static async reject(expense, user, reason) {
+    if (!reason || !reason.trim()) {
+      throw new ErrorResponse('Please provide a rejection reason', 400);
+    }
+
+    const step = this.getCurrentStep(expense);
+    this.assertCanAct(expense, step, user);
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    step.status = 'rejected';
+    step.actedBy = user._id;
+    step.actedAt = new Date();
+    step.comment = reason.trim();
+
+    expense.approval.status = 'rejected';
+    await expense.reject(user._id, reason.trim());
+    await ExpenseRevisionService.record(expense, { action: 'rejected', user, before });
+
+    const stepNumber = expense.approval.currentStep + 1;
+
+    await ActivityService.logActivity({
+      type: 'expense_rejected',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: expense.tenantId,
+      performedBy: user._id,
+      newData: {
+        step: step.name,
+        stepNumber,
+        totalSteps: expense.approval.steps.length,
+        reason: reason.trim()
+      },
+      changes: [
+        `Step ${stepNumber} (${step.name}) rejected`,
+        'Status: pending → cancelled'
+      ]
+    });
+
+    return expense;
+  }
+
+  /**
+   * Status asked for outside the approval steps. An expense is only completed
+   * by approving it; it can be withdrawn (cancelled) or set back to pending,
+   * which starts its approval over. Returns the new status, or null when the
+   * status does not change.
+   */
+  static assertStatusChange(expense, status) {
+    if (!status || status === expense.status) return null;
+
+    if (expense.approval?.status === 'in_review') {
+      throw new ErrorResponse('Expense is awaiting approval. Use the approve or reject endpoints to change its status', 400);
+    }
+    if (status === 'completed') {
+      throw new ErrorResponse('Expenses are completed by approving them. Submit the expense for approval instead', 400);
+    }
+    if (status !== 'pending' && status !== 'cancelled') {
+      throw new ErrorResponse('Status must be pending or cancelled', 400);
+    }
+
+    return status;
+  }
+
+  // Whether an approved expense changed enough to be approved again
+  static needsReapproval(expense, before, after) {
+    const wasApproved = before.approvalStatus === 'approved' || before.status === 'completed';
+    if (!wasApproved || expense.status === 'cancelled') return false;
+
+    return ExpenseRevisionService.diff(before, after).some(({ field }) =>
+      MATERIAL_FIELDS.some(material => field === material || field.startsWith(`${material}.`))
+    );
+  }
+
+  // Approval starts over: the expense is pending until it is submitted and approved again
+  static async reopen(expense) {
+    const update = {
+      $set: { status: 'pending', approval: { status: 'not_submitted', currentStep: 0, steps: [] } },
+      $unset: Object.fromEntries(DECISION_FIELDS.map(field => [field, 1]))
+    };
+
+    await Expense.updateOne({ _id: expense._id }, update);
+
+    expense.set(update.$set);
+    DECISION_FIELDS.forEach(field => expense.set(field, undefined));
+    return expense;
+  }
+
+  static getCurrentStep(expense) {
+    if (expense.approval?.status !== 'in_review') {
+      throw new ErrorResponse('Expense is not awaiting approval', 400);
+    }
+
+    if (expense.report) {
+      throw new ErrorResponse('Expense is reviewed with its expense report. Approve or reject the report instead', 400);
+    }
+
+    const step = expense.approval.steps[expense.approval.currentStep];
+    if (!step) {
+      throw new ErrorResponse('Approval step not found', 400);
+    }
+
+    return step;
+  }
+
+  static assertCanAct(expense, step, user) {
+    // Nobody approves their own spending, tenant admins included
+    if ((expense.createdBy._id || expense.createdBy).toString() === user._id.toString()) {
+      throw new ErrorResponse('You cannot approve or reject your own expense', 403);
+    }
+
+    if (!this.canUserActOnStep(step, user)) {
+      throw new ErrorResponse(`You are not an approver for step "${step.name}"`, 403);
+    }
+  }
+
+  // Check whether a user is an approver for a step
+  static canUserActOnStep(step, user) {
+    const hasApprovalFeature = user.tenantRole === 'tenant_admin' ||
+      (user.role && typeof user.role.hasFeature === 'function' && user.role.hasFeature('expense_approval'));
+
+    if (!hasApprovalFeature) return false;
+
+    // Tenant admins can act on any step
+    if (user.tenantRole === 'tenant_admin') return true;
+
+    switch (step.approverType) {
+      case 'tenant_role':
+        return user.tenantRole === step.tenantRole;
+      case 'role':
+        return !!step.role && (user.role?._id || user.role).toString() === step.role.toString();
+      case 'user':
+        return !!step.user && user._id.toString() === step.user.toString();
+      case 'feature':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Query matching expenses whose current step the user may act on
+  static buildPendingQuery(tenantId, user) {
+    return {
+      tenantId,
+      'approval.status': 'in_review',
+      createdBy: { $ne: user._id }
+    };
+  }
+
+  static filterActionable(expenses, user) {
+    return expenses.filter(expense => {
+      const step = expense.approval.steps[expense.approval.currentStep];
+      return step && this.canUserActOnStep(step, user);
+    });
+  }
+}
+
+module.exports = ApprovalService;
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpenseComment = require('../models/ExpenseComment');
+const User = require('../models/User');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @jane, @jane.doe or @jane@example.com; the handle is matched against user emails
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9._%+-]+(?:@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)?)/g;
+
+class CommentService {
+
+  // Who may delete other people's comments
+  static canModerate(user) {
+    if (user.tenantRole === 'tenant_admin') return true;
+
+    const permissions = user.role?.permissions || [];
+    return permissions.some(permission =>
+      permission.resource === 'expenses' &&
+      (permission.actions.includes('delete') || permission.actions.includes('manage'))
+    );
+  }
+
+  static async findExpense(tenant, expenseId) {
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    const expense = await Expense.findOne({ _id: expenseId, tenantId: tenant._id })
+      .select('title tenantId createdBy');
+
+    if (!expense) {
+      throw new ErrorResponse('Expense not found', 404);
+    }
+
+    return expense;
+  }
+
+  static async findComment(tenant, expense, commentId) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      throw new ErrorResponse('Invalid comment ID format', 400);
+    }
+
+    const comment = await ExpenseComment.findOne({
+      _id: commentId,
+      tenantId: tenant._id,
+      expense: expense._id
+    });
+
+    if (!comment || comment.deletedAt) {
+      throw new ErrorResponse('Comment not found', 404);
+    }
+
+    return comment;
+  }
+
+  static validateBody(body) {
+    const text = String(body || '').trim();
+    if (!text) {
+      throw new ErrorResponse('Please add a comment', 400);
+    }
+    return text;
+  }
+
+  // Users mentioned with @handles in the body plus explicitly passed user ids
+  static async resolveMentions(tenantId, body, mentionIds = []) {
+    const ids = (Array.isArray(mentionIds) ? mentionIds : [mentionIds])
+      .filter(Boolean)
+      .map(String);
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid mentioned user ID format', 400);
+    }
+
+    const handles = [...body.matchAll(MENTION_PATTERN)]
+      .map(match => match[2].replace(/\.+$/, '').toLowerCase());
+
+    if (ids.length === 0 && handles.length === 0) return [];
+
+    const users = await User.find({ tenantId, isActive: true }).select('name email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    if (ids.some(id => !usersById.has(id))) {
+      throw new ErrorResponse('Mentioned user does not belong to this organization', 400);
+    }
+
+    const mentioned = new Set(ids);
+    handles.forEach(handle => {
+      const exact = users.filter(user => user.email.toLowerCase() === handle);
+      const byLocalPart = users.filter(user => user.email.toLowerCase().split('@')[0] === handle);
+      const [match] = exact.length === 1 ? exact : byLocalPart;
+
+      // A local part shared by several users is ambiguous and mentions nobody
+      if (match && (exact.length === 1 || byLocalPart.length === 1)) {
+        mentioned.add(match._id.toString());
+      }
+    });
+
+    return [...mentioned].map(id => usersById.get(id)._id);
+  }
+
+  static notificationFor(type, expense, comment, user) {
+    return {
+      type,
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: expense.tenantId,
+      performedBy: user._id,
+      newData: {
+        commentId: comment._id,
+        parent: comment.parent,
+        excerpt: comment.body.slice(0, 140)
+      }
+    };
+  }
+
+  static populate(commentId) {
+    return ExpenseComment.findById(commentId)
+      .populate('author', 'name email avatar')
+      .populate('mentions', 'name email');
+  }
+
+  static async getComments(tenant, expenseId) {
+    const expense = await this.findExpense(tenant, expenseId);
+    return ExpenseComment.getThread(tenant._id, expense._id);
+  }
+
+  static async addComment(tenant, expenseId, { body, parent, mentions }, user) {
+    const text = this.validateBody(body);
+    const expense = await this.findExpense(tenant, expenseId);
+
+    let parentComment = null;
+    if (parent) {
+      if (!mongoose.Types.ObjectId.isValid(parent)) {
+        throw new ErrorResponse('Invalid parent comment ID format', 400);
+      }
+
+      parentComment = await ExpenseComment.findOne({
+        _id: parent,
+        tenantId: tenant._id,
+        expense: expense._id
+      });
+
+      if (!parentComment) {
+        throw new ErrorResponse('Parent comment not found', 404);
+      }
+      if (parentComment.deletedAt) {
+        throw new ErrorResponse('Cannot reply to a deleted comment', 400);
+      }
+    }
+
+    const mentioned = await this.resolveMentions(tenant._id, text, mentions);
+
+    const comment = await ExpenseComment.create({
+      tenantId: tenant._id,
+      expense: expense._id,
+      parent: parentComment?._id || null,
+      author: user._id,
+      body: text,
+      mentions: mentioned
+    });
+
+    await ActivityService.logActivity(this.notificationFor('comment_added', expense, comment, user));
+    await ActivityService.notifyUsers(mentioned, this.notificationFor('comment_mention', expense, comment, user));
+
+    // Mentioned parent authors already got a notification
+    if (parentComment && !mentioned.some(id => id.equals(parentComment.author))) {
+      await ActivityService.notifyUsers(
+        [parentComment.author],
+        this.notificationFor('comment_reply', expense, comment, user)
+      );
+    }
+
+    return this.populate(comment._id);
+  }
+
+  static async updateComment(tenant, expenseId, commentId, { body, mentions }, user) {
+    const text = this.validateBody(body);
+    const expense = await this.findExpense(tenant, expenseId);
+    const comment = await this.findComment(tenant, expense, commentId);
+
+    if (!comment.author.equals(user._id)) {
+      throw new ErrorResponse('You can only edit your own comments', 403);
+    }
+
+    const mentioned = await this.resolveMentions(tenant._id, text, mentions);
+    const newlyMentioned = mentioned.filter(id => !comment.mentions.some(existing => existing.equals(id)));
+
+    comment.body = text;
+    comment.mentions = mentioned;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await ActivityService.notifyUsers(newlyMentioned, this.notificationFor('comment_mention', expense, comment, user));
+
+    return this.populate(comment._id);
+  }
+
+  // Comments with replies become a placeholder; empty placeholders left behind are removed
+  static async deleteComment(tenant, expenseId, commentId, user) {
+    const expense = await this.findExpense(tenant, expenseId);
+    const comment = await this.findComment(tenant, expense, commentId);
+
+    if (!comment.author.equals(user._id) && !this.canModerate(user)) {
+      throw new ErrorResponse('You can only delete your own comments', 403);
+    }
+
+    const replyCount = await ExpenseComment.countDocuments({ tenantId: tenant._id, parent: comment._id });
+
+    if (replyCount > 0) {
+      comment.body = '';
+      comment.mentions = [];
+      comment.deletedAt = new Date();
+      await comment.save();
+      return;
+    }
+
+    await comment.deleteOne();
+
+    let parentId = comment.parent;
+    while (parentId) {
+      const parent = await ExpenseComment.findOne({ _id: parentId, tenantId: tenant._id });
+      if (!parent || !parent.deletedAt) break;
+
+      const remaining = await ExpenseComment.countDocuments({ tenantId: tenant._id, parent: parent._id });
+      if (remaining > 0) break;
+
+      await parent.deleteOne();
+      parentId = parent.parent;
+    }
+  }
+}
+
+module.exports = CommentService;
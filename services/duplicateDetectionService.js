@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ActivityService = require('./activityService');
+const TrashService = require('./trashService');
+const ErrorResponse = require('../utils/errorResponse');
+const { normalizeText, similarity } = require('../utils/stringUtils');
+
+// Expenses this many days apart can still be the same receipt entered twice
+const DATE_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.01;
+const TITLE_SIMILARITY = 0.6;
+// Scores at or above FLAG_SCORE put the expense in the duplicate review queue
+const FLAG_SCORE = 0.75;
+const MAX_CANDIDATES = 5;
+// Expenses looked up per query, each with its own date and amount window
+const MATCH_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CANDIDATE_FIELDS = 'title date totalAmount status metadata.currency payments.user payments.amount payments.file.hash payments.file.originalName createdBy';
+
+class DuplicateDetectionService {
+
+  static fileHashes(expense) {
+    return (expense.payments || [])
+      .map(payment => payment.file?.hash)
+      .filter(Boolean);
+  }
+
+  static dayDifference(a, b) {
+    const dayA = Math.floor(new Date(a).getTime() / DAY_MS);
+    const dayB = Math.floor(new Date(b).getTime() / DAY_MS);
+    return Math.abs(dayA - dayB);
+  }
+
+  // How likely two expenses are the same spending, from 0 to 1, with the reasons
+  static score(expense, other) {
+    const hashes = this.fileHashes(expense);
+    if (hashes.length > 0 && this.fileHashes(other).some(hash => hashes.includes(hash))) {
+      return { score: 1, reasons: ['identical_attachment'] };
+    }
+
+    const reasons = [];
+    let score = 0;
+
+    const sameCurrency = (expense.metadata?.currency || 'USD') === (other.metadata?.currency || 'USD');
+    if (sameCurrency && Math.abs(expense.totalAmount - other.totalAmount) <= AMOUNT_TOLERANCE) {
+      score += 0.4;
+      reasons.push('same_amount');
+    }
+
+    const days = this.dayDifference(expense.date, other.date);
+    if (days === 0) {
+      score += 0.3;
+      reasons.push('same_date');
+    } else if (days <= DATE_WINDOW_DAYS) {
+      score += 0.15;
+      reasons.push('close_date');
+    }
+
+    // Case, punctuation and spacing differences do not make titles different
+    const titleScore = similarity(normalizeText(expense.title), normalizeText(other.title));
+    if (titleScore >= TITLE_SIMILARITY) {
+      score += titleScore * 0.3;
+      reasons.push('similar_title');
+    }
+
+    return { score: Number(score.toFixed(2)), reasons };
+  }
+
+  // Best scoring matches of an expense among a list, best first
+  static rank(expense, others) {
+    return others
+      .map(other => ({ expense: other, ...this.score(expense, other) }))
+      .filter(candidate => candidate.score >= FLAG_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Tenant expenses with the same amount close in date to one of the given
+   * expenses, or sharing an attachment with one. Each expense gets its own
+   * window, so a file spanning months does not scan every expense in between.
+   */
+  static async findPossibleMatches(tenantId, expenses, excludeIds = []) {
+    const matches = new Map();
+
+    for (let start = 0; start < expenses.length; start += MATCH_BATCH_SIZE) {
+      const batch = expenses.slice(start, start + MATCH_BATCH_SIZE);
+      const hashes = batch.flatMap(expense => this.fileHashes(expense));
+
+      const conditions = batch.map(expense => {
+        const time = new Date(expense.date).getTime();
+        return {
+          date: {
+            $gte: new Date(time - DATE_WINDOW_DAYS * DAY_MS),
+            $lte: new Date(time + (DATE_WINDOW_DAYS + 1) * DAY_MS)
+          },
+          totalAmount: {
+            $gte: expense.totalAmount - AMOUNT_TOLERANCE,
+            $lte: expense.totalAmount + AMOUNT_TOLERANCE
+          }
+        };
+      });
+      if (hashes.length > 0) {
+        conditions.push({ 'payments.file.hash': { $in: hashes } });
+      }
+
+      const found = await Expense.find({
+        tenantId,
+        _id: { $nin: excludeIds },
+        status: { $ne: 'cancelled' },
+        $or: conditions
+      })
+        .select(CANDIDATE_FIELDS)
+        .lean();
+      found.forEach(match => matches.set(match._id.toString(), match));
+    }
+
+    return [...matches.values()];
+  }
+
+  /**
+   * Compare a saved expense with the other expenses of its tenant and flag it
+   * when likely duplicates exist. Failures are logged, not thrown, so a check
+   * never blocks creating the expense.
+   */
+  static async checkExpense(expense) {
+    try {
+      const others = await this.findPossibleMatches(expense.tenantId, [expense], [expense._id]);
+      const candidates = this.rank(expense, others);
+
+      await Expense.updateOne({ _id: expense._id }, {
+        $set: {
+          duplicateCheck: {
+            status: candidates.length > 0 ? 'flagged' : 'none',
+            candidates: candidates.map(({ expense: match, score, reasons }) => ({
+              expense: match._id,
+              score,
+              reasons
+            })),
+            checkedAt: new Date()
+          }
+        }
+      });
+
+      return candidates;
+    } catch (error) {
+      console.error('Error checking expense for duplicates:', error);
+      return [];
+    }
+  }
+
+  static async checkExpenses(expenses) {
+    for (const expense of expenses) {
+      await this.checkExpense(expense);
+    }
+  }
+
+  // Duplicate warnings for import rows, against existing expenses and earlier rows of the file
+  static async checkImportRows(tenantId, builtRows) {
+    const validRows = builtRows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) return builtRows;
+
+    const existing = await this.findPossibleMatches(tenantId, validRows.map(row => row.expense));
+
+    validRows.forEach((row, index) => {
+      const expense = { ...row.expense, metadata: { currency: row.conversion?.currency } };
+
+      const matches = this.rank(expense, existing).map(({ expense: match, score, reasons }) => ({
+        expense: match._id,
+        title: match.title,
+        date: match.date,
+        totalAmount: match.totalAmount,
+        score,
+        reasons
+      }));
+
+      const earlierRows = validRows.slice(0, index).map(earlier => ({
+        ...earlier.expense,
+        row: earlier.row,
+        metadata: { currency: earlier.conversion?.currency }
+      }));
+      const fileMatches = this.rank(expense, earlierRows).map(({ expense: match, score, reasons }) => ({
+        row: match.row,
+        title: match.title,
+        score,
+        reasons
+      }));
+
+      row.warnings = [
+        ...matches.map(match => ({
+          type: 'duplicate',
+          message: `Looks like existing expense "${match.title}"`,
+          ...match
+        })),
+        ...fileMatches.map(match => ({
+          type: 'duplicate',
+          message: `Looks like row ${match.row} of this file`,
+          ...match
+        }))
+      ];
+    });
+
+    return builtRows;
+  }
+
+  // Flagged expenses with their likely originals, most recently checked first
+  static async getQueue(tenant, { page = 1, limit = 10 } = {}) {
+    const filter = { tenantId: tenant._id, 'duplicateCheck.status': 'flagged' };
+
+    const [expenses, total] = await Promise.all([
+      Expense.find(filter)
+        .populate('category', 'name')
+        .populate('createdBy', 'name email')
+        .populate({
+          path: 'duplicateCheck.candidates.expense',
+          select: 'title date totalAmount status category createdBy payments.user payments.amount payments.file.originalName',
+          populate: { path: 'createdBy', select: 'name email' }
+        })
+        .sort({ 'duplicateCheck.checkedAt': -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      Expense.countDocuments(filter)
+    ]);
+
+    return {
+      // Candidates moved to the trash since the check no longer count
+      expenses: expenses.map(expense => ({
+        ...expense,
+        duplicateCheck: {
+          ...expense.duplicateCheck,
+          candidates: expense.duplicateCheck.candidates.filter(candidate => candidate.expense)
+        }
+      })),
+      total
+    };
+  }
+
+  /**
+   * Resolve a flagged expense. "duplicate" moves it to the trash, "not_duplicate"
+   * keeps it and clears the flag. Either way the pair no longer flags the other side.
+   */
+  static async resolve(tenant, expenseId, action, user) {
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    if (!['duplicate', 'not_duplicate'].includes(action)) {
+      throw new ErrorResponse('Action must be duplicate or not_duplicate', 400);
+    }
+
+    const expense = await Expense.findOne({ _id: expenseId, tenantId: tenant._id })
+      .populate('category', 'name')
+      .populate('duplicateCheck.candidates.expense', 'title');
+
+    if (!expense) {
+      throw new ErrorResponse('Expense not found', 404);
+    }
+
+    if (expense.duplicateCheck?.status !== 'flagged') {
+      throw new ErrorResponse('Expense is not flagged as a possible duplicate', 400);
+    }
+
+    const [original] = expense.duplicateCheck.candidates
+      .map(candidate => candidate.expense)
+      .filter(Boolean);
+
+    expense.duplicateCheck.status = action === 'duplicate' ? 'confirmed' : 'dismissed';
+    expense.duplicateCheck.resolvedBy = user._id;
+    expense.duplicateCheck.resolvedAt = new Date();
+
+    if (action === 'duplicate') {
+      await TrashService.trashExpense(tenant, expense, user, [
+        original ? `Marked as duplicate of "${original.title}"` : 'Marked as duplicate'
+      ]);
+    } else {
+      await expense.save();
+
+      await ActivityService.logActivity({
+        type: 'expense_updated',
+        entityId: expense._id,
+        entityType: 'Expense',
+        entityName: expense.title,
+        tenantId: tenant._id,
+        performedBy: user._id,
+        changes: ['Marked as not a duplicate']
+      });
+    }
+
+    await Expense.updateMany(
+      { tenantId: tenant._id, 'duplicateCheck.status': 'flagged', 'duplicateCheck.candidates.expense': expense._id },
+      { $pull: { 'duplicateCheck.candidates': { expense: expense._id } } }
+    );
+    await Expense.updateMany(
+      { tenantId: tenant._id, 'duplicateCheck.status': 'flagged', 'duplicateCheck.candidates': { $size: 0 } },
+      { $set: { 'duplicateCheck.status': 'none' } }
+    );
+
+    return expense;
+  }
+}
+
+module.exports = DuplicateDetectionService;
@@ -0,0 +1,226 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Expense = require('../models/Expense');
+const ErrorResponse = require('../utils/errorResponse');
+const { readSpreadsheet, parseDate, parseAmount } = require('../utils/spreadsheetUtils');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const BULK_WRITE_SIZE = 500;
+
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+
+class ExchangeRateService {
+
+  static normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!CURRENCY_CODE.test(code)) {
+      throw new ErrorResponse(`Invalid currency code "${currency}"`, 400);
+    }
+    return code;
+  }
+
+  // Rate that converts one unit of currency into baseCurrency on the given date.
+  // Uses the latest rate on or before the date, or the inverse of a rate stored the other way round.
+  static async getRate(tenantId, currency, baseCurrency, date = new Date()) {
+    if (currency === baseCurrency) {
+      return { rate: 1, date: null };
+    }
+
+    const direct = await ExchangeRate.findEffective(tenantId, currency, baseCurrency, date);
+    if (direct) {
+      return { rate: direct.rate, date: direct.date };
+    }
+
+    const inverse = await ExchangeRate.findEffective(tenantId, baseCurrency, currency, date);
+    if (inverse) {
+      return { rate: 1 / inverse.rate, date: inverse.date };
+    }
+
+    throw new ErrorResponse(
+      `No exchange rate from ${currency} to ${baseCurrency} on or before ${toDay(date)}`,
+      400
+    );
+  }
+
+  // Currency fields for an expense, with the rate captured at the expense date
+  static async convert(tenant, { currency, date, totalAmount }) {
+    const baseCurrency = tenant.settings?.baseCurrency || 'USD';
+    const code = currency ? this.normalizeCurrency(currency) : baseCurrency;
+    const expenseDate = date ? new Date(date) : new Date();
+
+    const { rate, date: rateDate } = await this.getRate(tenant._id, code, baseCurrency, expenseDate);
+    const exchangeRate = Number(rate.toFixed(8));
+
+    return {
+      baseAmount: Number(((totalAmount || 0) * exchangeRate).toFixed(2)),
+      metadata: {
+        currency: code,
+        exchangeRate,
+        baseCurrency,
+        exchangeRateDate: rateDate
+      }
+    };
+  }
+
+  // Create or replace the rate for a currency pair on one day
+  static async saveRate(tenant, { currency, rate, date, baseCurrency }, user, source = 'manual') {
+    const base = baseCurrency ? this.normalizeCurrency(baseCurrency) : tenant.settings.baseCurrency;
+    const code = this.normalizeCurrency(currency);
+
+    if (code === base) {
+      throw new ErrorResponse('Currency and base currency must differ', 400);
+    }
+
+    const value = Number(rate);
+    if (!value || value <= 0) {
+      throw new ErrorResponse(`Invalid rate "${rate}" for ${code}`, 400);
+    }
+
+    const day = date ? new Date(date) : new Date();
+    if (isNaN(day.getTime())) {
+      throw new ErrorResponse(`Invalid rate date "${date}"`, 400);
+    }
+    day.setUTCHours(0, 0, 0, 0);
+
+    return ExchangeRate.findOneAndUpdate(
+      { tenantId: tenant._id, baseCurrency: base, currency: code, date: day },
+      { rate: value, source, createdBy: user?._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Load rates from a CSV/XLSX file with date, currency and rate columns
+  static async importRates(tenant, file, user) {
+    const { headers, rows } = readSpreadsheet(file);
+    const column = (name) => headers.find(header => header.toLowerCase().replace(/[\s_]/g, '') === name);
+
+    const columns = {
+      date: column('date'),
+      currency: column('currency'),
+      rate: column('rate'),
+      baseCurrency: column('basecurrency')
+    };
+
+    if (!columns.date || !columns.currency || !columns.rate) {
+      throw new ErrorResponse('Rate files need date, currency and rate columns', 400);
+    }
+
+    const errors = [];
+    const rates = [];
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2;
+      const date = parseDate(row[columns.date]);
+      const rate = parseAmount(row[columns.rate]);
+      const currency = String(row[columns.currency]).trim().toUpperCase();
+      const baseCurrency = columns.baseCurrency && row[columns.baseCurrency]
+        ? String(row[columns.baseCurrency]).trim().toUpperCase()
+        : tenant.settings.baseCurrency;
+
+      if (!date) errors.push({ row: rowNumber, field: 'date', message: `Invalid date "${row[columns.date]}"` });
+      if (!CURRENCY_CODE.test(currency)) errors.push({ row: rowNumber, field: 'currency', message: `Invalid currency "${currency}"` });
+      if (!CURRENCY_CODE.test(baseCurrency)) errors.push({ row: rowNumber, field: 'baseCurrency', message: `Invalid currency "${baseCurrency}"` });
+      if (currency === baseCurrency) errors.push({ row: rowNumber, field: 'currency', message: 'Currency and base currency must differ' });
+      if (isNaN(rate) || rate <= 0) errors.push({ row: rowNumber, field: 'rate', message: `Invalid rate "${row[columns.rate]}"` });
+
+      rates.push({ date, currency, baseCurrency, rate });
+    });
+
+    if (errors.length > 0) {
+      throw new ErrorResponse(`${errors.length} invalid value(s) in rate file; nothing was imported`, 400, { errors });
+    }
+
+    const operations = rates.map(({ date, currency, baseCurrency, rate }) => {
+      const day = new Date(date);
+      day.setUTCHours(0, 0, 0, 0);
+
+      return {
+        updateOne: {
+          filter: { tenantId: tenant._id, baseCurrency, currency, date: day },
+          update: { $set: { rate, source: 'file', createdBy: user._id } },
+          upsert: true
+        }
+      };
+    });
+
+    const result = await ExchangeRate.bulkWrite(operations);
+
+    return {
+      rows: rates.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    };
+  }
+
+  // Re-convert every tenant expense into baseCurrency.
+  // With dryRun only the currencies lacking a rate are reported.
+  static async recalculateExpenses(tenant, baseCurrency, { dryRun = false } = {}) {
+    const rateCache = new Map();
+    const missing = new Set();
+    const summary = { checked: 0, updated: 0 };
+    let operations = [];
+
+    const lookup = async (currency, date) => {
+      const key = `${currency}|${toDay(date)}`;
+      if (!rateCache.has(key)) {
+        try {
+          rateCache.set(key, await this.getRate(tenant._id, currency, baseCurrency, date));
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          rateCache.set(key, null);
+        }
+      }
+      return rateCache.get(key);
+    };
+
+    // Trashed expenses are converted too so they are right when restored
+    const cursor = Expense.find({ tenantId: tenant._id })
+      .setOptions({ withDeleted: true })
+      .select('totalAmount date metadata.currency')
+      .lean()
+      .cursor();
+
+    for await (const expense of cursor) {
+      summary.checked += 1;
+      const currency = expense.metadata?.currency || 'USD';
+      const found = await lookup(currency, expense.date);
+
+      if (!found) {
+        missing.add(currency);
+        continue;
+      }
+
+      if (dryRun) continue;
+
+      const exchangeRate = Number(found.rate.toFixed(8));
+      operations.push({
+        updateOne: {
+          filter: { _id: expense._id },
+          update: {
+            $set: {
+              baseAmount: Number((expense.totalAmount * exchangeRate).toFixed(2)),
+              'metadata.currency': currency,
+              'metadata.exchangeRate': exchangeRate,
+              'metadata.baseCurrency': baseCurrency,
+              'metadata.exchangeRateDate': found.date
+            }
+          }
+        }
+      });
+
+      if (operations.length >= BULK_WRITE_SIZE) {
+        await Expense.bulkWrite(operations);
+        summary.updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Expense.bulkWrite(operations);
+      summary.updated += operations.length;
+    }
+
+    return { ...summary, missingCurrencies: [...missing] };
+  }
+}
+
+module.exports = ExchangeRateService;
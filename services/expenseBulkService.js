@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const ActivityService = require('./activityService');
+const ApprovalService = require('./approvalService');
+const ExpenseQueryService = require('./expenseQueryService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const PolicyService = require('./policyService');
+const TagService = require('./tagService');
+const TrashService = require('./trashService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Expense permission and role feature each action needs, besides bulk_operations
+const ACTIONS = {
+  approve: { permission: 'update' },
+  reject: { permission: 'update' },
+  recategorize: { permission: 'update' },
+  status: { permission: 'update' },
+  tag: { permission: 'update' },
+  untag: { permission: 'update' },
+  delete: { permission: 'delete' },
+  export: { permission: 'read', feature: 'export_data' }
+};
+
+// Expenses are completed by approving them, so status changes can only cancel or reopen
+const BULK_STATUSES = ['pending', 'cancelled'];
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const MAX_EXPENSES = 500;
+const MAX_EXPORT_EXPENSES = 5000;
+
+class ExpenseBulkService {
+
+  // Same rule as the hasPermission middleware: the action itself or manage
+  static hasPermission(user, action) {
+    return (user.role?.permissions || []).some(permission =>
+      permission.resource === 'expenses' &&
+      (permission.actions.includes(action) || permission.actions.includes('manage'))
+    );
+  }
+
+  static hasFeature(user, feature) {
+    return user.tenantRole === 'tenant_admin' ||
+      (user.role && typeof user.role.hasFeature === 'function' && user.role.hasFeature(feature));
+  }
+
+  static assertAllowed(user, action) {
+    const rule = ACTIONS[action];
+    if (!rule) {
+      throw new ErrorResponse(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`, 400);
+    }
+
+    if (!this.hasFeature(user, 'bulk_operations')) {
+      throw new ErrorResponse('Your role does not allow bulk operations', 403);
+    }
+    if (!this.hasPermission(user, rule.permission)) {
+      throw new ErrorResponse(`Access denied - insufficient permissions for expenses:${rule.permission}`, 403);
+    }
+    if (rule.feature && !this.hasFeature(user, rule.feature)) {
+      throw new ErrorResponse(`Your role does not allow ${action}`, 403);
+    }
+  }
+
+  /**
+   * Expenses chosen by id or with the expense list filter syntax. Ids that do
+   * not match an expense of the tenant are returned so they can be reported.
+   */
+  static async selectExpenses(tenant, user, { expenseIds, filter }, limit) {
+    if (Array.isArray(expenseIds) && expenseIds.length > 0) {
+      if (expenseIds.length > limit) {
+        throw new ErrorResponse(`Select at most ${limit} expenses at a time`, 400);
+      }
+      if (expenseIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ErrorResponse('Invalid expense ID format', 400);
+      }
+
+      const ids = [...new Set(expenseIds.map(String))];
+      const expenses = await Expense.find({ tenantId: tenant._id, _id: { $in: ids } })
+        .populate('category', 'name')
+        .populate('vendor', 'name')
+        .populate('createdBy', 'name email');
+
+      const found = new Set(expenses.map(expense => expense._id.toString()));
+      const byId = new Map(expenses.map(expense => [expense._id.toString(), expense]));
+
+      return {
+        expenses: ids.filter(id => found.has(id)).map(id => byId.get(id)),
+        missing: ids.filter(id => !found.has(id))
+      };
+    }
+
+    if (filter && String(filter).trim()) {
+      const match = await ExpenseQueryService.buildMatch(tenant, user, { filter });
+      const expenses = await Expense.find(match)
+        .populate('category', 'name')
+        .populate('vendor', 'name')
+        .populate('createdBy', 'name email')
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1);
+
+      if (expenses.length > limit) {
+        throw new ErrorResponse(`The filter matches more than ${limit} expenses. Narrow it down and try again`, 400);
+      }
+
+      return { expenses, missing: [] };
+    }
+
+    throw new ErrorResponse('Please provide expense IDs or a filter', 400);
+  }
+
+  // Expenses of a report under review are changed through the report
+  static assertChangeable(expense) {
+    if (expense.report && expense.approval?.status === 'in_review') {
+      throw new ErrorResponse('Expense is part of an expense report awaiting approval', 400);
+    }
+  }
+
+  static async logUpdate(tenant, user, expense, oldData, newData, changes) {
+    await ActivityService.logActivity({
+      type: 'expense_updated',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      oldData,
+      newData,
+      changes
+    });
+  }
+
+  static async recategorize(tenant, user, expense, category) {
+    this.assertChangeable(expense);
+
+    const previous = expense.category?._id || expense.category;
+    if (previous && previous.toString() === category._id.toString()) {
+      return 'Already in this category';
+    }
+
+    const before = ExpenseRevisionService.snapshot(expense);
+
+    // Payments that followed the expense category move with it; split categories are kept
+    const payments = expense.payments.map(payment => {
+      const data = payment.toObject();
+      if (!data.category || (previous && data.category.toString() === previous.toString())) {
+        data.category = category._id;
+      }
+      return data;
+    });
+
+    const policyViolations = await PolicyService.enforce(tenant, {
+      title: expense.title,
+      description: expense.description,
+      date: expense.date,
+      category: category._id,
+      exchangeRate: expense.metadata?.exchangeRate,
+      payments: payments.map(payment => ({ ...payment, hasFile: !!payment.file?.path }))
+    }, { excludeExpenseId: expense._id });
+
+    const updated = await Expense.findByIdAndUpdate(
+      expense._id,
+      { category: category._id, payments, policyViolations },
+      { new: true, runValidators: true, context: 'query' }
+    );
+
+    await ExpenseRevisionService.record(updated, { action: 'updated', user, before });
+    await this.logUpdate(tenant, user, updated,
+      { category: expense.category?.name },
+      { category: category.name },
+      [`Category: ${expense.category?.name} → ${category.name}`]
+    );
+
+    return `Category changed to ${category.name}`;
+  }
+
+  static async changeStatus(tenant, user, expense, status) {
+    this.assertChangeable(expense);
+
+    // Same rules as a single update: cancel, or reopen with the approval starting over
+    if (!ApprovalService.assertStatusChange(expense, status)) {
+      return `Already ${status}`;
+    }
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    const updated = status === 'pending'
+      ? await ApprovalService.reopen(expense)
+      : await Expense.findByIdAndUpdate(expense._id, { status }, { new: true, runValidators: true });
+
+    await ExpenseRevisionService.record(updated, { action: 'updated', user, before });
+    await this.logUpdate(tenant, user, updated,
+      { status: expense.status },
+      { status },
+      [`Status: ${expense.status} → ${status}`]
+    );
+
+    return `Status changed to ${status}`;
+  }
+
+  static async changeTags(tenant, user, expense, { add = [], remove = [] }) {
+    this.assertChangeable(expense);
+
+    const current = expense.tags || [];
+    const added = add.filter(tag => !current.includes(tag));
+    const removed = remove.filter(tag => current.includes(tag));
+    if (added.length === 0 && removed.length === 0) {
+      return 'Tags unchanged';
+    }
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    const tags = [...current.filter(tag => !removed.includes(tag)), ...added];
+    const updated = await Expense.findByIdAndUpdate(expense._id, { tags }, { new: true });
+
+    await ExpenseRevisionService.record(updated, { action: 'updated', user, before });
+    await this.logUpdate(tenant, user, updated,
+      { tags: current },
+      { tags },
+      [
+        ...(added.length > 0 ? [`Added tags: ${added.join(', ')}`] : []),
+        ...(removed.length > 0 ? [`Removed tags: ${removed.join(', ')}`] : [])
+      ]
+    );
+
+    return [
+      ...(added.length > 0 ? [`Added ${added.join(', ')}`] : []),
+      ...(removed.length > 0 ? [`Removed ${removed.join(', ')}`] : [])
+    ].join('; ');
+  }
+
+  // Validate the action options once, before any expense is touched
+  static async prepare(tenant, action, options) {
+    switch (action) {
+      case 'reject':
+        if (!options.reason || !String(options.reason).trim()) {
+          throw new ErrorResponse('Please provide a rejection reason', 400);
+        }
+        return { reason: String(options.reason).trim() };
+      case 'recategorize': {
+        if (!options.category || !mongoose.Types.ObjectId.isValid(options.category)) {
+          throw new ErrorResponse('Please provide a valid category', 400);
+        }
+        const category = await Category.findOne({ _id: options.category, tenantId: tenant._id });
+        if (!category) {
+          throw new ErrorResponse('Invalid category selected', 400);
+        }
+        return { category };
+      }
+      case 'status':
+        if (!BULK_STATUSES.includes(options.status)) {
+          throw new ErrorResponse(`Status must be one of: ${BULK_STATUSES.join(', ')}. Use the approve action to complete expenses`, 400);
+        }
+        return { status: options.status };
+      case 'tag':
+      case 'untag': {
+        const tags = TagService.normalizeTags(options.tags || []);
+        if (tags.length === 0) {
+          throw new ErrorResponse('Please provide the tags', 400);
+        }
+        return action === 'tag' ? { add: tags } : { remove: tags };
+      }
+      default:
+        return { comment: options.comment ? String(options.comment).trim() : '' };
+    }
+  }
+
+  static async applyAction(tenant, user, action, expense, prepared) {
+    switch (action) {
+      case 'approve':
+        await ApprovalService.approve(expense, user, prepared.comment);
+        return expense.approval.status === 'approved' ? 'Approved' : 'Approval step completed';
+      case 'reject':
+        await ApprovalService.reject(expense, user, prepared.reason);
+        return 'Rejected';
+      case 'recategorize':
+        return this.recategorize(tenant, user, expense, prepared.category);
+      case 'status':
+        return this.changeStatus(tenant, user, expense, prepared.status);
+      case 'tag':
+      case 'untag':
+        return this.changeTags(tenant, user, expense, prepared);
+      case 'delete':
+        this.assertChangeable(expense);
+        await TrashService.trashExpense(tenant, expense, user, ['Deleted in bulk']);
+        return 'Moved to trash';
+      default:
+        throw new ErrorResponse(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`, 400);
+    }
+  }
+
+  // Run one action over the selected expenses
+  static async run(tenant, user, { action, expenseIds, filter, ...options } = {}) {
+    this.assertAllowed(user, action);
+
+    if (action === 'export') {
+      return this.export(tenant, user, { expenseIds, filter, format: options.format });
+    }
+
+    const prepared = await this.prepare(tenant, action, options);
+    const summary = await this.forEachSelected(tenant, user, action, { expenseIds, filter }, expense =>
+      this.applyAction(tenant, user, action, expense, prepared)
+    );
+
+    return { action, ...summary };
+  }
+
+  /**
+   * Apply a change to each selected expense on its own: a failure is reported
+   * in its result and does not stop the others. `apply` resolves to the
+   * message reported for the expense.
+   */
+  static async forEachSelected(tenant, user, label, selection, apply) {
+    const { expenses, missing } = await this.selectExpenses(tenant, user, selection, MAX_EXPENSES);
+
+    const results = missing.map(id => ({ id, success: false, message: 'Expense not found' }));
+
+    for (const expense of expenses) {
+      try {
+        const message = await apply(expense);
+        results.push({ id: expense._id.toString(), title: expense.title, success: true, message });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error(`Bulk ${label} error for expense ${expense._id}:`, error);
+        }
+        results.push({
+          id: expense._id.toString(),
+          title: expense.title,
+          success: false,
+          message: error.statusCode ? error.message : 'Server Error'
+        });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  static toExportRow(expense) {
+    return {
+      id: expense._id.toString(),
+      date: expense.date ? expense.date.toISOString().split('T')[0] : '',
+      title: expense.title,
+      description: expense.description || '',
+      category: expense.category?.name || '',
+      vendor: expense.vendor?.name || expense.vendorName || '',
+      expenseType: expense.expenseType || 'standard',
+      status: expense.status,
+      approvalStatus: expense.approval?.status || 'not_submitted',
+      totalAmount: expense.totalAmount,
+      currency: expense.metadata?.currency || 'USD',
+      exchangeRate: expense.metadata?.exchangeRate || 1,
+      baseAmount: expense.baseAmount ?? Number((expense.totalAmount * (expense.metadata?.exchangeRate || 1)).toFixed(2)),
+      taxAmount: Number(expense.payments.reduce((sum, payment) => sum + (payment.tax?.amount || 0), 0).toFixed(2)),
+      payers: expense.payments.map(payment => `${payment.user}: ${payment.amount}`).join('; '),
+      tags: (expense.tags || []).join(', '),
+      createdBy: expense.createdBy?.name || '',
+      createdAt: expense.createdAt ? expense.createdAt.toISOString() : ''
+    };
+  }
+
+  // Rows of the selected expenses, one per expense, for CSV, XLSX or JSON download
+  static async export(tenant, user, { expenseIds, filter, format = 'csv' } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ErrorResponse(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const { expenses, missing } = await this.selectExpenses(tenant, user, { expenseIds, filter }, MAX_EXPORT_EXPENSES);
+    const rows = expenses.map(expense => this.toExportRow(expense));
+
+    await ActivityService.logActivity({
+      type: 'expenses_exported',
+      entityId: tenant._id,
+      entityType: 'Tenant',
+      entityName: `${rows.length} expenses`,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      newData: { format, count: rows.length, ...(filter && { filter }) }
+    });
+
+    return { action: 'export', format, rows, missing };
+  }
+}
+
+module.exports = ExpenseBulkService;
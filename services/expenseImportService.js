@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Tenant = require('../models/Tenant');
+const ActivityService = require('./activityService');
+const ExchangeRateService = require('./exchangeRateService');
+const PayerMatchingService = require('./payerMatchingService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const VendorService = require('./vendorService');
+const ErrorResponse = require('../utils/errorResponse');
+const { readSpreadsheet, parseDate, parseAmount } = require('../utils/spreadsheetUtils');
+
+const MAX_IMPORT_ROWS = 1000;
+const PREVIEW_ROWS = 20;
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Standalone servers reject transactions with IllegalOperation (code 20)
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 || /Transaction numbers are only allowed/.test(error?.message || '');
+
+// Header names recognised when the client does not send a column mapping
+const HEADER_ALIASES = {
+  title: ['title', 'name', 'expense', 'item'],
+  description: ['description', 'notes', 'note', 'memo'],
+  date: ['date', 'expense date', 'transaction date'],
+  category: ['category'],
+  vendor: ['vendor', 'merchant', 'payee', 'supplier', 'store'],
+  tags: ['tags', 'labels'],
+  currency: ['currency'],
+  user: ['user', 'paid by', 'payer', 'person', 'employee'],
+  amount: ['amount', 'total', 'cost', 'price']
+};
+
+class ExpenseImportService {
+
+  // Read the first (or requested) sheet of a CSV/XLSX upload
+  static parseFile(file, sheet = null) {
+    return readSpreadsheet(file, { sheet, maxRows: MAX_IMPORT_ROWS });
+  }
+
+  // Validate the column mapping sent by the client, or guess one from the headers
+  static normalizeMapping(mapping, headers) {
+    if (typeof mapping === 'string') {
+      try {
+        mapping = mapping.trim() ? JSON.parse(mapping) : null;
+      } catch (error) {
+        throw new ErrorResponse('Invalid column mapping format', 400);
+      }
+    }
+
+    if (!mapping || Object.keys(mapping).length === 0) {
+      mapping = this.detectMapping(headers);
+    }
+
+    let payments = mapping.payments || [];
+    if (!Array.isArray(payments)) payments = [payments];
+    if (payments.length === 0 && mapping.amount) {
+      payments = [{ user: mapping.user, amount: mapping.amount }];
+    }
+
+    const normalized = {
+      title: mapping.title,
+      description: mapping.description,
+      date: mapping.date,
+      category: mapping.category,
+      vendor: mapping.vendor,
+      tags: mapping.tags,
+      currency: mapping.currency,
+      payments: payments.filter(payment => payment && payment.amount),
+      dateFormat: mapping.dateFormat || 'auto',
+      defaults: mapping.defaults || {}
+    };
+
+    if (!DATE_FORMATS.includes(normalized.dateFormat)) {
+      throw new ErrorResponse(`Date format must be one of: ${DATE_FORMATS.join(', ')}`, 400);
+    }
+
+    if (!normalized.title && !normalized.defaults.title) {
+      throw new ErrorResponse('Please map a column to the expense title', 400);
+    }
+
+    if (normalized.payments.length === 0) {
+      throw new ErrorResponse('Please map at least one column to a payment amount', 400);
+    }
+
+    const mappedColumns = [
+      normalized.title,
+      normalized.description,
+      normalized.date,
+      normalized.category,
+      normalized.vendor,
+      normalized.tags,
+      normalized.currency,
+      ...normalized.payments.flatMap(payment => [payment.user, payment.amount])
+    ].filter(Boolean);
+
+    const missingColumns = mappedColumns.filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      throw new ErrorResponse(`Mapped columns not found in file: ${missingColumns.join(', ')}`, 400);
+    }
+
+    return normalized;
+  }
+
+  static detectMapping(headers) {
+    const find = (field) => headers.find(header => HEADER_ALIASES[field].includes(header.toLowerCase()));
+
+    return {
+      title: find('title'),
+      description: find('description'),
+      date: find('date'),
+      category: find('category'),
+      vendor: find('vendor'),
+      tags: find('tags'),
+      currency: find('currency'),
+      payments: [{ user: find('user'), amount: find('amount') }]
+    };
+  }
+
+  // Turn spreadsheet rows into expense data plus row-level validation errors
+  static async buildRows(rows, mapping, { tenant, user }) {
+    const categories = await Category.find({ tenantId: tenant._id, isActive: true }).select('name slug');
+
+    const categoryLookup = new Map();
+    categories.forEach(category => {
+      categoryLookup.set(category.name.toLowerCase(), category);
+      categoryLookup.set(category.slug, category);
+      categoryLookup.set(category._id.toString(), category);
+    });
+
+    const matchVendor = await VendorService.getMatcher(tenant._id);
+
+    const { defaults } = mapping;
+
+    const builtRows = rows.map((row, index) => {
+      const errors = [];
+      const text = (column, fallback = '') => {
+        const value = column ? row[column] : undefined;
+        return value === undefined || value === null || value === '' ? fallback : String(value).trim();
+      };
+
+      const title = text(mapping.title, defaults.title || '');
+      if (!title) {
+        errors.push({ field: 'title', message: 'Title is required' });
+      }
+
+      let date = new Date();
+      const rawDate = mapping.date ? row[mapping.date] : defaults.date;
+      if (rawDate !== undefined && rawDate !== '') {
+        date = parseDate(rawDate, mapping.dateFormat);
+        if (!date) {
+          errors.push({ field: 'date', message: `Invalid date "${rawDate}"` });
+        }
+      } else if (mapping.date) {
+        errors.push({ field: 'date', message: 'Date is required' });
+      }
+
+      // Rows without a category take the default category of their vendor
+      const vendor = matchVendor(text(mapping.vendor, defaults.vendor || ''));
+      const vendorCategory = vendor?.vendor?.defaultCategory?.toString();
+      const categoryValue = text(
+        mapping.category,
+        (categoryLookup.has(vendorCategory) && vendorCategory) || defaults.category || ''
+      );
+      const category = categoryLookup.get(categoryValue.toLowerCase());
+      if (!categoryValue) {
+        errors.push({ field: 'category', message: 'Category is required' });
+      } else if (!category) {
+        errors.push({ field: 'category', message: `Unknown category "${categoryValue}"` });
+      }
+
+      const payments = [];
+      mapping.payments.forEach((paymentMapping, paymentIndex) => {
+        const rawAmount = row[paymentMapping.amount];
+        // Blank amount cells simply mean this payment column is unused for the row
+        if (rawAmount === undefined || rawAmount === '') return;
+
+        const amount = parseAmount(rawAmount);
+        if (isNaN(amount) || amount < 0) {
+          errors.push({ field: `payments.${paymentIndex}.amount`, message: `Invalid amount "${rawAmount}"` });
+          return;
+        }
+
+        payments.push({
+          user: text(paymentMapping.user, defaults.user || user.name),
+          amount: Number(amount.toFixed(2)),
+          category: category?._id
+        });
+      });
+
+      if (payments.length === 0 && !errors.some(error => error.field.startsWith('payments'))) {
+        errors.push({ field: 'payments', message: 'At least one payment amount is required' });
+      }
+
+      const tags = text(mapping.tags)
+        .split(/[,;]/)
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+
+      return {
+        row: index + 2, // Row 1 holds the headers
+        errors,
+        warnings: [],
+        categoryName: category?.name || categoryValue,
+        expense: {
+          title,
+          description: text(mapping.description, defaults.description || ''),
+          date,
+          category: category?._id,
+          ...(vendor && VendorService.toExpenseFields(vendor)),
+          // Imported expenses go through approval like any other
+          status: 'pending',
+          tags,
+          payments,
+          totalAmount: Number(payments.reduce((sum, p) => sum + p.amount, 0).toFixed(2))
+        },
+        currency: text(mapping.currency, defaults.currency || '')
+      };
+    });
+
+    // Link payer names to tenant users in one pass over all rows
+    const payments = builtRows.flatMap(row => row.expense.payments);
+    const resolvedPayments = await PayerMatchingService.resolvePayments(tenant._id, payments);
+    let paymentIndex = 0;
+    builtRows.forEach(row => {
+      row.expense.payments = row.expense.payments.map(() => resolvedPayments[paymentIndex++]);
+    });
+
+    // Capture exchange rates at each expense date; a missing rate is a row error
+    for (const row of builtRows) {
+      if (row.errors.length > 0) continue;
+
+      try {
+        const conversion = await ExchangeRateService.convert(tenant, {
+          currency: row.currency,
+          date: row.expense.date,
+          totalAmount: row.expense.totalAmount
+        });
+        row.expense.baseAmount = conversion.baseAmount;
+        row.conversion = conversion.metadata;
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        row.errors.push({ field: 'currency', message: error.message });
+      }
+    }
+
+    // Likely duplicates only warn; they are flagged for review once imported
+    return DuplicateDetectionService.checkImportRows(tenant._id, builtRows);
+  }
+
+  static summarize(builtRows) {
+    const invalidRows = builtRows.filter(row => row.errors.length > 0);
+
+    return {
+      totalRows: builtRows.length,
+      validRows: builtRows.length - invalidRows.length,
+      invalidRows: invalidRows.length,
+      possibleDuplicates: builtRows.filter(row => row.warnings.length > 0).length,
+      errors: invalidRows.flatMap(row => row.errors.map(error => ({ row: row.row, ...error })))
+    };
+  }
+
+  static preview(builtRows) {
+    return builtRows.slice(0, PREVIEW_ROWS).map(row => ({
+      row: row.row,
+      valid: row.errors.length === 0,
+      title: row.expense.title,
+      date: row.expense.date,
+      category: row.categoryName,
+      vendor: row.expense.vendorName || null,
+      vendorMatched: Boolean(row.expense.vendor),
+      status: row.expense.status,
+      tags: row.expense.tags,
+      payments: row.expense.payments.map(payment => ({
+        user: payment.user,
+        userId: payment.userId,
+        amount: payment.amount
+      })),
+      totalAmount: row.expense.totalAmount,
+      currency: row.conversion?.currency || row.currency,
+      baseAmount: row.expense.baseAmount,
+      errors: row.errors,
+      warnings: row.warnings
+    }));
+  }
+
+  static async insertInTransaction(documents) {
+    let inserted = [];
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        inserted = await Expense.insertMany(documents, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return inserted;
+  }
+
+  // Without transactions the batch is inserted in order and removed again when a row fails
+  static async insertWithRollback(documents, { tenantId, importBatchId }) {
+    try {
+      return await Expense.insertMany(documents, { ordered: true });
+    } catch (error) {
+      await Expense.deleteMany({ tenantId, 'metadata.importBatchId': importBatchId });
+      throw error;
+    }
+  }
+
+  // Insert all rows at once: either every row is imported or none. Transactions
+  // need a replica set; a standalone server falls back to rolling back by hand.
+  static async commit(builtRows, { tenantId, user, fileName }) {
+    const importBatchId = crypto.randomUUID();
+
+    const documents = builtRows.map(row => ({
+      ...row.expense,
+      tenantId,
+      createdBy: user._id,
+      metadata: {
+        ...row.conversion,
+        source: 'import',
+        importBatchId
+      }
+    }));
+
+    let inserted;
+    try {
+      inserted = await this.insertInTransaction(documents);
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      inserted = await this.insertWithRollback(documents, { tenantId, importBatchId });
+    }
+
+    // insertMany skips the save hooks that normally keep this counter up to date
+    await Tenant.updateUsage(tenantId, 'expense', inserted.length);
+    await ExpenseRevisionService.recordCreated(inserted, user);
+    await DuplicateDetectionService.checkExpenses(inserted);
+
+    for (const expense of inserted) {
+      await ActivityService.logActivity({
+        type: 'expense_created',
+        entityId: expense._id,
+        entityType: 'Expense',
+        entityName: expense.title,
+        tenantId,
+        performedBy: user._id,
+        newData: {
+          title: expense.title,
+          totalAmount: expense.totalAmount,
+          status: expense.status,
+          date: expense.date,
+          importBatchId,
+          fileName
+        },
+        metadata: {
+          source: 'import'
+        }
+      });
+    }
+
+    return { importBatchId, expenses: inserted };
+  }
+}
+
+module.exports = ExpenseImportService;
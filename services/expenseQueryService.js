@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const Vendor = require('../models/Vendor');
+const GeoService = require('./geoService');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex, normalizeVendorName } = require('../utils/stringUtils');
+
+const MAX_LIMIT = 100;
+
+// Sort keys accepted by ?sort= (prefix with - for descending)
+const SORT_FIELDS = {
+  date: 'date',
+  amount: 'totalAmount',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title'
+};
+const DATE_SORT_FIELDS = ['date', 'createdAt', 'updatedAt'];
+
+// field:value, -field:value (negated), field:"quoted value" or a bare search word
+const CLAUSE_PATTERN = /(-?)([A-Za-z]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const RANGE_PATTERN = /^(>=|<=|>|<)?(.+)$/;
+
+const HAS_CONDITIONS = {
+  attachment: { payments: { $elemMatch: { 'file.path': { $type: 'string' } } } },
+  warnings: { 'policyViolations.0': { $exists: true } },
+  duplicates: { 'duplicateCheck.status': 'flagged' },
+  location: { 'metadata.location.point': { $exists: true } },
+  allocation: {
+    $or: [
+      { 'allocations.0': { $exists: true } },
+      { 'payments.allocations.0': { $exists: true } }
+    ]
+  },
+  vendor: { vendorKey: { $nin: [null, ''] } }
+};
+
+const EXPENSE_TYPES = Expense.schema.path('expenseType').enumValues;
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(value);
+
+class ExpenseQueryService {
+
+  /**
+   * Split a filter string into clauses, e.g.
+   * `category:food,travel amount:>=20 amount:<100 tag:client type:mileage project:PRJ-1 vendor:aws -has:attachment taxi`.
+   * Values separated by commas match any of them; repeated fields must all match.
+   * Location clauses read the whole value: `near:lat,lng,radiusKm` and
+   * `within:lat,lng;lat,lng;lat,lng` (polygon corners).
+   */
+  static parseFilter(filter = '') {
+    const clauses = [];
+    const words = [];
+
+    for (const match of String(filter).matchAll(CLAUSE_PATTERN)) {
+      const [, negate, field, rawValue, quoted, word] = match;
+
+      if (field) {
+        const value = rawValue.replace(/^"|"$/g, '');
+        clauses.push({ field, negate: negate === '-', raw: value, values: value.split(',').map(v => v.trim()).filter(Boolean) });
+      } else {
+        words.push(quoted ?? word);
+      }
+    }
+
+    return { clauses, search: words.join(' ').trim() };
+  }
+
+  // Old single-value query parameters expressed as clauses
+  static legacyClauses(query) {
+    const clauses = [];
+    const add = (field, value) => value && clauses.push({ field, negate: false, values: [String(value)] });
+
+    add('status', query.status);
+    add('category', query.category);
+    add('payer', query.user);
+    if (query.startDate) add('date', `>=${query.startDate}`);
+    if (query.endDate) add('date', `<=${query.endDate}`);
+
+    return clauses;
+  }
+
+  static parseRange(field, value, parse) {
+    const [, operator = '', raw] = value.match(RANGE_PATTERN);
+    const parsed = parse(raw);
+    if (parsed === null) {
+      throw new ErrorResponse(`Invalid ${field} "${raw}"`, 400);
+    }
+
+    const mongoOperator = { '>=': '$gte', '<=': '$lte', '>': '$gt', '<': '$lt' }[operator];
+    return mongoOperator ? { [mongoOperator]: parsed } : parsed;
+  }
+
+  static parseUser(value, user) {
+    const id = value === 'me' ? String(user._id) : value;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse(`Invalid user "${value}"`, 400);
+    }
+    return toObjectId(id);
+  }
+
+  // Category ids for names, slugs or ids, each with all of its descendants
+  static async resolveCategories(tenantId, values) {
+    const categories = await Category.find({ tenantId }).select('name slug parentCategory').lean();
+
+    const children = new Map();
+    categories.forEach(category => {
+      const parent = category.parentCategory ? category.parentCategory.toString() : null;
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(category._id);
+    });
+
+    const ids = new Set();
+    values.forEach(value => {
+      const lower = value.toLowerCase();
+      const category = categories.find(c =>
+        c._id.toString() === value || c.slug === lower || c.name.toLowerCase() === lower
+      );
+      if (!category) {
+        throw new ErrorResponse(`Unknown category "${value}"`, 400);
+      }
+
+      const queue = [category._id];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        if (ids.has(id.toString())) continue;
+        ids.add(id.toString());
+        queue.push(...(children.get(id.toString()) || []));
+      }
+    });
+
+    return [...ids].map(toObjectId);
+  }
+
+  // Project ids for codes or ids, archived projects included
+  static async resolveProjects(tenantId, values) {
+    const projects = await Project.find({ tenantId }).select('code').lean();
+
+    return values.map(value => {
+      const project = projects.find(p => p._id.toString() === value || p.code === value.toUpperCase());
+      if (!project) {
+        throw new ErrorResponse(`Unknown project or cost center "${value}"`, 400);
+      }
+      return project._id;
+    });
+  }
+
+  // Conditions for vendor ids or names. A name of a directory vendor matches its
+  // expenses; other names match expenses entered with that name
+  static async resolveVendors(tenantId, values) {
+    const keys = values.map(normalizeVendorName).filter(Boolean);
+    const vendors = await Vendor.find({
+      tenantId,
+      $or: [
+        { _id: { $in: values.filter(value => mongoose.Types.ObjectId.isValid(value) && value.length === 24) } },
+        { normalizedName: { $in: keys } },
+        { normalizedAliases: { $in: keys } }
+      ]
+    }).select('normalizedName normalizedAliases').lean();
+
+    return values.map(value => {
+      const key = normalizeVendorName(value);
+      const vendor = vendors.find(v =>
+        v._id.toString() === value || v.normalizedName === key || (v.normalizedAliases || []).includes(key)
+      );
+      if (vendor) return { vendor: vendor._id };
+      if (!key) {
+        throw new ErrorResponse(`Invalid vendor "${value}"`, 400);
+      }
+      return { vendorKey: key };
+    });
+  }
+
+  // One match condition for a clause
+  static async buildCondition(clause, { tenantId, user }) {
+    const { field, values } = clause;
+    const any = (path, list) => ({ [path]: { $in: list } });
+
+    switch (field) {
+      case 'status':
+        return any('status', values.map(v => v.toLowerCase()));
+
+      case 'approval':
+        return any('approval.status', values.map(v => v.toLowerCase()));
+
+      case 'category':
+        return any('category', await this.resolveCategories(tenantId, values));
+
+      case 'type': {
+        const types = values.map(v => v.toLowerCase().replace('-', '_'));
+        const unknown = types.find(type => !EXPENSE_TYPES.includes(type));
+        if (unknown) {
+          throw new ErrorResponse(`Unknown expense type "${unknown}"`, 400);
+        }
+        // Expenses saved before typed expenses have no type and are standard
+        return any('expenseType', types.includes('standard') ? [...types, null] : types);
+      }
+
+      case 'project':
+        return Expense.projectFilter(await this.resolveProjects(tenantId, values));
+
+      case 'vendor':
+        return { $or: await this.resolveVendors(tenantId, values) };
+
+      case 'tag':
+      case 'tags':
+        return any('tags', values.map(v => v.toLowerCase()));
+
+      case 'currency': {
+        const codes = values.map(v => v.toUpperCase());
+        if (codes.some(code => !/^[A-Z]{3}$/.test(code))) {
+          throw new ErrorResponse('Currency must be a 3-letter code', 400);
+        }
+        return any('metadata.currency', codes);
+      }
+
+      case 'createdBy':
+        return any('createdBy', values.map(v => this.parseUser(v, user)));
+
+      case 'approver': {
+        const ids = values.map(v => this.parseUser(v, user));
+        return { $or: [any('approval.steps.user', ids), any('approval.steps.actedBy', ids)] };
+      }
+
+      case 'payer':
+        return { $or: values.map(v => Expense.payerFilter(v)) };
+
+      case 'amount':
+        return {
+          $and: values.map(v => ({
+            totalAmount: this.parseRange('amount', v, raw => (isNaN(Number(raw)) ? null : Number(raw)))
+          }))
+        };
+
+      case 'date':
+        return {
+          $and: values.map(v => ({
+            date: this.parseRange('date', v, raw => {
+              const date = new Date(raw);
+              return isNaN(date.getTime()) ? null : date;
+            })
+          }))
+        };
+
+      case 'near': {
+        const [latitude, longitude, radius] = values;
+        if (values.length !== 3) {
+          throw new ErrorResponse('near: needs latitude,longitude,radiusKm', 400);
+        }
+        return GeoService.nearCondition(latitude, longitude, radius);
+      }
+
+      case 'within':
+        return GeoService.polygonCondition(
+          clause.raw.split(';').filter(Boolean).map(corner => corner.split(',').map(v => v.trim()))
+        );
+
+      case 'has': {
+        const unknown = values.find(v => !HAS_CONDITIONS[v]);
+        if (unknown) {
+          throw new ErrorResponse(`Unknown has: value "${unknown}"`, 400);
+        }
+        return { $or: values.map(v => HAS_CONDITIONS[v]) };
+      }
+
+      default:
+        throw new ErrorResponse(`Unknown filter field "${field}"`, 400);
+    }
+  }
+
+  static async buildMatch(tenant, user, query = {}) {
+    const { clauses, search: filterSearch } = this.parseFilter(query.filter);
+    const search = [query.search, filterSearch].filter(Boolean).join(' ');
+
+    const conditions = [];
+    for (const clause of [...this.legacyClauses(query), ...clauses]) {
+      const condition = await this.buildCondition(clause, { tenantId: tenant._id, user });
+      conditions.push(clause.negate ? { $nor: [condition] } : condition);
+    }
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      conditions.push({
+        $or: [
+          { title: { $regex: pattern, $options: 'i' } },
+          { description: { $regex: pattern, $options: 'i' } },
+          { vendorName: { $regex: pattern, $options: 'i' } }
+        ]
+      });
+    }
+
+    return {
+      tenantId: tenant._id,
+      ...(conditions.length > 0 && { $and: conditions })
+    };
+  }
+
+  static parseSort(sort = '-date') {
+    const descending = sort.startsWith('-');
+    const key = descending ? sort.slice(1) : sort;
+
+    if (!SORT_FIELDS[key]) {
+      throw new ErrorResponse(`Cannot sort by "${key}". Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`, 400);
+    }
+
+    return { key: sort, field: SORT_FIELDS[key], isDate: DATE_SORT_FIELDS.includes(key), direction: descending ? -1 : 1 };
+  }
+
+  // Opaque cursor holding the sort value and id of the last expense of a page
+  static encodeCursor(sort, expense) {
+    return Buffer.from(JSON.stringify({
+      s: sort.key,
+      v: expense[sort.field],
+      id: expense._id
+    })).toString('base64url');
+  }
+
+  // Match for expenses after the cursor; the id breaks ties between equal sort values
+  static cursorMatch(sort, cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+      throw new ErrorResponse('Invalid cursor', 400);
+    }
+
+    if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new ErrorResponse('Invalid cursor', 400);
+    }
+    if (decoded.s !== sort.key) {
+      throw new ErrorResponse('Cursor was created with a different sort order', 400);
+    }
+
+    const value = sort.isDate ? new Date(decoded.v) : decoded.v;
+    const operator = sort.direction === -1 ? '$lt' : '$gt';
+
+    return {
+      $or: [
+        { [sort.field]: { [operator]: value } },
+        { [sort.field]: value, _id: { [operator]: toObjectId(decoded.id) } }
+      ]
+    };
+  }
+
+  /**
+   * Page of expenses for GET /api/expenses. Filtering, sorting, the page and the
+   * total count come from one aggregation. Pass `cursor` for stable paging;
+   * `page` still works for offset paging.
+   */
+  static async list(tenant, user, query = {}) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), MAX_LIMIT);
+    const page = query.cursor ? null : Math.max(parseInt(query.page) || 1, 1);
+    const sort = this.parseSort(query.sort || undefined);
+    const match = await this.buildMatch(tenant, user, query);
+
+    const dataPipeline = [
+      ...(query.cursor ? [{ $match: this.cursorMatch(sort, query.cursor) }] : []),
+      { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+      ...(page > 1 ? [{ $skip: (page - 1) * limit }] : []),
+      // One extra row tells whether there is a next page
+      { $limit: limit + 1 }
+    ];
+
+    const [result] = await Expense.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          data: dataPipeline,
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const hasNext = result.data.length > limit;
+    const rows = result.data.slice(0, limit);
+    const total = result.total[0]?.count || 0;
+
+    const expenses = await Expense.populate(rows, [
+      { path: 'category', select: 'name slug' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'payments.category', select: 'name' },
+      { path: 'allocations.project', select: 'code name kind' },
+      { path: 'vendor', select: 'name' }
+    ]);
+
+    return {
+      expenses,
+      total,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        sort: sort.key,
+        hasNext,
+        hasPrev: query.cursor ? true : page > 1,
+        nextCursor: hasNext ? this.encodeCursor(sort, rows[rows.length - 1]) : null
+      }
+    };
+  }
+}
+
+module.exports = ExpenseQueryService;
@@ -0,0 +1,657 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
+const ActivityService = require('./activityService');
+const ApprovalService = require('./approvalService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeHtml } = require('../utils/stringUtils');
+
+const BASE_AMOUNT = Expense.baseAmountExpression();
+const REPORT_STATUSES = ExpenseReport.schema.path('status').enumValues;
+const MAX_EXPENSES_PER_REQUEST = 200;
+const MAX_LIMIT = 100;
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+const EMPTY_TOTALS = { count: 0, baseAmount: 0, firstDate: null, lastDate: null };
+
+class ExpenseReportService {
+
+  static async findReport(tenant, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse('Invalid report ID format', 400);
+    }
+
+    const report = await ExpenseReport.findOne({ _id: id, tenantId: tenant._id });
+    if (!report) {
+      throw new ErrorResponse('Expense report not found', 404);
+    }
+
+    return report;
+  }
+
+  static assertCanEdit(report, user) {
+    if (!report.canEditBy(user)) {
+      throw new ErrorResponse('Only the owner can change this expense report', 403);
+    }
+    if (!report.isEditable()) {
+      throw new ErrorResponse(`An expense report that is ${report.status} cannot be changed`, 400);
+    }
+  }
+
+  // Any change to a rejected report reopens it as a draft
+  static reopen(report) {
+    if (report.status === 'rejected') {
+      report.status = 'draft';
+      report.rejectionReason = undefined;
+    }
+  }
+
+  static logReportActivity(report, user, type, extra = {}) {
+    return ActivityService.logActivity({
+      type,
+      entityId: report._id,
+      entityType: 'ExpenseReport',
+      entityName: report.title,
+      tenantId: report.tenantId,
+      performedBy: user._id,
+      ...extra
+    });
+  }
+
+  // Expense count, base-currency total and date span of several reports
+  static async getTotals(tenantId, reportIds) {
+    const rows = await Expense.aggregate([
+      { $match: { tenantId, report: { $in: reportIds } } },
+      {
+        $group: {
+          _id: '$report',
+          count: { $sum: 1 },
+          baseAmount: { $sum: BASE_AMOUNT },
+          firstDate: { $min: '$date' },
+          lastDate: { $max: '$date' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(({ _id, baseAmount, ...totals }) => [
+      _id.toString(),
+      { ...totals, baseAmount: round(baseAmount) }
+    ]));
+  }
+
+  // Totals of one report, overall, by category and by original currency
+  static async getBreakdown(report) {
+    const [result] = await Expense.aggregate([
+      { $match: { tenantId: report.tenantId, report: report._id } },
+      {
+        $facet: {
+          total: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                baseAmount: { $sum: BASE_AMOUNT },
+                firstDate: { $min: '$date' },
+                lastDate: { $max: '$date' }
+              }
+            }
+          ],
+          byCategory: [
+            { $group: { _id: '$category', count: { $sum: 1 }, baseAmount: { $sum: BASE_AMOUNT } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $project: { _id: 1, count: 1, baseAmount: 1, name: { $arrayElemAt: ['$category.name', 0] } } },
+            { $sort: { baseAmount: -1 } }
+          ],
+          byCurrency: [
+            {
+              $group: {
+                _id: { $ifNull: ['$metadata.currency', 'USD'] },
+                count: { $sum: 1 },
+                totalAmount: { $sum: '$totalAmount' },
+                baseAmount: { $sum: BASE_AMOUNT }
+              }
+            },
+            { $sort: { baseAmount: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0];
+
+    return {
+      count: total?.count || 0,
+      baseAmount: round(total?.baseAmount),
+      period: total ? { start: total.firstDate, end: total.lastDate } : null,
+      byCategory: result.byCategory.map(({ _id, name, count, baseAmount }) => ({
+        category: _id,
+        name: name || null,
+        count,
+        baseAmount: round(baseAmount)
+      })),
+      byCurrency: result.byCurrency.map(({ _id, count, totalAmount, baseAmount }) => ({
+        currency: _id,
+        count,
+        totalAmount: round(totalAmount),
+        baseAmount: round(baseAmount)
+      }))
+    };
+  }
+
+  static async list(tenant, user, { status, mine, page, limit } = {}) {
+    const query = { tenantId: tenant._id };
+
+    if (status) {
+      if (!REPORT_STATUSES.includes(status)) {
+        throw new ErrorResponse(`Status must be one of: ${REPORT_STATUSES.join(', ')}`, 400);
+      }
+      query.status = status;
+    }
+    if (mine === 'true') query.owner = user._id;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+
+    const [reports, total] = await Promise.all([
+      ExpenseReport.find(query)
+        .populate('owner', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      ExpenseReport.countDocuments(query)
+    ]);
+
+    const totals = await this.getTotals(tenant._id, reports.map(report => report._id));
+
+    return {
+      reports: reports.map(report => ({
+        ...report,
+        totals: totals.get(report._id.toString()) || EMPTY_TOTALS
+      })),
+      total,
+      pagination: {
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    };
+  }
+
+  // Report with its expenses and totals
+  static async get(tenant, id) {
+    const report = await this.findReport(tenant, id);
+
+    const [populated, expenses, totals] = await Promise.all([
+      ExpenseReport.findById(report._id)
+        .populate('owner', 'name email')
+        .populate('approval.chain', 'name')
+        .populate('approval.steps.actedBy', 'name email'),
+      Expense.find({ tenantId: tenant._id, report: report._id })
+        .populate('category', 'name')
+        .populate('createdBy', 'name email')
+        .sort({ date: 1, createdAt: 1 }),
+      this.getBreakdown(report)
+    ]);
+
+    return { report: populated, expenses, totals };
+  }
+
+  static async create(tenant, user, { title, description, expenseIds } = {}) {
+    const report = await ExpenseReport.create({
+      tenantId: tenant._id,
+      title,
+      description,
+      owner: user._id
+    });
+
+    await this.logReportActivity(report, user, 'report_created');
+
+    if (Array.isArray(expenseIds) && expenseIds.length > 0) {
+      await this.addExpenses(report, user, expenseIds);
+    }
+
+    return report;
+  }
+
+  static async update(report, user, { title, description } = {}) {
+    this.assertCanEdit(report, user);
+
+    const changes = [];
+    if (title !== undefined && title !== report.title) {
+      changes.push(`Title: ${report.title} → ${title}`);
+      report.title = title;
+    }
+    if (description !== undefined) report.description = description;
+
+    this.reopen(report);
+    await report.save();
+
+    await this.logReportActivity(report, user, 'report_updated', { changes });
+
+    return report;
+  }
+
+  // Expenses go back to being standalone; the report itself is removed
+  static async remove(report, user) {
+    this.assertCanEdit(report, user);
+
+    await Expense.updateMany({ tenantId: report.tenantId, report: report._id }, { report: null });
+    await report.deleteOne();
+
+    await this.logReportActivity(report, user, 'report_deleted');
+  }
+
+  /**
+   * Attach expenses to a report. Each expense may be in one report, must not be
+   * under review or approved on its own, and must belong to the report owner
+   * unless a tenant admin is building the report.
+   */
+  static async addExpenses(report, user, expenseIds) {
+    this.assertCanEdit(report, user);
+
+    if (!Array.isArray(expenseIds) || expenseIds.length === 0) {
+      throw new ErrorResponse('Please provide the expenses to add', 400);
+    }
+    if (expenseIds.length > MAX_EXPENSES_PER_REQUEST) {
+      throw new ErrorResponse(`Add at most ${MAX_EXPENSES_PER_REQUEST} expenses at a time`, 400);
+    }
+    if (expenseIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    const ids = [...new Set(expenseIds.map(String))];
+    const expenses = await Expense.find({ _id: { $in: ids }, tenantId: report.tenantId })
+      .select('title createdBy report status approval');
+
+    if (expenses.length !== ids.length) {
+      throw new ErrorResponse('One or more expenses were not found', 404);
+    }
+
+    const ownerId = (report.owner._id || report.owner).toString();
+    const errors = [];
+    expenses.forEach(expense => {
+      let message = null;
+      if (expense.report && expense.report.toString() !== report._id.toString()) {
+        message = 'Expense is already in another expense report';
+      } else if (expense.approval?.status === 'in_review') {
+        message = 'Expense is awaiting approval on its own';
+      } else if (expense.approval?.status === 'approved' || expense.status === 'completed') {
+        message = 'Expense has already been approved';
+      } else if (user.tenantRole !== 'tenant_admin' && expense.createdBy.toString() !== ownerId) {
+        message = 'Only expenses created by the report owner can be added';
+      }
+      if (message) errors.push({ expense: expense._id, title: expense.title, message });
+    });
+
+    if (errors.length > 0) {
+      throw new ErrorResponse('Some expenses cannot be added to this report', 400, { errors });
+    }
+
+    // The report filter keeps a concurrent request from moving an expense between reports
+    const result = await Expense.updateMany(
+      { _id: { $in: ids }, tenantId: report.tenantId, report: { $in: [null, report._id] } },
+      { report: report._id }
+    );
+
+    this.reopen(report);
+    await report.save();
+
+    await this.logReportActivity(report, user, 'report_updated', {
+      changes: [`Added ${result.modifiedCount} expense(s)`]
+    });
+
+    return { added: result.modifiedCount };
+  }
+
+  static async removeExpense(report, user, expenseId) {
+    this.assertCanEdit(report, user);
+
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    const result = await Expense.updateOne(
+      { _id: expenseId, tenantId: report.tenantId, report: report._id },
+      { report: null }
+    );
+    if (result.matchedCount === 0) {
+      throw new ErrorResponse('Expense is not in this report', 404);
+    }
+
+    this.reopen(report);
+    await report.save();
+
+    await this.logReportActivity(report, user, 'report_updated', { changes: ['Removed 1 expense'] });
+  }
+
+  /**
+   * Submit the report into the approval chain matching its base-currency total.
+   * Its expenses go under review with it and cannot be approved one by one.
+   */
+  static async submit(report, user) {
+    if (!report.canEditBy(user)) {
+      throw new ErrorResponse('Only the owner can submit this expense report', 403);
+    }
+    if (report.status === 'submitted') {
+      throw new ErrorResponse('Expense report is already awaiting approval', 400);
+    }
+    if (report.status === 'approved') {
+      throw new ErrorResponse('Expense report has already been approved', 400);
+    }
+
+    const expenses = await Expense.find({ tenantId: report.tenantId, report: report._id });
+    if (expenses.length === 0) {
+      throw new ErrorResponse('Add at least one expense before submitting the report', 400);
+    }
+
+    const baseAmount = round(expenses.reduce(
+      (sum, expense) => sum + (expense.baseAmount ?? expense.totalAmount * (expense.metadata?.exchangeRate || 1)),
+      0
+    ));
+    const { chain, steps } = await ApprovalService.resolveSteps(report.tenantId, { totalAmount: baseAmount });
+    const submittedAt = new Date();
+
+    report.status = 'submitted';
+    report.rejectionReason = undefined;
+    report.approval = {
+      chain: chain?._id,
+      currentStep: 0,
+      submittedBy: user._id,
+      submittedAt,
+      steps
+    };
+    await report.save();
+
+    for (const expense of expenses) {
+      const before = ExpenseRevisionService.snapshot(expense);
+      expense.status = 'pending';
+      expense.rejectedBy = undefined;
+      expense.rejectedAt = undefined;
+      expense.rejectionReason = undefined;
+      // Steps live on the report
+      expense.approval = {
+        status: 'in_review',
+        currentStep: 0,
+        submittedBy: user._id,
+        submittedAt,
+        steps: []
+      };
+      await expense.save();
+      await ExpenseRevisionService.record(expense, { action: 'submitted', user, before });
+    }
+
+    await this.logReportActivity(report, user, 'report_submitted', {
+      newData: {
+        expenses: expenses.length,
+        baseAmount,
+        chain: chain?.name || 'Default',
+        steps: report.approval.steps.map(step => step.name)
+      }
+    });
+
+    return report;
+  }
+
+  static getCurrentStep(report) {
+    if (report.status !== 'submitted') {
+      throw new ErrorResponse('Expense report is not awaiting approval', 400);
+    }
+
+    const step = report.approval.steps[report.approval.currentStep];
+    if (!step) {
+      throw new ErrorResponse('Approval step not found', 400);
+    }
+
+    return step;
+  }
+
+  static assertCanAct(report, step, user) {
+    // Like single expenses, nobody approves their own report, tenant admins included
+    if ((report.owner._id || report.owner).toString() === user._id.toString()) {
+      throw new ErrorResponse('You cannot approve or reject your own expense report', 403);
+    }
+
+    if (!ApprovalService.canUserActOnStep(step, user)) {
+      throw new ErrorResponse(`You are not an approver for step "${step.name}"`, 403);
+    }
+  }
+
+  // Approve the current step; after the last step every expense of the report is approved
+  static async approve(report, user, comment = '') {
+    const step = this.getCurrentStep(report);
+    this.assertCanAct(report, step, user);
+
+    step.status = 'approved';
+    step.actedBy = user._id;
+    step.actedAt = new Date();
+    step.comment = comment;
+
+    const stepNumber = report.approval.currentStep + 1;
+    const totalSteps = report.approval.steps.length;
+    const isFinalStep = stepNumber === totalSteps;
+
+    if (isFinalStep) {
+      report.status = 'approved';
+      report.approval.decidedAt = new Date();
+    } else {
+      report.approval.currentStep += 1;
+    }
+    await report.save();
+
+    let expenseCount = 0;
+    if (isFinalStep) {
+      const expenses = await Expense.find({ tenantId: report.tenantId, report: report._id });
+      for (const expense of expenses) {
+        const before = ExpenseRevisionService.snapshot(expense);
+        expense.approval.status = 'approved';
+        await expense.approve(user._id);
+        await ExpenseRevisionService.record(expense, { action: 'approved', user, before });
+      }
+      expenseCount = expenses.length;
+    }
+
+    await this.logReportActivity(report, user, 'report_approved', {
+      newData: { step: step.name, stepNumber, totalSteps, comment, status: report.status },
+      changes: [
+        `Step ${stepNumber}/${totalSteps} (${step.name}) approved`,
+        ...(isFinalStep ? [`${expenseCount} expense(s) approved`] : [])
+      ]
+    });
+
+    return report;
+  }
+
+  // Reject the current step, which rejects the report and every expense in it
+  static async reject(report, user, reason) {
+    if (!reason || !reason.trim()) {
+      throw new ErrorResponse('Please provide a rejection reason', 400);
+    }
+
+    const step = this.getCurrentStep(report);
+    this.assertCanAct(report, step, user);
+
+    step.status = 'rejected';
+    step.actedBy = user._id;
+    step.actedAt = new Date();
+    step.comment = reason.trim();
+
+    report.status = 'rejected';
+    report.rejectionReason = reason.trim();
+    report.approval.decidedAt = new Date();
+    await report.save();
+
+    const expenses = await Expense.find({ tenantId: report.tenantId, report: report._id });
+    for (const expense of expenses) {
+      const before = ExpenseRevisionService.snapshot(expense);
+      expense.approval.status = 'rejected';
+      await expense.reject(user._id, `Expense report rejected: ${reason.trim()}`);
+      await ExpenseRevisionService.record(expense, { action: 'rejected', user, before });
+    }
+
+    const stepNumber = report.approval.currentStep + 1;
+
+    await this.logReportActivity(report, user, 'report_rejected', {
+      newData: { step: step.name, stepNumber, totalSteps: report.approval.steps.length, reason: reason.trim() },
+      changes: [
+        `Step ${stepNumber} (${step.name}) rejected`,
+        `${expenses.length} expense(s) rejected`
+      ]
+    });
+
+    return report;
+  }
+
+  // Submitted reports whose current step the user may act on
+  static async getPending(tenant, user) {
+    const query = { tenantId: tenant._id, status: 'submitted', owner: { $ne: user._id } };
+
+    const reports = await ExpenseReport.find(query)
+      .populate('owner', 'name email')
+      .populate('approval.chain', 'name')
+      .sort({ 'approval.submittedAt': 1 })
+      .lean();
+
+    const actionable = reports.filter(report => {
+      const step = report.approval.steps[report.approval.currentStep];
+      return step && ApprovalService.canUserActOnStep(step, user);
+    });
+
+    const totals = await this.getTotals(tenant._id, actionable.map(report => report._id));
+
+    return actionable.map(report => ({
+      ...report,
+      totals: totals.get(report._id.toString()) || EMPTY_TOTALS
+    }));
+  }
+
+  // Everything a reviewer needs on paper: header, approval trail, totals and expense lines
+  static async getSummary(tenant, id) {
+    const { report, expenses, totals } = await this.get(tenant, id);
+
+    return {
+      baseCurrency: tenant.settings?.baseCurrency || 'USD',
+      generatedAt: new Date(),
+      report: {
+        _id: report._id,
+        title: report.title,
+        description: report.description,
+        status: report.status,
+        owner: report.owner ? { name: report.owner.name, email: report.owner.email } : null,
+        submittedAt: report.approval?.submittedAt || null,
+        decidedAt: report.approval?.decidedAt || null,
+        rejectionReason: report.rejectionReason || null,
+        chain: report.approval?.chain?.name || null,
+        steps: (report.approval?.steps || []).map(step => ({
+          name: step.name,
+          status: step.status,
+          actedBy: step.actedBy?.name || null,
+          actedAt: step.actedAt || null,
+          comment: step.comment || ''
+        }))
+      },
+      totals,
+      expenses: expenses.map(expense => ({
+        _id: expense._id,
+        date: expense.date,
+        title: expense.title,
+        category: expense.category?.name || null,
+        expenseType: expense.expenseType || 'standard',
+        payers: expense.payments.map(payment => payment.user),
+        receipts: expense.payments.filter(payment => payment.file?.path).length,
+        currency: expense.metadata?.currency || 'USD',
+        totalAmount: expense.totalAmount,
+        baseAmount: expense.baseAmount ?? round(expense.totalAmount * (expense.metadata?.exchangeRate || 1)),
+        status: expense.status
+      }))
+    };
+  }
+
+  // Standalone HTML page of a summary, styled for printing or saving as PDF from the browser
+  static renderSummaryHtml(summary) {
+    const { report, totals, expenses, baseCurrency } = summary;
+    const date = (value) => (value ? new Date(value).toISOString().split('T')[0] : '—');
+    const money = (value, currency = baseCurrency) => `${Number(value || 0).toFixed(2)} ${escapeHtml(currency)}`;
+
+    const expenseRows = expenses.map(expense => `
+        <tr>
+          <td>${date(expense.date)}</td>
+          <td>${escapeHtml(expense.title)}</td>
+          <td>${escapeHtml(expense.category || '—')}</td>
+          <td>${escapeHtml(expense.payers.join(', '))}</td>
+          <td class="num">${expense.receipts}</td>
+          <td class="num">${money(expense.totalAmount, expense.currency)}</td>
+          <td class="num">${money(expense.baseAmount)}</td>
+        </tr>`).join('');
+
+    const categoryRows = totals.byCategory.map(row => `
+        <tr><td>${escapeHtml(row.name || '—')}</td><td class="num">${row.count}</td><td class="num">${money(row.baseAmount)}</td></tr>`).join('');
+
+    const currencyRows = totals.byCurrency.map(row => `
+        <tr><td>${escapeHtml(row.currency)}</td><td class="num">${row.count}</td><td class="num">${money(row.totalAmount, row.currency)}</td><td class="num">${money(row.baseAmount)}</td></tr>`).join('');
+
+    const stepRows = report.steps.map(step => `
+        <tr><td>${escapeHtml(step.name)}</td><td>${escapeHtml(step.status)}</td><td>${escapeHtml(step.actedBy || '—')}</td><td>${date(step.actedAt)}</td><td>${escapeHtml(step.comment)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.title)} - Expense Report</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 32px; font-size: 13px; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 28px; font-size: 15px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; white-space: nowrap; }
+    .meta { color: #555; }
+    .total { font-size: 16px; font-weight: bold; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">
+    Status: ${escapeHtml(report.status)} · Owner: ${escapeHtml(report.owner?.name || '—')}
+    · Period: ${date(totals.period?.start)} to ${date(totals.period?.end)}
+    · Submitted: ${date(report.submittedAt)} · Decided: ${date(report.decidedAt)}
+  </p>
+  ${report.description ? `<p>${escapeHtml(report.description)}</p>` : ''}
+  ${report.rejectionReason ? `<p><strong>Rejection reason:</strong> ${escapeHtml(report.rejectionReason)}</p>` : ''}
+  <p class="total">Total: ${money(totals.baseAmount)} (${totals.count} expenses)</p>
+
+  <h2>Expenses</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Title</th><th>Category</th><th>Paid by</th><th class="num">Receipts</th><th class="num">Amount</th><th class="num">${escapeHtml(baseCurrency)}</th></tr></thead>
+    <tbody>${expenseRows}</tbody>
+  </table>
+
+  <h2>By category</h2>
+  <table>
+    <thead><tr><th>Category</th><th class="num">Expenses</th><th class="num">${escapeHtml(baseCurrency)}</th></tr></thead>
+    <tbody>${categoryRows}</tbody>
+  </table>
+
+  <h2>By currency</h2>
+  <table>
+    <thead><tr><th>Currency</th><th class="num">Expenses</th><th class="num">Amount</th><th class="num">${escapeHtml(baseCurrency)}</th></tr></thead>
+    <tbody>${currencyRows}</tbody>
+  </table>
+
+  ${stepRows ? `<h2>Approval</h2>
+  <table>
+    <thead><tr><th>Step</th><th>Status</th><th>By</th><th>Date</th><th>Comment</th></tr></thead>
+    <tbody>${stepRows}</tbody>
+  </table>` : ''}
+
+  <p class="meta">Generated ${new Date(summary.generatedAt).toISOString().replace('T', ' ').slice(0, 16)} UTC</p>
+</body>
+</html>`;
+  }
+}
+
+module.exports = ExpenseReportService;
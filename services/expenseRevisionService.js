@@ -0,0 +1,423 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const Category = require('../models/Category');
+const ActivityService = require('./activityService');
+const ExchangeRateService = require('./exchangeRateService');
+const PayerMatchingService = require('./payerMatchingService');
+const PolicyService = require('./policyService');
+const StorageUsageService = require('./storageUsageService');
+const VendorService = require('./vendorService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasObjects = (list) => list.some(item => item !== null && typeof item === 'object');
+
+// Collect changed paths (payments.0.amount). Added or removed list items, primitive
+// lists (tags) and values that switch between empty and an object count as one change.
+const collectChanges = (from, to, path, changes) => {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    keys.forEach(key => collectChanges(from[key], to[key], path ? `${path}.${key}` : key, changes));
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to) && (hasObjects(from) || hasObjects(to))) {
+    const length = Math.max(from.length, to.length);
+    for (let index = 0; index < length; index++) {
+      collectChanges(from[index] ?? null, to[index] ?? null, `${path}.${index}`, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+    changes.push({ field: path, from: from ?? null, to: to ?? null });
+  }
+  return changes;
+};
+
+const snapshotAllocations = (allocations) => allocations.map(allocation => ({
+  project: allocation.project?._id || allocation.project,
+  percentage: allocation.percentage ?? null,
+  amount: allocation.amount ?? null
+}));
+
+class ExpenseRevisionService {
+
+  // Plain JSON copy of the tracked fields of an expense
+  static snapshot(expense) {
+    const source = typeof expense.toObject === 'function'
+      ? expense.toObject({ depopulate: true })
+      : expense;
+
+    const snapshot = {
+      title: source.title,
+      description: source.description || '',
+      date: source.date,
+      category: source.category || null,
+      status: source.status,
+      totalAmount: source.totalAmount,
+      baseAmount: source.baseAmount ?? null,
+      tags: source.tags || [],
+      expenseType: source.expenseType || 'standard',
+      mileage: source.expenseType === 'mileage' ? source.mileage : null,
+      perDiem: source.expenseType === 'per_diem' ? source.perDiem : null,
+      payments: (source.payments || []).map(payment => ({
+        user: payment.user,
+        userId: payment.userId || null,
+        amount: payment.amount,
+        category: payment.category || null,
+        subCategory: payment.subCategory || '',
+        file: payment.file && payment.file.path
+          ? {
+            filename: payment.file.filename,
+            originalName: payment.file.originalName,
+            path: payment.file.path,
+            storage: payment.file.storage,
+            size: payment.file.size,
+            mimetype: payment.file.mimetype,
+            hash: payment.file.hash
+          }
+          : null,
+        ...(payment.allocations?.length > 0 && { allocations: snapshotAllocations(payment.allocations) }),
+        ...(payment.tax?.code && {
+          tax: {
+            code: payment.tax.code._id || payment.tax.code,
+            rate: payment.tax.rate,
+            net: payment.tax.net,
+            amount: payment.tax.amount,
+            reclaimable: payment.tax.reclaimable
+          }
+        })
+      })),
+      // Only present when split, so revisions taken before allocations existed still compare equal
+      ...(source.allocations?.length > 0 && { allocations: snapshotAllocations(source.allocations) }),
+      ...(source.vendorName && { vendor: source.vendor?._id || source.vendor || null, vendorName: source.vendorName }),
+      metadata: {
+        currency: source.metadata?.currency || 'USD',
+        exchangeRate: source.metadata?.exchangeRate ?? 1,
+        baseCurrency: source.metadata?.baseCurrency || null,
+        exchangeRateDate: source.metadata?.exchangeRateDate || null,
+        location: source.metadata?.location || null
+      },
+      approvalStatus: source.approval?.status || 'not_submitted',
+      deletedAt: source.deletedAt || null
+    };
+
+    // ObjectIds become strings and dates ISO strings
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  // Field-level changes between two snapshots
+  static diff(fromSnapshot, toSnapshot) {
+    return collectChanges(fromSnapshot || {}, toSnapshot || {}, '', []);
+  }
+
+  /**
+   * Store a revision with the current state of an expense.
+   * When `before` (a snapshot taken before the change) does not match the latest
+   * revision, it is stored first as a baseline so changes made before tracking
+   * started, or by bulk updates, are not attributed to this change.
+   * Failures are logged, not thrown, like activity logging.
+   */
+  static async record(expense, { action, user = null, before = null, revertedFrom = null } = {}) {
+    try {
+      let latest = await ExpenseRevision.findLatest(expense._id);
+
+      if (before && (!latest || this.diff(latest.snapshot, before).length > 0)) {
+        latest = await this.insertRevision(expense, latest, before, { action: 'baseline' });
+      }
+
+      return await this.insertRevision(expense, latest, this.snapshot(expense), {
+        action,
+        performedBy: user?._id || user,
+        revertedFrom
+      });
+    } catch (error) {
+      console.error('Error recording expense revision:', error);
+    }
+  }
+
+  static async insertRevision(expense, previous, snapshot, { action, performedBy = null, revertedFrom = null }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await ExpenseRevision.create({
+          tenantId: expense.tenantId,
+          expense: expense._id,
+          revision: (previous?.revision || 0) + 1,
+          action,
+          snapshot,
+          changedFields: this.diff(previous?.snapshot, snapshot).map(change => change.field),
+          revertedFrom,
+          performedBy
+        });
+      } catch (error) {
+        // Another request took the revision number; retry on top of it
+        if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+        previous = await ExpenseRevision.findLatest(expense._id);
+      }
+    }
+  }
+
+  // First revision of expenses created in bulk (imports)
+  static async recordCreated(expenses, user) {
+    try {
+      await ExpenseRevision.insertMany(expenses.map(expense => {
+        const snapshot = this.snapshot(expense);
+        return {
+          tenantId: expense.tenantId,
+          expense: expense._id,
+          revision: 1,
+          action: 'created',
+          snapshot,
+          changedFields: this.diff(null, snapshot).map(change => change.field),
+          performedBy: user._id
+        };
+      }), { ordered: false });
+    } catch (error) {
+      console.error('Error recording expense revisions:', error);
+    }
+  }
+
+  /**
+   * Apply updates in order to every matching expense, trashed ones included, and
+   * record one revision for each expense they changed. Used by merges and
+   * renames that change many expenses at once.
+   */
+  static async updateExpenses(filter, updates, { user = null, options = {} } = {}) {
+    const expenses = await Expense.find(filter).setOptions({ withDeleted: true }).lean();
+    const before = new Map(expenses.map(expense => [expense._id.toString(), this.snapshot(expense)]));
+
+    let modifiedCount = 0;
+    for (const update of updates) {
+      const result = await Expense.updateMany(filter, update, options);
+      modifiedCount = Math.max(modifiedCount, result.modifiedCount);
+    }
+
+    if (expenses.length > 0) {
+      const updated = await Expense.find({ _id: { $in: expenses.map(expense => expense._id) } })
+        .setOptions({ withDeleted: true })
+        .lean();
+      for (const expense of updated) {
+        const previous = before.get(expense._id.toString());
+        if (this.diff(previous, this.snapshot(expense)).length > 0) {
+          await this.record(expense, { action: 'updated', user, before: previous });
+        }
+      }
+    }
+
+    return { modifiedCount };
+  }
+
+  static async findTenantExpense(tenant, expenseId) {
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    // History stays readable while the expense is in the trash
+    const expense = await Expense.findOne({ _id: expenseId, tenantId: tenant._id })
+      .setOptions({ withDeleted: true });
+
+    if (!expense) {
+      throw new ErrorResponse('Expense not found', 404);
+    }
+
+    return expense;
+  }
+
+  static parseRevisionNumber(value) {
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 1) {
+      throw new ErrorResponse('Revision must be a positive whole number', 400);
+    }
+    return revision;
+  }
+
+  static async findRevision(tenant, expenseId, revisionNumber) {
+    const revision = await ExpenseRevision.findOne({
+      tenantId: tenant._id,
+      expense: expenseId,
+      revision: this.parseRevisionNumber(revisionNumber)
+    }).populate('performedBy', 'name email');
+
+    if (!revision) {
+      throw new ErrorResponse(`Revision ${revisionNumber} not found`, 404);
+    }
+
+    return revision;
+  }
+
+  static async getRevisions(tenant, expenseId) {
+    const expense = await this.findTenantExpense(tenant, expenseId);
+    return ExpenseRevision.findByExpense(tenant._id, expense._id);
+  }
+
+  static async getRevision(tenant, expenseId, revisionNumber) {
+    const expense = await this.findTenantExpense(tenant, expenseId);
+    return this.findRevision(tenant, expense._id, revisionNumber);
+  }
+
+  // Changes from one revision to another; defaults to the latest revision against its predecessor.
+  // Revision 0 stands for the empty state before the expense existed.
+  static async compare(tenant, expenseId, { from, to } = {}) {
+    const expense = await this.findTenantExpense(tenant, expenseId);
+
+    let toRevision;
+    if (to !== undefined && to !== '') {
+      toRevision = await this.findRevision(tenant, expense._id, to);
+    } else {
+      toRevision = await ExpenseRevision.findLatest(expense._id);
+      if (!toRevision) {
+        throw new ErrorResponse('This expense has no revisions yet', 404);
+      }
+    }
+
+    const fromNumber = from !== undefined && from !== ''
+      ? Number(from)
+      : toRevision.revision - 1;
+
+    let fromRevision = null;
+    if (fromNumber !== 0) {
+      fromRevision = await this.findRevision(tenant, expense._id, fromNumber);
+    }
+
+    return {
+      from: fromRevision ? fromRevision.revision : 0,
+      to: toRevision.revision,
+      changes: this.diff(fromRevision?.snapshot, toRevision.snapshot)
+    };
+  }
+
+  // Put the content of a revision back on the expense. Workflow state (status,
+  // approval, trash) is not restored so a revert cannot skip the approval chain,
+  // and an approved expense whose amounts change has to be approved again.
+  static async revert(tenant, expenseId, revisionNumber, user) {
+    const expense = await this.findTenantExpense(tenant, expenseId);
+
+    if (expense.deletedAt) {
+      throw new ErrorResponse('Restore the expense from the trash before reverting it', 400);
+    }
+
+    if (expense.approval?.status === 'in_review') {
+      throw new ErrorResponse('Expense is awaiting approval and cannot be reverted', 400);
+    }
+
+    const revision = await this.findRevision(tenant, expense._id, revisionNumber);
+    const { snapshot } = revision;
+
+    const categoryIds = [...new Set([
+      snapshot.category,
+      ...snapshot.payments.map(payment => payment.category)
+    ].filter(Boolean))];
+    const activeCategories = await Category.countDocuments({ _id: { $in: categoryIds }, tenantId: tenant._id });
+    if (activeCategories < categoryIds.length) {
+      throw new ErrorResponse(`A category used by revision ${revision.revision} no longer exists`, 400);
+    }
+
+    const payments = await PayerMatchingService.resolvePayments(tenant._id, snapshot.payments.map(payment => ({
+      user: payment.user,
+      userId: payment.userId || undefined,
+      amount: payment.amount,
+      category: payment.category || undefined,
+      subCategory: payment.subCategory,
+      ...(payment.file && { file: payment.file }),
+      allocations: payment.allocations || [],
+      ...(payment.tax && { tax: payment.tax })
+    })));
+
+    // Keep the captured rate unless the tenant has switched base currency since
+    let metadata = snapshot.metadata;
+    if (metadata.baseCurrency && metadata.baseCurrency !== (tenant.settings?.baseCurrency || 'USD')) {
+      const conversion = await ExchangeRateService.convert(tenant, {
+        currency: metadata.currency,
+        date: snapshot.date,
+        totalAmount: snapshot.totalAmount
+      });
+      metadata = { ...metadata, ...conversion.metadata };
+    }
+
+    // Vendors may have been merged or deleted since, so the name is matched again
+    const vendor = await VendorService.resolve(tenant._id, { vendorName: snapshot.vendorName || null });
+
+    // Policies may have changed since the revision, so it is checked like an edit
+    const policyViolations = await PolicyService.enforce(tenant, {
+      title: snapshot.title,
+      description: snapshot.description,
+      date: snapshot.date,
+      category: snapshot.category,
+      exchangeRate: metadata.exchangeRate,
+      payments: payments.map(payment => ({ ...payment, hasFile: !!payment.file?.path }))
+    }, { excludeExpenseId: expense._id });
+
+    const before = this.snapshot(expense);
+
+    expense.set({
+      title: snapshot.title,
+      description: snapshot.description,
+      date: snapshot.date,
+      category: snapshot.category,
+      tags: snapshot.tags,
+      payments,
+      // Claims keep the rate they were priced with
+      expenseType: snapshot.expenseType || 'standard',
+      mileage: snapshot.mileage || undefined,
+      perDiem: snapshot.perDiem || undefined,
+      allocations: snapshot.allocations || [],
+      vendor: vendor?.vendor?._id || null,
+      vendorName: vendor?.vendorName || undefined,
+      vendorKey: vendor?.vendorKey || undefined,
+      policyViolations,
+      'metadata.currency': metadata.currency,
+      'metadata.exchangeRate': metadata.exchangeRate,
+      'metadata.baseCurrency': metadata.baseCurrency,
+      'metadata.exchangeRateDate': metadata.exchangeRateDate,
+      'metadata.location': metadata.location || undefined
+    });
+    await expense.save();
+
+    // Required here: ApprovalService records revisions through this service
+    const ApprovalService = require('./approvalService');
+    if (ApprovalService.needsReapproval(expense, before, this.snapshot(expense))) {
+      await ApprovalService.reopen(expense);
+    }
+
+    // Receipts brought back from the history count again
+    await StorageUsageService.trackChange(tenant._id, expense._id, before, this.snapshot(expense), { restored: true });
+
+    const recorded = await this.record(expense, {
+      action: 'reverted',
+      user,
+      before,
+      revertedFrom: revision.revision
+    });
+
+    const changes = this.diff(before, this.snapshot(expense));
+
+    await ActivityService.logActivity({
+      type: 'expense_updated',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      changes: [
+        `Reverted to revision ${revision.revision}`,
+        ...(changes.length > 0 ? [`Changed: ${changes.map(change => change.field).join(', ')}`] : [])
+      ]
+    });
+
+    return {
+      expense: await Expense.findById(expense._id)
+        .populate('category', 'name')
+        .populate('createdBy', 'name email')
+        .populate('payments.category', 'name'),
+      revision: recorded?.revision || null,
+      changes
+    };
+  }
+}
+
+module.exports = ExpenseRevisionService;
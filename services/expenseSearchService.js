@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpenseComment = require('../models/ExpenseComment');
+const ExpenseQueryService = require('./expenseQueryService');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/stringUtils');
+
+// Text matches considered per search; ranking and facets work within this set
+const MAX_MATCHES = 1000;
+const MAX_LIMIT = 50;
+const COMMENTS_PER_EXPENSE = 3;
+// Comment matches count for half of a match on the expense itself
+const COMMENT_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+class ExpenseSearchService {
+
+  // Words and "quoted phrases" of a search, without -excluded words
+  static parseTerms(q) {
+    const terms = [];
+    for (const match of q.matchAll(/"([^"]+)"|(\S+)/g)) {
+      const term = (match[1] || match[2]).trim();
+      if (term && !term.startsWith('-')) terms.push(term);
+    }
+    return terms;
+  }
+
+  // Matches words starting with a search term, since the text index also matches stems
+  static highlightPattern(terms) {
+    if (terms.length === 0) return null;
+    const alternatives = terms
+      .sort((a, b) => b.length - a.length)
+      .map(term => escapeRegex(term).replace(/\s+/g, '\\s+'));
+    return new RegExp(`\\b(?:${alternatives.join('|')})\\w*`, 'gi');
+  }
+
+  /**
+   * Part of a text around the first match, with the offsets of every match
+   * inside it so clients can highlight without parsing markup.
+   */
+  static snippet(text, pattern) {
+    if (!text || !pattern) return null;
+
+    const matches = [...String(text).matchAll(pattern)];
+    if (matches.length === 0) return null;
+
+    const start = Math.max(0, matches[0].index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+      highlights: matches
+        .filter(match => match.index >= start && match.index + match[0].length <= end)
+        .map(match => ({ start: match.index - start + prefix.length, length: match[0].length }))
+    };
+  }
+
+  static buildHighlights(expense, comments, pattern) {
+    const fields = [
+      { field: 'title', text: expense.title },
+      { field: 'description', text: expense.description },
+      ...(expense.payments || []).map((payment, index) => ({ field: `payments.${index}.user`, text: payment.user })),
+      ...(expense.payments || [])
+        .map((payment, index) => ({ field: `payments.${index}.file`, text: payment.file?.originalName }))
+        .filter(entry => entry.text),
+      ...comments.map(comment => ({ field: 'comment', commentId: comment._id, text: comment.body }))
+    ];
+
+    return fields
+      .map(({ text, ...entry }) => {
+        const snippet = this.snippet(text, pattern);
+        return snippet && { ...entry, ...snippet };
+      })
+      .filter(Boolean);
+  }
+
+  // Expense ids with their text score, from expense fields and comment bodies
+  static async findMatches(tenantId, q) {
+    const [expenseMatches, commentMatches] = await Promise.all([
+      Expense.aggregate([
+        { $match: { tenantId, $text: { $search: q } } },
+        { $project: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1 } },
+        { $limit: MAX_MATCHES }
+      ]),
+      ExpenseComment.find(
+        { tenantId, deletedAt: null, $text: { $search: q } },
+        { score: { $meta: 'textScore' } }
+      )
+        .select('expense body')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_MATCHES)
+        .lean()
+    ]);
+
+    const scores = new Map();
+    expenseMatches.forEach(match => scores.set(match._id.toString(), match.score));
+
+    const comments = new Map();
+    commentMatches.forEach(comment => {
+      const id = comment.expense.toString();
+      const list = comments.get(id) || [];
+
+      // Only the best comment of an expense adds to its score
+      if (list.length === 0) {
+        scores.set(id, (scores.get(id) || 0) + comment.score * COMMENT_WEIGHT);
+      }
+      if (list.length < COMMENTS_PER_EXPENSE) list.push(comment);
+      comments.set(id, list);
+    });
+
+    return { scores, comments };
+  }
+
+  /**
+   * Ranked search over expense titles, descriptions, payer names, attachment
+   * names and comments. `filter` (and the other list parameters such as status
+   * or category) narrow the results like on the expense list. Results, total and
+   * facets come from one aggregation.
+   */
+  static async search(tenant, user, query = {}) {
+    const { q, page, limit } = query;
+    const text = String(q || '').trim();
+    if (text.length < 2) {
+      throw new ErrorResponse('Search text must be at least 2 characters', 400);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+
+    const { scores, comments } = await this.findMatches(tenant._id, text);
+    const ranked = [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_MATCHES);
+    const ids = ranked.map(([id]) => new mongoose.Types.ObjectId(id));
+    const scoreValues = ranked.map(([, score]) => Number(score.toFixed(3)));
+
+    const match = await ExpenseQueryService.buildMatch(tenant, user, { ...query, search: undefined });
+
+    const [result] = await Expense.aggregate([
+      { $match: { ...match, _id: { $in: ids } } },
+      {
+        $addFields: {
+          score: { $arrayElemAt: [scoreValues, { $indexOfArray: [ids, '$_id'] }] }
+        }
+      },
+      {
+        $facet: {
+          data: [
+            { $sort: { score: -1, date: -1, _id: -1 } },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $project: { _id: 1, count: 1, name: { $arrayElemAt: ['$category.name', 0] } } },
+            { $sort: { count: -1, name: 1 } }
+          ],
+          statuses: [
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+            { $project: { _id: 0, status: '$_id', count: 1 } },
+            { $sort: { count: -1 } }
+          ],
+          months: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$date' } }, count: { $sum: 1 } } },
+            { $project: { _id: 0, month: '$_id', count: 1 } },
+            { $sort: { month: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const expenses = await Expense.populate(result.data, [
+      { path: 'category', select: 'name slug' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'payments.category', select: 'name' }
+    ]);
+
+    const pattern = this.highlightPattern(this.parseTerms(text));
+    const total = result.total[0]?.count || 0;
+
+    return {
+      expenses: expenses.map(expense => {
+        const matchedComments = comments.get(expense._id.toString()) || [];
+        return {
+          ...expense,
+          matchedComments: matchedComments.length,
+          highlights: this.buildHighlights(expense, matchedComments, pattern)
+        };
+      }),
+      total,
+      facets: {
+        categories: result.categories.map(({ _id, name, count }) => ({ category: _id, name: name || null, count })),
+        statuses: result.statuses,
+        months: result.months
+      },
+      pagination: {
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize,
+        hasNext: pageNumber < Math.ceil(total / pageSize),
+        hasPrev: pageNumber > 1
+      }
+    };
+  }
+}
+
+module.exports = ExpenseSearchService;
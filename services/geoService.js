@@ -0,0 +1,218 @@
+const Expense = require('../models/Expense');
+const ErrorResponse = require('../utils/errorResponse');
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 20000;
+const MAX_NEARBY = 100;
+
+const BASE_AMOUNT = Expense.baseAmountExpression();
+const POINT_PATH = 'metadata.location.point';
+
+class GeoService {
+
+  static parseCoordinate(value, name, min, max) {
+    const number = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(number) || number < min || number > max) {
+      throw new ErrorResponse(`${name} must be a number between ${min} and ${max}`, 400);
+    }
+    return number;
+  }
+
+  static parseLatLng(latitude, longitude) {
+    return {
+      latitude: this.parseCoordinate(latitude, 'Latitude', -90, 90),
+      longitude: this.parseCoordinate(longitude, 'Longitude', -180, 180)
+    };
+  }
+
+  /**
+   * Location of an expense from request data: { address, region, latitude, longitude }
+   * (coordinates may also be nested as { coordinates: { latitude, longitude } }).
+   * Multipart forms send it as a JSON string. Empty input means no location.
+   */
+  static parseLocation(input) {
+    if (input === undefined || input === null || input === '') return null;
+
+    let location = input;
+    if (typeof input === 'string') {
+      try {
+        location = JSON.parse(input);
+      } catch (error) {
+        throw new ErrorResponse('Invalid location data format', 400);
+      }
+    }
+    if (!location || typeof location !== 'object') return null;
+
+    const latitude = location.latitude ?? location.coordinates?.latitude;
+    const longitude = location.longitude ?? location.coordinates?.longitude;
+    const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+    const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+
+    if (hasLatitude !== hasLongitude) {
+      throw new ErrorResponse('Location needs both latitude and longitude', 400);
+    }
+
+    const coordinates = hasLatitude ? this.parseLatLng(latitude, longitude) : null;
+    const address = String(location.address || '').trim();
+    const region = String(location.region || '').trim();
+
+    if (!coordinates && !address && !region) return null;
+
+    return {
+      ...(address && { address }),
+      ...(region && { region }),
+      ...(coordinates && {
+        coordinates,
+        point: Expense.locationPoint(coordinates.latitude, coordinates.longitude)
+      })
+    };
+  }
+
+  // Expenses within radiusKm of a point
+  static nearCondition(latitude, longitude, radiusKm) {
+    const center = this.parseLatLng(latitude, longitude);
+    const radius = Number(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      throw new ErrorResponse(`Radius must be between 0 and ${MAX_RADIUS_KM} km`, 400);
+    }
+
+    return {
+      [POINT_PATH]: {
+        $geoWithin: { $centerSphere: [[center.longitude, center.latitude], radius / EARTH_RADIUS_KM] }
+      }
+    };
+  }
+
+  // Expenses inside a polygon given as [latitude, longitude] corners; the ring is closed automatically
+  static polygonCondition(corners) {
+    if (!Array.isArray(corners) || corners.length < 3) {
+      throw new ErrorResponse('A polygon needs at least 3 corners', 400);
+    }
+
+    const ring = corners.map(([latitude, longitude]) => {
+      const point = this.parseLatLng(latitude, longitude);
+      return [point.longitude, point.latitude];
+    });
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+    return {
+      [POINT_PATH]: {
+        $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } }
+      }
+    };
+  }
+
+  // Expenses around a point, closest first, with their distance in meters
+  static async findNearby(tenant, { latitude, longitude, radius = 5, limit } = {}) {
+    const center = this.parseLatLng(latitude, longitude);
+    const radiusKm = Number(radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw new ErrorResponse(`Radius must be between 0 and ${MAX_RADIUS_KM} km`, 400);
+    }
+
+    const expenses = await Expense.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [center.longitude, center.latitude] },
+          key: POINT_PATH,
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: { tenantId: tenant._id }
+        }
+      },
+      { $limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_NEARBY) }
+    ]);
+
+    return Expense.populate(expenses.map(expense => ({
+      ...expense,
+      distance: Math.round(expense.distance)
+    })), [
+      { path: 'category', select: 'name slug' },
+      { path: 'createdBy', select: 'name email' }
+    ]);
+  }
+
+  /**
+   * Spend per region in the tenant base currency. groupBy "region" uses the
+   * region label of the expense location; "grid" clusters coordinates into cells
+   * of `precision` decimal places (0 ≈ 110 km, 1 ≈ 11 km, 2 ≈ 1 km).
+   */
+  static async getSpendByRegion(tenant, { startDate, endDate, groupBy = 'region', precision = 1 } = {}) {
+    if (!['region', 'grid'].includes(groupBy)) {
+      throw new ErrorResponse('groupBy must be region or grid', 400);
+    }
+
+    const digits = parseInt(precision);
+    if (groupBy === 'grid' && !(digits >= 0 && digits <= 3)) {
+      throw new ErrorResponse('Precision must be between 0 and 3', 400);
+    }
+
+    const match = { tenantId: tenant._id, status: { $ne: 'cancelled' } };
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
+    }
+
+    const latitude = { $arrayElemAt: [`$${POINT_PATH}.coordinates`, 1] };
+    const longitude = { $arrayElemAt: [`$${POINT_PATH}.coordinates`, 0] };
+
+    const located = groupBy === 'grid'
+      ? { [POINT_PATH]: { $exists: true } }
+      : { 'metadata.location.region': { $nin: [null, ''] } };
+
+    const groupKey = groupBy === 'grid'
+      ? { latitude: { $round: [latitude, digits] }, longitude: { $round: [longitude, digits] } }
+      : '$metadata.location.region';
+
+    const [result] = await Expense.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          regions: [
+            { $match: located },
+            {
+              $group: {
+                _id: groupKey,
+                count: { $sum: 1 },
+                baseAmount: { $sum: BASE_AMOUNT },
+                latitude: { $avg: latitude },
+                longitude: { $avg: longitude }
+              }
+            },
+            { $sort: { baseAmount: -1 } }
+          ],
+          unlocated: [
+            { $match: { $nor: [located] } },
+            { $group: { _id: null, count: { $sum: 1 }, baseAmount: { $sum: BASE_AMOUNT } } }
+          ]
+        }
+      }
+    ]);
+
+    const round = (value, places = 2) => (value === null || value === undefined ? null : Number(value.toFixed(places)));
+
+    return {
+      groupBy,
+      baseCurrency: tenant.settings?.baseCurrency || 'USD',
+      regions: result.regions.map(region => ({
+        region: groupBy === 'grid' ? `${region._id.latitude},${region._id.longitude}` : region._id,
+        count: region.count,
+        baseAmount: round(region.baseAmount),
+        // Average position of the expenses, for placing markers
+        center: region.latitude === null
+          ? null
+          : { latitude: round(region.latitude, 5), longitude: round(region.longitude, 5) }
+      })),
+      unlocated: {
+        count: result.unlocated[0]?.count || 0,
+        baseAmount: round(result.unlocated[0]?.baseAmount || 0)
+      }
+    };
+  }
+}
+
+module.exports = GeoService;
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+const { normalizeText, similarity } = require('../utils/stringUtils');
+
+// Scores at or above AUTO_LINK_SCORE link automatically when no other user comes close
+const AUTO_LINK_SCORE = 0.9;
+const CANDIDATE_SCORE = 0.6;
+const AMBIGUITY_MARGIN = 0.1;
+
+class PayerMatchingService {
+
+  static normalizeName(name) {
+    return normalizeText(name);
+  }
+
+  // How likely a free-text payer name refers to a user, from 0 to 1
+  static scoreName(name, user) {
+    const candidate = normalizeText(name);
+    const fullName = normalizeText(user.name);
+    const email = String(user.email || '').toLowerCase();
+    const emailLocal = normalizeText(email.split('@')[0].replace(/[._-]/g, ' '));
+
+    if (!candidate) return 0;
+    if (candidate === fullName || String(name).trim().toLowerCase() === email) return 1;
+
+    const tokens = candidate.split(' ');
+    const userTokens = fullName.split(' ');
+
+    // "John D" / "J Doe" against "John Doe": every token matches a name part or its initial
+    const tokensMatch = tokens.length > 1 && tokens.length <= userTokens.length &&
+      tokens.every((token, index) => {
+        const part = userTokens[index];
+        return token === part || (token.length === 1 && part.startsWith(token));
+      });
+    if (tokensMatch) return 0.92;
+
+    // A single first name only matches loosely, it is often shared
+    if (tokens.length === 1 && tokens[0] === userTokens[0]) return 0.75;
+
+    return Math.max(similarity(candidate, fullName), emailLocal ? similarity(candidate, emailLocal) : 0);
+  }
+
+  // Best user matches for one name, best first
+  static findCandidates(name, users) {
+    return users
+      .map(user => ({ user, score: Number(this.scoreName(name, user).toFixed(2)) }))
+      .filter(candidate => candidate.score >= CANDIDATE_SCORE)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Confident single match for a name, or null
+  static pickMatch(candidates) {
+    const [best, second] = candidates;
+    if (!best || best.score < AUTO_LINK_SCORE) return null;
+    if (second && best.score - second.score < AMBIGUITY_MARGIN) return null;
+    return best.user;
+  }
+
+  static getTenantUsers(tenantId) {
+    return User.find({ tenantId, isActive: true }).select('name email');
+  }
+
+  // Validate payment user ids and link exact name matches.
+  // Linked payments take the user's name as display name.
+  static async resolvePayments(tenantId, payments) {
+    const userIds = payments.filter(p => p.userId).map(p => String(p.userId));
+
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid payment user ID format', 400);
+    }
+
+    const users = await this.getTenantUsers(tenantId);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    if (userIds.some(id => !usersById.has(id))) {
+      throw new ErrorResponse('Payment user does not belong to this organization', 400);
+    }
+
+    return payments.map(payment => {
+      let linked = payment.userId ? usersById.get(String(payment.userId)) : null;
+
+      if (!linked && payment.user) {
+        const exact = users.filter(user => this.scoreName(payment.user, user) === 1);
+        if (exact.length === 1) linked = exact[0];
+      }
+
+      return {
+        ...payment,
+        user: linked ? linked.name : payment.user,
+        userId: linked ? linked._id : undefined
+      };
+    });
+  }
+
+  // Distinct payer names with their totals and linked user
+  static getPayers(tenantId) {
+    return Expense.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId) } },
+      { $unwind: '$payments' },
+      {
+        $group: {
+          _id: { user: '$payments.user', userId: '$payments.userId' },
+          paymentCount: { $sum: 1 },
+          totalSpent: { $sum: '$payments.amount' },
+          lastPaymentAt: { $max: '$date' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          name: '$_id.user',
+          userId: '$_id.userId',
+          paymentCount: 1,
+          totalSpent: 1,
+          lastPaymentAt: 1
+        }
+      },
+      { $sort: { name: 1 } }
+    ]);
+  }
+
+  // Unlinked payer names with user candidates and look-alike names to merge
+  static async getReview(tenantId) {
+    const [payers, users] = await Promise.all([
+      this.getPayers(tenantId),
+      this.getTenantUsers(tenantId)
+    ]);
+
+    const unlinked = payers.filter(payer => !payer.userId);
+
+    return unlinked.map(payer => {
+      const candidates = this.findCandidates(payer.name, users);
+      const normalized = normalizeText(payer.name);
+
+      const similarNames = payers
+        .filter(other => other.name !== payer.name)
+        .filter(other => {
+          const otherNormalized = normalizeText(other.name);
+          return otherNormalized === normalized || similarity(otherNormalized, normalized) >= 0.8;
+        })
+        .map(other => other.name);
+
+      return {
+        ...payer,
+        suggestedUser: this.pickMatch(candidates),
+        candidates: candidates.map(({ user, score }) => ({
+          userId: user._id,
+          name: user.name,
+          email: user.email,
+          score
+        })),
+        similarNames
+      };
+    });
+  }
+
+  // Rename payer names (and optionally link them to a user) across expenses, templates and settlements
+  static async mergePayers(tenantId, names, { name, userId } = {}, performedBy = null) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new ErrorResponse('Please provide the payer names to merge', 400);
+    }
+
+    let user = null;
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ErrorResponse('Invalid user ID format', 400);
+      }
+      user = await User.findOne({ _id: userId, tenantId, isActive: true }).select('name email');
+      if (!user) {
+        throw new ErrorResponse('User not found in this organization', 404);
+      }
+    }
+
+    const targetName = user ? user.name : String(name || '').trim();
+    if (!targetName) {
+      throw new ErrorResponse('Please provide a target name or user', 400);
+    }
+
+    const paymentUpdate = {
+      $set: {
+        'payments.$[payment].user': targetName,
+        ...(user && { 'payments.$[payment].userId': user._id })
+      }
+    };
+    const options = { arrayFilters: [{ 'payment.user': { $in: names } }] };
+
+    // Required here: ExpenseRevisionService matches payers through this service
+    const ExpenseRevisionService = require('./expenseRevisionService');
+
+    const [expenses, templates, settlementsFrom, settlementsTo] = await Promise.all([
+      ExpenseRevisionService.updateExpenses(
+        { tenantId, 'payments.user': { $in: names } },
+        [paymentUpdate],
+        { user: performedBy, options }
+      ),
+      RecurringExpense.updateMany({ tenantId, 'payments.user': { $in: names } }, paymentUpdate, options),
+      Settlement.updateMany({ tenantId, from: { $in: names } }, { from: targetName }),
+      Settlement.updateMany({ tenantId, to: { $in: names } }, { to: targetName })
+    ]);
+
+    if (performedBy) {
+      await ActivityService.logActivity({
+        type: 'payer_merged',
+        entityId: user ? user._id : tenantId,
+        entityType: user ? 'User' : 'Tenant',
+        entityName: targetName,
+        tenantId,
+        performedBy,
+        changes: names.filter(n => n !== targetName).map(n => `Payer: ${n} → ${targetName}`)
+      });
+    }
+
+    return {
+      name: targetName,
+      userId: user?._id || null,
+      expensesUpdated: expenses.modifiedCount,
+      recurringExpensesUpdated: templates.modifiedCount,
+      settlementsUpdated: settlementsFrom.modifiedCount + settlementsTo.modifiedCount
+    };
+  }
+
+  // Link every confidently matched payer name of a tenant; used by the migration script
+  static async autoLink(tenantId, { dryRun = false } = {}) {
+    const review = await this.getReview(tenantId);
+    const linked = [];
+    const ambiguous = [];
+
+    for (const payer of review) {
+      if (payer.suggestedUser) {
+        linked.push({ name: payer.name, userId: payer.suggestedUser._id, user: payer.suggestedUser.name });
+        if (!dryRun) {
+          await this.mergePayers(tenantId, [payer.name], { userId: payer.suggestedUser._id });
+        }
+      } else if (payer.candidates.length > 0) {
+        ambiguous.push({ name: payer.name, candidates: payer.candidates });
+      }
+    }
+
+    return {
+      linked,
+      ambiguous,
+      unmatched: review.length - linked.length - ambiguous.length
+    };
+  }
+}
+
+module.exports = PayerMatchingService;
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpensePolicy = require('../models/ExpensePolicy');
+const Category = require('../models/Category');
+const ExchangeRateService = require('./exchangeRateService');
+const PayerMatchingService = require('./payerMatchingService');
+const ErrorResponse = require('../utils/errorResponse');
+const { normalizeText } = require('../utils/stringUtils');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const round = (value) => Number(value.toFixed(2));
+
+class PolicyService {
+
+  static formatAmount(amount, tenant) {
+    return `${round(amount).toFixed(2)} ${tenant.settings?.baseCurrency || 'USD'}`;
+  }
+
+  // Payments of the same person share a key: the linked user, otherwise the normalized name
+  static payerKey(payment) {
+    return payment.userId ? String(payment.userId) : normalizeText(payment.user);
+  }
+
+  static violation(policy, message, paymentIndex) {
+    return {
+      policy: policy._id,
+      name: policy.name,
+      type: policy.type,
+      action: policy.action,
+      message,
+      ...(paymentIndex !== undefined && { paymentIndex })
+    };
+  }
+
+  // Make sure the categories of a policy belong to the tenant
+  static async validateCategories(tenantId, categories = []) {
+    const ids = [...new Set(categories.map(String))];
+
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid category ID format', 400);
+    }
+
+    const count = ids.length ? await Category.countDocuments({ tenantId, _id: { $in: ids } }) : 0;
+    if (count !== ids.length) {
+      throw new ErrorResponse('One or more categories are invalid', 400);
+    }
+  }
+
+  // What each payer already spent on the day of the expense, in base currency, per policy categories
+  static async getSpentThatDay(tenantId, policy, date, excludeExpenseId) {
+    const dayStart = new Date(date);
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    const categoryMatch = policy.categories.length > 0
+      ? [{ $match: { paymentCategory: { $in: policy.categories } } }]
+      : [];
+
+    const rows = await Expense.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(tenantId),
+          date: { $gte: dayStart, $lt: dayEnd },
+          status: { $ne: 'cancelled' },
+          ...(excludeExpenseId && { _id: { $ne: new mongoose.Types.ObjectId(excludeExpenseId) } })
+        }
+      },
+      { $unwind: '$payments' },
+      {
+        $project: {
+          user: '$payments.user',
+          userId: '$payments.userId',
+          paymentCategory: { $ifNull: ['$payments.category', '$category'] },
+          baseAmount: { $multiply: ['$payments.amount', { $ifNull: ['$metadata.exchangeRate', 1] }] }
+        }
+      },
+      ...categoryMatch,
+      {
+        $group: {
+          _id: { user: '$user', userId: '$userId' },
+          total: { $sum: '$baseAmount' }
+        }
+      }
+    ]);
+
+    const spent = new Map();
+    rows.forEach(row => {
+      const key = this.payerKey(row._id);
+      spent.set(key, (spent.get(key) || 0) + row.total);
+    });
+    return spent;
+  }
+
+  /**
+   * Evaluate the active policies of a tenant against an expense draft:
+   * { title, description, date, category, exchangeRate, payments: [{ user, userId, amount, category, hasFile }] }.
+   * Amounts are converted with the draft exchange rate and compared in the tenant base currency.
+   */
+  static async evaluate(tenant, draft, { excludeExpenseId = null } = {}) {
+    const policies = await ExpensePolicy.findActive(tenant._id);
+    if (policies.length === 0) return [];
+
+    const rate = draft.exchangeRate || 1;
+    const date = draft.date ? new Date(draft.date) : new Date();
+    const payments = (draft.payments || []).map((payment, index) => ({
+      ...payment,
+      index,
+      category: payment.category || draft.category,
+      baseAmount: (Number(payment.amount) || 0) * rate
+    }));
+
+    const violations = [];
+
+    for (const policy of policies) {
+      const covered = payments.filter(payment => policy.appliesTo(payment.category));
+      if (covered.length === 0) continue;
+
+      const coveredTotal = covered.reduce((sum, payment) => sum + payment.baseAmount, 0);
+      const limit = this.formatAmount(policy.amount, tenant);
+
+      switch (policy.type) {
+        case 'receipt_required':
+          covered
+            .filter(payment => payment.baseAmount > policy.amount && !payment.hasFile)
+            .forEach(payment => violations.push(this.violation(
+              policy,
+              `Receipt required for payments above ${limit} (payment ${payment.index + 1})`,
+              payment.index
+            )));
+          break;
+
+        case 'description_required':
+          if (coveredTotal > policy.amount && !String(draft.description || '').trim()) {
+            violations.push(this.violation(policy, 'A description is required for this expense'));
+          }
+          break;
+
+        case 'blocked_days':
+          if (policy.days.includes(date.getUTCDay())) {
+            violations.push(this.violation(policy, `Expenses of this kind are not allowed on ${DAY_NAMES[date.getUTCDay()]}`));
+          }
+          break;
+
+        case 'max_amount':
+          if (policy.per === 'expense' && coveredTotal > policy.amount) {
+            violations.push(this.violation(
+              policy,
+              `Total of ${this.formatAmount(coveredTotal, tenant)} exceeds the limit of ${limit}`
+            ));
+          }
+
+          if (policy.per === 'payment') {
+            covered
+              .filter(payment => payment.baseAmount > policy.amount)
+              .forEach(payment => violations.push(this.violation(
+                policy,
+                `Payment ${payment.index + 1} of ${this.formatAmount(payment.baseAmount, tenant)} exceeds the limit of ${limit}`,
+                payment.index
+              )));
+          }
+
+          if (policy.per === 'person_day') {
+            const spent = await this.getSpentThatDay(tenant._id, policy, date, excludeExpenseId);
+            const payers = new Map();
+            covered.forEach(payment => {
+              const key = this.payerKey(payment);
+              const payer = payers.get(key) || { name: payment.user, total: spent.get(key) || 0 };
+              payer.total += payment.baseAmount;
+              payers.set(key, payer);
+            });
+
+            payers.forEach(payer => {
+              if (payer.total > policy.amount) {
+                violations.push(this.violation(
+                  policy,
+                  `${payer.name} would spend ${this.formatAmount(payer.total, tenant)} that day, over the daily limit of ${limit}`
+                ));
+              }
+            });
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    return violations;
+  }
+
+  // Throw when a blocking policy is violated; otherwise return the warnings to store on the expense
+  static async enforce(tenant, draft, options = {}) {
+    const violations = await this.evaluate(tenant, draft, options);
+    const blocking = violations.filter(violation => violation.action === 'block');
+
+    if (blocking.length > 0) {
+      throw new ErrorResponse(
+        `Expense violates policy: ${blocking.map(violation => violation.message).join('; ')}`,
+        400,
+        { violations }
+      );
+    }
+
+    return violations;
+  }
+
+  // Evaluate an expense form before it is saved. Payments flag attached receipts
+  // with hasFile (or the hasNewFile / hasExistingFile flags of the expense form).
+  static async checkDraft(tenant, { title, description, date, category, currency, payments = [], expenseId } = {}) {
+    if (expenseId && !mongoose.Types.ObjectId.isValid(expenseId)) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    if (!Array.isArray(payments)) {
+      throw new ErrorResponse('Payments must be a list', 400);
+    }
+
+    const expenseDate = date ? new Date(date) : new Date();
+    if (isNaN(expenseDate.getTime())) {
+      throw new ErrorResponse(`Invalid date "${date}"`, 400);
+    }
+
+    const draftPayments = await PayerMatchingService.resolvePayments(tenant._id, payments.map(payment => ({
+      user: String(payment.user || '').trim(),
+      userId: payment.userId || undefined,
+      amount: parseFloat(payment.amount) || 0,
+      category: payment.category || undefined,
+      hasFile: Boolean(payment.hasFile || payment.hasNewFile || payment.hasExistingFile) &&
+        payment.fileAction !== 'remove'
+    })));
+
+    const conversion = await ExchangeRateService.convert(tenant, {
+      currency,
+      date: expenseDate,
+      totalAmount: draftPayments.reduce((sum, payment) => sum + payment.amount, 0)
+    });
+
+    const violations = await this.evaluate(tenant, {
+      title,
+      description,
+      date: expenseDate,
+      category,
+      exchangeRate: conversion.metadata.exchangeRate,
+      payments: draftPayments
+    }, { excludeExpenseId: expenseId });
+
+    return {
+      violations,
+      blocked: violations.some(violation => violation.action === 'block')
+    };
+  }
+}
+
+module.exports = PolicyService;
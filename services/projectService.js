@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const PROJECT_KINDS = Project.schema.path('kind').enumValues;
+const EDITABLE_FIELDS = ['code', 'name', 'description', 'kind', 'startDate', 'endDate', 'isActive'];
+const INTERVALS = Expense.periodIntervals();
+
+const ALLOCATION_BASE_AMOUNT = Expense.allocationBaseAmountExpression();
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+class ProjectService {
+
+  static async findProject(tenant, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse('Invalid project ID format', 400);
+    }
+
+    const project = await Project.findOne({ _id: id, tenantId: tenant._id });
+    if (!project) {
+      throw new ErrorResponse('Project or cost center not found', 404);
+    }
+
+    return project;
+  }
+
+  static async assertOwner(tenantId, owner) {
+    if (!owner) return;
+    if (!mongoose.Types.ObjectId.isValid(owner)) {
+      throw new ErrorResponse('Invalid owner', 400);
+    }
+    const exists = await User.exists({ _id: owner, tenantId, isActive: true });
+    if (!exists) {
+      throw new ErrorResponse('Owner must be an active user of this organization', 400);
+    }
+  }
+
+  /**
+   * Spend charged to each project since a date (all time when null), in the
+   * tenant base currency. Cancelled expenses do not count.
+   */
+  static async getSpentSince(tenantId, projectIds, since) {
+    if (projectIds.length === 0) return new Map();
+
+    const rows = await Expense.aggregate([
+      {
+        $match: {
+          tenantId,
+          status: { $ne: 'cancelled' },
+          ...(since && { date: { $gte: since } }),
+          ...Expense.projectFilter(projectIds)
+        }
+      },
+      ...Expense.allocationStages(),
+      { $match: { 'allocation.project': { $in: projectIds } } },
+      { $group: { _id: '$allocation.project', baseAmount: { $sum: ALLOCATION_BASE_AMOUNT } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), round(row.baseAmount)]));
+  }
+
+  // Budget, spend in the current budget period and what is left, per project
+  static async getBudgetStatus(tenantId, projects, now = new Date()) {
+    const windows = new Map();
+    projects.forEach(project => {
+      const start = project.getBudgetPeriodStart(now);
+      const key = start ? start.toISOString() : 'all';
+      if (!windows.has(key)) windows.set(key, { start, ids: [] });
+      windows.get(key).ids.push(project._id);
+    });
+
+    const spent = new Map();
+    for (const { start, ids } of windows.values()) {
+      const rows = await this.getSpentSince(tenantId, ids, start);
+      rows.forEach((value, key) => spent.set(key, value));
+    }
+
+    return new Map(projects.map(project => {
+      const amount = project.budget?.amount ?? null;
+      const value = spent.get(project._id.toString()) || 0;
+      return [project._id.toString(), {
+        amount,
+        period: project.budget?.period || 'total',
+        periodStart: project.getBudgetPeriodStart(now),
+        spent: value,
+        remaining: amount === null ? null : round(amount - value),
+        percentUsed: amount ? round(value / amount * 100) : null
+      }];
+    }));
+  }
+
+  static withBudget(project, budgets) {
+    return { ...project.toObject(), budget: budgets.get(project._id.toString()) };
+  }
+
+  static async list(tenant, { kind, active } = {}) {
+    if (kind && !PROJECT_KINDS.includes(kind)) {
+      throw new ErrorResponse(`Kind must be one of: ${PROJECT_KINDS.join(', ')}`, 400);
+    }
+
+    const projects = await Project.findByTenant(tenant._id, {
+      kind,
+      active: active === undefined ? undefined : active === 'true'
+    });
+    const budgets = await this.getBudgetStatus(tenant._id, projects);
+
+    return projects.map(project => this.withBudget(project, budgets));
+  }
+
+  static async get(tenant, id) {
+    const project = await this.findProject(tenant, id);
+    await project.populate('owner', 'name email');
+
+    const budgets = await this.getBudgetStatus(tenant._id, [project]);
+    return this.withBudget(project, budgets);
+  }
+
+  static applyFields(project, body) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) project[field] = body[field];
+    });
+    if (body.owner !== undefined) project.owner = body.owner || null;
+    if (body.budget !== undefined) {
+      project.budget = {
+        amount: body.budget?.amount ?? null,
+        period: body.budget?.period || 'total'
+      };
+    }
+  }
+
+  static logProjectActivity(project, user, type, changes) {
+    return ActivityService.logActivity({
+      type,
+      entityId: project._id,
+      entityType: 'Project',
+      entityName: `${project.code} ${project.name}`,
+      tenantId: project.tenantId,
+      performedBy: user._id,
+      changes
+    });
+  }
+
+  static async create(tenant, user, body) {
+    await this.assertOwner(tenant._id, body.owner);
+
+    const project = new Project({ tenantId: tenant._id, createdBy: user._id });
+    this.applyFields(project, body);
+    await project.save();
+
+    await this.logProjectActivity(project, user, 'project_created');
+
+    return project;
+  }
+
+  static async update(tenant, user, id, body) {
+    const project = await this.findProject(tenant, id);
+    await this.assertOwner(tenant._id, body.owner);
+
+    const before = { code: project.code, name: project.name, isActive: project.isActive, budget: project.budget?.amount };
+    this.applyFields(project, body);
+    await project.save();
+
+    const changes = [];
+    if (before.code !== project.code) changes.push(`Code: ${before.code} → ${project.code}`);
+    if (before.name !== project.name) changes.push(`Name: ${before.name} → ${project.name}`);
+    if (before.budget !== project.budget?.amount) changes.push(`Budget: ${before.budget ?? 'none'} → ${project.budget?.amount ?? 'none'}`);
+    if (before.isActive !== project.isActive) changes.push(project.isActive ? 'Reactivated' : 'Archived');
+
+    await this.logProjectActivity(project, user, 'project_updated', changes);
+
+    return project;
+  }
+
+  // Projects that were charged are archived instead, so past allocations keep their project
+  static async remove(tenant, user, id) {
+    const project = await this.findProject(tenant, id);
+
+    const used = await Expense.exists({ tenantId: tenant._id, ...Expense.projectFilter([project._id]) })
+      .setOptions({ withDeleted: true });
+    if (used) {
+      throw new ErrorResponse('Expenses are allocated to this project or cost center. Archive it instead', 400);
+    }
+
+    await project.deleteOne();
+    await this.logProjectActivity(project, user, 'project_deleted');
+  }
+
+  /**
+   * Spend per project and cost center over a date range with a series per
+   * interval, next to each budget. Spend that is not allocated, including the
+   * unallocated payments of a partly split expense, is reported apart so the
+   * totals add up to the overall spend.
+   */
+  static async getSpendReport(tenant, { startDate, endDate, interval = 'month', kind } = {}) {
+    if (!INTERVALS.includes(interval)) {
+      throw new ErrorResponse(`Interval must be one of: ${INTERVALS.join(', ')}`, 400);
+    }
+    if (kind && !PROJECT_KINDS.includes(kind)) {
+      throw new ErrorResponse(`Kind must be one of: ${PROJECT_KINDS.join(', ')}`, 400);
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ErrorResponse('Invalid date range', 400);
+    }
+
+    const periodKey = Expense.periodExpression(interval);
+
+    const rows = await Expense.aggregate([
+      { $match: { tenantId: tenant._id, date: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } } },
+      ...Expense.allocationStages(),
+      {
+        $group: {
+          _id: { project: '$allocation.project', period: periodKey },
+          expenses: { $addToSet: '$_id' },
+          baseAmount: { $sum: ALLOCATION_BASE_AMOUNT }
+        }
+      },
+      { $sort: { '_id.period': 1 } },
+      {
+        $group: {
+          _id: '$_id.project',
+          expenses: { $push: '$expenses' },
+          baseAmount: { $sum: '$baseAmount' },
+          series: { $push: { period: '$_id.period', baseAmount: '$baseAmount', count: { $size: '$expenses' } } }
+        }
+      },
+      {
+        $project: {
+          baseAmount: 1,
+          series: 1,
+          count: {
+            $size: { $reduce: { input: '$expenses', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+          }
+        }
+      }
+    ]);
+
+    const unallocated = rows.find(row => row._id === null);
+    const allocatedRows = rows.filter(row => row._id !== null);
+
+    const projects = await Project.find({
+      tenantId: tenant._id,
+      _id: { $in: allocatedRows.map(row => row._id) },
+      ...(kind && { kind })
+    }).populate('owner', 'name email');
+    const budgets = await this.getBudgetStatus(tenant._id, projects);
+    const byId = new Map(projects.map(project => [project._id.toString(), project]));
+
+    const report = allocatedRows
+      .filter(row => byId.has(row._id.toString()))
+      .map(row => {
+        const project = byId.get(row._id.toString());
+        return {
+          _id: project._id,
+          code: project.code,
+          name: project.name,
+          kind: project.kind,
+          owner: project.owner,
+          isActive: project.isActive,
+          count: row.count,
+          baseAmount: round(row.baseAmount),
+          budget: budgets.get(project._id.toString()),
+          series: row.series.map(point => ({ ...point, baseAmount: round(point.baseAmount) }))
+        };
+      })
+      .sort((a, b) => b.baseAmount - a.baseAmount);
+
+    return {
+      dateRange: { start, end },
+      interval,
+      baseCurrency: tenant.settings?.baseCurrency || 'USD',
+      total: round(report.reduce((sum, row) => sum + row.baseAmount, 0)),
+      projects: report,
+      unallocated: {
+        count: unallocated?.count || 0,
+        baseAmount: round(unallocated?.baseAmount),
+        series: (unallocated?.series || []).map(point => ({ ...point, baseAmount: round(point.baseAmount) }))
+      }
+    };
+  }
+}
+
+module.exports = ProjectService;
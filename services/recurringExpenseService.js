@@ -0,0 +1,151 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const Expense = require('../models/Expense');
+const Tenant = require('../models/Tenant');
+const ActivityService = require('./activityService');
+const ExchangeRateService = require('./exchangeRateService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+
+// Upper bound of missed runs generated for one template in a single pass,
+// e.g. after the server was down for a while
+const MAX_CATCH_UP_RUNS = 31;
+
+class RecurringExpenseService {
+
+  // Generate expenses for every template with a run due
+  static async processDueTemplates(now = new Date()) {
+    const templates = await RecurringExpense.findDue(now);
+    const summary = { templates: templates.length, created: 0, skipped: 0, failed: 0 };
+
+    for (const template of templates) {
+      try {
+        const result = await this.runTemplate(template, now);
+        summary.created += result.created.length;
+        summary.skipped += result.skipped;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Error running recurring expense ${template._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  // Work through the due runs of one template
+  static async runTemplate(template, now = new Date()) {
+    const result = { created: [], skipped: 0 };
+
+    const tenant = await Tenant.findById(template.tenantId);
+    const tenantActive = !!tenant && tenant.isActive &&
+      !['suspended', 'cancelled'].includes(tenant.status);
+
+    let runs = 0;
+    while (template.isActive && template.nextRunAt && template.nextRunAt <= now && runs < MAX_CATCH_UP_RUNS) {
+      runs += 1;
+      const runDate = template.nextRunAt;
+
+      if (template.endDate && runDate > template.endDate) {
+        await RecurringExpense.updateOne({ _id: template._id }, { isActive: false });
+        template.isActive = false;
+        break;
+      }
+
+      const nextRunAt = template.getNextRunAfter(runDate);
+      const stillActive = !template.endDate || nextRunAt <= template.endDate;
+      const willCreate = !template.isPaused && !template.isSkipped(runDate) && tenantActive;
+
+      // Resolve the exchange rate before claiming, so a missing rate leaves the run due
+      const conversion = willCreate
+        ? await ExchangeRateService.convert(tenant, {
+          currency: template.currency,
+          date: runDate,
+          totalAmount: template.totalAmount
+        })
+        : null;
+
+      // Claim the run first so a second scheduler instance cannot generate it again
+      const claimed = await RecurringExpense.findOneAndUpdate(
+        { _id: template._id, nextRunAt: runDate, isActive: true },
+        { $set: { nextRunAt, isActive: stillActive } },
+        { new: true }
+      );
+
+      if (!claimed) break;
+
+      template.nextRunAt = claimed.nextRunAt;
+      template.isActive = claimed.isActive;
+
+      if (!willCreate) {
+        result.skipped += 1;
+        continue;
+      }
+
+      if (await tenant.getRemainingMonthlyExpenses() <= 0) {
+        console.warn(`Recurring expense ${template._id} skipped: tenant expense limit reached`);
+        result.skipped += 1;
+        continue;
+      }
+
+      const expense = await this.materialize(template, runDate, conversion);
+      result.created.push(expense);
+
+      await RecurringExpense.updateOne(
+        { _id: template._id },
+        { $inc: { occurrences: 1 }, $set: { lastRunAt: runDate } }
+      );
+    }
+
+    return result;
+  }
+
+  // Create a real expense from a template for the given run date
+  static async materialize(template, runDate, conversion = null) {
+    const expense = await Expense.create({
+      tenantId: template.tenantId,
+      title: template.title,
+      description: template.description,
+      date: runDate,
+      category: template.category,
+      payments: template.payments.map(payment => ({
+        user: payment.user,
+        userId: payment.userId,
+        amount: payment.amount,
+        category: payment.category,
+        subCategory: payment.subCategory
+      })),
+      tags: template.tags,
+      // Generated expenses go through approval like any other
+      status: 'pending',
+      createdBy: template.createdBy,
+      metadata: {
+        ...conversion?.metadata,
+        source: 'recurring',
+        recurringExpense: template._id
+      }
+    });
+
+    await ExpenseRevisionService.record(expense, { action: 'created', user: template.createdBy });
+
+    await ActivityService.logActivity({
+      type: 'expense_created',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: expense.tenantId,
+      performedBy: template.createdBy,
+      newData: {
+        title: expense.title,
+        totalAmount: expense.totalAmount,
+        status: expense.status,
+        date: expense.date,
+        recurringExpense: template._id
+      },
+      metadata: {
+        source: 'recurring'
+      }
+    });
+
+    return expense;
+  }
+}
+
+module.exports = RecurringExpenseService;
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const ExpenseQueryService = require('./expenseQueryService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const EDITABLE_FIELDS = ['name', 'description', 'filter', 'sort', 'columns', 'limit', 'visibility', 'roles'];
+
+class SavedViewService {
+
+  static async findVisible(user, viewId) {
+    if (!mongoose.Types.ObjectId.isValid(viewId)) {
+      throw new ErrorResponse('Invalid view ID format', 400);
+    }
+
+    const view = await SavedView.findOne({ _id: viewId, ...SavedView.visibleTo(user) });
+    if (!view) {
+      throw new ErrorResponse('Saved view not found', 404);
+    }
+
+    return view;
+  }
+
+  static async findEditable(user, viewId) {
+    const view = await this.findVisible(user, viewId);
+    if (!view.canEdit(user)) {
+      throw new ErrorResponse('Only the owner can change this view', 403);
+    }
+    return view;
+  }
+
+  // Reject filters, sorts and roles the expense list would not accept
+  static async validate(tenant, user, { filter, sort, roles }) {
+    if (filter !== undefined) {
+      await ExpenseQueryService.buildMatch(tenant, user, { filter });
+    }
+    if (sort !== undefined) {
+      ExpenseQueryService.parseSort(sort);
+    }
+
+    if (roles !== undefined) {
+      const ids = [...new Set((roles || []).map(String))];
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ErrorResponse('Invalid role ID format', 400);
+      }
+      const count = ids.length ? await Role.countDocuments({ tenantId: tenant._id, _id: { $in: ids } }) : 0;
+      if (count !== ids.length) {
+        throw new ErrorResponse('One or more roles are invalid', 400);
+      }
+    }
+  }
+
+  static pick(data) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  static populate(query) {
+    return query
+      .populate('owner', 'name email')
+      .populate('roles', 'name');
+  }
+
+  // Views the user can see, own views first, flagging the pinned default
+  static async list(user) {
+    const views = await this.populate(SavedView.find(SavedView.visibleTo(user)))
+      .sort({ name: 1 })
+      .lean();
+
+    const defaultId = user.preferences?.defaultExpenseView?.toString();
+    const ownerId = user._id.toString();
+
+    return views
+      .map(view => ({
+        ...view,
+        isOwner: view.owner?._id.toString() === ownerId,
+        isDefault: view._id.toString() === defaultId
+      }))
+      .sort((a, b) => Number(b.isOwner) - Number(a.isOwner));
+  }
+
+  static async get(user, viewId) {
+    const view = await this.findVisible(user, viewId);
+    return this.populate(SavedView.findById(view._id));
+  }
+
+  static async create(tenant, user, data) {
+    const fields = this.pick(data);
+    await this.validate(tenant, user, fields);
+
+    const view = await SavedView.create({
+      ...fields,
+      tenantId: tenant._id,
+      owner: user._id
+    });
+
+    return this.populate(SavedView.findById(view._id));
+  }
+
+  static async update(tenant, user, viewId, data) {
+    const view = await this.findEditable(user, viewId);
+    const fields = this.pick(data);
+    await this.validate(tenant, user, fields);
+
+    view.set(fields);
+    if (view.visibility !== 'role') view.roles = [];
+    await view.save();
+
+    return this.populate(SavedView.findById(view._id));
+  }
+
+  static async remove(tenant, user, viewId) {
+    const view = await this.findEditable(user, viewId);
+    await view.deleteOne();
+
+    // Nobody keeps a removed view as their default
+    await User.updateMany(
+      { tenantId: tenant._id, 'preferences.defaultExpenseView': view._id },
+      { $set: { 'preferences.defaultExpenseView': null } }
+    );
+  }
+
+  static async setDefault(user, viewId) {
+    const view = viewId ? await this.findVisible(user, viewId) : null;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'preferences.defaultExpenseView': view?._id || null } }
+    );
+
+    return view;
+  }
+
+  // Default view of the user, or null when none is pinned or it is no longer visible
+  static async getDefault(user) {
+    const viewId = user.preferences?.defaultExpenseView;
+    if (!viewId) return null;
+
+    return this.populate(SavedView.findOne({ _id: viewId, ...SavedView.visibleTo(user) }));
+  }
+
+  // Expense list for a view; paging parameters of the request still apply
+  static async run(tenant, user, viewId, { cursor, page, limit } = {}) {
+    const view = await this.findVisible(user, viewId);
+
+    const result = await ExpenseQueryService.list(tenant, user, {
+      filter: view.filter,
+      sort: view.sort,
+      cursor,
+      page,
+      limit: limit || view.limit
+    });
+
+    return { view, ...result };
+  }
+}
+
+module.exports = SavedViewService;
@@ -0,0 +1,78 @@
+const cron = require('node-cron');
+const RecurringExpenseService = require('./recurringExpenseService');
+const TrashService = require('./trashService');
+const StorageUsageService = require('./storageUsageService');
+
+class SchedulerService {
+
+  static tasks = [];
+
+  // Register and start all background jobs
+  static start() {
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+      console.log('⏸️  Scheduler disabled via DISABLE_SCHEDULER');
+      return;
+    }
+
+    this.register(
+      'recurring-expenses',
+      process.env.RECURRING_EXPENSES_CRON || '*/15 * * * *',
+      async () => {
+        const summary = await RecurringExpenseService.processDueTemplates();
+        if (summary.templates > 0) {
+          console.log('🔁 Recurring expenses processed:', summary);
+        }
+      }
+    );
+
+    this.register(
+      'trash-purge',
+      process.env.TRASH_PURGE_CRON || '0 3 * * *',
+      async () => {
+        const summary = await TrashService.purgeExpired();
+        if (summary.tenants > 0) {
+          console.log('🗑️  Expired trash purged:', summary);
+        }
+      }
+    );
+
+    // Corrects usage drift from interrupted requests and removals outside the API
+    this.register(
+      'storage-reconcile',
+      process.env.STORAGE_RECONCILE_CRON || '30 4 * * *',
+      async () => {
+        const summary = await StorageUsageService.reconcileAll();
+        if (summary.adjusted > 0 || summary.missingFiles > 0) {
+          console.log('💾 Storage usage reconciled:', summary);
+        }
+      }
+    );
+  }
+
+  // Schedule a job; overlapping runs of the same job are skipped
+  static register(name, expression, job) {
+    if (!cron.validate(expression)) {
+      console.error(`❌ Invalid cron expression for ${name}: ${expression}`);
+      return null;
+    }
+
+    const task = cron.schedule(expression, async () => {
+      try {
+        await job();
+      } catch (error) {
+        console.error(`❌ Scheduled job ${name} failed:`, error);
+      }
+    }, { name, noOverlap: true });
+
+    this.tasks.push(task);
+    console.log(`⏰ Scheduled job ${name} (${expression})`);
+    return task;
+  }
+
+  static async stop() {
+    await Promise.all(this.tasks.map(task => task.stop()));
+    this.tasks = [];
+  }
+}
+
+module.exports = SchedulerService;
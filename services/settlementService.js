@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Balances are computed in cents so shares and transfers add up exactly
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => Number((cents / 100).toFixed(2));
+
+const SPLIT_MODES = ['group', 'payers'];
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+class SettlementService {
+
+  // Turn query/body parameters into a settlement scope
+  static parseScope({ startDate, endDate, expenses, participants, splitMode } = {}) {
+    const toList = (value) => {
+      if (!value) return [];
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      return list.map(item => String(item).trim()).filter(Boolean);
+    };
+
+    const expenseIds = toList(expenses);
+    if (expenseIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid expense ID format', 400);
+    }
+
+    const mode = splitMode || 'group';
+    if (!SPLIT_MODES.includes(mode)) {
+      throw new ErrorResponse(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`, 400);
+    }
+
+    return {
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      expenseIds: expenseIds.map(id => new mongoose.Types.ObjectId(id)),
+      participants: toList(participants),
+      splitMode: mode
+    };
+  }
+
+  static buildExpenseMatch(tenantId, scope) {
+    const match = {
+      tenantId: new mongoose.Types.ObjectId(tenantId),
+      status: { $ne: 'cancelled' }
+    };
+
+    if (scope.expenseIds.length > 0) {
+      match._id = { $in: scope.expenseIds };
+    }
+
+    if (scope.startDate || scope.endDate) {
+      match.date = {};
+      if (scope.startDate) match.date.$gte = scope.startDate;
+      if (scope.endDate) match.date.$lte = scope.endDate;
+    }
+
+    return match;
+  }
+
+  // Settlements already recorded for the same scope
+  static findScopeSettlements(tenantId, scope) {
+    const options = {};
+
+    if (scope.expenseIds.length > 0) {
+      options.expenses = scope.expenseIds;
+    } else if (scope.startDate || scope.endDate) {
+      options.dateRange = { start: scope.startDate, end: scope.endDate };
+    }
+
+    return Settlement.findByTenant(tenantId, options);
+  }
+
+  // Net balance per person: what they paid minus their share, adjusted by recorded settlements.
+  // Positive balances are owed money, negative balances owe money.
+  static async computeBalances(tenant, scope) {
+    const expenses = await Expense.aggregate([
+      { $match: this.buildExpenseMatch(tenant._id, scope) },
+      {
+        $project: {
+          exchangeRate: { $ifNull: ['$metadata.exchangeRate', 1] },
+          payments: { user: 1, userId: 1, amount: 1 }
+        }
+      }
+    ]);
+
+    // Names used by exactly one linked account resolve to it; names shared by
+    // several accounts stay ambiguous (null) and are kept apart
+    const accountByName = new Map();
+    expenses.forEach(expense => expense.payments.forEach(payment => {
+      if (!payment.userId) return;
+      const name = normalizeName(payment.user);
+      const userId = payment.userId.toString();
+      accountByName.set(name, accountByName.has(name) && accountByName.get(name) !== userId ? null : userId);
+    }));
+
+    const people = new Map();
+    const entry = (name, userId) => {
+      const key = userId ? userId.toString() : `name:${normalizeName(name)}`;
+      if (!people.has(key)) {
+        people.set(key, {
+          user: String(name).trim(),
+          userId: userId ? userId.toString() : null,
+          paid: 0,
+          share: 0,
+          settledOut: 0,
+          settledIn: 0
+        });
+      }
+      return people.get(key);
+    };
+    // Payers are keyed like Expense.payerKeyExpression(): the linked account, else the normalized name
+    const payer = (payment) => entry(payment.user, payment.userId);
+    // Participants and settlements name people, optionally with their account
+    const person = (name, userId) => entry(name, userId || accountByName.get(normalizeName(name)));
+
+    scope.participants.forEach(name => person(name));
+    expenses.forEach(expense => expense.payments.forEach(payment => payer(payment)));
+
+    const everyone = [...people.values()];
+
+    for (const expense of expenses) {
+      const payments = expense.payments.filter(payment => payment.amount > 0);
+      if (payments.length === 0) continue;
+
+      let totalCents = 0;
+      payments.forEach(payment => {
+        const cents = toCents(payment.amount * expense.exchangeRate);
+        payer(payment).paid += cents;
+        totalCents += cents;
+      });
+
+      const sharers = scope.splitMode === 'payers'
+        ? [...new Set(payments.map(payment => payer(payment)))]
+        : everyone;
+
+      // Equal split; leftover cents go to the first participants
+      const baseShare = Math.floor(totalCents / sharers.length);
+      let remainder = totalCents - baseShare * sharers.length;
+      sharers.forEach(sharer => {
+        sharer.share += baseShare + (remainder > 0 ? 1 : 0);
+        if (remainder > 0) remainder -= 1;
+      });
+    }
+
+    const settlements = await this.findScopeSettlements(tenant._id, scope);
+    settlements.forEach(settlement => {
+      const cents = toCents(settlement.amount);
+      person(settlement.from, settlement.fromUserId).settledOut += cents;
+      person(settlement.to, settlement.toUserId).settledIn += cents;
+    });
+
+    const balances = [...people.values()]
+      .map(entry => ({
+        user: entry.user,
+        userId: entry.userId,
+        paid: fromCents(entry.paid),
+        share: fromCents(entry.share),
+        settledOut: fromCents(entry.settledOut),
+        settledIn: fromCents(entry.settledIn),
+        netCents: entry.paid - entry.share + entry.settledOut - entry.settledIn
+      }))
+      .sort((a, b) => b.netCents - a.netCents);
+
+    return {
+      currency: tenant.settings?.baseCurrency || 'USD',
+      expenseCount: expenses.length,
+      settlementCount: settlements.length,
+      balances: balances.map(({ netCents, ...entry }) => ({ ...entry, net: fromCents(netCents) })),
+      transfers: this.minimizeTransfers(balances)
+    };
+  }
+
+  // Greedy matching of the largest debtor with the largest creditor.
+  // Produces at most n - 1 transfers for n people with a non-zero balance.
+  static minimizeTransfers(balances) {
+    const creditors = balances
+      .filter(entry => entry.netCents > 0)
+      .map(entry => ({ user: entry.user, userId: entry.userId, cents: entry.netCents }));
+    const debtors = balances
+      .filter(entry => entry.netCents < 0)
+      .map(entry => ({ user: entry.user, userId: entry.userId, cents: -entry.netCents }));
+
+    const transfers = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+      creditors.sort((a, b) => b.cents - a.cents);
+      debtors.sort((a, b) => b.cents - a.cents);
+
+      const creditor = creditors[0];
+      const debtor = debtors[0];
+      const cents = Math.min(creditor.cents, debtor.cents);
+
+      transfers.push({
+        from: debtor.user,
+        fromUserId: debtor.userId,
+        to: creditor.user,
+        toUserId: creditor.userId,
+        amount: fromCents(cents)
+      });
+
+      creditor.cents -= cents;
+      debtor.cents -= cents;
+      if (creditor.cents === 0) creditors.shift();
+      if (debtor.cents === 0) debtors.shift();
+    }
+
+    return transfers;
+  }
+
+  static async recordSettlement(tenant, { from, to, fromUserId, toUserId, amount, date, note, expenses = [] }, user) {
+    if ([fromUserId, toUserId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      throw new ErrorResponse('Invalid user ID format', 400);
+    }
+
+    const settlement = await Settlement.create({
+      tenantId: tenant._id,
+      from,
+      to,
+      fromUserId: fromUserId || undefined,
+      toUserId: toUserId || undefined,
+      amount,
+      currency: tenant.settings?.baseCurrency || 'USD',
+      date: date || new Date(),
+      note,
+      expenses,
+      createdBy: user._id
+    });
+
+    await ActivityService.logActivity({
+      type: 'settlement_created',
+      entityId: settlement._id,
+      entityType: 'Settlement',
+      entityName: `${settlement.from} → ${settlement.to}`,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      newData: {
+        from: settlement.from,
+        to: settlement.to,
+        amount: settlement.amount,
+        currency: settlement.currency
+      }
+    });
+
+    return settlement;
+  }
+
+  // Record every suggested transfer so the scope's balances become zero
+  static async settleAll(tenant, scope, user, note = '') {
+    const { transfers } = await this.computeBalances(tenant, scope);
+
+    // Settlements are dated inside the range so they count against it
+    const date = scope.endDate && scope.endDate < new Date() ? scope.endDate : new Date();
+
+    const settlements = [];
+    for (const transfer of transfers) {
+      settlements.push(await this.recordSettlement(tenant, {
+        ...transfer,
+        date,
+        note,
+        expenses: scope.expenseIds
+      }, user));
+    }
+
+    return settlements;
+  }
+}
+
+module.exports = SettlementService;
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Receipts on the local disk, under a root directory
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  // Files uploaded before storage keys were introduced are stored with an absolute path
+  resolve(key) {
+    if (path.isAbsolute(key)) return key;
+
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key "${key}" is outside the storage root`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  }
+
+  async getStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  // Size and modification time, or null when the file is missing
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,59 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Receipts in an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3Storage {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs S3_BUCKET to be set');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      // Without explicit keys the SDK falls back to its default chain (env, profile, instance role)
+      ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentLength: body.length,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+  }
+
+  async getStream(key) {
+    const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return result.Body;
+  }
+
+  // Size and modification time, or null when the object is missing
+  async stat(key) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { size: result.ContentLength, lastModified: result.LastModified };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Deleting a missing object succeeds in S3
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+module.exports = S3Storage;
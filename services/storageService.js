@@ -0,0 +1,85 @@
+const path = require('path');
+const storageConfig = require('../config/storage');
+const LocalStorage = require('./storage/localStorage');
+const S3Storage = require('./storage/s3Storage');
+
+const DRIVERS = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+const drivers = new Map();
+
+/**
+ * Where receipt files live. A stored file keeps the backend it was written to
+ * in `file.storage` (files without one are on the local disk) and its key in
+ * `file.path`, so switching STORAGE_DRIVER only affects new uploads.
+ */
+class StorageService {
+
+  static getDriverNames() {
+    return Object.keys(DRIVERS);
+  }
+
+  // Drivers are created on first use, so S3 settings are only needed when S3 is used
+  static getDriver(name = storageConfig.driver) {
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown storage driver "${name}". Use one of: ${this.getDriverNames().join(', ')}`);
+    }
+    if (!drivers.has(name)) {
+      drivers.set(name, new DRIVERS[name](storageConfig[name]));
+    }
+    return drivers.get(name);
+  }
+
+  static driverFor(file) {
+    return this.getDriver(file.storage || 'local');
+  }
+
+  // Each tenant's receipts sit under their own prefix
+  static keyFor(tenantId, filename) {
+    return `${this.tenantPrefix(tenantId)}expenses/${path.basename(filename)}`;
+  }
+
+  static tenantPrefix(tenantId) {
+    return tenantId ? `tenants/${tenantId}/` : 'shared/';
+  }
+
+  static async save(key, body, { contentType, driver } = {}) {
+    const target = this.getDriver(driver);
+    await target.put(key, body, { contentType });
+    return { storage: target.name, path: key };
+  }
+
+  static stat(file) {
+    return this.driverFor(file).stat(file.path);
+  }
+
+  static async exists(file) {
+    return !!(file?.path && await this.stat(file));
+  }
+
+  static getStream(file) {
+    return this.driverFor(file).getStream(file.path);
+  }
+
+  static async read(file) {
+    const stream = await this.getStream(file);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  // Never fails: a file that cannot be removed is only logged
+  static async remove(file) {
+    if (!file?.path) return;
+    try {
+      await this.driverFor(file).remove(file.path);
+      console.log(`File deleted: ${file.path}`);
+    } catch (error) {
+      console.error(`Error deleting file ${file.path}:`, error.message);
+    }
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,268 @@
+const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const Category = require('../models/Category');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const StorageService = require('./storageService');
+
+const sumBytes = (files) => files.reduce((total, file) => total + (file.size || 0), 0);
+
+/**
+ * Storage a tenant uses for receipts: the files its expenses point to, trashed
+ * expenses included until the trash is purged. A receipt counts from its upload
+ * until no expense points to it; replaced or removed receipts stay in storage
+ * for the revision history but no longer count, and count again when a revert
+ * puts them back.
+ */
+class StorageUsageService {
+
+  static fileKey(file) {
+    return `${file.storage || 'local'}:${file.path}`;
+  }
+
+  // Reserve space for files just uploaded; null when they do not fit in the plan
+  static reserve(tenantId, files) {
+    return Tenant.updateStorageUsage(tenantId, sumBytes(files), { enforceLimit: true });
+  }
+
+  // Give back the space of files that no longer count
+  static release(tenantId, files) {
+    const bytes = sumBytes(files);
+    return bytes > 0 ? Tenant.updateStorageUsage(tenantId, -bytes) : null;
+  }
+
+  // Count files again, without the plan limit: they are already stored
+  static count(tenantId, files) {
+    const bytes = sumBytes(files);
+    return bytes > 0 ? Tenant.updateStorageUsage(tenantId, bytes) : null;
+  }
+
+  // Whether an expense (trashed ones included), other than the excluded one, points to the file
+  static isReferenced(tenantId, file, excludeExpenseId = null) {
+    return Expense.exists({
+      tenantId,
+      ...(excludeExpenseId && { _id: { $ne: excludeExpenseId } }),
+      'payments.file.path': file.path
+    }).setOptions({ withDeleted: true });
+  }
+
+  // Receipts of the first snapshot the second one no longer has
+  static filesDropped(from, to) {
+    const kept = new Set((to?.payments || [])
+      .filter(payment => payment.file?.path)
+      .map(payment => this.fileKey(payment.file)));
+
+    const dropped = new Map();
+    (from?.payments || []).forEach(payment => {
+      if (payment.file?.path && !kept.has(this.fileKey(payment.file))) {
+        dropped.set(this.fileKey(payment.file), payment.file);
+      }
+    });
+    return [...dropped.values()];
+  }
+
+  // Uploaded files no expense ended up referencing (failed validation, a field
+  // that is not a payment, a new file with "keep"...) are removed and released
+  static async releaseUnused(tenantId, files) {
+    const unused = [];
+    for (const file of files) {
+      if (!await this.isReferenced(tenantId, file)) unused.push(file);
+    }
+
+    for (const file of unused) {
+      await StorageService.remove(file);
+    }
+    await this.release(tenantId, unused);
+  }
+
+  /**
+   * Settle the uploads reserved for a request once its handler is done, so a
+   * file the saved expense points to is never removed. Called from the
+   * handler's finally block; failures are logged, not thrown.
+   */
+  static async settleUploads(req) {
+    if (!req.tenant || !req.files || req.files.length === 0) return;
+
+    try {
+      await this.releaseUnused(req.tenant._id, req.files);
+    } catch (error) {
+      console.error('Release unused uploads error:', error);
+    }
+  }
+
+  /**
+   * Follow the receipts an edit took off or put back on an expense, given its
+   * revision snapshots before and after. Receipts taken off stop counting once
+   * no expense points to them; receipts put back from the history (a revert)
+   * count again. New uploads are counted when reserved, not here.
+   */
+  static async trackChange(tenantId, expenseId, before, after, { restored = false } = {}) {
+    const released = [];
+    for (const file of this.filesDropped(before, after)) {
+      if (!await this.isReferenced(tenantId, file)) released.push(file);
+    }
+    await this.release(tenantId, released);
+
+    if (restored) {
+      const counted = [];
+      for (const file of this.filesDropped(after, before)) {
+        if (!await this.isReferenced(tenantId, file, expenseId)) counted.push(file);
+      }
+      await this.count(tenantId, counted);
+    }
+  }
+
+  // Each stored receipt once, with who and what it was for
+  static async collectFiles(tenantId) {
+    const files = new Map();
+
+    const expenses = Expense.find({ tenantId, 'payments.file.path': { $type: 'string' } })
+      .setOptions({ withDeleted: true })
+      .select('category deletedAt payments.user payments.userId payments.category payments.file')
+      .lean()
+      .cursor();
+    for await (const expense of expenses) {
+      expense.payments.forEach(payment => {
+        if (!payment.file?.path) return;
+        files.set(this.fileKey(payment.file), {
+          file: payment.file,
+          size: payment.file.size || 0,
+          userId: payment.userId ? payment.userId.toString() : null,
+          userName: payment.user,
+          categoryId: (payment.category || expense.category)?.toString() || null,
+          trashed: !!expense.deletedAt
+        });
+      });
+    }
+
+    // Receipts replaced in earlier edits are only referenced by revisions and do not count
+    const revisions = ExpenseRevision.find({ tenantId, 'snapshot.payments.file.path': { $type: 'string' } })
+      .select('snapshot.payments.file')
+      .lean()
+      .cursor();
+    for await (const revision of revisions) {
+      (revision.snapshot.payments || []).forEach(payment => {
+        if (!payment.file?.path || files.has(this.fileKey(payment.file))) return;
+        files.set(this.fileKey(payment.file), { file: payment.file, size: payment.file.size || 0, history: true });
+      });
+    }
+
+    return [...files.values()];
+  }
+
+  /**
+   * Recompute a tenant's usage from the receipts its expenses point to, sized by
+   * the storage backend; a file missing from storage counts as nothing. The
+   * difference is added to the stored total, so space reserved by uploads
+   * while this runs is kept.
+   */
+  static async reconcile(tenantId) {
+    const tenant = await Tenant.findById(tenantId).select('usage.storageBytes');
+    if (!tenant) return null;
+    const previous = tenant.usage?.storageBytes || 0;
+
+    let bytes = 0;
+    let missing = 0;
+    for (const entry of await this.collectFiles(tenantId)) {
+      if (entry.history) continue;
+      const stats = await StorageService.stat(entry.file);
+      if (stats) {
+        bytes += stats.size;
+      } else {
+        missing++;
+      }
+    }
+
+    const difference = bytes - previous;
+    if (difference !== 0) {
+      await Tenant.updateStorageUsage(tenantId, difference);
+    }
+
+    return { bytes, previous, missing, changed: difference !== 0 };
+  }
+
+  static async reconcileAll() {
+    const tenants = await Tenant.find().select('_id');
+    const summary = { tenants: tenants.length, adjusted: 0, missingFiles: 0 };
+
+    for (const tenant of tenants) {
+      try {
+        const result = await this.reconcile(tenant._id);
+        if (result?.changed) summary.adjusted++;
+        summary.missingFiles += result?.missing || 0;
+      } catch (error) {
+        console.error(`Storage reconciliation failed for tenant ${tenant._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  // Count and size per key, with the first file of each group to describe it
+  static group(files, keyOf) {
+    const groups = new Map();
+    files.forEach(file => {
+      const key = keyOf(file);
+      if (!groups.has(key)) groups.set(key, { file, files: 0, bytes: 0 });
+      const group = groups.get(key);
+      group.files++;
+      group.bytes += file.size;
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Stored bytes per payment user and per category, which add up to the total.
+   * Receipts only kept by the revision history do not count and are reported apart.
+   */
+  static async getBreakdown(tenantId) {
+    const files = await this.collectFiles(tenantId);
+    const current = files.filter(file => !file.history);
+    const history = files.filter(file => file.history);
+    const trashed = current.filter(file => file.trashed);
+
+    const byUser = this.group(current, file => file.userId || `name:${file.userName || ''}`);
+    const byCategory = this.group(current, file => file.categoryId);
+
+    const userIds = current.map(file => file.userId).filter(Boolean);
+    const categoryIds = current.map(file => file.categoryId).filter(Boolean);
+    const [users, categories] = await Promise.all([
+      User.find({ _id: { $in: userIds }, tenantId }).select('name email').lean(),
+      Category.find({ _id: { $in: categoryIds }, tenantId }).setOptions({ withDeleted: true }).select('name').lean()
+    ]);
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+    const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+
+    // Payments not linked to a user are grouped by the name on the payment
+    const userRows = byUser.map(({ file, files: count, bytes }) => {
+      const user = file.userId ? userById.get(file.userId) : null;
+      return {
+        userId: file.userId,
+        name: user?.name || file.userName || 'Unknown',
+        email: user?.email || null,
+        files: count,
+        bytes
+      };
+    });
+
+    const categoryRows = byCategory.map(({ file, files: count, bytes }) => ({
+      categoryId: file.categoryId,
+      name: file.categoryId ? categoryById.get(file.categoryId)?.name || 'Deleted category' : 'Uncategorized',
+      files: count,
+      bytes
+    }));
+
+    const byBytes = (a, b) => b.bytes - a.bytes;
+
+    return {
+      files: current.length,
+      bytes: sumBytes(current),
+      byUser: userRows.sort(byBytes),
+      byCategory: categoryRows.sort(byBytes),
+      trash: { files: trashed.length, bytes: sumBytes(trashed) },
+      history: { files: history.length, bytes: sumBytes(history) }
+    };
+  }
+}
+
+module.exports = StorageUsageService;
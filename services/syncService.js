@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const SyncTombstone = require('../models/SyncTombstone');
+const ActivityService = require('./activityService');
+const AllocationService = require('./allocationService');
+const ApprovalService = require('./approvalService');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const ExchangeRateService = require('./exchangeRateService');
+const ExpenseBulkService = require('./expenseBulkService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const GeoService = require('./geoService');
+const PayerMatchingService = require('./payerMatchingService');
+const PolicyService = require('./policyService');
+const StorageUsageService = require('./storageUsageService');
+const TagService = require('./tagService');
+const TaxService = require('./taxService');
+const TrashService = require('./trashService');
+const VendorService = require('./vendorService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+const MAX_CHANGES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expense permission each write operation needs
+const OPERATIONS = {
+  create: 'create',
+  update: 'update',
+  delete: 'delete'
+};
+
+const FIRST_ID = '000000000000000000000000';
+
+const round = (value) => Number(Number(value).toFixed(2));
+
+class SyncService {
+
+  // Opaque cursor holding the updatedAt and id of the last record sent
+  static encodeCursor(updatedAt, id) {
+    return Buffer.from(JSON.stringify({ t: new Date(updatedAt).toISOString(), id: String(id) })).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+      throw new ErrorResponse('Invalid sync cursor', 400);
+    }
+
+    const updatedAt = new Date(decoded?.t);
+    if (isNaN(updatedAt.getTime()) || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new ErrorResponse('Invalid sync cursor', 400);
+    }
+
+    return { updatedAt, id: new mongoose.Types.ObjectId(decoded.id) };
+  }
+
+  /**
+   * Expenses and categories changed after a cursor, oldest change first, with
+   * the ids of deleted records. Without a cursor the feed starts a full sync
+   * of the records that exist. Page with the returned cursor while hasMore.
+   */
+  static async getChanges(tenant, { since, limit } = {}) {
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const startedAt = new Date();
+    const after = since ? this.decodeCursor(since) : null;
+
+    // Purged records are only remembered for a while; clients further behind start over
+    if (after && after.updatedAt < new Date(startedAt.getTime() - SyncTombstone.getRetentionDays() * DAY_MS)) {
+      throw new ErrorResponse('Sync cursor has expired. Start a full sync without since', 410);
+    }
+
+    const filter = {
+      tenantId: tenant._id,
+      ...(after && {
+        $or: [
+          { updatedAt: { $gt: after.updatedAt } },
+          { updatedAt: after.updatedAt, _id: { $gt: after.id } }
+        ]
+      })
+    };
+    const page = (query) => query.sort({ updatedAt: 1, _id: 1 }).limit(size + 1).lean();
+
+    // A full sync only needs what exists; later syncs also learn about deletions
+    const [expenses, categories, tombstones] = await Promise.all([
+      page(Expense.find(filter).setOptions({ withDeleted: Boolean(after) })),
+      page(Category.find(filter).setOptions({ withDeleted: Boolean(after) })),
+      after ? page(SyncTombstone.find(filter)) : []
+    ]);
+
+    const entries = [
+      ...expenses.map(doc => ({ type: 'expense', doc })),
+      ...categories.map(doc => ({ type: 'category', doc })),
+      ...tombstones.map(doc => ({ type: doc.entityType, doc, purged: true }))
+    ].sort((a, b) => a.doc.updatedAt - b.doc.updatedAt || String(a.doc._id).localeCompare(String(b.doc._id)));
+
+    const hasMore = entries.length > size;
+    const sent = entries.slice(0, size);
+
+    const changes = { expenses: [], categories: [], deleted: [] };
+    sent.forEach(({ type, doc, purged }) => {
+      if (purged) {
+        changes.deleted.push({ type, id: doc.entityId, deletedAt: doc.createdAt });
+      } else if (doc.deletedAt) {
+        changes.deleted.push({ type, id: doc._id, deletedAt: doc.deletedAt });
+      } else {
+        changes[type === 'expense' ? 'expenses' : 'categories'].push(doc);
+      }
+    });
+
+    const last = sent[sent.length - 1];
+    let cursor = since || this.encodeCursor(startedAt, FIRST_ID);
+    if (last) cursor = this.encodeCursor(last.doc.updatedAt, last.doc._id);
+
+    return { changes, cursor, hasMore, serverTime: startedAt };
+  }
+
+  // Same monthly limit as the expense create route
+  static async assertExpenseLimit(tenant) {
+    const max = tenant.settings?.maxExpenses;
+    if (max === undefined || max === -1) return;
+
+    const thisMonth = new Date();
+    thisMonth.setDate(1);
+    thisMonth.setHours(0, 0, 0, 0);
+
+    const count = await Expense.countDocuments({ tenantId: tenant._id, createdAt: { $gte: thisMonth } });
+    if (count >= max) {
+      throw new ErrorResponse('Expense limit reached for current plan', 403);
+    }
+  }
+
+  /**
+   * Expense fields for a create, or for an update on top of an existing
+   * expense. Fields missing from the data keep their value; receipts are
+   * uploaded apart, so each payment keeps the receipt at its position.
+   * Status and approval are not taken from the client: they only change
+   * through the approval workflow.
+   */
+  static async buildExpense(tenant, data, expense = null) {
+    const has = (field) => data[field] !== undefined;
+
+    if (expense?.approval?.status === 'in_review') {
+      throw new ErrorResponse('Expense is awaiting approval and cannot be changed', 400);
+    }
+    if (has('payments') && expense && expense.expenseType !== 'standard') {
+      throw new ErrorResponse('Payments of mileage and per diem claims cannot be changed offline', 400);
+    }
+
+    const title = has('title') ? String(data.title || '').trim() : expense?.title;
+    if (!title) {
+      throw new ErrorResponse('Please add a title', 400);
+    }
+
+    const date = has('date') ? new Date(data.date) : expense?.date || new Date();
+    if (isNaN(date.getTime())) {
+      throw new ErrorResponse(`Invalid date "${data.date}"`, 400);
+    }
+
+    const vendor = await VendorService.resolve(tenant._id, data);
+
+    // New expenses without a category take the default category of their vendor
+    const category = data.category || (expense ? expense.category : vendor?.vendor?.defaultCategory);
+    if (data.category || !expense) {
+      const categoryExists = mongoose.Types.ObjectId.isValid(category) &&
+        await Category.exists({ _id: category, tenantId: tenant._id });
+      if (!categoryExists) {
+        throw new ErrorResponse('Invalid category selected', 400);
+      }
+    }
+
+    const rawPayments = has('payments') ? data.payments : [];
+    if (!Array.isArray(rawPayments)) {
+      throw new ErrorResponse('Invalid payments data format', 400);
+    }
+    const source = has('payments') ? rawPayments : expense?.payments || [];
+    if (source.length === 0) {
+      throw new ErrorResponse('At least one payment is required', 400);
+    }
+
+    const payments = source.map((payment, index) => {
+      const amount = parseFloat(payment?.amount);
+      if (!String(payment?.user || '').trim() || !Number.isFinite(amount) || amount < 0) {
+        throw new ErrorResponse(`Payment ${index + 1} needs a user and an amount`, 400);
+      }
+
+      const file = expense?.payments?.[index]?.file;
+      return {
+        user: String(payment.user).trim(),
+        userId: payment.userId || undefined,
+        amount,
+        category: payment.category || undefined,
+        subCategory: payment.subCategory || '',
+        ...(file?.path && { file })
+      };
+    });
+
+    const resolvedPayments = await PayerMatchingService.resolvePayments(tenant._id, payments);
+    const totalAmount = round(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    const allocated = await AllocationService.build(tenant._id, {
+      allocations: data.allocations,
+      payments: resolvedPayments,
+      rawPayments,
+      totalAmount,
+      expense
+    });
+    const taxedPayments = await TaxService.build(tenant._id, {
+      payments: allocated.payments,
+      rawPayments,
+      expense
+    });
+
+    const conversion = await ExchangeRateService.convert(tenant, {
+      currency: data.currency || expense?.metadata?.currency,
+      date,
+      totalAmount
+    });
+
+    const location = has('location') ? GeoService.parseLocation(data.location) : undefined;
+    const description = has('description') ? String(data.description || '').trim() : expense?.description || '';
+
+    const policyViolations = await PolicyService.enforce(tenant, {
+      title,
+      description,
+      date,
+      category,
+      exchangeRate: conversion.metadata.exchangeRate,
+      payments: resolvedPayments.map(payment => ({ ...payment, hasFile: !!payment.file?.path }))
+    }, { excludeExpenseId: expense?._id || null });
+
+    return {
+      title,
+      description,
+      date,
+      category,
+      ...(has('tags') && { tags: TagService.normalizeTags(data.tags) }),
+      payments: taxedPayments,
+      allocations: allocated.allocations,
+      totalAmount,
+      ...(vendor && VendorService.toExpenseFields(vendor)),
+      ...(vendor === null && { vendor: null, vendorName: undefined, vendorKey: undefined }),
+      policyViolations,
+      metadata: {
+        ...conversion.metadata,
+        ...(location !== undefined && { location: location || undefined })
+      }
+    };
+  }
+
+  static async createExpense(tenant, user, id, data) {
+    await this.assertExpenseLimit(tenant);
+
+    const { metadata, ...fields } = await this.buildExpense(tenant, data);
+    const expense = await Expense.create({
+      _id: id,
+      ...fields,
+      tenantId: tenant._id,
+      createdBy: user._id,
+      metadata: { ...metadata, source: 'mobile' }
+    });
+
+    await ExpenseRevisionService.record(expense, { action: 'created', user });
+    await DuplicateDetectionService.checkExpense(expense);
+
+    await ActivityService.logActivity({
+      type: 'expense_created',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      newData: {
+        title: expense.title,
+        totalAmount: expense.totalAmount,
+        status: expense.status,
+        date: expense.date
+      },
+      metadata: {
+        source: 'mobile'
+      }
+    });
+
+    return expense;
+  }
+
+  static async updateExpense(tenant, user, expense, data) {
+    const before = ExpenseRevisionService.snapshot(expense);
+
+    const { metadata, ...fields } = await this.buildExpense(tenant, data, expense);
+    expense.set(fields);
+    Object.entries(metadata).forEach(([key, value]) => expense.set(`metadata.${key}`, value));
+    await expense.save();
+
+    // Changed in what was spent after approval: it has to be approved again
+    if (ApprovalService.needsReapproval(expense, before, ExpenseRevisionService.snapshot(expense))) {
+      await ApprovalService.reopen(expense);
+    }
+
+    await ExpenseRevisionService.record(expense, { action: 'updated', user, before });
+    // Receipts of payments the client dropped stop counting
+    await StorageUsageService.trackChange(tenant._id, expense._id, before, ExpenseRevisionService.snapshot(expense));
+
+    const changed = ExpenseRevisionService.diff(before, ExpenseRevisionService.snapshot(expense));
+    await ActivityService.logActivity({
+      type: 'expense_updated',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      changes: changed.length > 0 ? [`Changed: ${changed.map(change => change.field).join(', ')}`] : [],
+      metadata: {
+        source: 'mobile'
+      }
+    });
+
+    return expense;
+  }
+
+  /**
+   * Apply one offline write. New expenses carry an id generated on the device,
+   * so a create sent twice is recognised. Updates name the updatedAt of the
+   * version they were made on; when the server copy changed since, the change
+   * is refused and the server version returned for the client to merge.
+   */
+  static async applyChange(tenant, user, change) {
+    const { op, type = 'expense', id, baseUpdatedAt, data = {} } = change || {};
+    const result = { id: id ?? null, op: op ?? null };
+
+    if (type !== 'expense') {
+      throw new ErrorResponse('Only expenses can be changed through sync', 400);
+    }
+    if (!OPERATIONS[op]) {
+      throw new ErrorResponse(`Operation must be one of: ${Object.keys(OPERATIONS).join(', ')}`, 400);
+    }
+    if (!ExpenseBulkService.hasPermission(user, OPERATIONS[op])) {
+      throw new ErrorResponse(`Access denied - insufficient permissions for expenses:${OPERATIONS[op]}`, 403);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id) || String(id).length !== 24) {
+      throw new ErrorResponse('Each change needs the 24-character hex id of its expense', 400);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ErrorResponse('Invalid change data format', 400);
+    }
+
+    const expense = await Expense.findById(id).setOptions({ withDeleted: true });
+    if (expense && !expense.tenantId.equals(tenant._id)) {
+      throw new ErrorResponse('This id is already in use', 409);
+    }
+
+    if (op === 'create') {
+      if (expense) return { ...result, status: 'duplicate', data: expense };
+
+      try {
+        return { ...result, status: 'applied', data: await this.createExpense(tenant, user, id, data) };
+      } catch (error) {
+        // The same create arriving twice at once
+        if (error.code !== 11000) throw error;
+        return { ...result, status: 'duplicate', data: await Expense.findById(id).setOptions({ withDeleted: true }) };
+      }
+    }
+
+    if (!expense) {
+      throw new ErrorResponse('Expense not found', 404);
+    }
+    if (op === 'delete' && expense.deletedAt) {
+      return { ...result, status: 'duplicate', data: { _id: expense._id, deletedAt: expense.deletedAt } };
+    }
+    if (expense.deletedAt) {
+      return {
+        ...result,
+        status: 'conflict',
+        message: 'Expense was deleted on the server',
+        data: { _id: expense._id, deletedAt: expense.deletedAt }
+      };
+    }
+
+    const base = baseUpdatedAt ? new Date(baseUpdatedAt) : null;
+    if (op === 'update' && (!base || isNaN(base.getTime()))) {
+      throw new ErrorResponse('baseUpdatedAt is required: the updatedAt of the version the change was made on', 400);
+    }
+    if (base && expense.updatedAt.getTime() !== base.getTime()) {
+      return {
+        ...result,
+        status: 'conflict',
+        message: 'Expense was changed on the server since this version',
+        data: expense
+      };
+    }
+
+    if (op === 'delete') {
+      if (expense.report && expense.approval?.status === 'in_review') {
+        throw new ErrorResponse('Expense is part of an expense report awaiting approval and cannot be deleted', 400);
+      }
+      await TrashService.trashExpense(tenant, expense, user, ['Deleted offline']);
+      return { ...result, status: 'applied', data: { _id: expense._id, deletedAt: expense.deletedAt } };
+    }
+
+    return { ...result, status: 'applied', data: await this.updateExpense(tenant, user, expense, data) };
+  }
+
+  // Apply offline writes in order; each change gets its own result
+  static async push(tenant, user, { changes } = {}) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new ErrorResponse('Please provide the changes to apply', 400);
+    }
+    if (changes.length > MAX_CHANGES) {
+      throw new ErrorResponse(`A sync batch can hold at most ${MAX_CHANGES} changes`, 400);
+    }
+
+    const results = [];
+    for (const [index, change] of changes.entries()) {
+      try {
+        results.push(await this.applyChange(tenant, user, change));
+      } catch (error) {
+        const invalid = error.name === 'ValidationError';
+        if (!error.statusCode && !invalid) {
+          console.error(`Sync ${change?.op} error for change ${index}:`, error);
+        }
+
+        let message = error.statusCode ? error.message : 'Server Error';
+        if (invalid) message = Object.values(error.errors).map(val => val.message).join(', ');
+
+        results.push({
+          id: change?.id ?? null,
+          op: change?.op ?? null,
+          status: 'error',
+          message,
+          ...(error.statusCode && error.data && { data: error.data })
+        });
+      }
+    }
+
+    const count = (...statuses) => results.filter(result => statuses.includes(result.status)).length;
+
+    return {
+      total: results.length,
+      applied: count('applied', 'duplicate'),
+      conflicts: count('conflict'),
+      failed: count('error'),
+      results,
+      serverTime: new Date()
+    };
+  }
+}
+
+module.exports = SyncService;
@@ -0,0 +1,274 @@
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const RecurringExpense = require('../models/RecurringExpense');
+const ActivityService = require('./activityService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/stringUtils');
+
+const MAX_TAG_LENGTH = 50;
+
+// $dateToString formats for spend-over-time buckets
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const BASE_AMOUNT = Expense.baseAmountExpression();
+
+// Models whose documents carry a tags list
+const TAGGED_MODELS = [Expense, Category, RecurringExpense];
+
+class TagService {
+
+  // Tags are stored trimmed and lowercase
+  static normalizeTag(tag) {
+    const value = String(tag ?? '').trim().toLowerCase();
+    if (!value) {
+      throw new ErrorResponse('Tag cannot be empty', 400);
+    }
+    if (value.length > MAX_TAG_LENGTH) {
+      throw new ErrorResponse(`Tag cannot be more than ${MAX_TAG_LENGTH} characters`, 400);
+    }
+    return value;
+  }
+
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : [tags];
+    return [...new Set(list.filter(tag => tag !== undefined && tag !== null && tag !== '').map(tag => this.normalizeTag(tag)))];
+  }
+
+  // Tenant tags with expense usage, spend and the categories using them
+  static async listTags(tenant, { search } = {}) {
+    const searchMatch = search ? { tags: { $regex: escapeRegex(String(search).toLowerCase()) } } : {};
+
+    const [expenseTags, categoryTags] = await Promise.all([
+      Expense.aggregate([
+        { $match: { tenantId: tenant._id, 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $match: searchMatch },
+        {
+          $group: {
+            _id: '$tags',
+            expenseCount: { $sum: 1 },
+            baseAmount: { $sum: BASE_AMOUNT },
+            lastUsedAt: { $max: '$date' }
+          }
+        }
+      ]),
+      Category.aggregate([
+        { $match: { tenantId: tenant._id, 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $match: searchMatch },
+        { $group: { _id: '$tags', categoryCount: { $sum: 1 } } }
+      ])
+    ]);
+
+    const tags = new Map();
+    expenseTags.forEach(({ _id, expenseCount, baseAmount, lastUsedAt }) => {
+      tags.set(_id, { tag: _id, expenseCount, categoryCount: 0, baseAmount: Number(baseAmount.toFixed(2)), lastUsedAt });
+    });
+    categoryTags.forEach(({ _id, categoryCount }) => {
+      const entry = tags.get(_id) || { tag: _id, expenseCount: 0, baseAmount: 0, lastUsedAt: null };
+      tags.set(_id, { ...entry, categoryCount });
+    });
+
+    return [...tags.values()].sort((a, b) => b.expenseCount - a.expenseCount || a.tag.localeCompare(b.tag));
+  }
+
+  // Run tag updates on a model; expenses record a revision for the change
+  static async updateTagged(Model, filter, updates, user) {
+    if (Model === Expense) {
+      return ExpenseRevisionService.updateExpenses(filter, updates, { user });
+    }
+
+    let result;
+    for (const update of updates) {
+      result = await Model.updateMany(filter, update);
+    }
+    return result;
+  }
+
+  // Replace source tags with the target everywhere; documents never end up with the target twice
+  static async replaceTags(tenantId, sources, target, user) {
+    const counts = {};
+
+    for (const Model of TAGGED_MODELS) {
+      const filter = { tenantId, tags: { $in: sources } };
+      // Updates also reach trashed expenses so a restore brings back the new tag
+      const result = await this.updateTagged(Model, filter, [
+        { $addToSet: { tags: target } },
+        { $pull: { tags: { $in: sources } } }
+      ], user);
+      counts[Model.modelName] = result.modifiedCount;
+    }
+
+    return {
+      expensesUpdated: counts.Expense,
+      categoriesUpdated: counts.Category,
+      recurringExpensesUpdated: counts.RecurringExpense
+    };
+  }
+
+  static logTagActivity(tenant, user, type, entityName, changes) {
+    return ActivityService.logActivity({
+      type,
+      entityId: tenant._id,
+      entityType: 'Tenant',
+      entityName,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      changes
+    });
+  }
+
+  static async renameTag(tenant, tag, name, user) {
+    const from = this.normalizeTag(tag);
+    const to = this.normalizeTag(name);
+
+    if (from === to) {
+      throw new ErrorResponse('The new name is the same as the current one', 400);
+    }
+
+    const result = await this.replaceTags(tenant._id, [from], to, user);
+    if (result.expensesUpdated + result.categoriesUpdated + result.recurringExpensesUpdated === 0) {
+      throw new ErrorResponse(`Tag "${from}" not found`, 404);
+    }
+
+    await this.logTagActivity(tenant, user, 'tag_renamed', to, [`Tag: ${from} → ${to}`]);
+
+    return { tag: to, ...result };
+  }
+
+  static async mergeTags(tenant, tags, target, user) {
+    const to = this.normalizeTag(target);
+    const sources = this.normalizeTags(tags).filter(tag => tag !== to);
+
+    if (sources.length === 0) {
+      throw new ErrorResponse('Please provide the tags to merge into the target', 400);
+    }
+
+    const result = await this.replaceTags(tenant._id, sources, to, user);
+
+    await this.logTagActivity(tenant, user, 'tag_merged', to, sources.map(tag => `Tag: ${tag} → ${to}`));
+
+    return { tag: to, merged: sources, ...result };
+  }
+
+  static async deleteTag(tenant, tag, user) {
+    const value = this.normalizeTag(tag);
+    const counts = {};
+
+    for (const Model of TAGGED_MODELS) {
+      const result = await this.updateTagged(Model, { tenantId: tenant._id, tags: value }, [{ $pull: { tags: value } }], user);
+      counts[Model.modelName] = result.modifiedCount;
+    }
+
+    if (counts.Expense + counts.Category + counts.RecurringExpense === 0) {
+      throw new ErrorResponse(`Tag "${value}" not found`, 404);
+    }
+
+    await this.logTagActivity(tenant, user, 'tag_deleted', value, [`Removed tag: ${value}`]);
+
+    return {
+      tag: value,
+      expensesUpdated: counts.Expense,
+      categoriesUpdated: counts.Category,
+      recurringExpensesUpdated: counts.RecurringExpense
+    };
+  }
+
+  /**
+   * Add and/or remove tags on a set of expenses, chosen by id or with the
+   * expense list filter syntax. One of the two is required so an empty
+   * request cannot retag every expense of the tenant. Each expense goes through
+   * the bulk tag action, so report locks, revisions and activity apply.
+   */
+  static async bulkTag(tenant, user, { expenseIds, filter, add = [], remove = [] } = {}) {
+    // Required here: the bulk service itself uses TagService to normalize tags
+    const ExpenseBulkService = require('./expenseBulkService');
+
+    const toAdd = this.normalizeTags(add);
+    const toRemove = this.normalizeTags(remove).filter(tag => !toAdd.includes(tag));
+
+    if (toAdd.length === 0 && toRemove.length === 0) {
+      throw new ErrorResponse('Please provide tags to add or remove', 400);
+    }
+
+    const summary = await ExpenseBulkService.forEachSelected(tenant, user, 'tag', { expenseIds, filter }, expense =>
+      ExpenseBulkService.changeTags(tenant, user, expense, { add: toAdd, remove: toRemove })
+    );
+
+    await this.logTagActivity(tenant, user, 'expenses_tagged', `${summary.succeeded} expenses`, [
+      ...(toAdd.length > 0 ? [`Added: ${toAdd.join(', ')}`] : []),
+      ...(toRemove.length > 0 ? [`Removed: ${toRemove.join(', ')}`] : [])
+    ]);
+
+    return { ...summary, tagsAdded: toAdd, tagsRemoved: toRemove };
+  }
+
+  /**
+   * Spend per tag over time in the tenant base currency. An expense with
+   * several tags counts toward each of them, so tag totals may exceed overall spend.
+   */
+  static async getTagAnalytics(tenant, { startDate, endDate, interval = 'month', tags, limit } = {}) {
+    if (!INTERVAL_FORMATS[interval]) {
+      throw new ErrorResponse(`Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`, 400);
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ErrorResponse('Invalid date range', 400);
+    }
+
+    const selected = tags ? this.normalizeTags(String(tags).split(',')) : [];
+    const topLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const rows = await Expense.aggregate([
+      {
+        $match: {
+          tenantId: tenant._id,
+          date: { $gte: start, $lte: end },
+          status: { $ne: 'cancelled' },
+          ...(selected.length > 0 ? { tags: { $in: selected } } : { 'tags.0': { $exists: true } })
+        }
+      },
+      { $unwind: '$tags' },
+      ...(selected.length > 0 ? [{ $match: { tags: { $in: selected } } }] : []),
+      {
+        $group: {
+          _id: { tag: '$tags', period: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$date' } } },
+          baseAmount: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1 } },
+      {
+        $group: {
+          _id: '$_id.tag',
+          baseAmount: { $sum: '$baseAmount' },
+          count: { $sum: '$count' },
+          series: { $push: { period: '$_id.period', baseAmount: '$baseAmount', count: '$count' } }
+        }
+      },
+      { $sort: { baseAmount: -1 } },
+      ...(selected.length > 0 ? [] : [{ $limit: topLimit }])
+    ]);
+
+    return {
+      dateRange: { start, end },
+      interval,
+      baseCurrency: tenant.settings?.baseCurrency || 'USD',
+      tags: rows.map(row => ({
+        tag: row._id,
+        baseAmount: Number(row.baseAmount.toFixed(2)),
+        count: row.count,
+        series: row.series.map(point => ({ ...point, baseAmount: Number(point.baseAmount.toFixed(2)) }))
+      }))
+    };
+  }
+}
+
+module.exports = TagService;
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const TaxCode = require('../models/TaxCode');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const EDITABLE_FIELDS = ['code', 'name', 'rate', 'reclaimable', 'description', 'isActive'];
+const INTERVALS = Expense.periodIntervals();
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+const base = (field) => Expense.baseAmountExpression(field);
+
+class TaxCodeService {
+
+  static async findTaxCode(tenant, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse('Invalid tax code ID format', 400);
+    }
+
+    const taxCode = await TaxCode.findOne({ _id: id, tenantId: tenant._id });
+    if (!taxCode) {
+      throw new ErrorResponse('Tax code not found', 404);
+    }
+
+    return taxCode;
+  }
+
+  static async list(tenant, { active } = {}) {
+    return TaxCode.findByTenant(tenant._id, {
+      active: active === undefined ? undefined : active === 'true'
+    });
+  }
+
+  static async get(tenant, id) {
+    return this.findTaxCode(tenant, id);
+  }
+
+  static applyFields(taxCode, body) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) taxCode[field] = body[field];
+    });
+  }
+
+  static logTaxCodeActivity(taxCode, user, type, changes) {
+    return ActivityService.logActivity({
+      type,
+      entityId: taxCode._id,
+      entityType: 'TaxCode',
+      entityName: `${taxCode.code} ${taxCode.name}`,
+      tenantId: taxCode.tenantId,
+      performedBy: user._id,
+      changes
+    });
+  }
+
+  static async create(tenant, user, body) {
+    const taxCode = new TaxCode({ tenantId: tenant._id, createdBy: user._id });
+    this.applyFields(taxCode, body);
+    await taxCode.save();
+
+    await this.logTaxCodeActivity(taxCode, user, 'tax_code_created');
+
+    return taxCode;
+  }
+
+  // Payments keep the rate they were captured with; a new rate applies to new payments only
+  static async update(tenant, user, id, body) {
+    const taxCode = await this.findTaxCode(tenant, id);
+
+    const before = { code: taxCode.code, rate: taxCode.rate, reclaimable: taxCode.reclaimable, isActive: taxCode.isActive };
+    this.applyFields(taxCode, body);
+    await taxCode.save();
+
+    const changes = [];
+    if (before.code !== taxCode.code) changes.push(`Code: ${before.code} → ${taxCode.code}`);
+    if (before.rate !== taxCode.rate) changes.push(`Rate: ${before.rate}% → ${taxCode.rate}%`);
+    if (before.reclaimable !== taxCode.reclaimable) changes.push(taxCode.reclaimable ? 'Now reclaimable' : 'No longer reclaimable');
+    if (before.isActive !== taxCode.isActive) changes.push(taxCode.isActive ? 'Reactivated' : 'Archived');
+
+    await this.logTaxCodeActivity(taxCode, user, 'tax_code_updated', changes);
+
+    return taxCode;
+  }
+
+  // Codes used on payments are archived instead, so filed amounts keep their code
+  static async remove(tenant, user, id) {
+    const taxCode = await this.findTaxCode(tenant, id);
+
+    const used = await Expense.exists({ tenantId: tenant._id, 'payments.tax.code': taxCode._id })
+      .setOptions({ withDeleted: true });
+    if (used) {
+      throw new ErrorResponse('Payments use this tax code. Archive it instead', 400);
+    }
+
+    await taxCode.deleteOne();
+    await this.logTaxCodeActivity(taxCode, user, 'tax_code_deleted');
+  }
+
+  // Tax code ids for codes or ids, archived codes included
+  static async resolveCodes(tenantId, value) {
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const taxCodes = await TaxCode.find({ tenantId }).select('code').lean();
+
+    return values.map(v => {
+      const taxCode = taxCodes.find(t => t._id.toString() === v || t.code === v.toUpperCase());
+      if (!taxCode) {
+        throw new ErrorResponse(`Unknown tax code "${v}"`, 400);
+      }
+      return taxCode._id;
+    });
+  }
+
+  /**
+   * Net, tax and gross of the payments carrying tax, per tax code, rate and
+   * period, in the tenant base currency. A code whose rate changed shows one
+   * line per rate. Payments without tax are totalled apart.
+   */
+  static async getSummary(tenant, { startDate, endDate, interval = 'quarter', code } = {}) {
+    if (!INTERVALS.includes(interval)) {
+      throw new ErrorResponse(`Interval must be one of: ${INTERVALS.join(', ')}`, 400);
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getFullYear(), 0, 1);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ErrorResponse('Invalid date range', 400);
+    }
+
+    const codeIds = code ? await this.resolveCodes(tenant._id, code) : null;
+    const taxed = codeIds ? { $in: codeIds } : { $exists: true };
+
+    const match = { tenantId: tenant._id, date: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } };
+
+    const [rows, untaxed] = await Promise.all([
+      Expense.aggregate([
+        { $match: { ...match, 'payments.tax.code': taxed } },
+        { $unwind: '$payments' },
+        { $match: { 'payments.tax.code': taxed } },
+        {
+          $group: {
+            _id: { code: '$payments.tax.code', rate: '$payments.tax.rate', period: Expense.periodExpression(interval) },
+            payments: { $sum: 1 },
+            net: { $sum: base('$payments.tax.net') },
+            tax: { $sum: base('$payments.tax.amount') },
+            reclaimableTax: {
+              $sum: { $cond: [{ $ne: ['$payments.tax.reclaimable', false] }, base('$payments.tax.amount'), 0] }
+            },
+            gross: { $sum: base('$payments.amount') }
+          }
+        },
+        { $sort: { '_id.period': 1 } }
+      ]),
+      codeIds
+        ? []
+        : Expense.aggregate([
+          { $match: match },
+          { $unwind: '$payments' },
+          { $match: { 'payments.tax.code': { $exists: false } } },
+          { $group: { _id: null, payments: { $sum: 1 }, gross: { $sum: base('$payments.amount') } } }
+        ])
+    ]);
+
+    const taxCodes = await TaxCode.find({ tenantId: tenant._id, _id: { $in: rows.map(row => row._id.code) } });
+    const byId = new Map(taxCodes.map(taxCode => [taxCode._id.toString(), taxCode]));
+
+    const lines = new Map();
+    rows.forEach(row => {
+      const key = `${row._id.code}:${row._id.rate}`;
+      if (!lines.has(key)) {
+        const taxCode = byId.get(row._id.code.toString());
+        lines.set(key, {
+          _id: row._id.code,
+          code: taxCode?.code || null,
+          name: taxCode?.name || null,
+          rate: row._id.rate,
+          reclaimable: taxCode?.reclaimable ?? null,
+          payments: 0,
+          net: 0,
+          tax: 0,
+          reclaimableTax: 0,
+          gross: 0,
+          periods: []
+        });
+      }
+
+      const line = lines.get(key);
+      const point = {
+        period: row._id.period,
+        payments: row.payments,
+        net: round(row.net),
+        tax: round(row.tax),
+        reclaimableTax: round(row.reclaimableTax),
+        gross: round(row.gross)
+      };
+      line.periods.push(point);
+      ['payments', 'net', 'tax', 'reclaimableTax', 'gross'].forEach(field => {
+        line[field] = round(line[field] + point[field]);
+      });
+    });
+
+    const codes = [...lines.values()].sort((a, b) => (a.code || '').localeCompare(b.code || '') || a.rate - b.rate);
+    const sum = (field) => round(codes.reduce((total, line) => total + line[field], 0));
+
+    return {
+      dateRange: { start, end },
+      interval,
+      baseCurrency: tenant.settings?.baseCurrency || 'USD',
+      totals: {
+        payments: sum('payments'),
+        net: sum('net'),
+        tax: sum('tax'),
+        reclaimableTax: sum('reclaimableTax'),
+        gross: sum('gross')
+      },
+      codes,
+      untaxed: {
+        payments: untaxed[0]?.payments || 0,
+        gross: round(untaxed[0]?.gross)
+      }
+    };
+  }
+
+  // One row per period and tax line, for CSV or XLSX filing
+  static toSummaryRows(summary) {
+    return summary.codes
+      .flatMap(line => line.periods.map(point => ({
+        period: point.period,
+        taxCode: line.code || '',
+        name: line.name || '',
+        rate: line.rate,
+        reclaimable: line.reclaimable === false ? 'no' : 'yes',
+        payments: point.payments,
+        net: point.net,
+        tax: point.tax,
+        reclaimableTax: point.reclaimableTax,
+        gross: point.gross,
+        currency: summary.baseCurrency
+      })))
+      .sort((a, b) => a.period.localeCompare(b.period) || a.taxCode.localeCompare(b.taxCode) || a.rate - b.rate);
+  }
+}
+
+module.exports = TaxCodeService;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const TaxCode = require('../models/TaxCode');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Rounding slack when comparing net plus tax with the payment amount
+const TOLERANCE = 0.01;
+
+const round = (value) => Number(Number(value).toFixed(2));
+
+const isGiven = (value) => value !== undefined && value !== null && value !== '';
+
+class TaxService {
+
+  // undefined means "not given", null or an empty value removes the tax
+  static parse(value, label) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new ErrorResponse(`Invalid ${label} data format`, 400);
+    }
+    return value;
+  }
+
+  // Active tax codes of the tenant by id and by code
+  static async loadCodes(tenantId, values) {
+    const lookup = new Map();
+    if (values.length === 0) return lookup;
+
+    const codes = await TaxCode.find({
+      tenantId,
+      isActive: true,
+      $or: [
+        { _id: { $in: values.filter(value => mongoose.Types.ObjectId.isValid(value)) } },
+        { code: { $in: values.map(value => value.toUpperCase()) } }
+      ]
+    });
+
+    codes.forEach(taxCode => {
+      lookup.set(taxCode._id.toString(), taxCode);
+      lookup.set(taxCode.code, taxCode);
+    });
+    return lookup;
+  }
+
+  /**
+   * Net and tax of a payment under a tax code. Either part can be given and the
+   * other is what is left of the amount; when both are given they must add up
+   * to the amount. Without either, the amount is taken as gross at the code rate.
+   */
+  static resolve(entry, total, taxCode, label = 'Tax') {
+    const hasNet = isGiven(entry.net);
+    const hasTax = isGiven(entry.amount);
+    const net = hasNet ? Number(entry.net) : null;
+    const tax = hasTax ? Number(entry.amount) : null;
+
+    if ((hasNet && (!Number.isFinite(net) || net < 0)) || (hasTax && (!Number.isFinite(tax) || tax < 0))) {
+      throw new ErrorResponse(`${label}: net and tax amounts must be positive numbers`, 400);
+    }
+
+    let resolved;
+    if (hasNet && hasTax) {
+      if (Math.abs(net + tax - total) > TOLERANCE) {
+        throw new ErrorResponse(`${label}: net ${round(net)} plus tax ${round(tax)} is ${round(net + tax)}, not ${round(total)}`, 400);
+      }
+      resolved = { net: round(net), amount: round(total - round(net)) };
+    } else if (hasNet || hasTax) {
+      const given = hasNet ? net : tax;
+      if (given - total > TOLERANCE) {
+        throw new ErrorResponse(`${label}: ${hasNet ? 'net' : 'tax'} amount ${round(given)} is more than the payment amount ${round(total)}`, 400);
+      }
+      resolved = hasNet
+        ? { net: round(net), amount: round(total - round(net)) }
+        : { net: round(total - round(tax)), amount: round(tax) };
+    } else {
+      const fromRate = round(total / (1 + taxCode.rate / 100));
+      resolved = { net: fromRate, amount: round(total - fromRate) };
+    }
+
+    return {
+      code: taxCode._id,
+      rate: taxCode.rate,
+      reclaimable: taxCode.reclaimable,
+      ...resolved
+    };
+  }
+
+  // Keep a stored tax on a new payment amount, at its rate
+  static rescale(tax, total) {
+    if (!tax?.code) return undefined;
+
+    const kept = { code: tax.code, rate: tax.rate, reclaimable: tax.reclaimable };
+    if (Math.abs((tax.net || 0) + (tax.amount || 0) - total) <= TOLERANCE) {
+      return { ...kept, net: tax.net, amount: tax.amount };
+    }
+
+    const net = round(total / (1 + (tax.rate || 0) / 100));
+    return { ...kept, net, amount: round(total - net) };
+  }
+
+  /**
+   * Tax of each payment of an expense being created or updated. Tax given in
+   * the request is validated against the tenant tax codes; on update, payments
+   * without tax in the request keep theirs, recomputed when the amount changed.
+   */
+  static async build(tenantId, { payments, rawPayments = [], expense = null }) {
+    const given = payments.map((payment, index) => this.parse(rawPayments[index]?.tax, `payment ${index + 1} tax`));
+
+    const values = given
+      .filter(Boolean)
+      .map(entry => String(entry.code?._id || entry.code || '').trim())
+      .filter(Boolean);
+    const codes = await this.loadCodes(tenantId, [...new Set(values)]);
+
+    return payments.map((payment, index) => {
+      const label = `Payment ${index + 1} tax`;
+      const entry = given[index];
+
+      if (entry === undefined) {
+        const kept = this.rescale(expense?.payments?.[index]?.tax, payment.amount);
+        return kept ? { ...payment, tax: kept } : payment;
+      }
+      if (entry === null) return payment;
+
+      const value = String(entry.code?._id || entry.code || '').trim();
+      if (!value) {
+        throw new ErrorResponse(`${label}: please select a tax code`, 400);
+      }
+      const taxCode = codes.get(value) || codes.get(value.toUpperCase());
+      if (!taxCode) {
+        throw new ErrorResponse(`${label}: unknown or archived tax code "${value}"`, 400);
+      }
+
+      return { ...payment, tax: this.resolve(entry, payment.amount, taxCode, label) };
+    });
+  }
+}
+
+module.exports = TaxService;
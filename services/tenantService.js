@@ -136,6 +136,8 @@ class TenantService {
       
       // Update settings
       Object.keys(settings).forEach(key => {
+        // Base currency changes go through /api/currencies/base so expenses get re-converted
+        if (key === 'baseCurrency') return;
         if (tenant.settings[key] !== undefined) {
           tenant.settings[key] = settings[key];
         }
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const ExpenseComment = require('../models/ExpenseComment');
+const Category = require('../models/Category');
+const RecurringExpense = require('../models/RecurringExpense');
+const SyncTombstone = require('../models/SyncTombstone');
+const Tenant = require('../models/Tenant');
+const ActivityService = require('./activityService');
+const ExpenseRevisionService = require('./expenseRevisionService');
+const StorageService = require('./storageService');
+const StorageUsageService = require('./storageUsageService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Populate trashed references too, a trashed expense may point at a trashed category
+const WITH_DELETED = { withDeleted: true };
+
+class TrashService {
+
+  static getRetentionDays(tenant) {
+    return tenant.settings?.trashRetentionDays || DEFAULT_RETENTION_DAYS;
+  }
+
+  // Date after which a record deleted at deletedAt is purged
+  static getPurgeDate(tenant, deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.getRetentionDays(tenant) * DAY_MS);
+  }
+
+  static validateId(id, label) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse(`Invalid ${label} ID format`, 400);
+    }
+  }
+
+  static async listExpenses(tenant, { page = 1, limit = 10, search = '' } = {}) {
+    const filter = {};
+    if (search) {
+      filter.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [expenses, total] = await Promise.all([
+      Expense.findDeleted(tenant._id, filter)
+        .populate({ path: 'category', select: 'name slug deletedAt', options: WITH_DELETED })
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      Expense.countDocuments({ ...filter, tenantId: tenant._id, deletedAt: { $ne: null } })
+    ]);
+
+    return {
+      expenses: expenses.map(expense => ({
+        ...expense,
+        purgeAt: this.getPurgeDate(tenant, expense.deletedAt)
+      })),
+      total
+    };
+  }
+
+  static async listCategories(tenant) {
+    const categories = await Category.findDeleted(tenant._id)
+      .populate({ path: 'parentCategory', select: 'name deletedAt', options: WITH_DELETED })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    return categories.map(category => ({
+      ...category,
+      purgeAt: this.getPurgeDate(tenant, category.deletedAt)
+    }));
+  }
+
+  // Move an expense to the trash, recording its revision and activity
+  static async trashExpense(tenant, expense, user, changes = []) {
+    const before = ExpenseRevisionService.snapshot(expense);
+    await expense.softDelete(user._id);
+    await ExpenseRevisionService.record(expense, { action: 'deleted', user, before });
+
+    await ActivityService.logActivity({
+      type: 'expense_deleted',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      oldData: {
+        title: expense.title,
+        category: expense.category?.name,
+        totalAmount: expense.totalAmount,
+        status: expense.status,
+        date: expense.date
+      },
+      changes
+    });
+
+    return expense;
+  }
+
+  static async restoreExpense(tenant, id, user) {
+    this.validateId(id, 'expense');
+
+    const expense = await Expense.findOne({ _id: id, tenantId: tenant._id, deletedAt: { $ne: null } });
+    if (!expense) {
+      throw new ErrorResponse('Expense not found in trash', 404);
+    }
+
+    // Categories are restored first, otherwise the expense would point at a trashed one
+    const categoryIds = [expense.category, ...expense.payments.map(payment => payment.category)]
+      .filter(Boolean);
+    const trashedCategory = await Category.findOne({
+      _id: { $in: categoryIds },
+      tenantId: tenant._id,
+      deletedAt: { $ne: null }
+    });
+    if (trashedCategory) {
+      throw new ErrorResponse(`Restore the category "${trashedCategory.name}" first`, 400);
+    }
+
+    const before = ExpenseRevisionService.snapshot(expense);
+    await expense.restore();
+    await ExpenseRevisionService.record(expense, { action: 'restored', user, before });
+
+    await ActivityService.logActivity({
+      type: 'expense_restored',
+      entityId: expense._id,
+      entityType: 'Expense',
+      entityName: expense.title,
+      tenantId: tenant._id,
+      performedBy: user._id
+    });
+
+    return Expense.findById(expense._id)
+      .populate('category', 'name slug')
+      .populate('createdBy', 'name email')
+      .populate('payments.category', 'name');
+  }
+
+  static async restoreCategory(tenant, id, user) {
+    this.validateId(id, 'category');
+
+    const category = await Category.findOne({ _id: id, tenantId: tenant._id, deletedAt: { $ne: null } });
+    if (!category) {
+      throw new ErrorResponse('Category not found in trash', 404);
+    }
+
+    if (category.parentCategory) {
+      const parent = await Category.findOne({ _id: category.parentCategory, tenantId: tenant._id })
+        .setOptions(WITH_DELETED);
+      if (parent && parent.deletedAt) {
+        throw new ErrorResponse(`Restore the parent category "${parent.name}" first`, 400);
+      }
+    }
+
+    const nameTaken = await Category.findOne({
+      tenantId: tenant._id,
+      name: category.name,
+      _id: { $ne: category._id }
+    });
+    if (nameTaken) {
+      throw new ErrorResponse('Category with this name already exists', 400);
+    }
+
+    await category.restore();
+
+    await ActivityService.logActivity({
+      type: 'category_restored',
+      entityId: category._id,
+      entityType: 'Category',
+      entityName: category.name,
+      tenantId: tenant._id,
+      performedBy: user._id
+    });
+
+    return Category.findById(category._id)
+      .populate('createdBy', 'name email')
+      .populate('parentCategory', 'name');
+  }
+
+  static async updateRetention(tenant, days, user) {
+    const retentionDays = Number(days);
+    if (!Number.isInteger(retentionDays)) {
+      throw new ErrorResponse('Trash retention must be a whole number of days', 400);
+    }
+
+    const oldRetention = this.getRetentionDays(tenant);
+    tenant.settings.trashRetentionDays = retentionDays;
+    await tenant.save();
+
+    await ActivityService.logActivity({
+      type: 'tenant_settings_updated',
+      entityId: tenant._id,
+      entityType: 'Tenant',
+      entityName: tenant.name,
+      tenantId: tenant._id,
+      performedBy: user._id,
+      changes: [`Trash retention: ${oldRetention} → ${retentionDays} days`]
+    });
+
+    return retentionDays;
+  }
+
+  // Permanently remove a tenant's trash older than its retention window
+  static async purgeTenant(tenant, now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.getRetentionDays(tenant) * DAY_MS);
+    const expired = { tenantId: tenant._id, deletedAt: { $ne: null, $lte: cutoff } };
+
+    const expenses = await Expense.find(expired).select('payments.file');
+    if (expenses.length > 0) {
+      const expenseIds = expenses.map(expense => expense._id);
+
+      const byKey = (files) => new Map(files
+        .filter(file => file?.path)
+        .map(file => [StorageUsageService.fileKey(file), file]));
+
+      // Receipts replaced in earlier edits are only referenced by revisions and no longer count
+      const revisions = await ExpenseRevision.find({ expense: { $in: expenseIds } })
+        .select('snapshot.payments.file');
+      const counted = byKey(expenses.flatMap(expense => expense.payments.map(payment => payment.file)));
+      const files = new Map([
+        ...byKey(revisions.flatMap(revision => (revision.snapshot?.payments || []).map(payment => payment.file))),
+        ...counted
+      ]);
+
+      await Expense.deleteMany({ _id: { $in: expenseIds } });
+      await ExpenseRevision.deleteMany({ expense: { $in: expenseIds } });
+      await ExpenseComment.deleteMany({ expense: { $in: expenseIds } });
+      await SyncTombstone.record(tenant._id, 'expense', expenseIds);
+
+      for (const file of files.values()) {
+        await StorageService.remove(file);
+      }
+      await StorageUsageService.release(tenant._id, [...counted.values()]);
+
+      await Tenant.updateUsage(tenant._id, 'expense', -expenses.length);
+    }
+
+    // Categories still referenced by a kept expense, template or child wait for a later run
+    const categories = await Category.find(expired).select('_id');
+    const categoryIds = categories.map(category => category._id);
+    let purgedCategories = 0;
+
+    if (categoryIds.length > 0) {
+      const inUse = { tenantId: tenant._id };
+      const [expenseCategories, paymentCategories, templateCategories, parents] = await Promise.all([
+        Expense.distinct('category', { ...inUse, category: { $in: categoryIds } }).setOptions(WITH_DELETED),
+        Expense.distinct('payments.category', { ...inUse, 'payments.category': { $in: categoryIds } })
+          .setOptions(WITH_DELETED),
+        RecurringExpense.distinct('category', { ...inUse, category: { $in: categoryIds } }),
+        Category.distinct('parentCategory', { ...inUse, parentCategory: { $in: categoryIds } })
+          .setOptions(WITH_DELETED)
+      ]);
+
+      const referenced = new Set(
+        [...expenseCategories, ...paymentCategories, ...templateCategories, ...parents].map(String)
+      );
+      const purgeable = categoryIds.filter(id => !referenced.has(String(id)));
+
+      if (purgeable.length > 0) {
+        const result = await Category.deleteMany({ _id: { $in: purgeable } });
+        await SyncTombstone.record(tenant._id, 'category', purgeable);
+        purgedCategories = result.deletedCount;
+      }
+    }
+
+    return {
+      expenses: expenses.length,
+      categories: purgedCategories
+    };
+  }
+
+  // Purge every tenant's expired trash; run by the scheduler
+  static async purgeExpired(now = new Date()) {
+    const tenants = await Tenant.find({}).select('name settings.trashRetentionDays');
+    const summary = { tenants: 0, expenses: 0, categories: 0 };
+
+    for (const tenant of tenants) {
+      try {
+        const result = await this.purgeTenant(tenant, now);
+        if (result.expenses > 0 || result.categories > 0) {
+          summary.tenants += 1;
+          summary.expenses += result.expenses;
+          summary.categories += result.categories;
+        }
+      } catch (error) {
+        console.error(`❌ Trash purge failed for tenant ${tenant._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = TrashService;
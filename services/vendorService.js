@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Vendor = require('../models/Vendor');
+const ActivityService = require('./activityService');
+const ErrorResponse = require('../utils/errorResponse');
+const { normalizeVendorName, similarity } = require('../utils/stringUtils');
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'website', 'description', 'isActive'];
+
+// Unmatched names at least this close to a vendor are suggested in the review
+const SUGGESTION_SCORE = 0.75;
+
+const BASE_AMOUNT = Expense.baseAmountExpression();
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+class VendorService {
+
+  static async findVendor(tenantId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ErrorResponse('Invalid vendor ID format', 400);
+    }
+
+    const vendor = await Vendor.findOne({ _id: id, tenantId });
+    if (!vendor) {
+      throw new ErrorResponse('Vendor not found', 404);
+    }
+
+    return vendor;
+  }
+
+  static async assertCategory(tenantId, category) {
+    if (!category) return;
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new ErrorResponse('Invalid default category', 400);
+    }
+    const exists = await Category.exists({ _id: category, tenantId, isActive: true });
+    if (!exists) {
+      throw new ErrorResponse('Default category must be an active category of this organization', 400);
+    }
+  }
+
+  // A name or alias can only point at one vendor of the tenant
+  static async assertKeysFree(vendor, ignore = []) {
+    const keys = vendor.getMatchKeys();
+    const taken = await Vendor.findOne({
+      tenantId: vendor.tenantId,
+      _id: { $nin: [vendor._id, ...ignore] },
+      $or: [{ normalizedName: { $in: keys } }, { normalizedAliases: { $in: keys } }]
+    }).select('name');
+
+    if (taken) {
+      throw new ErrorResponse(`"${taken.name}" already uses this name or one of these aliases. Merge the vendors instead`, 400);
+    }
+  }
+
+  // Change the vendor of many expenses, with a revision for each one changed
+  static updateExpenses(filter, update, user) {
+    // Required here: ExpenseRevisionService resolves vendors through this service
+    const ExpenseRevisionService = require('./expenseRevisionService');
+    return ExpenseRevisionService.updateExpenses(filter, [update], { user });
+  }
+
+  // Claim the expenses entered with one of the vendor names before it was in the directory
+  static async linkExpenses(vendor, user) {
+    if (!vendor.isActive) return 0;
+
+    const result = await this.updateExpenses(
+      { tenantId: vendor.tenantId, vendor: null, vendorKey: { $in: vendor.getMatchKeys() } },
+      { $set: { vendor: vendor._id } },
+      user
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Matcher from vendor text to the active vendor of the tenant with that name
+   * or alias, loaded once for imports and other batches.
+   */
+  static async getMatcher(tenantId) {
+    const vendors = await Vendor.find({ tenantId, isActive: true })
+      .select('name normalizedName normalizedAliases defaultCategory');
+
+    const byKey = new Map();
+    vendors.forEach(vendor => {
+      vendor.getMatchKeys().forEach(key => byKey.set(key, vendor));
+    });
+
+    return (name) => {
+      const vendorName = String(name || '').trim();
+      const vendorKey = normalizeVendorName(vendorName);
+      if (!vendorKey) return null;
+
+      const vendor = byKey.get(vendorKey) || null;
+      return { vendor, vendorName, vendorKey };
+    };
+  }
+
+  /**
+   * Vendor fields of an expense from a vendor id or a free-text vendor name.
+   * Returns undefined when neither was given and null when they were cleared.
+   */
+  static async resolve(tenantId, { vendor, vendorName } = {}) {
+    if (vendor === undefined && vendorName === undefined) return undefined;
+
+    if (vendor) {
+      const match = await this.findVendor(tenantId, vendor);
+      const name = String(vendorName || '').trim() || match.name;
+      return { vendor: match, vendorName: name, vendorKey: normalizeVendorName(name) };
+    }
+
+    if (!vendorName || !String(vendorName).trim()) return null;
+
+    const match = await this.getMatcher(tenantId);
+    return match(vendorName);
+  }
+
+  // Expense fields to store for a resolved vendor
+  static toExpenseFields(resolved) {
+    return {
+      vendor: resolved.vendor?._id || null,
+      vendorName: resolved.vendorName,
+      vendorKey: resolved.vendorKey
+    };
+  }
+
+  static async getSpend(tenantId, vendorIds, { startDate, endDate } = {}) {
+    if (vendorIds.length === 0) return new Map();
+
+    const date = {};
+    if (startDate) date.$gte = new Date(startDate);
+    if (endDate) date.$lte = new Date(endDate);
+    if (Object.values(date).some(value => isNaN(value.getTime()))) {
+      throw new ErrorResponse('Invalid date range', 400);
+    }
+
+    const rows = await Expense.aggregate([
+      {
+        $match: {
+          tenantId,
+          vendor: { $in: vendorIds },
+          status: { $ne: 'cancelled' },
+          ...(Object.keys(date).length > 0 && { date })
+        }
+      },
+      {
+        $group: {
+          _id: '$vendor',
+          count: { $sum: 1 },
+          baseAmount: { $sum: BASE_AMOUNT },
+          lastExpenseDate: { $max: '$date' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), {
+      count: row.count,
+      baseAmount: round(row.baseAmount),
+      lastExpenseDate: row.lastExpenseDate
+    }]));
+  }
+
+  static withSpend(vendor, spend) {
+    return {
+      ...vendor.toObject(),
+      spend: spend.get(vendor._id.toString()) || { count: 0, baseAmount: 0, lastExpenseDate: null }
+    };
+  }
+
+  // Vendors with their spend in the base currency, optionally over a date range
+  static async list(tenant, { active, search, startDate, endDate } = {}) {
+    const vendors = await Vendor.findByTenant(tenant._id, {
+      search,
+      active: active === undefined ? undefined : active === 'true'
+    });
+    const spend = await this.getSpend(tenant._id, vendors.map(vendor => vendor._id), { startDate, endDate });
+
+    return vendors
+      .map(vendor => this.withSpend(vendor, spend))
+      .sort((a, b) => b.spend.baseAmount - a.spend.baseAmount || a.name.localeCompare(b.name));
+  }
+
+  static async get(tenant, id, range) {
+    const vendor = await this.findVendor(tenant._id, id);
+    await vendor.populate('defaultCategory', 'name slug');
+
+    const spend = await this.getSpend(tenant._id, [vendor._id], range);
+    return this.withSpend(vendor, spend);
+  }
+
+  /**
+   * Vendor names on expenses that did not match the directory, most used
+   * first, with the closest vendor when one looks alike.
+   */
+  static async getReview(tenant) {
+    const [names, vendors] = await Promise.all([
+      Expense.aggregate([
+        { $match: { tenantId: tenant._id, vendor: null, vendorKey: { $nin: [null, ''] } } },
+        {
+          $group: {
+            _id: '$vendorKey',
+            names: { $addToSet: '$vendorName' },
+            count: { $sum: 1 },
+            baseAmount: { $sum: BASE_AMOUNT }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      Vendor.find({ tenantId: tenant._id, isActive: true }).select('name normalizedName normalizedAliases')
+    ]);
+
+    return names.map(row => {
+      let suggestion = null;
+      vendors.forEach(vendor => {
+        const score = Math.max(...vendor.getMatchKeys().map(key => similarity(row._id, key)));
+        if (score >= SUGGESTION_SCORE && (!suggestion || score > suggestion.score)) {
+          suggestion = { _id: vendor._id, name: vendor.name, score: round(score) };
+        }
+      });
+
+      return {
+        key: row._id,
+        names: row.names.sort(),
+        count: row.count,
+        baseAmount: round(row.baseAmount),
+        suggestedVendor: suggestion
+      };
+    });
+  }
+
+  static applyFields(vendor, body) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) vendor[field] = body[field];
+    });
+    if (body.defaultCategory !== undefined) vendor.defaultCategory = body.defaultCategory || null;
+  }
+
+  static logVendorActivity(vendor, user, type, changes) {
+    return ActivityService.logActivity({
+      type,
+      entityId: vendor._id,
+      entityType: 'Vendor',
+      entityName: vendor.name,
+      tenantId: vendor.tenantId,
+      performedBy: user._id,
+      changes
+    });
+  }
+
+  static async create(tenant, user, body) {
+    await this.assertCategory(tenant._id, body.defaultCategory);
+
+    const vendor = new Vendor({ tenantId: tenant._id, createdBy: user._id });
+    this.applyFields(vendor, body);
+    await vendor.validate();
+    await this.assertKeysFree(vendor);
+    await vendor.save();
+
+    const expensesLinked = await this.linkExpenses(vendor, user);
+    await this.logVendorActivity(vendor, user, 'vendor_created', expensesLinked > 0 ? [`Linked ${expensesLinked} expenses`] : []);
+
+    return { vendor, expensesLinked };
+  }
+
+  static async update(tenant, user, id, body) {
+    const vendor = await this.findVendor(tenant._id, id);
+    await this.assertCategory(tenant._id, body.defaultCategory);
+
+    const before = { name: vendor.name, aliases: [...vendor.aliases], isActive: vendor.isActive };
+    this.applyFields(vendor, body);
+    await vendor.validate();
+    await this.assertKeysFree(vendor);
+    await vendor.save();
+
+    const expensesLinked = await this.linkExpenses(vendor, user);
+
+    const changes = [];
+    if (before.name !== vendor.name) changes.push(`Name: ${before.name} → ${vendor.name}`);
+    if (before.aliases.join(', ') !== vendor.aliases.join(', ')) {
+      changes.push(`Aliases: ${before.aliases.join(', ') || 'none'} → ${vendor.aliases.join(', ') || 'none'}`);
+    }
+    if (before.isActive !== vendor.isActive) changes.push(vendor.isActive ? 'Reactivated' : 'Deactivated');
+    if (expensesLinked > 0) changes.push(`Linked ${expensesLinked} expenses`);
+
+    await this.logVendorActivity(vendor, user, 'vendor_updated', changes);
+
+    return { vendor, expensesLinked };
+  }
+
+  // Expenses keep the vendor name they were entered with
+  static async remove(tenant, user, id) {
+    const vendor = await this.findVendor(tenant._id, id);
+
+    const result = await this.updateExpenses({ tenantId: tenant._id, vendor: vendor._id }, { $set: { vendor: null } }, user);
+
+    await vendor.deleteOne();
+    await this.logVendorActivity(vendor, user, 'vendor_deleted');
+
+    return { expensesUnlinked: result.modifiedCount };
+  }
+
+  /**
+   * Merge duplicate vendors and unmatched vendor names into a target vendor.
+   * The names and aliases of merged vendors become aliases of the target,
+   * their expenses move to it and the merged vendors are deleted.
+   */
+  static async merge(tenant, user, { target, vendors = [], names = [] } = {}) {
+    if (!Array.isArray(vendors) || !Array.isArray(names)) {
+      throw new ErrorResponse('Vendors and names must be lists', 400);
+    }
+
+    const targetVendor = await this.findVendor(tenant._id, target);
+    const sourceIds = [...new Set(vendors.map(String))].filter(id => id !== targetVendor._id.toString());
+    if (sourceIds.length === 0 && names.length === 0) {
+      throw new ErrorResponse('Please provide the vendors or vendor names to merge', 400);
+    }
+
+    const sources = [];
+    for (const id of sourceIds) {
+      sources.push(await this.findVendor(tenant._id, id));
+    }
+
+    targetVendor.aliases = [
+      ...targetVendor.aliases,
+      ...sources.flatMap(source => [source.name, ...source.aliases]),
+      ...names.map(name => String(name || '').trim()).filter(Boolean)
+    ];
+    if (!targetVendor.defaultCategory) {
+      targetVendor.defaultCategory = sources.find(source => source.defaultCategory)?.defaultCategory || null;
+    }
+
+    // The merged vendors give up their names to the target, so only other vendors can clash
+    const mergedIds = sources.map(source => source._id);
+    await targetVendor.validate();
+    await this.assertKeysFree(targetVendor, mergedIds);
+
+    const moved = await this.updateExpenses(
+      { tenantId: tenant._id, vendor: { $in: mergedIds } },
+      { $set: { vendor: targetVendor._id } },
+      user
+    );
+    await Vendor.deleteMany({ tenantId: tenant._id, _id: { $in: mergedIds } });
+    await targetVendor.save();
+
+    const linked = await this.linkExpenses(targetVendor, user);
+
+    await this.logVendorActivity(targetVendor, user, 'vendor_merged', [
+      ...sources.map(source => `Vendor: ${source.name} → ${targetVendor.name}`),
+      ...names.map(name => `Name: ${name} → ${targetVendor.name}`)
+    ]);
+
+    return {
+      vendor: targetVendor,
+      vendorsMerged: sources.length,
+      expensesUpdated: moved.modifiedCount + linked
+    };
+  }
+}
+
+module.exports = VendorService;
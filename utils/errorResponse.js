@@ -0,0 +1,11 @@
+// Error carrying an HTTP status code, thrown by services and picked up by
+// controllers (and by middleware/errorHandler.js via err.statusCode)
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, data = null) {
+    super(message);
+    this.statusCode = statusCode;
+    this.data = data;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -1,34 +1,11 @@
 const fs = require('fs').promises;
-const path = require('path');
+const storageConfig = require('../config/storage');
 
+// The local root is created whatever the driver, files uploaded earlier may still be on disk
 const createUploadsDir = async () => {
-  try {
-    await fs.access(path.join(__dirname, '../uploads'));
-  } catch {
-    await fs.mkdir(path.join(__dirname, '../uploads'), { recursive: true });
-    await fs.mkdir(path.join(__dirname, '../uploads/expenses'), { recursive: true });
-  }
-};
-
-const deleteFile = async (filePath) => {
-  try {
-    await fs.unlink(filePath);
-    console.log(`File deleted: ${filePath}`);
-  } catch (error) {
-    console.error(`Error deleting file ${filePath}:`, error.message);
-  }
-};
-
-const deleteFiles = async (files) => {
-  if (files && Array.isArray(files)) {
-    for (const file of files) {
-      await deleteFile(file.path);
-    }
-  }
+  await fs.mkdir(storageConfig.local.root, { recursive: true });
 };
 
 module.exports = {
-  createUploadsDir,
-  deleteFile,
-  deleteFiles
+  createUploadsDir
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const ErrorResponse = require('./errorResponse');
+
+// Read the first (or requested) sheet of an uploaded CSV/XLSX file into header names and row objects
+const readSpreadsheet = (file, { sheet = null, maxRows = null } = {}) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  let workbook;
+  try {
+    // CSV cells are kept as text so dates and amounts are parsed by our own rules
+    workbook = XLSX.read(file.buffer, {
+      type: 'buffer',
+      cellDates: true,
+      raw: extension === '.csv'
+    });
+  } catch (error) {
+    throw new ErrorResponse('Could not read the import file', 400);
+  }
+
+  const sheetName = sheet && workbook.SheetNames.includes(sheet)
+    ? sheet
+    : workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+
+  if (!worksheet) {
+    throw new ErrorResponse('Import file does not contain any sheets', 400);
+  }
+
+  const headerRow = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false })[0] || [];
+  const headers = headerRow.map(header => String(header).trim()).filter(Boolean);
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: true, blankrows: false });
+
+  if (rows.length === 0) {
+    throw new ErrorResponse('Import file does not contain any rows', 400);
+  }
+
+  if (maxRows && rows.length > maxRows) {
+    throw new ErrorResponse(`Import files are limited to ${maxRows} rows`, 400);
+  }
+
+  return { sheetName, sheets: workbook.SheetNames, headers, rows };
+};
+
+const parseDate = (value, format = 'auto') => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  // Excel serial date
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d)) : null;
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const parts = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+  if (parts) {
+    const [, first, second, third] = parts;
+    let year, month, day;
+
+    if (format === 'DD/MM/YYYY') {
+      [day, month, year] = [first, second, third];
+    } else if (format === 'MM/DD/YYYY') {
+      [month, day, year] = [first, second, third];
+    } else if (format === 'YYYY-MM-DD' || first.length === 4) {
+      [year, month, day] = [first, second, third];
+    } else {
+      [month, day, year] = [first, second, third];
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    const isValid = date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+    return isValid ? date : null;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+
+  // Strip currency symbols and thousands separators
+  const cleaned = String(value ?? '').replace(/[^0-9.,-]/g, '').replace(/,/g, '');
+  return cleaned ? Number(cleaned) : NaN;
+};
+
+// Write row objects to a CSV or XLSX buffer; the keys of the first row become the header
+const writeSpreadsheet = (rows, format = 'csv', sheetName = 'Sheet1') => {
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+
+  if (format === 'csv') {
+    return Buffer.from(XLSX.utils.sheet_to_csv(worksheet), 'utf-8');
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  readSpreadsheet,
+  writeSpreadsheet,
+  parseDate,
+  parseAmount
+};
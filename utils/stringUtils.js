@@ -0,0 +1,76 @@
+// Lowercase, strip accents and punctuation so "José D." and "jose d" compare equal
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9@\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Card processor prefixes ("SQ *", "PAYPAL *") and company suffixes that do not identify a vendor
+const PROCESSOR_PREFIX = /^(sq|sqr|tst|pp|paypal|sumup|zettle|izettle|sp)\s*\*\s*/;
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sarl', 'srl', 'bv', 'nv', 'plc', 'pty', 'oy', 'ab', 'as'
+]);
+
+// Vendor names as they appear on receipts and card statements reduced to a comparable key:
+// "AMAZON.COM*2K4L7", "Amazon.com, Inc." and "amazon" all become "amazon"
+const normalizeVendorName = (value) => {
+  const text = String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(PROCESSOR_PREFIX, '')
+    // Statement reference after the merchant name
+    .replace(/\*.*$/, '')
+    .replace(/\.(com|net|org|io|co)\b/g, ' ')
+    // Store numbers
+    .replace(/#\s*\d+/g, ' ');
+
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  while (tokens.length > 1 && (COMPANY_SUFFIXES.has(tokens[tokens.length - 1]) || /^\d+$/.test(tokens[tokens.length - 1]))) {
+    tokens.pop();
+  }
+  return tokens.join(' ');
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity from 0 (nothing in common) to 1 (identical)
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+// Escape user input for use inside a RegExp / $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape text for use inside HTML markup
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  normalizeText,
+  normalizeVendorName,
+  levenshtein,
+  similarity,
+  escapeRegex,
+  escapeHtml
+};